@@ -0,0 +1,43 @@
+/**
+ * Load streamhub-sdk's data core under Node, where there is no DOM:
+ * Collection and its streams, the clients, StateToContent, Content and
+ * Storage. Views need a DOM and can't be loaded.
+ * Client-side dependencies must first be installed to lib/ with Bower.
+ * @example
+ *     var streamhub = require('streamhub-sdk');
+ *     var Collection = streamhub('streamhub-sdk/collection');
+ */
+var requirejs = require('requirejs');
+
+module.exports = requirejs.config({
+    context: 'streamhub-sdk',
+    baseUrl: __dirname,
+    nodeRequire: require,
+    paths: {
+        base64: 'lib/base64/base64.min',
+        'event-emitter': 'lib/event-emitter/src/event-emitter',
+        inherits: 'lib/inherits/inherits'
+    },
+    packages: [{
+        name: 'streamhub-sdk',
+        location: 'src'
+    },{
+        name: 'streamhub-sdk/auth',
+        location: 'src/auth'
+    },{
+        name: 'streamhub-sdk/collection',
+        location: 'src/collection'
+    },{
+        name: 'streamhub-sdk/content',
+        location: 'src/content'
+    },{
+        name: 'stream',
+        location: 'lib/stream/src'
+    }],
+    map: {
+        '*': {
+            // Send requests with Node's http module instead of jQuery
+            'streamhub-sdk/collection/clients/transport': 'streamhub-sdk/collection/clients/node-transport'
+        }
+    }
+});
@@ -1,49 +1,148 @@
-define(['streamhub-sdk/util', 'streamhub-sdk/jquery', 'base64'], function(util, $) {
+define([
+    'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/promise',
+    'inherits',
+    'base64'],
+function(LivefyreHttpClient, promise, inherits) {
     'use strict';
 
     /**
-     * A Client for requesting Livefyre's Auth Endpoint
-     * @exports streamhub-sdk/clients/livefyre-auth-client
+     * A Client for requesting Livefyre's Auth Endpoint.
+     * LivefyreAuthClient.getAuthData and .getAuthDataAsync can also be called
+     * statically, to request with a default client
+     * @param [opts] {object} See streamhub-sdk/collection/clients/http-client
+     * @exports streamhub-sdk/auth/clients/livefyre-auth-client
+     * @constructor
      */
-    var LivefyreAuthClient = {};
+    var LivefyreAuthClient = function (opts) {
+        opts = opts || {};
+        opts.serviceName = 'admin';
+        LivefyreHttpClient.call(this, opts);
+    };
+
+    inherits(LivefyreAuthClient, LivefyreHttpClient);
 
     /**
-     * Fetches data from the livefyre auth service with the arguments given.
+     * Auth requests are safe to repeat, so retry them a couple times
+     */
+    LivefyreAuthClient.prototype._retry = { maxAttempts: 2, initial: 500 };
+
+    /**
+     * Fetches the user's profile and their permissions in a Collection
+     * from the livefyre auth service
      * @param opts {Object} The livefyre collection options.
      * @param opts.network {string} The name of the network in the livefyre platform
      * @param opts.siteId {string} The livefyre siteId for the conversation
      * @param opts.articleId {string} The livefyre articleId for the conversation
-     * @param opts.token {string} The livefyre token for the user
+     * @param [opts.token] {string} The livefyre token for the user. If not
+     *     passed, the user is identified by their cookies
+     * @param [opts.environment] {string} Optional livefyre environment to use dev/prod environment
+     * @param [opts.hostResolver] {function} Passed ('admin', opts). It may
+     *     return a base URL to request instead of the one configured in
+     *     streamhub-sdk/service-urls or the usual one
+     * @param [opts.withCredentials=true] {boolean} Whether to send the
+     *     user's cookies to the auth service
      * @param callback {function} A callback that is called upon success/failure of the
-     *     auth request. Callback signature is "function(error, data)".
+     *     auth request. Callback signature is "function(error, authData)",
+     *     where authData is like .parseAuthData returns
+     */
+    LivefyreAuthClient.prototype.getAuthData = function(opts, callback) {
+        callback = callback || function() {};
+        this._requestAuthData(opts, function (err, data) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, LivefyreAuthClient.parseAuthData(data));
+        });
+    };
+
+    /**
+     * Request the auth service
+     * @private
+     * @param opts {Object} See .getAuthData
+     * @param callback {function} Passed (error, response)
      */
-    LivefyreAuthClient.getAuthData = function(opts, callback) {
+    LivefyreAuthClient.prototype._requestAuthData = function (opts, callback) {
         opts = opts || {};
         callback = callback || function() {};
 
         var url = [
-            'http://admin.',
-            (opts.network === 'livefyre.com') ? opts.environment || 'livefyre.com' : opts.network,
+            this._getUrlBase(opts),
             "/api/v3.0/auth/?siteId=",
-            opts.siteId,
+            encodeURIComponent(opts.siteId),
             "&articleId=",
-            btoa(opts.articleId)
-        ].join("");
-
-        $.ajax({
-            type: "GET",
-            url: url,
-            dataType: "json",
-            xhrFields: { withCredentials: true },
-            success: function(data, status, jqXhr) {
-                callback(null, data);
+            encodeURIComponent(btoa(opts.articleId))
+        ];
+        if (opts.token) {
+            url.push("&lftoken=", encodeURIComponent(opts.token));
+        }
+
+        this._request({
+            url: url.join(""),
+            dataType: 'json',
+            withCredentials: opts.withCredentials !== false
+        }, callback);
+    };
+
+    /**
+     * Like .getAuthData, but returns a Promise of the authData instead of
+     * taking a callback
+     * @param opts {Object} See .getAuthData
+     * @return {Promise}
+     */
+    LivefyreAuthClient.prototype.getAuthDataAsync = promise.method('getAuthData');
+
+    /**
+     * The client that the static .getAuthData requests with
+     */
+    var defaultClient = null;
+
+    /**
+     * Fetches data from the livefyre auth service with a default client.
+     * Unlike the .getAuthData of an instance, the response isn't parsed
+     * @param opts {Object} See LivefyreAuthClient#getAuthData
+     * @param callback {function} A callback that is called upon success/failure of the
+     *     auth request. Callback signature is "function(error, data)".
+     */
+    LivefyreAuthClient.getAuthData = function (opts, callback) {
+        defaultClient = defaultClient || new LivefyreAuthClient();
+        defaultClient._requestAuthData(opts, callback);
+    };
+
+    /**
+     * Like LivefyreAuthClient.getAuthData, but returns a Promise of the data
+     * instead of taking a callback
+     * @param opts {Object} See LivefyreAuthClient.getAuthData
+     * @return {Promise}
+     */
+    LivefyreAuthClient.getAuthDataAsync = promise.method('getAuthData');
+
+    /**
+     * Read an auth service response
+     * @param response {Object} The response
+     * @return {Object} authData, with .profile (the user's .id, .displayName,
+     *     .avatar, .profileUrl and .settingsUrl), .isModerator (whether the
+     *     user moderates the Collection), .isModAnywhere (whether they
+     *     moderate any Collection in the network) and the raw .permissions
+     */
+    LivefyreAuthClient.parseAuthData = function (response) {
+        var data = (response && response.data) || {},
+            profile = data.profile || {},
+            permissions = data.permissions || {};
+        return {
+            profile: {
+                id: profile.id,
+                displayName: profile.displayName,
+                avatar: profile.avatar,
+                profileUrl: profile.profileUrl,
+                settingsUrl: profile.settingsUrl
             },
-            error: function(jqXhr, status, err) {
-                callback(err);
-            }
-        });
+            isModerator: Boolean(permissions.moderator_key),
+            isModAnywhere: Boolean(data.isModAnywhere),
+            permissions: permissions
+        };
     };
 
     return LivefyreAuthClient;
 
-});
\ No newline at end of file
+});
@@ -1,26 +1,153 @@
-define(['inherits', 'event-emitter', 'streamhub-sdk/debug'],
-function (inherits, EventEmitter, debug) {
+define([
+	'inherits',
+	'event-emitter',
+	'streamhub-sdk/auth/user',
+	'streamhub-sdk/auth/clients/livefyre-auth-client',
+	'streamhub-sdk/debug'],
+function (inherits, EventEmitter, User, LivefyreAuthClient, debug) {
     'use strict';
 
 
 	var log = debug('streamhub-sdk/auth');
 
 
+	/**
+	 * setTimeout can't wait longer than this many milliseconds
+	 */
+	var MAX_TIMEOUT = 2147483647;
+
+
 	/**
 	 * An object that knows about the authenticated user
+	 * @fires Auth#token
+	 * @fires Auth#user
+	 * @fires Auth#expired
+	 * @fires Auth#logout
 	 */
 	var Auth = new EventEmitter();
 
 
+	Auth.User = User;
+
+
+	/**
+	 * The client used to fetch the user's profile and permissions.
+	 * Replace it to fetch them from somewhere else
+	 */
+	Auth.authClient = new LivefyreAuthClient();
+
+
 	/**
-	 * Set the Auth token
+	 * The host page's login, logout and profile flows, e.g. an SSO
+	 * integration. The SDK calls it when the user needs to log in, log out
+	 * or see a profile. null if the host page hasn't set one
+	 * @type {?{login: function, logout: function, viewProfile: function}}
+	 * @property login {function} Passed (callback). Log the user in, then
+	 *     call .setToken. Pass callback an Error if they don't log in
+	 * @property logout {function} Passed (callback). Log the user out, then
+	 *     pass callback (err)
+	 * @property viewProfile {function} Passed (user). Show the profile of a
+	 *     User or author
+	 */
+	Auth.delegate = null;
+
+
+	/**
+	 * Set the Auth token. Its claims are read into a User, and 'expired'
+	 * is emitted once it expires
 	 * @param token {string} A Livefyre authentication token,
 	 *     as described at http://bit.ly/17SYaoT
+	 * @param [collection] {Object} A Collection, or object with .network,
+	 *     .siteId, .articleId and .environment. If passed, the user's
+	 *     profile and permissions in it are fetched. See .fetchAuthData
+	 * @fires Auth#token
 	 */
-	Auth.setToken = function (token) {
+	Auth.setToken = function (token, collection) {
 		log('.setToken', token);
 		this._token = token;
+		this._user = token ? User.fromToken(token) : null;
+		this._permissions = {};
+		this._scheduleExpiry();
+		/**
+		 * A token was set, or unset if undefined
+		 * @event Auth#token
+		 * @type {string|undefined}
+		 */
 		this.emit('token', token);
+		if (token && collection) {
+			this.fetchAuthData(collection);
+		}
+	};
+
+
+	/**
+	 * Fetch the user's profile and permissions in a Collection with the
+	 * token. Once fetched, .getUser() has the profile and
+	 * .isModerator(collection) whether they moderate it
+	 * @param collection {Object} A Collection, or object with .network,
+	 *     .siteId, .articleId and .environment
+	 * @param [callback] {function} Passed (err, user)
+	 * @fires Auth#user
+	 */
+	Auth.fetchAuthData = function (collection, callback) {
+		var self = this,
+			token = this.getToken();
+
+		callback = callback || function () {};
+
+		if ( ! token) {
+			return callback(new UnauthorizedError("Auth cannot fetch auth data until streamhub-sdk/auth.setToken has been called"));
+		}
+
+		this.authClient.getAuthData({
+			network: collection.network,
+			siteId: collection.siteId,
+			articleId: collection.articleId,
+			environment: collection.environment,
+			token: token
+		}, function (err, authData) {
+			var user;
+			if (err) {
+				log('Error fetching auth data', err);
+				return callback(err);
+			}
+			// The token may have been replaced while fetching
+			if (self.getToken() !== token) {
+				return callback(new UnauthorizedError("The streamhub-sdk/auth token changed while fetching auth data"));
+			}
+			user = self._user = self._user || new User();
+			user.setProfile(authData.profile);
+			user.isModAnywhere = authData.isModAnywhere;
+			self._permissions[collectionKey(collection)] = {
+				isModerator: authData.isModerator,
+				permissions: authData.permissions
+			};
+			/**
+			 * The user's profile and permissions were fetched
+			 * @event Auth#user
+			 * @type {User}
+			 */
+			self.emit('user', user);
+			callback(null, user);
+		});
+	};
+
+
+	/**
+	 * Whether the user moderates a Collection. Their permissions in it must
+	 * have been fetched with .fetchAuthData, or by passing it to .setToken
+	 * @param [collection] {Object} A Collection, or object with .network,
+	 *     .siteId and .articleId. If not passed, whether the user moderates
+	 *     any Collection they've fetched auth data for
+	 * @return {boolean}
+	 */
+	Auth.isModerator = function (collection) {
+		var permissions;
+		if ( ! collection) {
+			return !! (this._user && this._user.isModAnywhere);
+		}
+		permissions = this._permissions && this._permissions[collectionKey(collection)];
+		return !! (permissions && permissions.isModerator);
 	};
 
 
@@ -33,6 +160,195 @@ function (inherits, EventEmitter, debug) {
 	};
 
 
+	/**
+	 * Get the User the token is for
+	 * @return {User|null} The User, or null if no token has been set or
+	 *     its claims couldn't be read
+	 */
+	Auth.getUser = function () {
+		return this._user || null;
+	};
+
+
+	/**
+	 * Whether a token has been set, but has expired
+	 * @return {boolean}
+	 */
+	Auth.isExpired = function () {
+		return !! (this._user && this._user.isExpired());
+	};
+
+
+	/**
+	 * Ask the delegate to log the user in, and call back once a token that
+	 * hasn't expired is set. Logging in again while waiting for the
+	 * delegate only waits for the same login
+	 * @param [callback] {function} Passed (err, user). err is an
+	 *     UnauthorizedError if there is no delegate, or what the delegate
+	 *     passed if the user didn't log in
+	 */
+	Auth.login = function (callback) {
+		var self = this;
+		callback = callback || function () {};
+
+		if ( ! this.delegate || typeof this.delegate.login !== 'function') {
+			return callback(new UnauthorizedError("Auth cannot log in without a streamhub-sdk/auth delegate"));
+		}
+		if (this._loginCallbacks) {
+			return this._loginCallbacks.push(callback);
+		}
+		this._loginCallbacks = [callback];
+
+		function onToken (token) {
+			if (token && ! self.isExpired()) {
+				done(null);
+			}
+		}
+
+		function done (err) {
+			var callbacks = self._loginCallbacks;
+			if ( ! callbacks) {
+				return;
+			}
+			self._loginCallbacks = null;
+			self.removeListener('token', onToken);
+			for (var i=0; i < callbacks.length; i++) {
+				callbacks[i](err, err ? null : self.getUser());
+			}
+		}
+
+		this.on('token', onToken);
+		this.delegate.login(function (err) {
+			if (err) {
+				return done(err);
+			}
+			// The delegate may have set the token before calling back
+			onToken(self.getToken());
+		});
+	};
+
+
+	/**
+	 * Log the user out with the delegate, if there is one, then unset the
+	 * token and User
+	 * @param [callback] {function} Passed (err) once logged out
+	 * @fires Auth#token
+	 * @fires Auth#logout
+	 */
+	Auth.logout = function (callback) {
+		var self = this;
+		callback = callback || function () {};
+
+		function done () {
+			var user = self.getUser();
+			self.setToken();
+			/**
+			 * The user logged out
+			 * @event Auth#logout
+			 * @type {User|null} The User who was logged in
+			 */
+			self.emit('logout', user);
+			callback(null);
+		}
+
+		if ( ! this.delegate || typeof this.delegate.logout !== 'function') {
+			return done();
+		}
+		this.delegate.logout(function (err) {
+			if (err) {
+				return callback(err);
+			}
+			done();
+		});
+	};
+
+
+	/**
+	 * Ask the delegate to show a profile
+	 * @param [user] {User|Object} A User or author. Defaults to .getUser()
+	 * @return {boolean} Whether there is a delegate to show it
+	 */
+	Auth.viewProfile = function (user) {
+		if ( ! this.delegate || typeof this.delegate.viewProfile !== 'function') {
+			return false;
+		}
+		this.delegate.viewProfile(user || this.getUser());
+		return true;
+	};
+
+
+	/**
+	 * Call back once there is a token that hasn't expired. Right away, if
+	 * there is one already
+	 * @param callback {function} Passed (user), where user is null if the
+	 *     token's claims couldn't be read
+	 * @return {function} Call to stop waiting, e.g. if the user may never
+	 *     log in. It does nothing once callback has been called
+	 */
+	Auth.whenAuthenticated = function (callback) {
+		var self = this;
+		if (this.getToken() && ! this.isExpired()) {
+			callback(this.getUser());
+			return function () {};
+		}
+		function onToken (token) {
+			if ( ! token || self.isExpired()) {
+				return;
+			}
+			self.removeListener('token', onToken);
+			callback(self.getUser());
+		}
+		this.on('token', onToken);
+		return function cancel () {
+			self.removeListener('token', onToken);
+		};
+	};
+
+
+	/**
+	 * Emit 'expired' once the User's token expires. If it already has, emit
+	 * it asynchronously, so .setToken callers can listen for it first
+	 * @private
+	 */
+	Auth._scheduleExpiry = function () {
+		var self = this,
+			user = this._user,
+			delay;
+
+		clearTimeout(this._expiryTimeout);
+		this._expiryTimeout = null;
+
+		if ( ! user || typeof user.expiresAt !== 'number') {
+			return;
+		}
+		delay = Math.max(0, user.expiresAt - new Date().getTime());
+		this._expiryTimeout = setTimeout(function () {
+			self._expiryTimeout = null;
+			if ( ! user.isExpired()) {
+				// It was longer than setTimeout can wait
+				return self._scheduleExpiry();
+			}
+			log('token expired');
+			/**
+			 * The token expired. It should be replaced with .setToken
+			 * @event Auth#expired
+			 * @type {User}
+			 */
+			self.emit('expired', user);
+		}, Math.min(delay, MAX_TIMEOUT));
+	};
+
+
+	/**
+	 * Get the key a Collection's permissions are kept at
+	 * @param collection {Object}
+	 * @return {string}
+	 */
+	function collectionKey (collection) {
+		return [collection.network, collection.siteId, collection.articleId].join('/');
+	}
+
+
 	/**
 	 * An Error that represents that an operation could not be performed
 	 * because the user has not been authorized. Semantics like HTTP 401
@@ -0,0 +1,105 @@
+define(['base64'], function () {
+    'use strict';
+
+
+    /**
+     * A Livefyre user, as described by the claims of their auth token
+     * @param [opts] {object}
+     * @param [opts.id] {string} The user's Livefyre author ID, like
+     *     'user_id@network'
+     * @param [opts.displayName] {string}
+     * @param [opts.expiresAt] {number} When the user's token expires, in
+     *     milliseconds since the epoch. Never, if not passed
+     * @param [opts.avatar] {string} URL of the user's avatar
+     * @param [opts.profileUrl] {string} URL of the user's profile
+     * @param [opts.settingsUrl] {string} URL of the user's settings
+     * @param [opts.isModAnywhere=false] {boolean} Whether the user moderates
+     *     any Collection in their network
+     * @exports streamhub-sdk/auth/user
+     * @constructor
+     */
+    var User = function (opts) {
+        opts = opts || {};
+        this.id = opts.id;
+        this.displayName = opts.displayName;
+        this.expiresAt = opts.expiresAt;
+        this.avatar = opts.avatar;
+        this.profileUrl = opts.profileUrl;
+        this.settingsUrl = opts.settingsUrl;
+        this.isModAnywhere = Boolean(opts.isModAnywhere);
+    };
+
+
+    /**
+     * Update the user from their profile, e.g. as fetched by
+     * streamhub-sdk/auth/clients/livefyre-auth-client. Properties the
+     * profile doesn't have are kept
+     * @param profile {Object} Any of .id, .displayName, .avatar,
+     *     .profileUrl and .settingsUrl
+     */
+    User.prototype.setProfile = function (profile) {
+        var keys = ['id', 'displayName', 'avatar', 'profileUrl', 'settingsUrl'];
+        for (var i=0; i < keys.length; i++) {
+            if (typeof profile[keys[i]] !== 'undefined') {
+                this[keys[i]] = profile[keys[i]];
+            }
+        }
+    };
+
+
+    /**
+     * Whether the user's token has expired
+     * @param [now=Date.now()] {number} The time to check at, in milliseconds
+     *     since the epoch
+     * @return {boolean}
+     */
+    User.prototype.isExpired = function (now) {
+        if (typeof this.expiresAt !== 'number') {
+            return false;
+        }
+        return (now || new Date().getTime()) >= this.expiresAt;
+    };
+
+
+    /**
+     * Create a User from the claims of a Livefyre auth token
+     * @param token {string} A Livefyre auth token, which is a JWT
+     * @return {User|null} The User, or null if the token can't be read
+     */
+    User.fromToken = function (token) {
+        var claims = User.decodeToken(token),
+            expires;
+        if ( ! claims || ! claims.user_id || ! claims.domain) {
+            return null;
+        }
+        // lftokens use .expires, other JWTs .exp. Both are in seconds
+        expires = typeof claims.expires === 'number' ? claims.expires : claims.exp;
+        return new User({
+            id: claims.user_id + '@' + claims.domain,
+            displayName: claims.display_name,
+            expiresAt: typeof expires === 'number' ? expires * 1000 : undefined
+        });
+    };
+
+
+    /**
+     * Read the claims of a JWT. The signature isn't verified
+     * @param token {string}
+     * @return {Object|null} The claims, or null if the token can't be read
+     */
+    User.decodeToken = function (token) {
+        var payload;
+        try {
+            payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            while (payload.length % 4) {
+                payload += '=';
+            }
+            return JSON.parse(atob(payload));
+        } catch (err) {
+            return null;
+        }
+    };
+
+
+    return User;
+});
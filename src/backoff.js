@@ -0,0 +1,60 @@
+define([], function () {
+    'use strict';
+
+    /**
+     * Computes exponentially increasing, jittered delays to wait between
+     * attempts of an operation that keeps failing
+     * @param [opts] {object}
+     * @param [opts.initial=1000] {number} Milliseconds to wait before the
+     *     first retry
+     * @param [opts.max=30000] {number} The longest delay that will be returned
+     * @param [opts.factor=2] {number} Multiplier applied to the delay after
+     *     each attempt
+     * @param [opts.jitter=0.5] {number} Fraction (0 - 1) of each delay that
+     *     will be randomly subtracted, so many clients don't retry in lockstep
+     * @param [opts.maxAttempts=10] {number} How many times .duration() may be
+     *     called before the Backoff is exhausted
+     * @exports streamhub-sdk/backoff
+     * @constructor
+     */
+    var Backoff = function (opts) {
+        opts = opts || {};
+        this.initial = typeof opts.initial === 'number' ? opts.initial : 1000;
+        this.max = typeof opts.max === 'number' ? opts.max : 30000;
+        this.factor = typeof opts.factor === 'number' ? opts.factor : 2;
+        this.jitter = typeof opts.jitter === 'number' ? opts.jitter : 0.5;
+        this.maxAttempts = typeof opts.maxAttempts === 'number' ? opts.maxAttempts : 10;
+        this.attempts = 0;
+    };
+
+    /**
+     * Get how long to wait before the next attempt, and count it as an attempt
+     * @return {number} A delay in milliseconds
+     */
+    Backoff.prototype.duration = function () {
+        var delay = Math.min(this.max, this.initial * Math.pow(this.factor, this.attempts));
+        this.attempts++;
+        if (this.jitter) {
+            delay = delay - (delay * this.jitter * Math.random());
+        }
+        return Math.round(delay);
+    };
+
+    /**
+     * Whether all allowed attempts have been used up
+     * @return {boolean}
+     */
+    Backoff.prototype.isExhausted = function () {
+        return this.attempts >= this.maxAttempts;
+    };
+
+    /**
+     * Start counting attempts from zero again. Call this after the operation
+     * succeeds
+     */
+    Backoff.prototype.reset = function () {
+        this.attempts = 0;
+    };
+
+    return Backoff;
+});
@@ -1,8 +1,9 @@
 define([
     'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/promise',
     'inherits',
     'base64'],
-function(LivefyreHttpClient, inherits, base64) {
+function(LivefyreHttpClient, promise, inherits, base64) {
     'use strict';
 
     /**
@@ -19,6 +20,11 @@ function(LivefyreHttpClient, inherits, base64) {
 
     LivefyreBootstrapClient.prototype._serviceName = 'bootstrap';
 
+    /**
+     * Bootstrap requests are safe to repeat, so retry them a couple times
+     */
+    LivefyreBootstrapClient.prototype._retry = { maxAttempts: 2, initial: 500 };
+
     /**
      * Fetches data from the livefyre bootstrap service with the arguments given.
      * @param opts {Object} The livefyre collection options.
@@ -30,6 +36,7 @@ function(LivefyreHttpClient, inherits, base64) {
      * @param [opts.environment] {string} Optional livefyre environment to use dev/prod environment
      * @param callback {function} A callback that is called upon success/failure of the
      *     bootstrap request. Callback signature is "function(error, data)".
+     * @return {object} The request. Its .abort() calls back 'abort'
      */
     LivefyreBootstrapClient.prototype.getContent = function(opts, callback) {
         opts = opts || {};
@@ -50,10 +57,18 @@ function(LivefyreHttpClient, inherits, base64) {
             typeof opts.page !== 'undefined' ? opts.page+'.json' : "init"
         ].join("");
 
-        this._request({
+        return this._request({
             url: url
         }, callback);
     };
 
+    /**
+     * Like .getContent, but returns a Promise of the data instead of taking
+     * a callback
+     * @param opts {Object} See .getContent
+     * @return {Promise}
+     */
+    LivefyreBootstrapClient.prototype.getContentAsync = promise.method('getContent');
+
     return LivefyreBootstrapClient;
 });
\ No newline at end of file
@@ -1,7 +1,9 @@
 define([
     'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/promise',
     'inherits'],
-function(LivefyreHttpClient, inherits) {
+function(LivefyreHttpClient, errors, promise, inherits) {
     'use strict';
 
     /**
@@ -56,7 +58,7 @@ function(LivefyreHttpClient, inherits) {
         
         var collectionMeta = opts.collectionMeta;
         if (!collectionMeta) {
-            throw 'User error: Missing collectionMeta.';
+            return callback(new errors.ValidationError('Missing collectionMeta'));
         }
         
         var postData = {
@@ -84,5 +86,13 @@ function(LivefyreHttpClient, inherits) {
         }, callback);
     };
 
+    /**
+     * Like .createCollection, but returns a Promise of the response instead
+     * of taking a callback
+     * @param opts {Object} See .createCollection
+     * @return {Promise}
+     */
+    LivefyreCreateClient.prototype.createCollectionAsync = promise.method('createCollection');
+
     return LivefyreCreateClient;
 });
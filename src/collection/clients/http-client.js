@@ -1,4 +1,9 @@
-define(['streamhub-sdk/jquery'], function($) {
+define([
+    'streamhub-sdk/collection/clients/transport',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/backoff',
+    'streamhub-sdk/service-urls'],
+function(transport, errors, Backoff, serviceUrls) {
     'use strict';
 
     /**
@@ -7,72 +12,248 @@ define(['streamhub-sdk/jquery'], function($) {
      * @private
      * @param opts {object}
      * @param opts.serviceName {string} The StreamHub web service to request
-     * @param opts.protocol {string} 'http:' or 'https:'
+     * @param [opts.protocol] {string} 'http:' or 'https:'. Defaults to the
+     *     protocol of the page, or 'https:' where there is no page
+     * @param [opts.hostResolver] {function} Passed (serviceName, opts) for
+     *     each request, where opts has .network and .environment. It may
+     *     return a base URL like 'http://localhost:8080' to request instead
+     *     of the one configured in streamhub-sdk/service-urls or the usual
+     *     one
+     * @param [opts.timeout] {number} Milliseconds to wait for a response
+     *     before failing with a TimeoutError. 0 to wait forever.
+     *     Defaults to the client's ._timeout
+     * @param [opts.retry] {object} Options for the streamhub-sdk/backoff
+     *     used to retry failed requests. opts.retry.maxAttempts is how many
+     *     times a request will be retried. Defaults to the client's ._retry
+     * @param [opts.interceptors] {object}
+     * @param [opts.interceptors.request] {Array.<function>} Functions to
+     *     pass every request this client makes through. See ._request
+     * @param [opts.interceptors.response] {Array.<function>} Functions to
+     *     pass every response this client receives through. See ._request
      */
     var LivefyreHttpClient = function (opts) {
         opts = opts || {};
         this._serviceName = opts.serviceName;
-        this._protocol = opts.protocol || document.location.protocol;
+        this._protocol = opts.protocol ||
+            (typeof document !== 'undefined' ? document.location.protocol : 'https:');
         if (this._protocol.slice(-1) !== ':') {
             this._protocol += ':';
         }
+        this._hostResolver = opts.hostResolver || null;
+        if (typeof opts.timeout === 'number') {
+            this._timeout = opts.timeout;
+        }
+        if (opts.retry) {
+            this._retry = opts.retry;
+        }
+        opts.interceptors = opts.interceptors || {};
+        this.interceptors = {
+            request: (opts.interceptors.request || []).slice(),
+            response: (opts.interceptors.response || []).slice()
+        };
     };
 
     /**
-     * Make an HTTP Request
+     * Interceptors that every request made by any LivefyreHttpClient passes
+     * through, before the interceptors of the client making it.
+     * Push functions onto .request and .response to add tracing headers,
+     * validate responses or inject faults
+     */
+    LivefyreHttpClient.interceptors = {
+        request: [],
+        response: []
+    };
+
+    /**
+     * Milliseconds to wait for a response by default
+     */
+    LivefyreHttpClient.prototype._timeout = 30000;
+
+    /**
+     * streamhub-sdk/backoff options for retrying failed requests by default.
+     * Don't retry, since not every request is safe to repeat
+     */
+    LivefyreHttpClient.prototype._retry = { maxAttempts: 0 };
+
+    /**
+     * Make an HTTP Request, retrying it according to this client's retry
+     * policy if it fails in a way that may be temporary.
+     *
+     * Each attempt is passed through the request interceptors as an object
+     * like opts, plus .headers, .timeout and .attempt (starting at 0).
+     * Interceptors may modify it or return a replacement.
+     * Each result is then passed through the response interceptors as
+     * { error: Error|null, data: *, request: object }. These may modify it or
+     * return a replacement before it is retried or passed to callback.
      * @private
      * @param opts {object}
      * @param [opts.method=GET] {string} HTTP Method
      * @param opts.url {string} URL to request
-     * @param opts.dataType {string} Data type to expect in response
-     * @param callback {function} A callback to pass (err, data) to
+     * @param [opts.dataType] {string} Data type to expect in response.
+     *     The transport chooses one by default
+     * @param [opts.headers] {object} HTTP headers to send
+     * @param [opts.withCredentials=false] {boolean} Whether to send cookies
+     *     with cross-origin requests
+     * @param callback {function} A callback to pass (err, data) to.
+     *     err will be a streamhub-sdk/errors type, or 'abort' if the request
+     *     was aborted
+     * @return {{abort: function}} An object representing the request.
+     *     Aborting it also cancels any pending retry
      */
     LivefyreHttpClient.prototype._request = function (opts, callback) {
-        var xhr = $.ajax({
-            type: opts.method || 'GET',
-            url: opts.url,
-            data: opts.data,
-            dataType: opts.dataType || this._getDataType()
-        });
-
-        xhr.done(function(data, status, jqXhr) {
-            // todo: (genehallman) check livefyre stream status in data.status
-            callback(null, data);
-        });
-
-        xhr.fail(function(jqXhr, status, err) {
-            if (windowIsUnloading) {
-                // Error fires when the user reloads the page during a long poll,
-                // But we don't want to throw an exception if the page is
-                // going away anyway.
+        var self = this,
+            backoff = new Backoff(this._retry),
+            attempt = 0,
+            xhr = null,
+            retryTimeout = null,
+            isDone = false;
+
+        function done (err, data) {
+            if (isDone) {
                 return;
             }
-            if ( ! err) {
-                err = "LivefyreHttpClient Error";
+            isDone = true;
+            callback(err, data);
+        }
+
+        function send () {
+            var request = self._interceptRequest({
+                method: opts.method || 'GET',
+                url: opts.url,
+                data: opts.data,
+                dataType: opts.dataType,
+                headers: copy(opts.headers),
+                withCredentials: opts.withCredentials || false,
+                timeout: self._timeout,
+                attempt: attempt
+            });
+
+            var isResponded = false;
+            var sent = self._send(request, function (err, data) {
+                isResponded = true;
+                // StreamHub reports some errors in a successful response
+                if ( ! err && data && data.status === 'error') {
+                    err = errors.fromStatus(data.code, data.msg);
+                }
+                respond(request, err, data);
+            });
+            // ._send may call back synchronously
+            if ( ! isResponded) {
+                xhr = sent;
+            }
+        }
+
+        function respond (request, err, data) {
+            var response = self._interceptResponse({
+                error: err,
+                data: data,
+                request: request
+            });
+            xhr = null;
+            if (response.error && self._isRetryable(response.error) && ! backoff.isExhausted()) {
+                attempt++;
+                retryTimeout = setTimeout(function () {
+                    retryTimeout = null;
+                    send();
+                }, backoff.duration());
+                return;
             }
-            callback(err);
-        });
+            done(response.error || null, response.data);
+        }
+
+        send();
 
-        return xhr;
+        return {
+            abort: function () {
+                if (xhr) {
+                    // Calls back 'abort' through ._send
+                    return xhr.abort();
+                }
+                if (retryTimeout) {
+                    clearTimeout(retryTimeout);
+                    retryTimeout = null;
+                    done('abort');
+                }
+            }
+        };
     };
 
     /**
-     * Get the $.ajax dataType to use
+     * Send a single request over the network, after it has been through the
+     * request interceptors.
+     * streamhub-sdk/collection/clients/transport uses jQuery.ajax in
+     * browsers. Under Node, it is mapped to
+     * streamhub-sdk/collection/clients/node-transport
+     * @private
+     * @param request {object} See ._request
+     * @param callback {function} A callback to pass (err, data) to. err will
+     *     be a streamhub-sdk/errors type, or 'abort' if the request was aborted
+     * @return {{abort: function}} An object representing the request
      */
-    LivefyreHttpClient.prototype._getDataType = function () {
-        if ($.support.cors) {
-            return 'json';
+    LivefyreHttpClient.prototype._send = function (request, callback) {
+        return transport(request, callback);
+    };
+
+    /**
+     * Pass a request through the global, then this client's request
+     * interceptors
+     * @private
+     * @param request {object}
+     * @return {object} The request to make
+     */
+    LivefyreHttpClient.prototype._interceptRequest = function (request) {
+        return intercept(
+            LivefyreHttpClient.interceptors.request.concat(this.interceptors.request),
+            request);
+    };
+
+    /**
+     * Pass a response through the global, then this client's response
+     * interceptors
+     * @private
+     * @param response {{error: Error, data: *, request: object}}
+     * @return {object} The response to use
+     */
+    LivefyreHttpClient.prototype._interceptResponse = function (response) {
+        return intercept(
+            LivefyreHttpClient.interceptors.response.concat(this.interceptors.response),
+            response);
+    };
+
+    /**
+     * Whether a failed request should be retried. Only errors that may be
+     * temporary are: network errors, timeouts, and 5xx responses
+     * @private
+     * @param err {Error|string}
+     * @return {boolean}
+     */
+    LivefyreHttpClient.prototype._isRetryable = function (err) {
+        if (err instanceof errors.NetworkError) {
+            return true;
         }
-        return 'jsonp';
+        return err instanceof errors.ServiceError &&
+            ! (err instanceof errors.NotFoundError) &&
+            err.status >= 500;
     };
 
     /**
-     * Get the base of the URL (protocol and hostname)
+     * Get the base of the URL (protocol and hostname). This is, in order of
+     * preference, what opts.hostResolver returns, what the client's
+     * hostResolver returns, the base URL configured in
+     * streamhub-sdk/service-urls, or the usual StreamHub host
      * @param opts {object}
      * @param opts.network {string} StreamHub Network
      * @param opts.environment {string=} StreamHub environment
+     * @param [opts.hostResolver] {function} A hostResolver for this request
+     *     only. See LivefyreHttpClient
      */
     LivefyreHttpClient.prototype._getUrlBase = function (opts) {
+        var baseUrl = (opts.hostResolver && opts.hostResolver(this._serviceName, opts)) ||
+            (this._hostResolver && this._hostResolver(this._serviceName, opts)) ||
+            serviceUrls.get(this._serviceName);
+        if (baseUrl) {
+            return baseUrl.replace(/\/+$/, '');
+        }
         return [
             this._protocol,
             '//',
@@ -84,11 +265,13 @@ define(['streamhub-sdk/jquery'], function($) {
      * Get the host of the URL
      * @param opts {object}
      * @param opts.network {string} StreamHub Network
-     * @param opts.environment {string=} StreamHub environment
+     * @param opts.environment {string=} StreamHub environment. For the
+     *     'livefyre.com' network, defaults to 'livefyre.com'
      */
     LivefyreHttpClient.prototype._getHost = function (opts) {
         var isLivefyreNetwork = (opts.network === 'livefyre.com');
-        var host = this._serviceName + '.' + (isLivefyreNetwork ? opts.environment : opts.network);
+        var host = this._serviceName + '.' +
+            (isLivefyreNetwork ? opts.environment || 'livefyre.com' : opts.network);
         var hostParts;
         if ( ! isLivefyreNetwork && this._protocol === 'https:') {
             hostParts = opts.network.split('.');
@@ -99,12 +282,29 @@ define(['streamhub-sdk/jquery'], function($) {
         return host;
     };
 
-    // Keep track of whether the page is unloading, so we don't throw exceptions
-    // if the XHR fails just because of that.
-    var windowIsUnloading = false;
-    $(window).on('beforeunload', function () {
-        windowIsUnloading = true;
-    });
+    /**
+     * Pass an object through a chain of interceptors. Each may modify it
+     * or return a replacement
+     */
+    function intercept (interceptors, obj) {
+        for (var i=0; i < interceptors.length; i++) {
+            obj = interceptors[i](obj) || obj;
+        }
+        return obj;
+    }
+
+    /**
+     * Shallow copy an object
+     */
+    function copy (obj) {
+        var copied = {};
+        for (var key in obj) {
+            if (obj.hasOwnProperty(key)) {
+                copied[key] = obj[key];
+            }
+        }
+        return copied;
+    }
 
     return LivefyreHttpClient;
 
@@ -0,0 +1,115 @@
+define([
+    'http',
+    'https',
+    'url',
+    'querystring',
+    'streamhub-sdk/errors'],
+function (http, https, url, querystring, errors) {
+    'use strict';
+    /* jshint node:true */
+
+    /**
+     * Send an HTTP request with Node's http module. It has the same interface
+     * as streamhub-sdk/collection/clients/transport, and is used in its place
+     * when the SDK is loaded under Node. Responses are always parsed as JSON
+     * @param request {object} See streamhub-sdk/collection/clients/transport
+     * @param callback {function} A callback to pass (err, data) to. err will
+     *     be a streamhub-sdk/errors type, or 'abort' if the request was aborted
+     * @return {{abort: function}} An object representing the request
+     * @exports streamhub-sdk/collection/clients/node-transport
+     */
+    var nodeTransport = function (request, callback) {
+        var method = (request.method || 'GET').toUpperCase(),
+            requestUrl = request.url,
+            headers = {},
+            body = null,
+            isDone = false,
+            req,
+            parsedUrl;
+
+        function done (err, data) {
+            if (isDone) {
+                return;
+            }
+            isDone = true;
+            callback(err, data);
+        }
+
+        for (var name in request.headers) {
+            if (request.headers.hasOwnProperty(name)) {
+                headers[name] = request.headers[name];
+            }
+        }
+
+        if (request.data) {
+            body = typeof request.data === 'string' ?
+                request.data : querystring.stringify(request.data);
+            if (method === 'GET') {
+                requestUrl += (requestUrl.indexOf('?') === -1 ? '?' : '&') + body;
+                body = null;
+            } else {
+                // Like jQuery.ajax
+                headers['Content-Type'] = headers['Content-Type'] ||
+                    'application/x-www-form-urlencoded; charset=UTF-8';
+                headers['Content-Length'] = Buffer.byteLength(body);
+            }
+        }
+
+        parsedUrl = url.parse(requestUrl);
+        req = (parsedUrl.protocol === 'https:' ? https : http).request({
+            method: method,
+            protocol: parsedUrl.protocol,
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port,
+            path: parsedUrl.path,
+            headers: headers
+        }, function (res) {
+            var chunks = [];
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            res.on('end', function () {
+                var responseText = chunks.join(''),
+                    data;
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return done(errors.fromXhr({
+                        status: res.statusCode,
+                        responseText: responseText
+                    }, 'error', http.STATUS_CODES[res.statusCode]));
+                }
+                try {
+                    data = JSON.parse(responseText);
+                } catch (err) {
+                    return done(new errors.ServiceError('Invalid JSON response', res.statusCode));
+                }
+                done(null, data);
+            });
+        });
+
+        if (request.timeout) {
+            req.setTimeout(request.timeout, function () {
+                req.abort();
+                done(new errors.TimeoutError('StreamHub request timed out'));
+            });
+        }
+
+        req.on('error', function (err) {
+            done(new errors.NetworkError(err.message));
+        });
+
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+
+        return {
+            abort: function () {
+                req.abort();
+                done('abort');
+            }
+        };
+    };
+
+    return nodeTransport;
+});
@@ -1,7 +1,9 @@
 define([
     'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/promise',
     'inherits'],
-function(LivefyreHttpClient, inherits) {
+function(LivefyreHttpClient, errors, promise, inherits) {
     'use strict';
 
     /**
@@ -18,6 +20,12 @@ function(LivefyreHttpClient, inherits) {
 
     LivefyreStreamClient.prototype._serviceName = 'stream1';
 
+    /**
+     * Long-poll requests are held open by the server until there are new
+     * events or it times out, so wait longer for them
+     */
+    LivefyreStreamClient.prototype._timeout = 120000;
+
     /**
      * Fetches content from the livefyre conversation stream with the supplied arguments.
      * @param opts {Object} The livefyre collection options.
@@ -50,7 +58,7 @@ function(LivefyreHttpClient, inherits) {
                 return callback(null, { timeout: data.timeout });
             }
             if (data.status === 'error') {
-                return callback(data.msg);
+                return callback(new errors.ServiceError(data.msg, data.code));
             }
             callback(null, data.data);
         });
@@ -58,5 +66,13 @@ function(LivefyreHttpClient, inherits) {
         return request;
     };
 
+    /**
+     * Like .getContent, but returns a Promise of the data instead of taking
+     * a callback. The request can't be aborted
+     * @param opts {Object} See .getContent
+     * @return {Promise}
+     */
+    LivefyreStreamClient.prototype.getContentAsync = promise.method('getContent');
+
     return LivefyreStreamClient;
 });
\ No newline at end of file
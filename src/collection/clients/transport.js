@@ -0,0 +1,70 @@
+define(['streamhub-sdk/jquery', 'streamhub-sdk/errors'], function ($, errors) {
+    'use strict';
+
+    /**
+     * Send an HTTP request from a browser with jQuery.ajax, using JSONP where
+     * CORS isn't supported.
+     * This is what LivefyreHttpClient sends requests with. Environments
+     * without a DOM should map this module to one with the same interface,
+     * like streamhub-sdk/collection/clients/node-transport
+     * @param request {object}
+     * @param request.method {string} HTTP Method
+     * @param request.url {string} URL to request
+     * @param [request.data] {object|string} Data to send
+     * @param [request.dataType] {string} Data type to expect in response
+     * @param [request.headers] {object} HTTP headers to send
+     * @param [request.withCredentials] {boolean} Whether to send cookies with
+     *     cross-origin requests
+     * @param [request.timeout] {number} Milliseconds to wait for a response
+     * @param callback {function} A callback to pass (err, data) to. err will
+     *     be a streamhub-sdk/errors type, or 'abort' if the request was aborted
+     * @return {{abort: function}} An object representing the request
+     * @exports streamhub-sdk/collection/clients/transport
+     */
+    var transport = function (request, callback) {
+        var xhr = $.ajax({
+            type: request.method,
+            url: request.url,
+            data: request.data,
+            dataType: request.dataType || getDataType(),
+            headers: request.headers,
+            xhrFields: request.withCredentials ? { withCredentials: true } : undefined,
+            timeout: request.timeout
+        });
+
+        xhr.done(function(data, status, jqXhr) {
+            callback(null, data);
+        });
+
+        xhr.fail(function(jqXhr, status, err) {
+            if (windowIsUnloading) {
+                // Error fires when the user reloads the page during a long poll,
+                // But we don't want to throw an exception if the page is
+                // going away anyway.
+                return;
+            }
+            callback(errors.fromXhr(jqXhr, status, err));
+        });
+
+        return xhr;
+    };
+
+    /**
+     * Get the $.ajax dataType to use
+     */
+    function getDataType () {
+        if ($.support.cors) {
+            return 'json';
+        }
+        return 'jsonp';
+    }
+
+    // Keep track of whether the page is unloading, so we don't throw exceptions
+    // if the XHR fails just because of that.
+    var windowIsUnloading = false;
+    $(window).on('beforeunload', function () {
+        windowIsUnloading = true;
+    });
+
+    return transport;
+});
@@ -0,0 +1,282 @@
+define([
+    'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/collection/clients/stream-client',
+    'streamhub-sdk/backoff',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/promise',
+    'streamhub-sdk/debug',
+    'inherits'],
+function(LivefyreHttpClient, LivefyreStreamClient, Backoff, errors, promise, debug, inherits) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/collection/clients/websocket-stream-client');
+
+
+    /**
+     * A Client for Livefyre's Stream Service that has new events pushed to it
+     * over a WebSocket, instead of long-polling for them.
+     * It exposes the same .getContent interface as LivefyreStreamClient, and
+     * falls back to long-polling whenever a WebSocket can't be opened, trying
+     * a WebSocket again after backing off.
+     * @param [opts] {object}
+     * @param [opts.protocol] {string} 'http:' or 'https:'. Sockets will use
+     *     'ws:' or 'wss:' respectively
+     * @param [opts.WebSocket] {function} A WebSocket constructor to use instead
+     *     of window.WebSocket
+     * @param [opts.fallbackClient] {LivefyreStreamClient} A client to use
+     *     when WebSockets are unavailable
+     * @param [opts.socketBackoff] {object} Options for how long to long-poll
+     *     before trying a WebSocket again. See streamhub-sdk/backoff
+     * @exports streamhub-sdk/collection/clients/websocket-stream-client
+     */
+    var LivefyreWebSocketStreamClient = function (opts) {
+        opts = opts || {};
+        this._WebSocket = opts.WebSocket ||
+            (typeof window !== 'undefined' && window.WebSocket);
+        this._fallbackClient = opts.fallbackClient || new LivefyreStreamClient(opts);
+        this._isFallingBack = ! this._WebSocket;
+        this._socketBackoff = new Backoff(opts.socketBackoff);
+        this._socketRetryTimeout = null;
+        this._socket = null;
+        this._socketUrl = null;
+        this._buffer = [];
+        this._pending = null;
+        opts.serviceName = 'stream1';
+        LivefyreHttpClient.call(this, opts);
+    };
+
+    inherits(LivefyreWebSocketStreamClient, LivefyreHttpClient);
+
+    LivefyreWebSocketStreamClient.prototype._serviceName = 'stream1';
+
+
+    /**
+     * Get the next batch of events in a Collection. The first call opens a
+     * WebSocket that streams from opts.commentId. Later calls are passed the
+     * events the server pushed over that socket since the last call.
+     * @param opts {Object} The livefyre collection options.
+     * @param opts.network {string} The name of the network in the livefyre platform
+     * @param opts.collectionId {string} The livefyre collectionId for the conversation stream
+     * @param opts.commentId {?string} The commentId to fetch content from (default "0")
+     * @param callback {function} A callback that is called upon success/failure of the
+     *     stream request. Callback signature is "function(error, data)".
+     * @return {{abort: function}} An object representing the request. Aborting
+     *     it will also close the socket
+     */
+    LivefyreWebSocketStreamClient.prototype.getContent = function (opts, callback) {
+        var self = this,
+            url,
+            pending;
+        opts = opts || {};
+        callback = callback || function() {};
+
+        if (this._isFallingBack) {
+            return this._fallbackClient.getContent(opts, callback);
+        }
+
+        url = this._getSocketUrl(opts);
+        if (this._socket && this._socketUrl !== this._getSocketUrl(opts, this._socketEventId)) {
+            // Now streaming a different Collection
+            this._closeSocket();
+        }
+
+        pending = this._pending = {
+            opts: opts,
+            callback: callback,
+            request: null
+        };
+
+        if ( ! this._socket) {
+            this._openSocket(url, opts.commentId);
+        } else if (this._buffer.length) {
+            // Defer so the caller gets the request object before its callback
+            setTimeout(function () {
+                if (self._pending === pending) {
+                    self._flush();
+                }
+            }, 0);
+        }
+
+        return {
+            abort: function () {
+                if (pending.request) {
+                    return pending.request.abort();
+                }
+                if (self._pending === pending) {
+                    self._pending = null;
+                    self._closeSocket();
+                    callback('abort');
+                }
+            }
+        };
+    };
+
+
+    /**
+     * Get the WebSocket URL to stream a Collection from
+     * @private
+     * @param opts {object}
+     * @param opts.collectionId {string}
+     * @param [eventId] {string} The event to stream from. Defaults to
+     *     opts.commentId
+     * @return {string}
+     */
+    LivefyreWebSocketStreamClient.prototype._getSocketUrl = function (opts, eventId) {
+        if (arguments.length < 2) {
+            eventId = opts.commentId;
+        }
+        return [
+            // http: becomes ws:, https: becomes wss:
+            this._getUrlBase(opts).replace(/^http/, 'ws'),
+            '/v3.0/collection/',
+            opts.collectionId,
+            '/',
+            eventId || '0',
+            '/ws/'
+        ].join('');
+    };
+
+
+    /**
+     * Open a WebSocket. If it fails before ever opening, fall back to
+     * long-polling.
+     * @private
+     * @param url {string} The URL to open a WebSocket to
+     * @param eventId {string} The event the socket will stream from
+     */
+    LivefyreWebSocketStreamClient.prototype._openSocket = function (url, eventId) {
+        var self = this,
+            socket,
+            opened = false;
+
+        log('opening WebSocket', url);
+        try {
+            socket = new this._WebSocket(url);
+        } catch (err) {
+            log('Error constructing WebSocket', err);
+            return this._fallBack();
+        }
+
+        this._socket = socket;
+        this._socketUrl = url;
+        this._socketEventId = eventId;
+        this._buffer = [];
+
+        socket.onopen = function () {
+            opened = true;
+            self._socketBackoff.reset();
+            log('WebSocket opened', url);
+        };
+
+        socket.onmessage = function (event) {
+            var message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                log('Ignoring unparseable WebSocket message', event.data);
+                return;
+            }
+            self._buffer.push(message);
+            self._flush();
+        };
+
+        socket.onclose = function () {
+            if (self._socket !== socket) {
+                return;
+            }
+            self._socket = null;
+            if ( ! opened) {
+                return self._fallBack();
+            }
+            log('WebSocket closed', url);
+            // Let the caller reconnect however it reconnects after errors
+            self._fail(new errors.NetworkError('WebSocket closed'));
+        };
+    };
+
+
+    /**
+     * Close the current WebSocket, if any, without reporting an error
+     * @private
+     */
+    LivefyreWebSocketStreamClient.prototype._closeSocket = function () {
+        var socket = this._socket;
+        this._socket = null;
+        this._socketUrl = null;
+        this._buffer = [];
+        if (socket) {
+            socket.close();
+        }
+    };
+
+
+    /**
+     * Long-poll instead, including for any pending request, until it's time
+     * to try a WebSocket again
+     * @private
+     */
+    LivefyreWebSocketStreamClient.prototype._fallBack = function () {
+        var self = this,
+            pending = this._pending;
+        log('WebSocket could not be opened. Falling back to long-polling');
+        this._isFallingBack = true;
+        this._socket = null;
+        this._pending = null;
+        if ( ! this._socketRetryTimeout && ! this._socketBackoff.isExhausted()) {
+            this._socketRetryTimeout = setTimeout(function () {
+                self._socketRetryTimeout = null;
+                self._isFallingBack = false;
+            }, this._socketBackoff.duration());
+        }
+        if (pending) {
+            pending.request = this._fallbackClient.getContent(pending.opts, pending.callback);
+        }
+    };
+
+
+    /**
+     * Pass the oldest buffered message to the pending request, if any
+     * @private
+     */
+    LivefyreWebSocketStreamClient.prototype._flush = function () {
+        var pending = this._pending,
+            message;
+        if ( ! pending || ! this._buffer.length) {
+            return;
+        }
+        this._pending = null;
+        message = this._buffer.shift();
+        // Messages are in the same format as long-poll responses
+        if (message.timeout) {
+            return pending.callback(null, { timeout: message.timeout });
+        }
+        if (message.status === 'error') {
+            return pending.callback(new errors.ServiceError(message.msg, message.code));
+        }
+        pending.callback(null, message.data);
+    };
+
+
+    /**
+     * Pass an error to the pending request, if any
+     * @private
+     */
+    LivefyreWebSocketStreamClient.prototype._fail = function (err) {
+        var pending = this._pending;
+        this._pending = null;
+        if (pending) {
+            pending.callback(err);
+        }
+    };
+
+    /**
+     * Like .getContent, but returns a Promise of the data instead of taking
+     * a callback. The request can't be aborted
+     * @param opts {Object} See .getContent
+     * @return {Promise}
+     */
+    LivefyreWebSocketStreamClient.prototype.getContentAsync = promise.method('getContent');
+
+    return LivefyreWebSocketStreamClient;
+});
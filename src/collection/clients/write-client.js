@@ -1,7 +1,8 @@
 define([
     'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/promise',
     'inherits'],
-function(LivefyreHttpClient, inherits) {
+function(LivefyreHttpClient, promise, inherits) {
     'use strict';
 
     /**
@@ -129,5 +130,263 @@ function(LivefyreHttpClient, inherits) {
         }, callback);
     };
 
+    /**
+     * Edit a piece of Content, replacing its body and attachments. The token
+     * must be for the Content's author or a moderator, else callback is
+     * passed an errors.ForbiddenError
+     * @param opts {Object} The livefyre collection options.
+     * @param opts.network {string} The name of the network in the livefyre platform
+     * @param opts.collectionId {string} The livefyre collectionId for the conversation
+     * @param opts.lftoken {string} The livefyre user auth token
+     * @param opts.messageId {string} The ID of the Content to edit
+     * @param opts.body {string} The content's new body html, with the same
+     *     allowed tags as .postContent
+     * @param [opts.media] {array} An Array of oEmbed JSON Objects to attach
+     *     to the Content instead
+     * @param callback {function} A callback that is called upon success/failure of the
+     *     write request. Callback signature is "function(error, data)".
+     */
+    LivefyreWriteClient.prototype.editContent = function(opts, callback) {
+        opts = opts || {};
+        var postData = {
+            body: opts.body
+        };
+
+        if (opts.media) {
+            postData.media = JSON.stringify(opts.media);
+        }
+
+        this._postToMessage('edit', opts, postData, callback);
+    };
+
+    /**
+     * Like a piece of Content. The like will be streamed as an OPINE state
+     * @param opts {Object} The livefyre collection options.
+     * @param opts.network {string} The name of the network in the livefyre platform
+     * @param opts.collectionId {string} The livefyre collectionId for the conversation
+     * @param opts.lftoken {string} The livefyre user auth token
+     * @param opts.messageId {string} The ID of the Content to like
+     * @param callback {function} A callback that is called upon success/failure of the
+     *     write request. Callback signature is "function(error, data)".
+     */
+    LivefyreWriteClient.prototype.like = function(opts, callback) {
+        this._postToMessage('like', opts, {}, callback);
+    };
+
+    /**
+     * Remove a like from a piece of Content. Takes the same opts as .like
+     */
+    LivefyreWriteClient.prototype.unlike = function(opts, callback) {
+        this._postToMessage('unlike', opts, {}, callback);
+    };
+
+    /**
+     * Delete a piece of Content. The token must be for a moderator or the
+     * Content's author, else callback is passed an errors.ForbiddenError.
+     * Takes the same opts as .like
+     */
+    LivefyreWriteClient.prototype.deleteContent = function(opts, callback) {
+        this._postToMessage('delete', opts, {}, callback);
+    };
+
+    /**
+     * Approve a piece of Content, making it visible to everyone. The token
+     * must be for a moderator. Takes the same opts as .like
+     */
+    LivefyreWriteClient.prototype.approveContent = function(opts, callback) {
+        this._postToMessage('approve', opts, {}, callback);
+    };
+
+    /**
+     * Bozo a piece of Content, so it is only visible to its author. The token
+     * must be for a moderator. Takes the same opts as .like
+     */
+    LivefyreWriteClient.prototype.bozoContent = function(opts, callback) {
+        this._postToMessage('bozo', opts, {}, callback);
+    };
+
+    /**
+     * Flag a piece of Content for moderators to review
+     * @param opts {Object} The same opts as .like, and
+     * @param opts.flag {string} The reason, one of LivefyreWriteClient.FLAGS
+     * @param [opts.notes] {string} More about why it was flagged
+     * @param [opts.email] {string} An email address to contact the flagger
+     * @param callback {function} Passed (error, data)
+     */
+    LivefyreWriteClient.prototype.flagContent = function(opts, callback) {
+        opts = opts || {};
+        var postData = {};
+        if (opts.notes) {
+            postData.notes = opts.notes;
+        }
+        if (opts.email) {
+            postData.email = opts.email;
+        }
+        this._postToMessage('flag/' + opts.flag, opts, postData, callback);
+    };
+
+    /**
+     * Feature a piece of Content in a Collection. The token must be for a
+     * moderator
+     * @param opts {Object} The same opts as .like, and
+     * @param opts.value {number} Featured Content is sorted by this,
+     *     highest first
+     * @param callback {function} Passed (error, data)
+     */
+    LivefyreWriteClient.prototype.featureContent = function(opts, callback) {
+        opts = opts || {};
+        this._postToCollection('feature/' + opts.messageId, opts, {
+            value: opts.value
+        }, callback);
+    };
+
+    /**
+     * Stop featuring a piece of Content. The token must be for a moderator.
+     * Takes the same opts as .like
+     */
+    LivefyreWriteClient.prototype.unfeatureContent = function(opts, callback) {
+        opts = opts || {};
+        this._postToCollection('unfeature/' + opts.messageId, opts, {}, callback);
+    };
+
+    /**
+     * Ban an author from the network, so they can't post. The token must be
+     * for a moderator
+     * @param opts {Object}
+     * @param opts.network {string} The name of the network in the livefyre platform
+     * @param opts.lftoken {string} The livefyre user auth token
+     * @param opts.authorId {string} The ID of the author to ban
+     * @param callback {function} Passed (error, data)
+     */
+    LivefyreWriteClient.prototype.banAuthor = function(opts, callback) {
+        this._postToAuthor('ban', opts, callback);
+    };
+
+    /**
+     * Bozo an author in the network, so what they post is only visible to
+     * them. The token must be for a moderator. Takes the same opts as
+     * .banAuthor
+     */
+    LivefyreWriteClient.prototype.bozoAuthor = function(opts, callback) {
+        this._postToAuthor('bozo', opts, callback);
+    };
+
+    /**
+     * POST to an endpoint for an author, e.g. /api/v3.0/author/{id}/ban/
+     * @private
+     * @param path {string} The path after the author ID
+     * @param opts {Object} With .authorId, .network and .lftoken
+     * @param callback {function}
+     */
+    LivefyreWriteClient.prototype._postToAuthor = function(path, opts, callback) {
+        opts = opts || {};
+        callback = callback || function() {};
+        var url = [
+            this._getUrlBase(opts),
+            "/api/v3.0/author/",
+            opts.authorId,
+            "/",
+            path,
+            "/"
+        ].join("");
+
+        this._request({
+            method: 'POST',
+            url: url,
+            dataType: 'json',
+            data: {
+                network: opts.network,
+                lftoken: opts.lftoken
+            }
+        }, callback);
+    };
+
+    /**
+     * POST to an endpoint for a message, e.g. /api/v3.0/message/{id}/like/
+     * @private
+     * @param path {string} The path after the message ID
+     * @param opts {Object} With .messageId, .collectionId and .lftoken
+     * @param postData {Object} Data to post in addition to the collection
+     *     ID and token
+     * @param callback {function}
+     */
+    LivefyreWriteClient.prototype._postToMessage = function(path, opts, postData, callback) {
+        opts = opts || {};
+        callback = callback || function() {};
+        var url = [
+            this._getUrlBase(opts),
+            "/api/v3.0/message/",
+            opts.messageId,
+            "/",
+            path,
+            "/"
+        ].join("");
+
+        postData.collection_id = opts.collectionId;
+        postData.lftoken = opts.lftoken;
+
+        this._request({
+            method: 'POST',
+            url: url,
+            dataType: 'json',
+            data: postData
+        }, callback);
+    };
+
+    /**
+     * POST to an endpoint for a Collection, e.g.
+     * /api/v3.0/collection/{id}/feature/{messageId}/
+     * @private
+     * @param path {string} The path after the Collection ID
+     * @param opts {Object} With .collectionId and .lftoken
+     * @param postData {Object} Data to post in addition to the token
+     * @param callback {function}
+     */
+    LivefyreWriteClient.prototype._postToCollection = function(path, opts, postData, callback) {
+        callback = callback || function() {};
+        var url = [
+            this._getUrlBase(opts),
+            "/api/v3.0/collection/",
+            opts.collectionId,
+            "/",
+            path,
+            "/"
+        ].join("");
+
+        postData.lftoken = opts.lftoken;
+
+        this._request({
+            method: 'POST',
+            url: url,
+            dataType: 'json',
+            data: postData
+        }, callback);
+    };
+
+    /**
+     * The reasons Content can be flagged for
+     */
+    LivefyreWriteClient.FLAGS = ['spam', 'offensive', 'disagree', 'off-topic'];
+
+    /**
+     * Promise-returning variants of the methods above. Each takes the same
+     * opts and returns a Promise of the response instead of taking a callback
+     */
+    LivefyreWriteClient.prototype.postContentAsync = promise.method('postContent');
+    LivefyreWriteClient.prototype.postTweetAsync = promise.method('postTweet');
+    LivefyreWriteClient.prototype.followAsync = promise.method('follow');
+    LivefyreWriteClient.prototype.unfollowAsync = promise.method('unfollow');
+    LivefyreWriteClient.prototype.editContentAsync = promise.method('editContent');
+    LivefyreWriteClient.prototype.likeAsync = promise.method('like');
+    LivefyreWriteClient.prototype.unlikeAsync = promise.method('unlike');
+    LivefyreWriteClient.prototype.deleteContentAsync = promise.method('deleteContent');
+    LivefyreWriteClient.prototype.approveContentAsync = promise.method('approveContent');
+    LivefyreWriteClient.prototype.bozoContentAsync = promise.method('bozoContent');
+    LivefyreWriteClient.prototype.flagContentAsync = promise.method('flagContent');
+    LivefyreWriteClient.prototype.featureContentAsync = promise.method('featureContent');
+    LivefyreWriteClient.prototype.unfeatureContentAsync = promise.method('unfeatureContent');
+    LivefyreWriteClient.prototype.banAuthorAsync = promise.method('banAuthor');
+    LivefyreWriteClient.prototype.bozoAuthorAsync = promise.method('bozoAuthor');
+
     return LivefyreWriteClient;
 });
\ No newline at end of file
@@ -9,10 +9,13 @@ function (FeaturedArchive) {
      * @param opts {object} Options
      * @param opts.collection {streamhub-sdk/collection} The Collection in which
      *     you care about featured Content
+     * @param [opts.storage] {Storage} Where to remember Content by ID.
+     *     Defaults to the shared streamhub-sdk/storage
      */
     var FeaturedContents = function (opts) {
         opts = opts || {};
         this._collection = opts.collection;
+        this._storage = opts.storage;
     };
 
     /**
@@ -24,6 +27,7 @@ function (FeaturedArchive) {
     FeaturedContents.prototype.createArchive = function (opts) {
         opts = opts || {};
         opts.collection = this._collection;
+        opts.storage = opts.storage || this._storage;
         return new FeaturedArchive(opts);
     };
 
@@ -0,0 +1,87 @@
+define(['streamhub-sdk/debug'], function (debug) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/collection/latest-event-store');
+
+
+    /**
+     * Remembers the latest event a CollectionUpdater has seen in each
+     * Collection, so that streaming can resume from it after a page reload.
+     * Any object with the same .get and .set methods can be used in its place
+     * to persist somewhere other than Web Storage.
+     * @param [opts] {object}
+     * @param [opts.storage=window.localStorage] {Storage} A Web Storage
+     *     object to persist to
+     * @param [opts.prefix='streamhub-sdk/latest-event/'] {string} Prefix for
+     *     the keys written to opts.storage
+     * @exports streamhub-sdk/collection/latest-event-store
+     * @constructor
+     */
+    var LatestEventStore = function (opts) {
+        opts = opts || {};
+        this._storage = opts.storage || getLocalStorage();
+        this._prefix = opts.prefix || 'streamhub-sdk/latest-event/';
+    };
+
+
+    /**
+     * Get the latest event that was stored for a Collection
+     * @param collectionId {string}
+     * @return {{eventId: number, savedAt: number}|null} The event ID and the
+     *     time it was stored in ms since the epoch, or null if none was stored
+     */
+    LatestEventStore.prototype.get = function (collectionId) {
+        var record;
+        if ( ! this._storage) {
+            return null;
+        }
+        try {
+            record = JSON.parse(this._storage.getItem(this._prefix + collectionId));
+        } catch (err) {
+            log('Error reading latest event', err);
+            return null;
+        }
+        if ( ! record || typeof record.eventId !== 'number') {
+            return null;
+        }
+        return record;
+    };
+
+
+    /**
+     * Store the latest event seen in a Collection
+     * @param collectionId {string}
+     * @param eventId {number}
+     */
+    LatestEventStore.prototype.set = function (collectionId, eventId) {
+        if ( ! this._storage) {
+            return;
+        }
+        try {
+            this._storage.setItem(this._prefix + collectionId, JSON.stringify({
+                eventId: eventId,
+                savedAt: new Date().getTime()
+            }));
+        } catch (err) {
+            // e.g. quota exceeded, or Safari private browsing
+            log('Error storing latest event', err);
+        }
+    };
+
+
+    /**
+     * Get window.localStorage if it can be used. Accessing it can throw when
+     * cookies are disabled
+     */
+    function getLocalStorage () {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+
+    return LatestEventStore;
+});
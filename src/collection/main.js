@@ -3,16 +3,24 @@ define([
     'streamhub-sdk/collection/streams/updater',
     'streamhub-sdk/collection/streams/writer',
     'streamhub-sdk/collection/featured-contents',
+    'streamhub-sdk/collection/latest-event-store',
     'stream/duplex',
     'streamhub-sdk/collection/clients/bootstrap-client',
     'streamhub-sdk/collection/clients/create-client',
     'streamhub-sdk/collection/clients/write-client',
+    'streamhub-sdk/collection/clients/websocket-stream-client',
     'streamhub-sdk/auth',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/promise',
+    'streamhub-sdk/storage',
+    'streamhub-sdk/storage/local-storage-backend',
+    'streamhub-sdk/content/content-index',
     'inherits',
     'streamhub-sdk/debug'],
 function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedContents,
-        Duplex, LivefyreBootstrapClient, LivefyreCreateClient, LivefyreWriteClient,
-        Auth, inherits, debug) {
+        LatestEventStore, Duplex, LivefyreBootstrapClient, LivefyreCreateClient, LivefyreWriteClient,
+        LivefyreWebSocketStreamClient, Auth, errors, promise, Storage, LocalStorageBackend,
+        ContentIndex, inherits, debug) {
     'use strict';
 
 
@@ -23,6 +31,47 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
      * An Object that represents a hosted StreamHub Collection
      * @param [opts.replies=false] {boolean} Whether to stream out reply Content
      * from the Archives and Updaters
+     * @param [opts.backoff] {object} Options for how the Collection's
+     *     updater should back off when reconnecting to the Stream service.
+     *     See streamhub-sdk/backoff
+     * @param [opts.transport='longpoll'] {string} How the Collection's updater
+     *     should get new events. 'websocket' to have them pushed over a
+     *     WebSocket, falling back to long-polling if one can't be opened
+     * @param [opts.streamClient] {LivefyreStreamClient} A Stream client to
+     *     use for updates. Overrides opts.transport
+     * @param [opts.persistLatestEvent=false] {boolean|LatestEventStore}
+     *     Whether to remember the latest event across page reloads, so that
+     *     returning readers get what they missed. true to use localStorage,
+     *     or pass a streamhub-sdk/collection/latest-event-store-like object
+     * @param [opts.visibility=false] {boolean} Whether to stop streaming
+     *     updates while the page is hidden (e.g. in a background tab), and
+     *     catch up when it is visible again. 'catchup' will be emitted with
+     *     how many items arrived while hidden
+     * @param [opts.storage] {Storage} Where the Collection's streams should
+     *     remember Content by ID. Each Collection gets its own by default
+     * @param [opts.storageSize] {number} The most Content the Collection's own
+     *     Storage should remember before evicting the least recently used.
+     *     Unlimited by default. Content still in view should fit, or updates
+     *     to it may be missed
+     * @param [opts.persistContent=false] {boolean|object} Whether to cache the
+     *     latest Content across page reloads, so returning readers see it
+     *     before Bootstrap responds, and can still read it while offline.
+     *     true to use localStorage, or pass a streamhub-sdk/storage backend
+     *     like streamhub-sdk/storage/indexeddb-backend. If opts.storage is
+     *     passed, its backend is used instead
+     * @param [opts.persistedContentCount=20] {number} How many of the latest
+     *     Content to cache when opts.persistContent
+     * @param [opts.outbox=false] {boolean|object} Whether to queue Content
+     *     written while offline, or that couldn't be posted because
+     *     StreamHub couldn't be reached, and post it once it can be. Queued
+     *     Content is persisted, so it's posted on the next visit if the
+     *     reader leaves first. Pass an object of
+     *     streamhub-sdk/collection/outbox options (e.g. .backend and
+     *     .backoff) to configure it
+     * @fires Collection#state
+     * @fires Collection#queued
+     * @fires Collection#sent
+     * @fires Collection#failed
      */
     var Collection = function (opts) {
         opts = opts || {};
@@ -36,16 +85,45 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
         this._signed = opts.signed;
         this._autoCreate = opts.autoCreate || true;
         this._replies = opts.replies || false;
+        this._backoff = opts.backoff;
+        this._latestEventStore = opts.persistLatestEvent === true ?
+            new LatestEventStore() : (opts.persistLatestEvent || null);
+        this._persistContent = !! opts.persistContent;
+        this._persistedContentCount = opts.persistedContentCount || 20;
+        this._outbox = opts.outbox || false;
+        this._storage = opts.storage || new Storage({
+            maxSize: opts.storageSize,
+            backend: opts.persistContent === true ?
+                new LocalStorageBackend() : (opts.persistContent || null)
+        });
+        // The head document is cached in the backend directly, so it doesn't
+        // count towards opts.storageSize or get evicted with Content
+        this._headDocumentBackend = this._persistContent ?
+            this._storage.getBackend() : null;
 
         this._bootstrapClient = opts.bootstrapClient || new LivefyreBootstrapClient();
         this._createClient = opts.createClient || new LivefyreCreateClient();
+        this._streamClient = opts.streamClient || null;
+        this._transport = opts.transport || 'longpoll';
 
         // Internal streams
         this._writer = opts.writer || null;
         this._updater = null;
         this._pipedArchives = [];
+        this._contentListViews = [];
+
+        this._isPaused = false;
+        this._isPausedForVisibility = false;
+        this._visibility = opts.visibility || false;
+        this._visibilityListener = null;
+        this._state = Collection.enums.state.IDLE;
+        this._resumeState = null;
 
         Duplex.call(this, opts);
+
+        if (opts.visibility) {
+            this._pauseWhenHidden();
+        }
     };
 
     inherits(Collection, Duplex);
@@ -64,7 +142,9 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
         return new CollectionArchive({
             collection: this,
             bootstrapClient: opts.bootstrapClient || this._bootstrapClient,
-            replies: this._replies
+            replies: this._replies,
+            storage: this._storage,
+            findContent: this._getFindContent()
         });
     };
 
@@ -72,24 +152,107 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
     /**
      * Create a Readable Stream that will stream any new updates to the
      * collection like additions, removals, edits, etc.
+     * @param opts {object}
+     * @param [opts.streamClient] {LivefyreStreamClient} A streamClient to
+     *     construct the CollectionUpdater with
+     * @param [opts.backoff] {object} Reconnection backoff options
+     * @returns {streamhub-sdk/collection/streams/updater}
      */
     Collection.prototype.createUpdater = function (opts) {
         opts = opts || {};
         return new CollectionUpdater({
             collection: this,
-            streamClient: opts.streamClient,
-            replies: this._replies
+            streamClient: opts.streamClient || this._streamClient || this._createStreamClient(),
+            bootstrapClient: this._bootstrapClient,
+            replies: this._replies,
+            backoff: opts.backoff || this._backoff,
+            latestEventStore: this._latestEventStore,
+            storage: this._storage,
+            findContent: this._getFindContent()
         });
     };
 
 
+    /**
+     * Create a Stream client for a new updater, as configured by
+     * opts.transport. Each updater gets its own, so one falling back to
+     * long-polling doesn't affect the others
+     * @private
+     * @returns {LivefyreWebSocketStreamClient|undefined} undefined to have
+     *     the updater long-poll with its default client
+     */
+    Collection.prototype._createStreamClient = function () {
+        if (this._transport === 'websocket') {
+            return new LivefyreWebSocketStreamClient();
+        }
+    };
+
+
+    /**
+     * Get a function for StateToContent to find Content that's displayed in
+     * a ContentListView the Collection was piped to, by ID
+     * @private
+     * @returns {function}
+     */
+    Collection.prototype._getFindContent = function () {
+        var self = this;
+        return function (id) {
+            return self._findDisplayedContent(id);
+        };
+    };
+
+
+    /**
+     * Find Content displayed in a ContentListView the Collection was piped
+     * to, e.g. after it was evicted from this._storage
+     * @private
+     * @param id {string}
+     * @returns {Content|undefined}
+     */
+    Collection.prototype._findDisplayedContent = function (id) {
+        var contentView;
+        for (var i=0; i < this._contentListViews.length; i++) {
+            contentView = this._contentListViews[i].getContentView({ id: id });
+            if (contentView) {
+                return contentView.content;
+            }
+        }
+    };
+
+
+    /**
+     * Create a Writable that posts written Content to the Collection.
+     * New top-level Content is pushed out of the Collection right away,
+     * marked .pending, if the Collection is being read
+     * See streamhub-sdk/collection/streams/writer
+     * @param [opts] {object}
+     * @returns {streamhub-sdk/collection/streams/writer}
+     */
     Collection.prototype.createWriter = function (opts) {
+        var self = this;
         opts = opts || {};
         opts.collection = this;
+        opts.storage = opts.storage || this._storage;
+        opts.echo = opts.echo || function (content) {
+            return self._echo(content);
+        };
         return new CollectionWriter(opts);
     };
 
 
+    /**
+     * Create a ContentIndex to query the Content this Collection has loaded,
+     * e.g. by author or visibility, with live queries that update as
+     * Content streams in
+     * @returns {streamhub-sdk/content/content-index}
+     */
+    Collection.prototype.createContentIndex = function () {
+        return new ContentIndex({
+            storage: this._storage
+        });
+    };
+
+
     /**
      * Create a FeaturedContents object representing the featured
      * contents in this Collection
@@ -97,6 +260,7 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
     Collection.prototype.createFeaturedContents = function (opts) {
         opts = opts || {};
         opts.collection = this;
+        opts.storage = opts.storage || this._storage;
         return new FeaturedContents(opts);
     };
 
@@ -108,6 +272,8 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
      * @param [opts.pipeArchiveToMore=true] Whether to try to pipe
      *     a CollectionArchive to writable.more, if it is also writable
      *     This is helpful when piping to a ListView
+     * @param [opts.reconcileGaps=true] Whether to pass the Content listed in
+     *     'gap' events to writable.reconcile, if it has one
      */
     Collection.prototype.pipe = function (writable, opts) {
         var archive;
@@ -115,6 +281,9 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
         if (typeof opts.pipeArchiveToMore === 'undefined') {
             opts.pipeArchiveToMore = true;
         }
+        if (typeof opts.reconcileGaps === 'undefined') {
+            opts.reconcileGaps = true;
+        }
 
         // If piped to a ListView (or something with a .more),
         // pipe an archive to .more
@@ -124,29 +293,237 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
             this._pipedArchives.push(archive);
         }
 
+        // If piped to a ContentListView (or something with a
+        // .getContentView), keep updating the Content it displays even
+        // after it's evicted from this._storage
+        if (typeof writable.getContentView === 'function') {
+            this._contentListViews.push(writable);
+        }
+
+        // If piped to a ContentListView (or something with a .reconcile),
+        // let it catch up on Content that changed during gaps in the stream
+        if (opts.reconcileGaps && typeof writable.reconcile === 'function') {
+            this.on('gap', function (gap) {
+                writable.reconcile(gap.contents);
+            });
+        }
+
         return Duplex.prototype.pipe.apply(this, arguments);
     };
 
     /**
-     * Pause live updates from this Collection
+     * Pause live updates from this Collection. They won't resume when the
+     * page becomes visible, until .resume() is called
      */
     Collection.prototype.pause = function () {
+        this._stopPausingWhenHidden();
+        this._pause();
+    };
+
+    /**
+     * Pause live updates, e.g. because the page is hidden
+     * @private
+     */
+    Collection.prototype._pause = function () {
+        if ( ! this._isPaused) {
+            this._resumeState = this._state;
+        }
+        this._isPaused = true;
         Duplex.prototype.pause.apply(this, arguments);
         if (this._updater) {
             this._updater.pause();
         }
+        this._setState(Collection.enums.state.PAUSED);
     };
 
     /**
-     * Resume live updates from this Collection
+     * Resume live updates from this Collection. Its state goes back to
+     * the state of its connection, which the updater keeps up to date
      */
     Collection.prototype.resume = function () {
+        var wasPaused = this._isPaused;
+        this._isPaused = false;
+        this._isPausedForVisibility = false;
         Duplex.prototype.resume.apply(this, arguments);
+        if (wasPaused) {
+            this._setState(this._resumeState);
+            this._resumeState = null;
+        }
         if (this._updater) {
             this._updater.resume();
         }
+        if (this._visibility) {
+            this._pauseWhenHidden();
+        }
     };
 
+
+    /**
+     * Get the state of the Collection's connection to StreamHub
+     * @return {string} A value of Collection.enums.state
+     */
+    Collection.prototype.getState = function () {
+        return this._state;
+    };
+
+
+    /**
+     * Transition to a new connection state
+     * @private
+     * @param state {string} A value of Collection.enums.state
+     * @fires Collection#state
+     */
+    Collection.prototype._setState = function (state) {
+        var oldState = this._state;
+        if (state === oldState) {
+            return;
+        }
+        log('state', oldState + ' -> ' + state);
+        this._state = state;
+        /**
+         * The connection state of the Collection changed
+         * @event Collection#state
+         * @param state {string} The new state
+         * @param oldState {string} The previous state
+         */
+        this.emit('state', state, oldState);
+        // Pausing doesn't bring the Collection back online
+        if (oldState === Collection.enums.state.OFFLINE &&
+            state !== Collection.enums.state.PAUSED) {
+            this._flushOutbox();
+        }
+    };
+
+
+    /**
+     * Get the state of the Collection's connection to StreamHub. That is
+     * .getState(), or the state to resume in if it is paused
+     * @private
+     * @return {string} A value of Collection.enums.state
+     */
+    Collection.prototype._getConnectionState = function () {
+        return this._isPaused ? this._resumeState : this._state;
+    };
+
+
+    /**
+     * Transition to a new connection state. While paused, the state stays
+     * PAUSED, and the new state is the one .resume() goes back to
+     * @private
+     * @param state {string} A value of Collection.enums.state
+     */
+    Collection.prototype._setConnectionState = function (state) {
+        if ( ! this._isPaused) {
+            return this._setState(state);
+        }
+        if (this._resumeState === Collection.enums.state.OFFLINE &&
+            state !== Collection.enums.state.OFFLINE) {
+            this._flushOutbox();
+        }
+        this._resumeState = state;
+    };
+
+
+    /**
+     * Post what was queued while StreamHub couldn't be reached.
+     * opts.writer may not have an outbox to flush
+     * @private
+     */
+    Collection.prototype._flushOutbox = function () {
+        if (this._writer && typeof this._writer.flush === 'function') {
+            this._writer.flush();
+        }
+    };
+
+    /**
+     * Pause while the document is hidden, and resume when it is visible,
+     * using the Page Visibility API. Does nothing in browsers without it.
+     * If the Collection was already paused when the page was hidden,
+     * it stays paused.
+     * @private
+     */
+    Collection.prototype._pauseWhenHidden = function () {
+        var self = this,
+            api = getVisibilityApi(),
+            listener;
+
+        if (this._visibilityListener) {
+            return;
+        }
+        if ( ! api) {
+            log('Page Visibility API is not supported');
+            return;
+        }
+
+        listener = this._visibilityListener = {
+            event: api.event,
+            handler: function () {
+                self._handleVisibilityChange(document[api.hidden]);
+            }
+        };
+        document.addEventListener(listener.event, listener.handler, false);
+    };
+
+
+    /**
+     * Stop listening for the page to be hidden or shown
+     * @private
+     */
+    Collection.prototype._stopPausingWhenHidden = function () {
+        var listener = this._visibilityListener;
+        this._isPausedForVisibility = false;
+        if ( ! listener) {
+            return;
+        }
+        this._visibilityListener = null;
+        document.removeEventListener(listener.event, listener.handler, false);
+    };
+
+
+    /**
+     * Pause or resume when the page is hidden or shown
+     * @private
+     * @param isHidden {boolean} Whether the page is now hidden
+     */
+    Collection.prototype._handleVisibilityChange = function (isHidden) {
+        if (isHidden) {
+            if ( ! this._isPaused) {
+                log('page hidden, pausing');
+                this._pause();
+                this._isPausedForVisibility = true;
+            }
+        } else if (this._isPausedForVisibility) {
+            log('page visible, resuming');
+            this.resume();
+        }
+    };
+
+
+    /**
+     * Get the names of the document property and event of the Page
+     * Visibility API, which are vendor-prefixed in some browsers
+     * @return {{hidden: string, event: string}|undefined}
+     */
+    function getVisibilityApi () {
+        var prefixes = ['', 'webkit', 'moz', 'ms'],
+            prefix,
+            hidden;
+        if (typeof document === 'undefined') {
+            return;
+        }
+        for (var i=0; i < prefixes.length; i++) {
+            prefix = prefixes[i];
+            hidden = prefix ? prefix + 'Hidden' : 'hidden';
+            if (typeof document[hidden] !== 'undefined') {
+                return {
+                    hidden: hidden,
+                    event: prefix + 'visibilitychange'
+                };
+            }
+        }
+    }
+
+
     Collection.prototype._read = function () {
         var self = this,
             content;
@@ -154,6 +531,7 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
         // Create an internal updater the first time the Collection is piped
         if ( ! this._updater) {
             this._updater = this.createUpdater();
+            this._forwardUpdaterEvents(this._updater);
         }
 
         content = this._updater.read();
@@ -173,16 +551,296 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
     };
 
 
+    /**
+     * Re-emit the connection events of the internal updater from the
+     * Collection, since the updater is not exposed, and update the
+     * connection state accordingly
+     * @private
+     * @param updater {CollectionUpdater}
+     */
+    Collection.prototype._forwardUpdaterEvents = function (updater) {
+        var self = this,
+            states = Collection.enums.state,
+            forwardedEvents = ['reconnecting', 'reconnected', 'gap', 'catchup'];
+        for (var i=0; i < forwardedEvents.length; i++) {
+            updater.on(forwardedEvents[i], this._createForwarder(forwardedEvents[i]));
+        }
+        updater.on('reconnecting', function () {
+            // Stay offline until StreamHub can be reached again
+            if (self._getConnectionState() !== states.OFFLINE) {
+                self._setConnectionState(states.RECONNECTING);
+            }
+        });
+        // The first response after reconnecting or resuming means the
+        // stream is flowing again
+        updater.on('reconnected', function () {
+            self._setConnectionState(states.LIVE);
+        });
+        updater.on('catchup', function () {
+            self._setConnectionState(states.LIVE);
+        });
+        updater.on('error', function (err) {
+            self._setConnectionState(states.FAILED);
+            self.emit('error', err);
+        });
+    };
+
+
+    /**
+     * Get a listener that re-emits an event from this Collection
+     * @private
+     * @param eventName {string}
+     */
+    Collection.prototype._createForwarder = function (eventName) {
+        var self = this;
+        return function () {
+            var args = Array.prototype.slice.call(arguments);
+            self.emit.apply(self, [eventName].concat(args));
+        };
+    };
+
+
+    /**
+     * Push Content that was written out of the Collection before it's
+     * streamed. Collections that aren't being read don't, so it doesn't
+     * pile up unread
+     * @private
+     * @param content {Content}
+     * @returns {boolean} Whether the Content was pushed
+     */
+    Collection.prototype._echo = function (content) {
+        if ( ! this._updater) {
+            return false;
+        }
+        this.push(content);
+        return true;
+    };
+
+
     Collection.prototype._write = function _write (content, done) {
-        if ( ! this._writer) {
+        if (this._getConnectionState() === Collection.enums.state.OFFLINE) {
+            if ( ! this._outbox) {
+                return done(new errors.NetworkError("Collection can't be written to while offline"));
+            }
+            return this._getWriter().queue(content, done);
+        }
+        this._getWriter().write(content, done);
+    };
+
+
+    /**
+     * Like a piece of Content in this Collection as the user whose token was
+     * set on streamhub-sdk/auth. content.likes is updated right away
+     * @param content {LivefyreContent}
+     * @param [callback] {function} Passed (err, data) once the like is saved
+     */
+    Collection.prototype.like = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.like(content, callback);
+        }
+    };
+
+
+    /**
+     * Remove the user's like of a piece of Content in this Collection
+     * @param content {LivefyreContent}
+     * @param [callback] {function} Passed (err, data) once the like is removed
+     */
+    Collection.prototype.unlike = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.unlike(content, callback);
+        }
+    };
+
+
+    /**
+     * Delete Content in this Collection. The token set on
+     * streamhub-sdk/auth must be for a moderator or the Content's author,
+     * else callback is passed an errors.ForbiddenError. Without a token,
+     * or once it has expired, the streamhub-sdk/auth delegate is asked to
+     * log the user in. Without a delegate, callback is passed an
+     * Auth.UnauthorizedError.
+     * The same goes for the other moderation methods, which need a moderator.
+     * See streamhub-sdk/collection/streams/writer for them all
+     * @param content {LivefyreContent}
+     * @param [callback] {function} Passed (err, data) once it's deleted
+     */
+    Collection.prototype.deleteContent = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.deleteContent(content, callback);
+        }
+    };
+
+
+    /**
+     * Approve Content in this Collection, so everyone can see it
+     * @param content {LivefyreContent}
+     * @param [callback] {function}
+     */
+    Collection.prototype.approveContent = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.approveContent(content, callback);
+        }
+    };
+
+
+    /**
+     * Bozo Content in this Collection, so only its author can see it
+     * @param content {LivefyreContent}
+     * @param [callback] {function}
+     */
+    Collection.prototype.bozoContent = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.bozoContent(content, callback);
+        }
+    };
+
+
+    /**
+     * Flag Content in this Collection for moderators to review
+     * @param content {LivefyreContent}
+     * @param flag {string|Object} 'spam', 'offensive', 'disagree' or
+     *     'off-topic', or an Object with .flag and optional .notes and .email
+     * @param [callback] {function}
+     */
+    Collection.prototype.flagContent = function (content, flag, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.flagContent(content, flag, callback);
+        }
+    };
+
+
+    /**
+     * Feature Content in this Collection
+     * @param content {LivefyreContent}
+     * @param [value] {number} Featured Content is sorted by this, highest
+     *     first. Defaults to the current time in seconds
+     * @param [callback] {function}
+     */
+    Collection.prototype.featureContent = function (content, value, callback) {
+        var writer;
+        if (typeof value === 'function') {
+            callback = value;
+            value = undefined;
+        }
+        writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.featureContent(content, value, callback);
+        }
+    };
+
+
+    /**
+     * Stop featuring Content in this Collection
+     * @param content {LivefyreContent}
+     * @param [callback] {function}
+     */
+    Collection.prototype.unfeatureContent = function (content, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.unfeatureContent(content, callback);
+        }
+    };
+
+
+    /**
+     * Ban an author from this Collection's network
+     * @param author {string|Object} An author ID, or an author with .id
+     * @param [callback] {function}
+     */
+    Collection.prototype.banAuthor = function (author, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.banAuthor(author, callback);
+        }
+    };
+
+
+    /**
+     * Bozo an author in this Collection's network, so what they post is
+     * only visible to them
+     * @param author {string|Object} An author ID, or an author with .id
+     * @param [callback] {function}
+     */
+    Collection.prototype.bozoAuthor = function (author, callback) {
+        var writer = this._getOnlineWriter(callback);
+        if (writer) {
+            writer.bozoAuthor(author, callback);
+        }
+    };
+
+
+    /**
+     * Get the CollectionWriter to write with, unless the Collection is
+     * offline, in which case callback is passed an errors.NetworkError
+     * @private
+     * @param [callback] {function}
+     * @return {CollectionWriter|null}
+     */
+    Collection.prototype._getOnlineWriter = function (callback) {
+        if (this._getConnectionState() === Collection.enums.state.OFFLINE) {
+            (callback || function () {})(
+                new errors.NetworkError("Collection can't be written to while offline"));
+            return null;
+        }
+        return this._getWriter();
+    };
+
+
+    /**
+     * Get the CollectionWriter to write with, creating it if needed. If
+     * the Collection has an outbox, the writer's outbox events are
+     * re-emitted from the Collection
+     * @private
+     * @return {CollectionWriter}
+     */
+    Collection.prototype._getWriter = function () {
+        var forwardedEvents = ['queued', 'sent', 'failed'];
+        if (this._writer) {
+            return this._writer;
+        }
+        if ( ! this._outbox) {
             this._writer = this.createWriter();
+            return this._writer;
+        }
+        this._writer = this.createWriter({ outbox: this._outbox });
+        /**
+         * Content was queued to be posted once StreamHub can be reached
+         * @event Collection#queued
+         * @type {Content}
+         */
+        /**
+         * Queued Content was posted
+         * @event Collection#sent
+         * @type {Content}
+         */
+        /**
+         * Queued Content couldn't be posted, and was given up on
+         * @event Collection#failed
+         * @type {Content}
+         */
+        for (var i=0; i < forwardedEvents.length; i++) {
+            this._writer.on(forwardedEvents[i], this._createForwarder(forwardedEvents[i]));
         }
-        this._writer.write(content, done);
+        return this._writer;
     };
 
 
+    /**
+     * Request Bootstrap init for the Collection, creating the Collection
+     * first if it does not exist and opts.autoCreate
+     * @param [errback] {function} Passed (err, initData) once init is done.
+     *     err will be a streamhub-sdk/errors type if init failed
+     */
     Collection.prototype.initFromBootstrap = function (errback) {
-        var self = this;
+        var self = this,
+            states = Collection.enums.state;
         if (errback) {
             this.once('_initFromBootstrap', errback);
         }
@@ -190,26 +848,114 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
             return;
         }
         this._isInitingFromBootstrap = true;
+        if (this._getConnectionState() === states.IDLE ||
+            this._getConnectionState() === states.FAILED) {
+            this._setConnectionState(states.BOOTSTRAPPING);
+        }
         this._getBootstrapInit(function (err, initData) {
             self._isInitingFromBootstrap = false;
-            if (err === 'Not Found' && this._autoCreate) {
+            if (err instanceof errors.NotFoundError && this._autoCreate) {
                 this._createCollection(function (err) {
-                    if (!err) {
-                        self.initFromBootstrap();
+                    if (err) {
+                        return self.emit('_initFromBootstrap', err);
                     }
+                    self.initFromBootstrap();
                 });
                 return;
             }
             if (!initData) {
-                throw 'Fatal collection connection error';
+                self._setConnectionState(err instanceof errors.NetworkError && self._persistContent ?
+                    states.OFFLINE : states.FAILED);
+                return self.emit('_initFromBootstrap',
+                    err || new errors.ServiceError('Fatal collection connection error'));
             }
-            var collectionSettings = initData.collectionSettings;
+            var collectionSettings = initData.collectionSettings,
+                state;
             self.id = collectionSettings && collectionSettings.collectionId;
+            state = self._getConnectionState();
+            if (self._updater) {
+                self._setConnectionState(states.LIVE);
+            } else if (state === states.BOOTSTRAPPING ||
+                       state === states.CREATING ||
+                       state === states.OFFLINE) {
+                self._setConnectionState(states.IDLE);
+            }
+            if (self._persistContent) {
+                self._cacheHeadDocument(initData.headDocument);
+            }
+            // Restore and post Content queued on a previous visit
+            if (self._outbox) {
+                self._getWriter();
+            }
             self.emit('_initFromBootstrap', err, initData);
         });
     };
 
 
+    /**
+     * Get the latest Content states that were cached on a previous visit,
+     * if opts.persistContent
+     * @param callback {function} Passed a Bootstrap document with the
+     *     cached .content states and their .authors, or null if none were
+     *     cached
+     */
+    Collection.prototype.getCachedHeadDocument = function (callback) {
+        if ( ! this._headDocumentBackend) {
+            return callback(null);
+        }
+        this._headDocumentBackend.get(this._getHeadDocumentCacheKey(), function (err, headDocument) {
+            if (err) {
+                log('Error reading the cached head document', err);
+            }
+            callback( ! err && headDocument && headDocument.content ? headDocument : null);
+        });
+    };
+
+
+    /**
+     * Cache the latest states from a Bootstrap head document, so that
+     * .getCachedHeadDocument can get them on a later visit. Content is
+     * persisted as these states, and re-created from them with StateToContent
+     * @private
+     * @param headDocument {object}
+     */
+    Collection.prototype._cacheHeadDocument = function (headDocument) {
+        var states = (headDocument && headDocument.content || []).slice();
+        if ( ! states.length || ! this._headDocumentBackend) {
+            return;
+        }
+        // Newest first
+        states.sort(function (a, b) {
+            return b.event - a.event;
+        });
+        this._headDocumentBackend.set(this._getHeadDocumentCacheKey(), {
+            content: states.slice(0, this._persistedContentCount),
+            authors: headDocument.authors || {}
+        }, function (err) {
+            if (err) {
+                log('Error caching the head document', err);
+            }
+        });
+    };
+
+
+    /**
+     * The key the head document is cached at in its backend
+     * @private
+     */
+    Collection.prototype._getHeadDocumentCacheKey = function () {
+        return 'head-document/' + [this.network, this.siteId, this.articleId].join('/');
+    };
+
+
+    /**
+     * Like .initFromBootstrap, but returns a Promise of the initData instead
+     * of taking an errback
+     * @return {Promise}
+     */
+    Collection.prototype.initFromBootstrapAsync = promise.method('initFromBootstrap');
+
+
     /**
      * Request the Bootstrap init endpoint for the Collection to learn about
      * what pages of Content there are. This gets called the first time Stream
@@ -255,17 +1001,19 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
      */
     Collection.prototype._createCollection = function (errback) {
         if (this._isCreatingCollection) {
-            throw 'Attempting to create a collection more than once.';
+            return errback(new errors.ValidationError('Attempting to create a collection more than once.'));
         }
         this._isCreatingCollection = true;
 
         var self = this;
         this._autoCreate = false;
+        this._setConnectionState(Collection.enums.state.CREATING);
         this.once('_createCollection', errback);
         var callback = function (err) {
             self._isCreatingCollection = false;
             if (err) {
                 log("Error requesting collection creation", err);
+                self._setConnectionState(Collection.enums.state.FAILED);
             }
             self.emit('_createCollection', err);
         };
@@ -283,5 +1031,33 @@ function (CollectionArchive, CollectionUpdater, CollectionWriter, FeaturedConten
     };
 
 
+    Collection.enums = {};
+    /**
+     * The states a Collection's connection to StreamHub can be in
+     * @enum state
+     * @property {string} state.IDLE - Not connected, and not trying to be
+     * @property {string} state.BOOTSTRAPPING - Requesting Bootstrap init
+     * @property {string} state.CREATING - Creating the Collection in StreamHub
+     * @property {string} state.LIVE - Streaming updates
+     * @property {string} state.PAUSED - Paused, so not streaming updates
+     * @property {string} state.RECONNECTING - Waiting to retry a failed
+     *     stream request
+     * @property {string} state.FAILED - Gave up connecting
+     * @property {string} state.OFFLINE - Couldn't reach StreamHub, but
+     *     cached Content can be read. Writing is refused until back online,
+     *     unless the Collection has an outbox to queue it in
+     */
+    Collection.enums.state = {
+        IDLE: 'idle',
+        BOOTSTRAPPING: 'bootstrapping',
+        CREATING: 'creating',
+        LIVE: 'live',
+        PAUSED: 'paused',
+        RECONNECTING: 'reconnecting',
+        FAILED: 'failed',
+        OFFLINE: 'offline'
+    };
+
+
     return Collection;
 });
@@ -0,0 +1,241 @@
+define([
+    'event-emitter',
+    'inherits',
+    'streamhub-sdk/content',
+    'streamhub-sdk/backoff',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/storage/local-storage-backend',
+    'streamhub-sdk/debug'],
+function (EventEmitter, inherits, Content, Backoff, errors, LocalStorageBackend, debug) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/collection/outbox');
+
+
+    /**
+     * A durable queue of Content waiting to be written to a Collection
+     * because StreamHub couldn't be reached. The queue is persisted, so it
+     * survives page reloads, and Content is sent in the order it was queued,
+     * backing off while sending keeps failing.
+     * @param opts {object}
+     * @param opts.send {function} Sends queued Content. Passed
+     *     (content, callback), where callback should be passed (err, data)
+     * @param [opts.key='outbox'] {string} The key to persist the queue at
+     * @param [opts.backend] {object} A streamhub-sdk/storage backend to
+     *     persist the queue to. Defaults to a LocalStorageBackend
+     * @param [opts.backoff] {object} Options for the streamhub-sdk/backoff
+     *     used between attempts. Once its attempts are exhausted, sending
+     *     waits until .flush() is called or more Content is queued
+     * @fires Outbox#queued
+     * @fires Outbox#sent
+     * @fires Outbox#failed
+     * @exports streamhub-sdk/collection/outbox
+     * @constructor
+     */
+    var Outbox = function (opts) {
+        EventEmitter.call(this);
+        this._send = opts.send;
+        this._key = opts.key || 'outbox';
+        this._backend = opts.backend || new LocalStorageBackend();
+        this._backoff = new Backoff(opts.backoff);
+        this._queue = [];
+        this._isSending = false;
+        this._retryTimeout = null;
+    };
+    inherits(Outbox, EventEmitter);
+
+
+    /**
+     * Whether an error sending Content may not happen if it's sent again
+     * later, e.g. because the network dropped or StreamHub had an outage
+     * @param err {Error}
+     * @return {boolean}
+     */
+    Outbox.isRetryable = function (err) {
+        return err instanceof errors.NetworkError ||
+            (err instanceof errors.ServiceError && err.status >= 500);
+    };
+
+
+    /**
+     * Add Content to the end of the queue, and send it once everything
+     * queued before it has been
+     * @param content {Content}
+     * @fires Outbox#queued
+     */
+    Outbox.prototype.queue = function (content) {
+        this._queue.push(content);
+        this._persist();
+        /**
+         * Content was queued to be sent later
+         * @event Outbox#queued
+         * @type {Content}
+         */
+        this.emit('queued', content);
+        this._retryLater();
+    };
+
+
+    /**
+     * Get the Content waiting to be sent, oldest first
+     * @return {Content[]}
+     */
+    Outbox.prototype.getQueued = function () {
+        return this._queue.slice();
+    };
+
+
+    /**
+     * Send queued Content now instead of waiting to retry, e.g. because
+     * StreamHub can be reached again
+     * @fires Outbox#sent
+     * @fires Outbox#failed
+     */
+    Outbox.prototype.flush = function () {
+        var self = this,
+            content = this._queue[0];
+
+        clearTimeout(this._retryTimeout);
+        this._retryTimeout = null;
+
+        if (this._isSending || ! content) {
+            return;
+        }
+        this._isSending = true;
+
+        this._send(content, function (err, data) {
+            self._isSending = false;
+            if (err && Outbox.isRetryable(err)) {
+                log('Error sending queued Content, will retry', err);
+                return self._retryLater();
+            }
+            self._backoff.reset();
+            self._queue.splice(self._queue.indexOf(content), 1);
+            self._persist();
+            if (err) {
+                /**
+                 * Queued Content couldn't be sent, and was removed from the
+                 * queue
+                 * @event Outbox#failed
+                 * @type {Content}
+                 * @type {Error}
+                 */
+                self.emit('failed', content, err);
+            } else {
+                /**
+                 * Queued Content was sent
+                 * @event Outbox#sent
+                 * @type {Content}
+                 * @type {Object} The response
+                 */
+                self.emit('sent', content, data);
+            }
+            self.flush();
+        });
+    };
+
+
+    /**
+     * Read the queue that was persisted on a previous visit, and put it
+     * before anything queued since. It isn't sent until .flush() is called
+     * @param [callback] {function} Passed (err, restored), where restored
+     *     is an Array of the Content that was restored
+     * @fires Outbox#queued
+     */
+    Outbox.prototype.restore = function (callback) {
+        var self = this;
+        callback = callback || function () {};
+        this._backend.get(this._key, function (err, json) {
+            var restored = [];
+            if (err || ! json || ! json.length) {
+                return callback(err || null, restored);
+            }
+            for (var i=0; i < json.length; i++) {
+                try {
+                    restored.push(Outbox.deserialize(json[i]));
+                } catch (deserializeErr) {
+                    log('Error restoring queued Content', deserializeErr);
+                }
+            }
+            self._queue = restored.concat(self._queue);
+            self._persist();
+            for (i=0; i < restored.length; i++) {
+                self.emit('queued', restored[i]);
+            }
+            callback(null, restored);
+        });
+    };
+
+
+    /**
+     * Get a plain Object representing queued Content, that can be persisted
+     * @param content {Content}
+     * @return {Object}
+     */
+    Outbox.serialize = function (content) {
+        return {
+            content: content.toJSON(),
+            parentId: content.parentId,
+            tweetId: content.tweetId
+        };
+    };
+
+
+    /**
+     * Create queued Content from the Object .serialize returned
+     * @param json {Object}
+     * @return {Content}
+     */
+    Outbox.deserialize = function (json) {
+        var content = Content.fromJSON(json.content);
+        if (json.parentId) {
+            content.parentId = json.parentId;
+        }
+        if (json.tweetId) {
+            content.tweetId = json.tweetId;
+        }
+        return content;
+    };
+
+
+    /**
+     * Wait to send queued Content, for longer the more attempts have failed
+     * @private
+     */
+    Outbox.prototype._retryLater = function () {
+        var self = this;
+        if (this._retryTimeout || this._isSending || ! this._queue.length) {
+            return;
+        }
+        if (this._backoff.isExhausted()) {
+            log('Giving up sending queued Content until flushed');
+            this._backoff.reset();
+            return;
+        }
+        this._retryTimeout = setTimeout(function () {
+            self._retryTimeout = null;
+            self.flush();
+        }, this._backoff.duration());
+    };
+
+
+    /**
+     * Write the queue to the backend
+     * @private
+     */
+    Outbox.prototype._persist = function () {
+        var json = [];
+        for (var i=0; i < this._queue.length; i++) {
+            json.push(Outbox.serialize(this._queue[i]));
+        }
+        this._backend.set(this._key, json, function (err) {
+            if (err) {
+                log('Error persisting queue', err);
+            }
+        });
+    };
+
+
+    return Outbox;
+});
@@ -1,11 +1,11 @@
 define([
-    'streamhub-sdk/jquery',
     'stream/readable',
     'streamhub-sdk/collection/clients/bootstrap-client',
     'streamhub-sdk/content/state-to-content',
+    'streamhub-sdk/errors',
     'streamhub-sdk/debug',
     'inherits'],
-function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
+function (Readable, BootstrapClient, StateToContent, errors, debug, inherits) {
     "use strict";
 
 
@@ -25,6 +25,10 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
      * @param [opts.bootstrapClient] {LivefyreBootstrapClient} A Client object
      *     that can request StreamHub's Bootstrap web service
      * @param [opts.replies=false] {boolean} Whether to read out reply Content
+     * @param [opts.storage] {Storage} Where to remember Content by ID.
+     *     Defaults to the shared streamhub-sdk/storage
+     * @param [opts.findContent] {function} Finds Content evicted from
+     *     opts.storage by ID. See streamhub-sdk/content/state-to-content
      */
     var CollectionArchive = function (opts) {
         opts = opts || {};
@@ -34,6 +38,8 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
         this._bootstrapClient = opts.bootstrapClient || new BootstrapClient();
         this._contentIdsInHeadDocument = [];
         this._replies = opts.replies || false;
+        this._storage = opts.storage || StateToContent.Storage;
+        this._findContent = opts.findContent || null;
 
         Readable.call(this, opts);
     };
@@ -51,23 +57,27 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
 
         log('_read', 'Buffer length is ' + this._readableState.buffer.length);
 
-        // The first time this is called, we first need to get Bootstrap init
-        // to know what the latest page of data
+        // The first time this is called, read out any Content the Collection
+        // cached on a previous visit, then get Bootstrap init to know what
+        // the latest page of data is
         if (typeof this._nextPage === 'undefined') {
-            return this._collection.initFromBootstrap(function (err, initData) {
-                var headDocument = initData.headDocument,
-                    collectionSettings = initData.collectionSettings,
-                    archiveInfo = collectionSettings && collectionSettings.archiveInfo,
-                    numPages = archiveInfo && archiveInfo.nPages;
-
-                var contents = self._contentsFromBootstrapDoc(headDocument, {
+            if (this._isReadingHead) {
+                return;
+            }
+            this._isReadingHead = true;
+            // opts.collection may be any object with the Collection's
+            // options, which can't have cached anything
+            if (typeof this._collection.getCachedHeadDocument !== 'function') {
+                return this._readHead(false);
+            }
+            return this._collection.getCachedHeadDocument(function (cachedDocument) {
+                var cachedContents = self._contentsFromBootstrapDoc(cachedDocument, {
                     isHead: true
                 });
-
-                // Bootstrap pages are zero-based. Store the highest 
-                self._nextPage = numPages - 1;
-
-                self.push.apply(self, contents);
+                if (cachedContents.length) {
+                    self.push.apply(self, cachedContents);
+                }
+                self._readHead(cachedContents.length > 0);
             });
         }
         // After that, request the latest page
@@ -81,6 +91,46 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
     };
 
 
+    /**
+     * Get Bootstrap init and push the Content in its headDocument
+     * @private
+     * @param hasCachedContent {boolean} Whether cached Content was already
+     *     read out. If so, being offline ends the Archive instead of
+     *     emitting an error, and Content that was cached is not read again
+     */
+    CollectionArchive.prototype._readHead = function (hasCachedContent) {
+        var self = this;
+        this._collection.initFromBootstrap(function (err, initData) {
+            self._isReadingHead = false;
+            if (err && hasCachedContent && err instanceof errors.NetworkError) {
+                log('Offline, so only cached Content can be read', err);
+                self._nextPage = null;
+                return self.push(null);
+            }
+            if (err) {
+                return self.emit('error', err);
+            }
+            var headDocument = initData.headDocument,
+                collectionSettings = initData.collectionSettings,
+                archiveInfo = collectionSettings && collectionSettings.archiveInfo,
+                numPages = archiveInfo && archiveInfo.nPages;
+
+            var contents = self._contentsFromBootstrapDoc(headDocument, {
+                isHead: true
+            });
+
+            // Bootstrap pages are zero-based. Store the highest 
+            self._nextPage = numPages - 1;
+
+            if (hasCachedContent && ! contents.length) {
+                // Everything was already read from the cache
+                return self._read();
+            }
+            self.push.apply(self, contents);
+        });
+    };
+
+
     /**
      * Read the next Page of data from the Collection
      * And make sure not to emit any state.events that were in the headDocument
@@ -97,7 +147,7 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
         }
         this._bootstrapClient.getContent(bootstrapClientOpts, function (err, data) {
             if (err || ! data) {
-                self.emit('error', new Error('Error requesting Bootstrap page '+bootstrapClientOpts.page));
+                self.emit('error', err || new errors.ServiceError('Empty response requesting Bootstrap page '+bootstrapClientOpts.page));
                 return;
             }
 
@@ -172,6 +222,8 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
     CollectionArchive.prototype._createStateToContent = function (opts) {
         opts = opts || {};
         opts.replies = this._replies;
+        opts.storage = this._storage;
+        opts.findContent = this._findContent;
         return new StateToContent(opts);
     };
 
@@ -1,11 +1,11 @@
 define([
-    'streamhub-sdk/jquery',
     'stream/readable',
     'streamhub-sdk/collection/clients/bootstrap-client',
     'streamhub-sdk/content/state-to-content',
+    'streamhub-sdk/errors',
     'streamhub-sdk/debug',
     'inherits'],
-function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
+function (Readable, BootstrapClient, StateToContent, errors, debug, inherits) {
     "use strict";
 
 
@@ -19,6 +19,8 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
      * @param opts.collection {string} The Collection to get Featured Content for
      * @param [opts.bootstrapClient] {LivefyreBootstrapClient} A Client object
      *     that can request StreamHub's Bootstrap web service
+     * @param [opts.storage] {Storage} Where to remember Content by ID.
+     *     Defaults to the shared streamhub-sdk/storage
      */
     var FeaturedArchive = function (opts) {
         opts = opts || {};
@@ -27,6 +29,7 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
         this._fetchedHead = false;
         this._bootstrapClient = opts.bootstrapClient || new BootstrapClient();
         this._contentIdsInHeadDocument = [];
+        this._storage = opts.storage || StateToContent.Storage;
 
         Readable.call(this, opts);
     };
@@ -48,6 +51,9 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
         // to get the featured head and to know if there are more past that
         if ( ! this._fetchedHead) {
             return this._collection.initFromBootstrap(function (err, initData) {
+                if (err) {
+                    return self.emit('error', err);
+                }
                 var featuredHead = initData.featured;
 
                 if ( ! featuredHead) {
@@ -93,7 +99,7 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
 
         this._bootstrapClient.getContent(bootstrapClientOpts, function (err, data) {
             if (err || ! data) {
-                self.emit('error', new Error('Error requesting Bootstrap page '+bootstrapClientOpts.page));
+                self.emit('error', err || new errors.ServiceError('Empty response requesting Bootstrap page '+bootstrapClientOpts.page));
                 return;
             }
 
@@ -136,7 +142,10 @@ function ($, Readable, BootstrapClient, StateToContent, debug, inherits) {
         bootstrapDoc = bootstrapDoc || {};
         var self = this,
             states = bootstrapDoc.content || [],
-            stateToContent = new StateToContent(bootstrapDoc),
+            stateToContent = new StateToContent({
+                authors: bootstrapDoc.authors,
+                storage: this._storage
+            }),
             state,
             content,
             contents = [];
@@ -5,9 +5,11 @@ define([
     'streamhub-sdk/collection/clients/bootstrap-client',
     'streamhub-sdk/collection/clients/stream-client',
     'streamhub-sdk/content/state-to-content',
+    'streamhub-sdk/backoff',
+    'streamhub-sdk/errors',
     'streamhub-sdk/debug'],
 function (inherits, Readable, streamUtil, BootstrapClient, StreamClient,
-StateToContent, debug) {
+StateToContent, Backoff, errors, debug) {
     'use strict';
 
 
@@ -27,13 +29,46 @@ StateToContent, debug) {
      * @param [opts.bootstrapClient] {LivefyreBootstrapClient} A Client object
      *     that can request StreamHub's Bootstrap web service
      * @param [opts.replies=false] {boolean} Whether to read out reply Content
+     * @param [opts.backoff] {object} Options for the streamhub-sdk/backoff
+     *     used to reconnect after failed stream requests. Pass
+     *     { maxAttempts: 0 } to emit 'error' on the first failure instead
+     * @param [opts.gapThreshold=300000] {number} If this many milliseconds
+     *     pass without hearing from the Stream service (e.g. while paused or
+     *     asleep), assume events were missed and backfill from Bootstrap
+     * @param [opts.maxBackfillPages=2] {number} The most Bootstrap archive
+     *     pages to request when backfilling
+     * @param [opts.latestEventStore] {LatestEventStore} If passed, the latest
+     *     event will be stored here, and streaming will resume from a stored
+     *     event instead of the current head of the Collection
+     * @param [opts.storage] {Storage} Where to remember Content by ID.
+     *     Defaults to the shared streamhub-sdk/storage
+     * @param [opts.findContent] {function} Finds Content evicted from
+     *     opts.storage by ID. See streamhub-sdk/content/state-to-content
+     * @fires CollectionUpdater#reconnecting
+     * @fires CollectionUpdater#reconnected
+     * @fires CollectionUpdater#gap
+     * @fires CollectionUpdater#catchup
      */
     var CollectionUpdater = function (opts) {
         opts = opts || {};
         this._collection = opts.collection;
         this._streamClient = opts.streamClient || new StreamClient();
+        this._bootstrapClient = opts.bootstrapClient || new BootstrapClient();
         this._request = null;
         this._replies = opts.replies || false;
+        this._backoff = new Backoff(opts.backoff);
+        this._reconnectTimeout = null;
+        this._gapThreshold = typeof opts.gapThreshold === 'number' ?
+            opts.gapThreshold : 5 * 60 * 1000;
+        this._maxBackfillPages = typeof opts.maxBackfillPages === 'number' ?
+            opts.maxBackfillPages : 2;
+        this._lastContactAt = null;
+        this._hasGap = false;
+        this._latestEventStore = opts.latestEventStore || null;
+        this._pausedAt = null;
+        this._isPaused = false;
+        this._storage = opts.storage || StateToContent.Storage;
+        this._findContent = opts.findContent || null;
         Readable.call(this, opts);
     };
 
@@ -53,15 +88,19 @@ StateToContent, debug) {
             // Get the latest event and/or collection ID by initing
             // the collection from bootstrap
             return this._collection.initFromBootstrap(function (err, initData) {
+                if (err) {
+                    // _reconnect retries with _read, so this inits again
+                    return self._reconnect(err);
+                }
                 var collectionSettings = initData.collectionSettings,
                     latestEvent = collectionSettings && collectionSettings.event;
                 if ( ! self._collection.id) {
-                    throw new Error("Couldn't get Collection ID after initFromBootstrap");
+                    return self.emit('error', new errors.ServiceError("Couldn't get Collection ID after initFromBootstrap"));
                 }
                 if (latestEvent === undefined) {
-                    throw new Error("Couldn't get latestEvent after initFromBootstrap");
+                    return self.emit('error', new errors.ServiceError("Couldn't get latestEvent after initFromBootstrap"));
                 }
-                self._latestEvent = latestEvent;
+                self._resumeFrom(latestEvent);
                 self._stream();
             });
         }
@@ -79,6 +118,10 @@ StateToContent, debug) {
             streamClient = this._streamClient,
             streamClientOpts = this._getStreamClientOptions();
 
+        if (this._hasGap || this._isOutOfContact()) {
+            return this._backfill();
+        }
+
         var request = streamClient.getContent(streamClientOpts, function (err, data) {
             if (err === 'abort') {
                 log('stream request aborted');
@@ -86,18 +129,37 @@ StateToContent, debug) {
                 return;
             }
             if (err) {
-                return self.emit('error', err);
+                return self._reconnect(err);
             }
+            if (self._backoff.attempts) {
+                /**
+                 * The stream is flowing again after one or more failed requests
+                 * @event CollectionUpdater#reconnected
+                 * @type {{attempts: number}}
+                 */
+                self.emit('reconnected', { attempts: self._backoff.attempts });
+                self._backoff.reset();
+            }
+            // A response to a request made before the page slept, or an
+            // event ID older than the one requested, means events may
+            // have been missed. Backfill before the next stream request
+            if (self._isOutOfContact() ||
+                (data.maxEventId && data.maxEventId < streamClientOpts.commentId)) {
+                self._hasGap = true;
+            }
+            self._lastContactAt = new Date().getTime();
             if (data.timeout) {
                 // Timed out on the long poll. This just means there
                 // was no real-time data. So we should keep streaming
                 // on the next event loop tick
                 log('long poll timeout, requesting again on next tick');
+                self._endCatchUp(0);
                 return pollAgain();
             }
             var contents = self._contentsFromStreamData(data);
             // Update _latestEvent so we only get new data
-            self._latestEvent = data.maxEventId;
+            self._setLatestEvent(data.maxEventId);
+            self._endCatchUp(contents.length);
 
             if (contents.length) {
                 self.push.apply(self, contents);
@@ -121,19 +183,379 @@ StateToContent, debug) {
     };
 
 
+    /**
+     * Start streaming from an event stored by ._latestEventStore, if there is
+     * one, else from the head of the Collection.
+     * A stored event is treated as if the Stream service was last heard
+     * from when it was stored, so if that was long ago, streaming begins by
+     * backfilling from Bootstrap
+     * @private
+     * @param headEvent {number} The latest event in the Collection
+     */
+    CollectionUpdater.prototype._resumeFrom = function (headEvent) {
+        var stored = this._latestEventStore &&
+            this._latestEventStore.get(this._collection.id);
+
+        if (stored && stored.eventId < headEvent) {
+            log('resuming from stored event ' + stored.eventId);
+            this._latestEvent = stored.eventId;
+            this._lastContactAt = stored.savedAt;
+            return;
+        }
+        this._setLatestEvent(headEvent);
+    };
+
+
+    /**
+     * Set the latest event seen, and store it if there is a
+     * ._latestEventStore
+     * @private
+     * @param eventId {number}
+     */
+    CollectionUpdater.prototype._setLatestEvent = function (eventId) {
+        this._latestEvent = eventId;
+        if (this._latestEventStore && this._collection.id) {
+            this._latestEventStore.set(this._collection.id, eventId);
+        }
+    };
+
+
+    /**
+     * Whether it has been longer than the gap threshold since the Stream
+     * service last responded
+     * @private
+     * @return {boolean}
+     */
+    CollectionUpdater.prototype._isOutOfContact = function () {
+        return Boolean(this._lastContactAt) &&
+            (new Date().getTime() - this._lastContactAt > this._gapThreshold);
+    };
+
+
+    /**
+     * Recover from a gap in the stream by reading every state since
+     * ._latestEvent from Bootstrap init and the newest archive pages.
+     * Content that was missed is pushed, and a 'gap' event lists all Content
+     * that may have changed. Then streaming continues from the new head event.
+     * @private
+     */
+    CollectionUpdater.prototype._backfill = function () {
+        var self = this,
+            since = this._latestEvent,
+            bootstrapClientOpts = this._getBootstrapClientOptions();
+
+        this._hasGap = false;
+        log('gap detected, backfilling since event ' + since);
+
+        this._requestBootstrap(bootstrapClientOpts, function (err, initData) {
+            var collectionSettings = initData && initData.collectionSettings,
+                archiveInfo = collectionSettings && collectionSettings.archiveInfo,
+                headDocument = (initData && initData.headDocument) || {},
+                docs = [headDocument];
+
+            if (err === 'abort') {
+                return self._abortBackfill();
+            }
+            self._lastContactAt = new Date().getTime();
+            if (err || ! collectionSettings) {
+                log('Error requesting Bootstrap init to backfill', err);
+                return self._continueStreaming();
+            }
+
+            if (docs[0].content && ! hasStatesBefore(docs[0].content, since)) {
+                return self._readBackfillPages(archiveInfo && archiveInfo.nPages - 1, since, docs, done);
+            }
+            done();
+
+            function done (err) {
+                if (err === 'abort') {
+                    return self._abortBackfill();
+                }
+                self._endBackfill(since, collectionSettings.event, docs);
+            }
+        });
+    };
+
+
+    /**
+     * Read archive pages, newest first, until one contains events from
+     * before the gap or ._maxBackfillPages have been read
+     * @private
+     * @param page {number} The page to read
+     * @param since {number} The event ID the gap started after
+     * @param docs {object[]} Bootstrap documents read so far
+     * @param done {function} Called when no more pages should be read.
+     *     Passed 'abort' if a request was aborted
+     */
+    CollectionUpdater.prototype._readBackfillPages = function (page, since, docs, done) {
+        var self = this,
+            bootstrapClientOpts;
+
+        if (typeof page !== 'number' || page < 0 || docs.length > this._maxBackfillPages) {
+            return done();
+        }
+
+        bootstrapClientOpts = this._getBootstrapClientOptions();
+        bootstrapClientOpts.page = page;
+        this._requestBootstrap(bootstrapClientOpts, function (err, data) {
+            if (err === 'abort') {
+                return done(err);
+            }
+            if (err || ! data) {
+                log('Error requesting Bootstrap page ' + page + ' to backfill', err);
+                return done();
+            }
+            docs.push(data);
+            if (hasStatesBefore(data.content || [], since)) {
+                return done();
+            }
+            self._readBackfillPages(page - 1, since, docs, done);
+        });
+    };
+
+
+    /**
+     * Transform the states read while backfilling, emit 'gap', push any
+     * Content and continue streaming
+     * @private
+     * @param since {number} The event ID the gap started after
+     * @param headEvent {number} The latest event ID according to Bootstrap
+     * @param docs {object[]} Bootstrap documents read while backfilling
+     */
+    CollectionUpdater.prototype._endBackfill = function (since, headEvent, docs) {
+        var authors = {},
+            states = [],
+            contentIds = [],
+            changedContents = [],
+            storage = this._storage,
+            contents,
+            state,
+            stored,
+            i,
+            j;
+
+        for (i=0; i < docs.length; i++) {
+            for (var authorId in docs[i].authors) {
+                if (docs[i].authors.hasOwnProperty(authorId)) {
+                    authors[authorId] = docs[i].authors[authorId];
+                }
+            }
+            for (j=0; docs[i].content && j < docs[i].content.length; j++) {
+                state = docs[i].content[j];
+                if (state.event > since && state.content &&
+                    contentIds.indexOf(state.content.id) === -1) {
+                    states.push(state);
+                    contentIds.push(state.content.id);
+                }
+            }
+        }
+
+        // Apply states in the order they happened
+        states.sort(function (a, b) {
+            return a.event - b.event;
+        });
+        contents = this._contentsFromStates(states, { authors: authors });
+
+        for (i=0; i < contentIds.length; i++) {
+            stored = storage.get(contentIds[i]);
+            if (stored) {
+                changedContents.push(stored);
+            }
+        }
+
+        if (headEvent > this._latestEvent) {
+            this._setLatestEvent(headEvent);
+        }
+        this._endCatchUp(contents.length);
+
+        /**
+         * Events may have been missed, and were backfilled from Bootstrap
+         * @event CollectionUpdater#gap
+         * @type {{since: number, latestEvent: number, contentIds: string[],
+         *     contents: Content[]}}
+         */
+        this.emit('gap', {
+            since: since,
+            latestEvent: this._latestEvent,
+            contentIds: contentIds,
+            contents: changedContents
+        });
+
+        if (contents.length) {
+            return this.push.apply(this, contents);
+        }
+        this._continueStreaming();
+    };
+
+
+    /**
+     * Request Bootstrap while backfilling. The request is kept as
+     * ._request, so that .pause() can abort it
+     * @private
+     * @param opts {object} Options for ._bootstrapClient.getContent
+     * @param callback {function} Passed (err, data). err is 'abort' if
+     *     the request was aborted
+     */
+    CollectionUpdater.prototype._requestBootstrap = function (opts, callback) {
+        var self = this,
+            isDone = false,
+            request;
+
+        request = this._bootstrapClient.getContent(opts, function (err, data) {
+            isDone = true;
+            if (request && self._request === request) {
+                self._request = null;
+            }
+            callback(err, data);
+        });
+        // The client may call back synchronously
+        if ( ! isDone && request) {
+            this._request = request;
+        }
+    };
+
+
+    /**
+     * Stop backfilling because a request was aborted by .pause(). The gap
+     * is backfilled again once the Updater is resumed
+     * @private
+     */
+    CollectionUpdater.prototype._abortBackfill = function () {
+        log('backfill request aborted');
+        this._hasGap = true;
+        this.push();
+    };
+
+
+    /**
+     * Make the next stream request, unless the Updater was paused while
+     * backfilling
+     * @private
+     */
+    CollectionUpdater.prototype._continueStreaming = function () {
+        if (this._isPaused) {
+            // Like an aborted request, push nothing so that the next
+            // _read on .resume() starts streaming again
+            return this.push();
+        }
+        this._stream();
+    };
+
+
+    /**
+     * Whether any of the states happened at or before an event ID
+     * @param states {object[]}
+     * @param eventId {number}
+     * @return {boolean}
+     */
+    function hasStatesBefore (states, eventId) {
+        for (var i=0; i < states.length; i++) {
+            if (states[i].event <= eventId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    /**
+     * Schedule another request after a failed one, waiting longer
+     * each consecutive time. Since ._latestEvent is only updated on success,
+     * the retry resumes exactly where the failed request left off.
+     * If there are no attempts left, emit 'error'
+     * @private
+     * @param err {Error} The error the request failed with
+     */
+    CollectionUpdater.prototype._reconnect = function (err) {
+        var self = this,
+            delay;
+
+        this._request = null;
+
+        if (this._backoff.isExhausted()) {
+            log('giving up reconnecting after ' + this._backoff.attempts + ' attempts', err);
+            this._backoff.reset();
+            return this.emit('error', err);
+        }
+
+        delay = this._backoff.duration();
+        log('request failed, reconnecting in ' + delay + 'ms', err);
+
+        /**
+         * A stream request failed and another will be made after a delay
+         * @event CollectionUpdater#reconnecting
+         * @type {{attempt: number, delay: number, error: Error}}
+         */
+        this.emit('reconnecting', {
+            attempt: this._backoff.attempts,
+            delay: delay,
+            error: err
+        });
+
+        this._reconnectTimeout = setTimeout(function () {
+            self._reconnectTimeout = null;
+            // Re-inits from Bootstrap if that is what failed
+            self._read();
+        }, delay);
+    };
+
+
+    /**
+     * If this is the first response since the Updater was paused, emit
+     * 'catchup' to summarize what happened while it was paused
+     * @private
+     * @param count {number} How many Content items the response had
+     */
+    CollectionUpdater.prototype._endCatchUp = function (count) {
+        if ( ! this._pausedAt) {
+            return;
+        }
+        /**
+         * The first Content since the Updater was resumed has been read
+         * @event CollectionUpdater#catchup
+         * @type {{count: number, pausedFor: number}}
+         */
+        this.emit('catchup', {
+            count: count,
+            pausedFor: new Date().getTime() - this._pausedAt
+        });
+        this._pausedAt = null;
+    };
+
+
     /**
      * Pause the Updater
      * Including killing the active stream request
      */
     CollectionUpdater.prototype.pause = function () {
+        this._isPaused = true;
+        if ( ! this._pausedAt) {
+            this._pausedAt = new Date().getTime();
+        }
         if (this._request) {
             this._request.abort();
             this._request = null;
         }
+        if (this._reconnectTimeout) {
+            // Like an aborted request, push nothing so that the next
+            // _read on .resume() starts streaming again
+            clearTimeout(this._reconnectTimeout);
+            this._reconnectTimeout = null;
+            this.push();
+        }
         return Readable.prototype.pause.apply(this, arguments);
     };
 
 
+    /**
+     * Resume the Updater after .pause()
+     */
+    CollectionUpdater.prototype.resume = function () {
+        this._isPaused = false;
+        return Readable.prototype.resume.apply(this, arguments);
+    };
+
+
     /**
      * Convert a response from the Stream service into Content models
      * @private
@@ -141,21 +563,37 @@ StateToContent, debug) {
      * @return {Content[]} An Array of Content models
      */
     CollectionUpdater.prototype._contentsFromStreamData = function (streamData) {
-        var stateToContent = this._createStateToContent(streamData),
-            states = streamData.states,
-            state,
+        var states = streamData.states,
+            stateList = [];
+
+        for (var contentId in states) {
+            if ( ! states.hasOwnProperty(contentId)) {
+                continue;
+            }
+            stateList.push(states[contentId]);
+        }
+
+        return this._contentsFromStates(stateList, streamData);
+    };
+
+
+    /**
+     * Convert an Array of states into Content models
+     * @private
+     * @param states {object[]} States from StreamHub APIs
+     * @param [opts] {object} Options for StateToContent, e.g. .authors
+     * @return {Content[]} An Array of Content models
+     */
+    CollectionUpdater.prototype._contentsFromStates = function (states, opts) {
+        var stateToContent = this._createStateToContent(opts),
             contents = [];
 
         stateToContent.on('data', function (content) {
             contents.push(content);
         });
 
-        for (var contentId in states) {
-            if ( ! states.hasOwnProperty(contentId)) {
-                continue;
-            }
-            state = states[contentId];
-            stateToContent.write(state);
+        for (var i=0; i < states.length; i++) {
+            stateToContent.write(states[i]);
         }
 
         return contents;
@@ -177,6 +615,22 @@ StateToContent, debug) {
         };
     };
 
+    /**
+     * Get an Object that can be passed to LivefyreBootstrapClient to get
+     * Bootstrap init for the Collection
+     * @private
+     * @return {object}
+     */
+    CollectionUpdater.prototype._getBootstrapClientOptions = function () {
+        return {
+            environment: this._collection.environment,
+            network: this._collection.network,
+            siteId: this._collection.siteId,
+            articleId: this._collection.articleId
+        };
+    };
+
+
     /**
      * Create a StateToContent Transform that will have states written in,
      * and should read out Content instances
@@ -184,6 +638,8 @@ StateToContent, debug) {
     CollectionUpdater.prototype._createStateToContent = function (opts) {
         opts = opts || {};
         opts.replies = this._replies;
+        opts.storage = this._storage;
+        opts.findContent = this._findContent;
         return new StateToContent(opts);
     };
 
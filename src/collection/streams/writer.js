@@ -2,37 +2,262 @@ define([
     'stream/writable',
     'streamhub-sdk/collection/clients/write-client',
     'streamhub-sdk/auth',
+    'streamhub-sdk/content/types/livefyre-opine',
+    'streamhub-sdk/content/state-to-content',
+    'streamhub-sdk/collection/outbox',
+    'streamhub-sdk/storage',
+    'streamhub-sdk/errors',
     'inherits'],
-function (Writable, LivefyreWriteClient, Auth, inherits) {
+function (Writable, LivefyreWriteClient, Auth, LivefyreOpine, StateToContent,
+Outbox, Storage, errors, inherits) {
     'use strict';
 
 
+    /**
+     * A Writable that posts written Content to a Collection. Content that
+     * already has an .id is edited instead. If the user isn't logged in,
+     * writing waits for the streamhub-sdk/auth delegate to log them in
+     * @param opts {Object}
+     * @param opts.collection {Collection} The Collection to write to
+     * @param [opts.writeClient] {LivefyreWriteClient}
+     * @param [opts.storage] {Storage} Where Content from the Collection is
+     *     stored, so the stored instance of edited Content can be updated.
+     *     Defaults to the shared streamhub-sdk/storage
+     * @param [opts.echo] {function} Passed new top-level Content as soon as
+     *     it's written, marked .pending, so it can be shown before StreamHub
+     *     streams it back. It should return whether it showed the Content.
+     *     If so, once posted the Content is hidden and echo is passed the
+     *     posted Content instead. If posting fails, it's marked .failed and
+     *     given a .retry([callback]) method
+     * @param [opts.outbox] {boolean|object} Whether to queue Content that
+     *     can't be posted because StreamHub can't be reached, and post it
+     *     later. Pass an object of streamhub-sdk/collection/outbox options
+     *     (e.g. .backend and .backoff) to configure it. Content queued on a
+     *     previous visit is restored, echoed and sent once the user is
+     *     logged in. Queued Content waits for them to log in again if
+     *     their token expires
+     * @fires CollectionWriter#queued
+     * @fires CollectionWriter#sent
+     * @fires CollectionWriter#failed
+     * @exports streamhub-sdk/collection/streams/writer
+     * @constructor
+     */
     var CollectionWriter = function (opts) {
         this._collection = opts.collection;
         this._writeClient = opts.writeClient || new LivefyreWriteClient();
+        this._storage = opts.storage || Storage;
+        this._echo = opts.echo || null;
         Writable.call(this, opts);
+        this._outbox = opts.outbox ? this._createOutbox(opts.outbox) : null;
     };
 
     inherits(CollectionWriter, Writable);
 
 
-    CollectionWriter.prototype._write = function _write(content, done) {
+    CollectionWriter.prototype._write = function _write (content, done) {
+        var self = this,
+            outbox = this._outbox,
+            authErr = authError('write');
+
+        // Wait for the user to log in with the host page, then write
+        if (authErr) {
+            return loginOrFail(authErr, done, function () {
+                _write.call(self, content, done);
+            });
+        }
+
+        this._echoPending(content);
+
+        // Keep writes in order behind any that are queued
+        if (outbox && outbox.getQueued().length) {
+            outbox.queue(content);
+            return done();
+        }
+
+        this._post(content, function (err, data) {
+            if (err && outbox && Outbox.isRetryable(err)) {
+                outbox.queue(content);
+                return done();
+            }
+            self._settle(content, err, data);
+            done(err, data);
+        });
+    };
+
+
+    /**
+     * Queue Content in the outbox, to be posted once StreamHub can be
+     * reached, e.g. because the Collection is offline. Content is echoed
+     * as pending like it is when written. If the writer has no outbox, it's
+     * written instead
+     * @param content {Content}
+     * @param [callback] {function} Passed (err) once it's queued or written
+     */
+    CollectionWriter.prototype.queue = function queue (content, callback) {
+        var self = this,
+            authErr;
+        callback = callback || function () {};
+        if ( ! this._outbox) {
+            return this._write(content, callback);
+        }
+        authErr = authError('write');
+        if (authErr) {
+            return loginOrFail(authErr, callback, function () {
+                queue.call(self, content, callback);
+            });
+        }
+        this._echoPending(content);
+        this._outbox.queue(content);
+        callback();
+    };
+
+
+    /**
+     * Try sending queued Content now, instead of waiting to retry. Call
+     * this once StreamHub can be reached again
+     */
+    CollectionWriter.prototype.flush = function () {
+        if (this._outbox) {
+            this._outbox.flush();
+        }
+    };
+
+
+    /**
+     * Get the Content waiting in the outbox to be posted
+     * @return {Content[]}
+     */
+    CollectionWriter.prototype.getQueued = function () {
+        return this._outbox ? this._outbox.getQueued() : [];
+    };
+
+
+    /**
+     * Create the outbox for Content that couldn't be posted, and restore
+     * what was queued on a previous visit
+     * @private
+     * @param opts {boolean|object} Options for the Outbox
+     * @return {Outbox}
+     */
+    CollectionWriter.prototype._createOutbox = function (opts) {
         var self = this,
             collection = this._collection,
-            token = Auth.getToken(),
-            post = this._writeClient.postContent,
-            numAttachments = content.attachments && content.attachments.length;
+            forwardedEvents = ['queued', 'sent', 'failed'],
+            outbox;
+
+        opts = typeof opts === 'object' ? opts : {};
+        outbox = new Outbox({
+            key: opts.key || ['outbox', collection.network, collection.siteId, collection.articleId].join('/'),
+            backend: opts.backend,
+            backoff: opts.backoff,
+            send: function send (content, callback) {
+                // Keep it queued until the user logs in, asking the
+                // delegate to log them in if there is one
+                if (authError('write')) {
+                    if (Auth.delegate) {
+                        Auth.login();
+                    }
+                    return Auth.whenAuthenticated(function () {
+                        send(content, callback);
+                    });
+                }
+                self._post(content, function (err, data) {
+                    if ( ! err || ! Outbox.isRetryable(err)) {
+                        self._settle(content, err, data);
+                    }
+                    callback(err, data);
+                });
+            }
+        });
+
+        /**
+         * Content was queued to be posted later
+         * @event CollectionWriter#queued
+         * @type {Content}
+         */
+        /**
+         * Queued Content was posted
+         * @event CollectionWriter#sent
+         * @type {Content}
+         */
+        /**
+         * Queued Content couldn't be posted, and was given up on
+         * @event CollectionWriter#failed
+         * @type {Content}
+         */
+        for (var i=0; i < forwardedEvents.length; i++) {
+            outbox.on(forwardedEvents[i], this._createForwarder(forwardedEvents[i]));
+        }
+
+        outbox.restore(function (err, restored) {
+            for (var i=0; i < restored.length; i++) {
+                self._echoPending(restored[i]);
+            }
+            // Don't ask the user to log in just because they came back
+            if (restored.length) {
+                Auth.whenAuthenticated(function () {
+                    outbox.flush();
+                });
+            }
+        });
+
+        return outbox;
+    };
 
-        if ( ! token) {
-            throw new Auth.UnauthorizedError("Collection cannot write until streamhub-sdk/auth.setToken has been called");
+
+    /**
+     * Get a listener that re-emits an event from this writer
+     * @private
+     * @param eventName {string}
+     */
+    CollectionWriter.prototype._createForwarder = function (eventName) {
+        var self = this;
+        return function (content, data) {
+            self.emit(eventName, content, data);
+        };
+    };
+
+
+    /**
+     * Show new top-level Content right away with opts.echo, marked pending.
+     * Content that's still pending, e.g. because it's being retried, was
+     * echoed already
+     * @private
+     * @param content {Content}
+     */
+    CollectionWriter.prototype._echoPending = function (content) {
+        if ( ! this._echo || content.pending || content.id ||
+            content.parentId || content.tweetId) {
+            return;
+        }
+        content.pending = true;
+        if ( ! this._echo(content)) {
+            delete content.pending;
         }
+    };
+
+
+    /**
+     * Post Content to the Collection, or edit it if it has an .id
+     * @private
+     * @param content {Content}
+     * @param callback {function} Passed (err, data) from the write client
+     */
+    CollectionWriter.prototype._post = function _post (content, callback) {
+        var self = this,
+            collection = this._collection,
+            post = this._writeClient.postContent,
+            numAttachments = content.attachments && content.attachments.length;
 
         if ( ! collection.id) {
-            return collection.initFromBootstrap(function () {
-                _write.call(self, content, done);
+            return collection.initFromBootstrap(function (err) {
+                if (err) {
+                    return callback(err);
+                }
+                _post.call(self, content, callback);
             });
         }
-        
+
         var postParams = {
             body: content.body,
             network: collection.network,
@@ -47,6 +272,11 @@ function (Writable, LivefyreWriteClient, Auth, inherits) {
             }
         }
 
+        if (content.id) {
+            postParams.messageId = content.id;
+            return this._writeClient.editContent(postParams, callback);
+        }
+
         if (content.parentId) {
             postParams.parent_id = content.parentId;
         }
@@ -57,9 +287,549 @@ function (Writable, LivefyreWriteClient, Auth, inherits) {
             postParams.tweetId = content.tweetId;
         }
 
-        post.call(this._writeClient, postParams, done);
+        post.call(this._writeClient, postParams, callback);
+    };
+
+
+    /**
+     * Update written Content once its request is done for good: swap
+     * pending Content for the posted version or mark it failed, and update
+     * edited Content
+     * @private
+     * @param content {Content}
+     * @param err {Error|null}
+     * @param data {Object} The response
+     */
+    CollectionWriter.prototype._settle = function (content, err, data) {
+        if (content.id) {
+            if ( ! err) {
+                this._updateEdited(content, data);
+            }
+            return;
+        }
+        if ( ! content.pending) {
+            return;
+        }
+        if (err) {
+            return this._fail(content);
+        }
+        this._reconcile(content, data);
+    };
+
+
+    /**
+     * Swap echoed Content for the version StreamHub posted. That is
+     * transformed from the response into Storage, so it's the same instance
+     * the stream will update once it streams the posted state
+     * @private
+     * @param content {Content} The pending Content that was echoed
+     * @param data {Object} The response to the post request
+     */
+    CollectionWriter.prototype._reconcile = function (content, data) {
+        var message = data && data.data && data.data.messages && data.data.messages[0],
+            posted = message && StateToContent.transform(message, data.data.authors, {
+                storage: this._storage
+            })[0];
+
+        if ( ! posted) {
+            return content.set({ pending: false });
+        }
+        // Hiding the pending Content removes its ContentViews
+        content.set({
+            pending: false,
+            visibility: 'NONE'
+        });
+        this._echo(posted);
+    };
+
+
+    /**
+     * Mark echoed Content as failed to post, and give it a .retry method
+     * @private
+     * @param content {Content} The pending Content that was echoed
+     */
+    CollectionWriter.prototype._fail = function (content) {
+        var self = this;
+        content.retry = function (callback) {
+            delete content.retry;
+            content.set({
+                pending: true,
+                failed: false
+            });
+            self._write(content, callback || function () {});
+        };
+        content.set({
+            pending: false,
+            failed: true
+        });
+    };
+
+
+    /**
+     * Update the stored instance of Content that was edited, so its
+     * ContentViews re-render. The written Content may be that instance, or
+     * a copy with the new body and attachments
+     * @private
+     * @param content {Content} The Content that was written
+     * @param data {Object} The response to the edit request
+     */
+    CollectionWriter.prototype._updateEdited = function (content, data) {
+        var stored = this._storage.get(content.id) || content,
+            message = data && data.data && data.data.messages && data.data.messages[0],
+            edited = (message && message.content) || {},
+            oldAttachments,
+            i;
+
+        if (stored !== content) {
+            oldAttachments = stored.attachments.slice();
+            for (i=0; i < oldAttachments.length; i++) {
+                stored.removeAttachment(oldAttachments[i]);
+            }
+            for (i=0; i < content.attachments.length; i++) {
+                stored.addAttachment(content.attachments[i]);
+            }
+        }
+
+        stored.set({
+            body: edited.bodyHtml || content.body,
+            updatedAt: edited.updatedAt ? new Date(1000 * edited.updatedAt) : new Date(),
+            edited: true
+        });
+    };
+
+
+    /**
+     * Like a piece of Content in the Collection as the user whose token was
+     * set on streamhub-sdk/auth. The like is added to content.likes right
+     * away, and removed again if the request fails. The OPINE state streamed
+     * back later will be recognized as the same like
+     * @param content {LivefyreContent} The Content to like
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.like = function (content, callback) {
+        this._opine('like', content, callback);
+    };
+
+
+    /**
+     * Remove the user's like of a piece of Content. It is removed from
+     * content.likes right away, and added back if the request fails
+     * @param content {LivefyreContent} The Content to unlike
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.unlike = function (content, callback) {
+        this._opine('unlike', content, callback);
+    };
+
+
+    /**
+     * Request to like or unlike Content, optimistically updating its .likes
+     * @private
+     * @param action {string} 'like' or 'unlike'
+     */
+    CollectionWriter.prototype._opine = function _opine (action, content, callback) {
+        var self = this,
+            collection = this._collection,
+            token = Auth.getToken(),
+            authErr = authError(action),
+            isLike = (action === 'like'),
+            authorId,
+            opine;
+
+        callback = callback || function () {};
+
+        // Wait for the user to log in with the host page, like writes do
+        if (authErr) {
+            return loginOrFail(authErr, callback, function () {
+                _opine.call(self, action, content, callback);
+            });
+        }
+
+        if ( ! content.id) {
+            return callback(new errors.ValidationError("Content must have an id to be " + action + "d"));
+        }
+
+        if ( ! collection.id) {
+            return collection.initFromBootstrap(function (err) {
+                if (err) {
+                    return callback(err);
+                }
+                _opine.call(self, action, content, callback);
+            });
+        }
+
+        authorId = CollectionWriter.authorIdFromToken(token);
+        if (isLike) {
+            opine = new LivefyreOpine({
+                content: {
+                    targetId: content.id,
+                    authorId: authorId
+                }
+            });
+            content.addLike(opine);
+            // The user may have liked it already
+            if (content.likes.indexOf(opine) === -1) {
+                opine = null;
+            }
+        } else {
+            opine = authorId && content.getLikeBy(authorId);
+            if (opine) {
+                content.removeLike(opine);
+            }
+        }
+
+        this._writeClient[action]({
+            network: collection.network,
+            collectionId: collection.id,
+            lftoken: token,
+            messageId: content.id
+        }, function (err, data) {
+            if (err) {
+                // Undo the optimistic update
+                if (opine && isLike) {
+                    content.removeLike(opine);
+                } else if (opine) {
+                    content.addLike(opine);
+                }
+                return callback(err);
+            }
+            reconcileOpine(content, opine, data);
+            callback(null, data);
+        });
+    };
+
+
+    /**
+     * Delete a piece of Content. Its visibility is set to 'NONE' once
+     * the request succeeds, which removes it from ContentViews.
+     * Moderation methods pass callback an errors.ForbiddenError, without
+     * requesting, unless streamhub-sdk/auth.isModerator(collection) says
+     * the user moderates the Collection. Authors may delete their own
+     * Content, and anyone may flag it
+     * @param content {LivefyreContent} The Content to delete
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.deleteContent = function (content, callback) {
+        this._moderate('deleteContent', content, {}, { visibility: 'NONE' }, callback);
+    };
+
+
+    /**
+     * Approve a piece of Content, making its visibility 'EVERYONE'
+     * @param content {LivefyreContent} The Content to approve
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.approveContent = function (content, callback) {
+        this._moderate('approveContent', content, {}, { visibility: 'EVERYONE' }, callback);
+    };
+
+
+    /**
+     * Bozo a piece of Content, making its visibility 'OWNER' so only its
+     * author sees it
+     * @param content {LivefyreContent} The Content to bozo
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.bozoContent = function (content, callback) {
+        this._moderate('bozoContent', content, {}, { visibility: 'OWNER' }, callback);
+    };
+
+
+    /**
+     * Flag a piece of Content for moderators to review
+     * @param content {LivefyreContent} The Content to flag
+     * @param flag {string|Object} The reason, one of LivefyreWriteClient.FLAGS,
+     *     or an Object with .flag and optional .notes and .email
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.flagContent = function (content, flag, callback) {
+        var params = typeof flag === 'object' ? flag : { flag: flag };
+        if (LivefyreWriteClient.FLAGS.indexOf(params.flag) === -1) {
+            return (callback || function () {})(new errors.ValidationError(
+                "Content can only be flagged as " + LivefyreWriteClient.FLAGS.join(', ')));
+        }
+        this._moderate('flagContent', content, {
+            flag: params.flag,
+            notes: params.notes,
+            email: params.email
+        }, null, callback);
+    };
+
+
+    /**
+     * Feature a piece of Content in the Collection
+     * @param content {LivefyreContent} The Content to feature
+     * @param [value] {number} Featured Content is sorted by this, highest
+     *     first. Defaults to the current time in seconds, so it's first
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.featureContent = function (content, value, callback) {
+        if (typeof value === 'function') {
+            callback = value;
+            value = undefined;
+        }
+        if (typeof value !== 'number') {
+            value = Math.floor(new Date().getTime() / 1000);
+        }
+        this._moderate('featureContent', content, { value: value }, {
+            featured: {
+                rel_collectionId: this._collection.id,
+                value: value
+            }
+        }, callback);
+    };
+
+
+    /**
+     * Stop featuring a piece of Content in the Collection
+     * @param content {LivefyreContent} The Content to unfeature
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.unfeatureContent = function (content, callback) {
+        this._moderate('unfeatureContent', content, {}, { featured: false }, callback);
     };
 
 
+    /**
+     * Ban an author from the Collection's network
+     * @param author {string|Object} An author ID, or an author with .id
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.banAuthor = function (author, callback) {
+        this._moderateAuthor('banAuthor', author, callback);
+    };
+
+
+    /**
+     * Bozo an author in the Collection's network, so what they post is
+     * only visible to them
+     * @param author {string|Object} An author ID, or an author with .id
+     * @param [callback] {function} Passed (err, data) once the request is done
+     */
+    CollectionWriter.prototype.bozoAuthor = function (author, callback) {
+        this._moderateAuthor('bozoAuthor', author, callback);
+    };
+
+
+    /**
+     * Request a moderation action on an author
+     * @private
+     * @param method {string} The ._writeClient method to call
+     * @param author {string|Object} An author ID, or an author with .id
+     * @param [callback] {function}
+     */
+    CollectionWriter.prototype._moderateAuthor = function _moderateAuthor (method, author, callback) {
+        var self = this,
+            collection = this._collection,
+            token = Auth.getToken(),
+            authErr = authError('moderate'),
+            authorId = (author && typeof author === 'object') ? author.id : author;
+
+        callback = callback || function () {};
+
+        // Wait for the user to log in with the host page, like writes do
+        if (authErr) {
+            return loginOrFail(authErr, callback, function () {
+                _moderateAuthor.call(self, method, author, callback);
+            });
+        }
+
+        if ( ! authorId) {
+            return callback(new errors.ValidationError("An author id is needed to moderate an author"));
+        }
+
+        if ( ! Auth.isModerator(collection)) {
+            return callback(new errors.ForbiddenError("Collection cannot " + method + " unless the streamhub-sdk/auth user moderates it"));
+        }
+
+        this._writeClient[method]({
+            network: collection.network,
+            lftoken: token,
+            authorId: authorId
+        }, callback);
+    };
+
+
+    /**
+     * Request a moderation action on Content, then update the Content
+     * @private
+     * @param method {string} The ._writeClient method to call
+     * @param content {LivefyreContent}
+     * @param params {Object} More params for the ._writeClient method
+     * @param changes {Object|null} Properties to .set on content once the
+     *     request succeeds
+     * @param [callback] {function}
+     */
+    CollectionWriter.prototype._moderate = function _moderate (method, content, params, changes, callback) {
+        var self = this,
+            collection = this._collection,
+            token = Auth.getToken(),
+            authErr = authError('moderate'),
+            forbiddenErr,
+            clientParams;
+
+        callback = callback || function () {};
+
+        // Wait for the user to log in with the host page, like writes do
+        if (authErr) {
+            return loginOrFail(authErr, callback, function () {
+                _moderate.call(self, method, content, params, changes, callback);
+            });
+        }
+
+        if ( ! content.id) {
+            return callback(new errors.ValidationError("Content must have an id to be moderated"));
+        }
+
+        forbiddenErr = forbiddenError(method, collection, content, token);
+        if (forbiddenErr) {
+            return callback(forbiddenErr);
+        }
+
+        if ( ! collection.id) {
+            return collection.initFromBootstrap(function (err) {
+                if (err) {
+                    return callback(err);
+                }
+                _moderate.call(self, method, content, params, changes, callback);
+            });
+        }
+
+        clientParams = {
+            network: collection.network,
+            collectionId: collection.id,
+            lftoken: token,
+            messageId: content.id
+        };
+        for (var key in params) {
+            if (params.hasOwnProperty(key)) {
+                clientParams[key] = params[key];
+            }
+        }
+
+        this._writeClient[method](clientParams, function (err, data) {
+            if (err) {
+                return callback(err);
+            }
+            if (changes) {
+                content.set(changes);
+            }
+            callback(null, data);
+        });
+    };
+
+
+    /**
+     * Get the Livefyre author ID of the user a token is for
+     * @param token {string} A Livefyre auth token, which is a JWT
+     * @return {string|null} The author ID, or null if it can't be read
+     */
+    CollectionWriter.authorIdFromToken = function (token) {
+        var user = Auth.User.fromToken(token);
+        return user ? user.id : null;
+    };
+
+
+    /**
+     * Get the error to fail with if there's no token that an action can be
+     * requested with
+     * @param action {string} e.g. 'write' or 'moderate'
+     * @return {Auth.UnauthorizedError|null} null if the token can be used
+     */
+    function authError (action) {
+        if ( ! Auth.getToken()) {
+            return new Auth.UnauthorizedError("Collection cannot " + action + " until streamhub-sdk/auth.setToken has been called");
+        }
+        if (Auth.isExpired()) {
+            return new Auth.UnauthorizedError("Collection cannot " + action + " because the streamhub-sdk/auth token has expired");
+        }
+        return null;
+    }
+
+
+    /**
+     * Get the error to fail with if the streamhub-sdk/auth user may not
+     * request a moderation action. Anyone may flag Content and authors may
+     * delete their own, but the rest needs a moderator of the Collection
+     * @param method {string} e.g. 'deleteContent'
+     * @param collection {Collection}
+     * @param content {LivefyreContent}
+     * @param token {string}
+     * @return {errors.ForbiddenError|null} null if the action is allowed
+     */
+    function forbiddenError (method, collection, content, token) {
+        if (method === 'flagContent' || Auth.isModerator(collection)) {
+            return null;
+        }
+        if (method === 'deleteContent' && content.author &&
+            content.author.id === CollectionWriter.authorIdFromToken(token)) {
+            return null;
+        }
+        return new errors.ForbiddenError("Collection cannot " + method + " unless the streamhub-sdk/auth user moderates it");
+    }
+
+
+    /**
+     * Log the user in with the streamhub-sdk/auth delegate, then continue.
+     * Without a delegate, pass callback the error .authError returned
+     * @param authErr {Auth.UnauthorizedError}
+     * @param callback {function} Passed the error if the user doesn't log in
+     * @param next {function} Called once the user has logged in
+     */
+    function loginOrFail (authErr, callback, next) {
+        if ( ! Auth.delegate) {
+            return callback(authErr);
+        }
+        Auth.login(function (err) {
+            if (err) {
+                return callback(err);
+            }
+            next();
+        });
+    }
+
+
+    /**
+     * Update Content's likes from the OPINE state in a like or unlike
+     * response, so that the optimistic like has the ID and author it will
+     * be streamed with
+     * @param content {LivefyreContent}
+     * @param opine {LivefyreOpine|null} The optimistic like, if one was added
+     * @param data {Object} The response
+     */
+    function reconcileOpine (content, opine, data) {
+        var messages = (data && data.data && data.data.messages) || [],
+            authors = (data && data.data && data.data.authors) || {},
+            state,
+            saved,
+            existing;
+        for (var i=0; i < messages.length; i++) {
+            if (messages[i].type === 1) {
+                state = messages[i];
+            }
+        }
+        if ( ! state) {
+            return;
+        }
+        state.author = authors[state.content.authorId];
+        saved = new LivefyreOpine(state);
+        if ( ! saved.isLike()) {
+            return content.removeLike(saved);
+        }
+        if (opine && content.likes.indexOf(opine) !== -1) {
+            // The like may have been streamed before this response
+            existing = content.getLikeBy(saved.authorId);
+            if (existing && existing !== opine) {
+                return content.removeLike(opine);
+            }
+            opine.id = saved.id;
+            opine.authorId = saved.authorId;
+            opine.author = saved.author;
+            return;
+        }
+        content.addLike(saved);
+    }
+
+
     return CollectionWriter;
 });
\ No newline at end of file
@@ -0,0 +1,495 @@
+define([
+    'event-emitter',
+    'inherits',
+    'streamhub-sdk/content',
+    'streamhub-sdk/storage'],
+function (EventEmitter, inherits, Content, Storage) {
+    'use strict';
+
+
+    /**
+     * Indexes the Content in a Storage by author, source, visibility,
+     * featured state, parent and creation time, so it can be queried without
+     * scanning every stored object. The index is kept up to date as Content
+     * is added to, changed in, or removed from the Storage.
+     * @param [opts] {object}
+     * @param [opts.storage] {Storage} The Storage to index. Defaults to the
+     *     shared streamhub-sdk/storage
+     * @exports streamhub-sdk/content/content-index
+     * @constructor
+     */
+    var ContentIndex = function (opts) {
+        var self = this,
+            cache;
+        opts = opts || {};
+        this._storage = opts.storage || Storage;
+        // Content ID -> { content, keys, createdAt, onChange }
+        this._entries = {};
+        // Field -> indexed value -> { count, contents: { Content ID: Content } }
+        this._indexes = {};
+        // Entries with a createdAt, oldest first
+        this._byCreatedAt = [];
+        this._queries = [];
+
+        for (var i=0; i < ContentIndex.FIELDS.length; i++) {
+            this._indexes[ContentIndex.FIELDS[i]] = {};
+        }
+
+        this._onStorageAdd = function (value) {
+            self._add(value);
+        };
+        this._onStorageChange = function (oldValue, newValue) {
+            // The same instance stored again, so queries shouldn't see it
+            // removed and re-added
+            if (oldValue === newValue && newValue && self._entries[newValue.id] &&
+                self._entries[newValue.id].content === newValue) {
+                self._update(newValue);
+                return;
+            }
+            self._remove(oldValue);
+            self._add(newValue);
+        };
+        this._onStorageRemove = function (key, value) {
+            self._remove(value);
+        };
+        this._storage.on('add', this._onStorageAdd);
+        this._storage.on('change', this._onStorageChange);
+        this._storage.on('remove', this._onStorageRemove);
+        this._storage.on('evict', this._onStorageRemove);
+
+        // Index what is already stored
+        cache = this._storage.cache;
+        for (var key in cache) {
+            if (cache.hasOwnProperty(key)) {
+                this._add(cache[key]);
+            }
+        }
+    };
+
+
+    /**
+     * The fields that can be queried for a value
+     */
+    ContentIndex.FIELDS = [
+        'authorId',
+        'source',
+        'visibility',
+        'featured',
+        'parentId'
+    ];
+
+
+    /**
+     * Find the Content matching some criteria. All passed criteria must match
+     * @param [criteria] {object}
+     * @param [criteria.authorId] {string}
+     * @param [criteria.source] {string} e.g. 'twitter'.
+     *     See LivefyreContent.SOURCES
+     * @param [criteria.visibility] {string} e.g. 'EVERYONE'.
+     *     See Content.enums.visibility
+     * @param [criteria.featured] {boolean}
+     * @param [criteria.parentId] {string} '' for Content that is not a reply
+     * @param [criteria.createdAfter] {Date|number} Only Content created after
+     *     this time
+     * @param [criteria.createdBefore] {Date|number} Only Content created
+     *     before this time
+     * @return {Content[]} The matching Content, newest first
+     */
+    ContentIndex.prototype.find = function (criteria) {
+        var candidates = this._getCandidates(criteria || {}),
+            matches = [];
+        for (var i=0; i < candidates.length; i++) {
+            if (this._matches(candidates[i], criteria || {})) {
+                matches.push(candidates[i].content);
+            }
+        }
+        return matches.sort(newestFirst);
+    };
+
+
+    /**
+     * Create a live query, whose .contents are kept up to date as Content
+     * starts or stops matching the criteria
+     * @param [criteria] {object} See .find()
+     * @return {ContentIndex.Query}
+     */
+    ContentIndex.prototype.query = function (criteria) {
+        var query = new ContentIndex.Query(this, criteria || {});
+        this._queries.push(query);
+        return query;
+    };
+
+
+    /**
+     * Stop indexing the Storage, and stop all live queries
+     */
+    ContentIndex.prototype.destroy = function () {
+        this._storage.removeListener('add', this._onStorageAdd);
+        this._storage.removeListener('change', this._onStorageChange);
+        this._storage.removeListener('remove', this._onStorageRemove);
+        this._storage.removeListener('evict', this._onStorageRemove);
+        while (this._queries.length) {
+            this._queries[0].stop();
+        }
+        for (var id in this._entries) {
+            if (this._entries.hasOwnProperty(id)) {
+                this._remove(this._entries[id].content);
+            }
+        }
+    };
+
+
+    /**
+     * Get the entries that could match some criteria, using the smallest
+     * index that applies
+     * @private
+     * @param criteria {object}
+     * @return {object[]} Entries
+     */
+    ContentIndex.prototype._getCandidates = function (criteria) {
+        var smallest = null,
+            bucket,
+            field,
+            candidates = [],
+            id,
+            i;
+
+        for (i=0; i < ContentIndex.FIELDS.length; i++) {
+            field = ContentIndex.FIELDS[i];
+            if ( ! criteria.hasOwnProperty(field)) {
+                continue;
+            }
+            bucket = this._indexes[field][normalize(field, criteria[field])] ||
+                { count: 0, contents: {} };
+            if ( ! smallest || bucket.count < smallest.count) {
+                smallest = bucket;
+            }
+        }
+
+        if (smallest) {
+            for (id in smallest.contents) {
+                if (smallest.contents.hasOwnProperty(id)) {
+                    candidates.push(this._entries[id]);
+                }
+            }
+            return candidates;
+        }
+
+        if (typeof criteria.createdAfter !== 'undefined' ||
+            typeof criteria.createdBefore !== 'undefined') {
+            i = sortedIndex(this._byCreatedAt, toTime(criteria.createdAfter) || 0);
+            for (; i < this._byCreatedAt.length; i++) {
+                if (this._byCreatedAt[i].createdAt >= toTime(criteria.createdBefore)) {
+                    break;
+                }
+                candidates.push(this._byCreatedAt[i]);
+            }
+            return candidates;
+        }
+
+        for (id in this._entries) {
+            if (this._entries.hasOwnProperty(id)) {
+                candidates.push(this._entries[id]);
+            }
+        }
+        return candidates;
+    };
+
+
+    /**
+     * Whether an entry matches some criteria
+     * @private
+     * @param entry {object}
+     * @param criteria {object}
+     * @return {boolean}
+     */
+    ContentIndex.prototype._matches = function (entry, criteria) {
+        var field;
+        for (var i=0; i < ContentIndex.FIELDS.length; i++) {
+            field = ContentIndex.FIELDS[i];
+            if (criteria.hasOwnProperty(field) &&
+                entry.keys[field] !== normalize(field, criteria[field])) {
+                return false;
+            }
+        }
+        if (typeof criteria.createdAfter === 'undefined' &&
+            typeof criteria.createdBefore === 'undefined') {
+            return true;
+        }
+        if ( ! entry.createdAt) {
+            return false;
+        }
+        if (entry.createdAt <= toTime(criteria.createdAfter) ||
+            entry.createdAt >= toTime(criteria.createdBefore)) {
+            return false;
+        }
+        return true;
+    };
+
+
+    /**
+     * Index a stored value, if it is Content
+     * @private
+     * @param content {*}
+     */
+    ContentIndex.prototype._add = function (content) {
+        var self = this,
+            entry;
+        if ( ! (content instanceof Content) || ! content.id ||
+            this._entries[content.id]) {
+            return;
+        }
+        entry = this._entries[content.id] = {
+            content: content,
+            onChange: function () {
+                self._update(content);
+            }
+        };
+        content.on('change', entry.onChange);
+        this._indexEntry(entry);
+        this._notifyQueries(entry);
+    };
+
+
+    /**
+     * Stop indexing a value
+     * @private
+     * @param content {*}
+     */
+    ContentIndex.prototype._remove = function (content) {
+        var entry = content && this._entries[content.id];
+        if ( ! entry || entry.content !== content) {
+            return;
+        }
+        content.removeListener('change', entry.onChange);
+        this._unindexEntry(entry);
+        delete this._entries[content.id];
+        for (var i=0; i < this._queries.length; i++) {
+            this._queries[i]._remove(content);
+        }
+    };
+
+
+    /**
+     * Re-index Content after its properties changed
+     * @private
+     * @param content {Content}
+     */
+    ContentIndex.prototype._update = function (content) {
+        var entry = this._entries[content.id];
+        if ( ! entry) {
+            return;
+        }
+        this._unindexEntry(entry);
+        this._indexEntry(entry);
+        this._notifyQueries(entry);
+    };
+
+
+    /**
+     * Tell live queries that an entry was added or changed
+     * @private
+     * @param entry {object}
+     */
+    ContentIndex.prototype._notifyQueries = function (entry) {
+        var query;
+        for (var i=0; i < this._queries.length; i++) {
+            query = this._queries[i];
+            if (this._matches(entry, query._criteria)) {
+                query._addOrChange(entry.content);
+            } else {
+                query._remove(entry.content);
+            }
+        }
+    };
+
+
+    /**
+     * @private
+     * @param entry {object}
+     */
+    ContentIndex.prototype._indexEntry = function (entry) {
+        var content = entry.content,
+            field,
+            value,
+            bucket;
+        entry.keys = {
+            authorId: normalize('authorId', content.author && content.author.id),
+            source: normalize('source', content.source),
+            visibility: normalize('visibility', content.visibility),
+            featured: normalize('featured', typeof content.isFeatured === 'function' ?
+                content.isFeatured() : false),
+            parentId: normalize('parentId', content.parentId)
+        };
+        for (var i=0; i < ContentIndex.FIELDS.length; i++) {
+            field = ContentIndex.FIELDS[i];
+            value = entry.keys[field];
+            bucket = this._indexes[field][value] = this._indexes[field][value] ||
+                { count: 0, contents: {} };
+            bucket.contents[content.id] = content;
+            bucket.count++;
+        }
+
+        entry.createdAt = toTime(content.createdAt);
+        if (entry.createdAt) {
+            this._byCreatedAt.splice(
+                sortedIndex(this._byCreatedAt, entry.createdAt), 0, entry);
+        }
+    };
+
+
+    /**
+     * @private
+     * @param entry {object}
+     */
+    ContentIndex.prototype._unindexEntry = function (entry) {
+        var field,
+            value,
+            bucket,
+            position;
+        for (var i=0; i < ContentIndex.FIELDS.length; i++) {
+            field = ContentIndex.FIELDS[i];
+            value = entry.keys[field];
+            bucket = this._indexes[field][value];
+            if (bucket && bucket.contents.hasOwnProperty(entry.content.id)) {
+                delete bucket.contents[entry.content.id];
+                if ( ! --bucket.count) {
+                    delete this._indexes[field][value];
+                }
+            }
+        }
+
+        if (entry.createdAt) {
+            position = this._byCreatedAt.indexOf(entry);
+            if (position !== -1) {
+                this._byCreatedAt.splice(position, 1);
+            }
+        }
+    };
+
+
+    /**
+     * A live query over a ContentIndex. Get one from ContentIndex#query
+     * @param index {ContentIndex}
+     * @param criteria {object} See ContentIndex#find
+     * @fires ContentIndex.Query#add
+     * @fires ContentIndex.Query#change
+     * @fires ContentIndex.Query#remove
+     * @constructor
+     */
+    ContentIndex.Query = function (index, criteria) {
+        EventEmitter.call(this);
+        this._index = index;
+        this._criteria = criteria;
+        /**
+         * The Content currently matching the query, newest first
+         * @type {Content[]}
+         */
+        this.contents = index.find(criteria);
+    };
+
+    inherits(ContentIndex.Query, EventEmitter);
+
+
+    /**
+     * Stop updating the query
+     */
+    ContentIndex.Query.prototype.stop = function () {
+        var queries = this._index._queries,
+            position = queries.indexOf(this);
+        if (position !== -1) {
+            queries.splice(position, 1);
+        }
+    };
+
+
+    /**
+     * @private
+     * @param content {Content} Content that matches the query
+     */
+    ContentIndex.Query.prototype._addOrChange = function (content) {
+        if (this.contents.indexOf(content) !== -1) {
+            /**
+             * Content that matched the query changed, and still matches
+             * @event ContentIndex.Query#change
+             * @type {Content}
+             */
+            return this.emit('change', content);
+        }
+        this.contents.push(content);
+        this.contents.sort(newestFirst);
+        /**
+         * Content started matching the query
+         * @event ContentIndex.Query#add
+         * @type {Content}
+         */
+        this.emit('add', content);
+    };
+
+
+    /**
+     * @private
+     * @param content {Content} Content that no longer matches the query
+     */
+    ContentIndex.Query.prototype._remove = function (content) {
+        var position = this.contents.indexOf(content);
+        if (position === -1) {
+            return;
+        }
+        this.contents.splice(position, 1);
+        /**
+         * Content stopped matching the query, or is no longer stored
+         * @event ContentIndex.Query#remove
+         * @type {Content}
+         */
+        this.emit('remove', content);
+    };
+
+
+    /**
+     * Get the value a field is indexed by, so that e.g. undefined and ''
+     * parentIds are the same
+     */
+    function normalize (field, value) {
+        if (field === 'featured') {
+            return String(Boolean(value));
+        }
+        return (value === null || typeof value === 'undefined') ? '' : String(value);
+    }
+
+
+    /**
+     * Get ms since the epoch from a Date or number
+     */
+    function toTime (date) {
+        return date instanceof Date ? date.getTime() : date;
+    }
+
+
+    /**
+     * Get the position in entries, sorted oldest first, of the first entry
+     * created after time
+     */
+    function sortedIndex (entries, time) {
+        var low = 0,
+            high = entries.length,
+            mid;
+        while (low < high) {
+            mid = Math.floor((low + high) / 2);
+            if (entries[mid].createdAt <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+
+    function newestFirst (a, b) {
+        return (toTime(b.createdAt) || 0) - (toTime(a.createdAt) || 0);
+    }
+
+
+    return ContentIndex;
+});
@@ -1,8 +1,7 @@
 define([
-    'streamhub-sdk/jquery',
     'event-emitter',
     'inherits'
-], function($, EventEmitter, inherits, Enums) {
+], function(EventEmitter, inherits, Enums) {
     'use strict';
 
     /**
@@ -86,6 +85,117 @@ define([
         }
     };
     
+    /**
+     * Get a plain Object representing this Content, that can be serialized
+     * (e.g. with JSON.stringify) and restored with Content.fromJSON
+     * @return {Object}
+     */
+    Content.prototype.toJSON = function () {
+        var json = {
+            contentType: this.contentType,
+            body: this.body,
+            visibility: this.visibility,
+            attachments: [],
+            replies: []
+        };
+        if (typeof this.id !== 'undefined') {
+            json.id = this.id;
+        }
+        for (var i=0; i < this.attachments.length; i++) {
+            json.attachments.push({
+                contentType: this.attachments[i].contentType,
+                id: this.attachments[i].id,
+                oembed: this.attachments[i].toJSON()
+            });
+        }
+        for (var j=0; j < this.replies.length; j++) {
+            json.replies.push(this.replies[j].toJSON());
+        }
+        return json;
+    };
+
+    /**
+     * Set the properties of this Content from the Object its .toJSON returned.
+     * Subclasses should extend this to restore what they add to .toJSON
+     * @protected
+     * @param json {Object}
+     */
+    Content.prototype._readJSON = function (json) {
+        var attachment,
+            attachmentJson;
+        this.body = json.body;
+        this.visibility = json.visibility;
+        if (typeof json.id !== 'undefined') {
+            this.id = json.id;
+        }
+        for (var i=0; json.attachments && i < json.attachments.length; i++) {
+            attachmentJson = json.attachments[i];
+            attachment = Content._create(attachmentJson.contentType);
+            for (var key in attachmentJson.oembed) {
+                if (attachmentJson.oembed.hasOwnProperty(key)) {
+                    attachment[key] = attachmentJson.oembed[key];
+                }
+            }
+            if (typeof attachmentJson.id !== 'undefined') {
+                attachment.id = attachmentJson.id;
+            }
+            this.attachments.push(attachment);
+        }
+        for (var j=0; json.replies && j < json.replies.length; j++) {
+            this.replies.push(Content.fromJSON(json.replies[j]));
+        }
+    };
+
+    /**
+     * Content constructors by the name they are serialized with, so that
+     * Content.fromJSON can restore the right one. A type's module must have
+     * been loaded for it to be restored, else it is restored as its nearest
+     * loaded ancestor or as Content
+     */
+    Content.types = {};
+
+    /**
+     * Register a Content constructor to be restored by Content.fromJSON
+     * @param name {string} The .contentType to serialize it with
+     * @param ContentType {function} A Content constructor
+     */
+    Content.registerType = function (name, ContentType) {
+        ContentType.prototype.contentType = name;
+        Content.types[name] = ContentType;
+    };
+
+    /**
+     * Restore Content from the Object its .toJSON returned, including its
+     * attachments and replies
+     * @param json {Object|string} A Content's .toJSON, or a JSON string of it
+     * @return {Content} An instance of the Content type that was serialized
+     */
+    Content.fromJSON = function (json) {
+        var content;
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        content = Content._create(json.contentType);
+        content._readJSON(json);
+        return content;
+    };
+
+    /**
+     * Create an empty instance of a registered Content type without calling
+     * its constructor, which may need a StreamHub state
+     * @private
+     * @param contentType {string}
+     * @return {Content}
+     */
+    Content._create = function (contentType) {
+        var ContentType = Content.types[contentType] || Content,
+            content = Object.create(ContentType.prototype);
+        Content.call(content);
+        return content;
+    };
+
+    Content.registerType('Content', Content);
+
     Content.enums = {};
     /**
      * The StreamHub APIs use enumerations to define
@@ -5,13 +5,14 @@ define([
     'streamhub-sdk/content/types/oembed',
     'streamhub-sdk/content/types/livefyre-oembed',
     'streamhub-sdk/content/types/livefyre-instagram-content',
+    'streamhub-sdk/content/types/livefyre-opine',
     'streamhub-sdk/storage',
     'streamhub-sdk/debug',
     'stream/transform',
     'inherits'
 ], function (LivefyreContent, LivefyreTwitterContent, LivefyreFacebookContent,
-Oembed, LivefyreOembed, LivefyreInstagramContent, Storage, debug, Transform,
-inherits) {
+Oembed, LivefyreOembed, LivefyreInstagramContent, LivefyreOpine, Storage,
+debug, Transform, inherits) {
     'use strict';
 
 
@@ -23,11 +24,19 @@ inherits) {
      * into streamhub-sdk Content instances
      * @param authors {object} A mapping of authorIds to author information
      * @param [replies=false] {boolean} Whether to read out reply Content
+     * @param [storage] {Storage} Where to remember Content by ID, so that
+     *     later states can update it or link replies and attachments to it.
+     *     Defaults to the shared streamhub-sdk/storage
+     * @param [findContent] {function} Passed a Content ID, returns the Content
+     *     if it's still in use (e.g. displayed) after being evicted from
+     *     storage, so later states update that instance instead of a new one
      */
     var StateToContent = function (opts) {
         opts = opts || {};
         this._authors = opts.authors || {};
         this._replies = opts.replies;
+        this._storage = opts.storage || Storage;
+        this._findContent = opts.findContent || null;
         Transform.call(this, opts);
     };
 
@@ -38,7 +47,9 @@ inherits) {
         var contents;
         try {
             contents = StateToContent.transform(state, this._authors, {
-                replies: this._replies
+                replies: this._replies,
+                storage: this._storage,
+                findContent: this._findContent
             });
         } catch (err) {
             this.emit('error transforming state-to-content', err);
@@ -55,23 +66,35 @@ inherits) {
      * Creates the correct content type given the supplied "state".
      * @param state {Object} The livefyre content "state" as received by the
      *     client.
+     * @param [opts.storage] {Storage} Where to remember Content by ID.
+     *     Defaults to the shared streamhub-sdk/storage
+     * @param [opts.findContent] {function} Finds Content evicted from
+     *     opts.storage by ID. See StateToContent
      * @return {LivefyreContent[]} An Array containing a Content that represents
      *     the passed state, if it was top-level. If opts.replies, then any
      *     reply Content that was transformed will be returned
-     *     (including potentially many descendants)
+     *     (including potentially many descendants). OPINE states are never
+     *     returned, but are added to the .likes of the Content they target
      */
     StateToContent.transform = function (state, authors, opts) {
         opts = opts || {};
-        var isPublic = (typeof state.vis === 'undefined') || (state.vis === 1),
+        var storage = opts.storage || Storage,
+            isPublic = (typeof state.vis === 'undefined') || (state.vis === 1),
             isReply = state.content.parentId,
             type = StateToContent.enums.type[state.type],
             isAttachment = ('OEMBED' === type),
             isContent = ('CONTENT' === type),
+            isOpine = ('OPINE' === type),
             childStates = state.childContent || [],
             content,
             childContent = [],
             descendantContent = [];
 
+        if (isOpine) {
+            this._likeOrStore(this._createOpine(state, authors), storage, opts.findContent);
+            return;
+        }
+
         if ( ! (isAttachment || isContent)) {
             return;
         }
@@ -81,22 +104,27 @@ inherits) {
         // Store content with IDs in case we later get
         // replies or attachments targeting it
         if (content && content.id) {
-            var stored = Storage.get(content.id);
+            // Take any children awaiting this content first, so storing it
+            // can't evict them. The content will hold them from now on
+            childContent = storage.get('children_'+content.id) || [];
+            if (childContent.length) {
+                storage.remove('children_'+content.id);
+            }
+            var stored = this._getStored(content.id, storage, opts.findContent);
             if (stored) {
                 // If existing content, update properties on existing instance
                 if (isContent) {
                     // This could be a delete state, so only update
                     // properties that are actually set
-                    stored.set(StateToContent._getUpdatedProperties(content));
+                    stored.set(StateToContent._getUpdatedProperties(content, stored));
                 }
                 // Use the stored object, now that its properties have been
                 // updated
                 content = stored;
                 // Don't handle attachment updating.
             } else {
-                Storage.set(content.id, content);
+                storage.set(content.id, content);
             }
-            childContent = Storage.get('children_'+content.id) || [];
         }
 
         // Get child states (replies and attachments)
@@ -117,11 +145,11 @@ inherits) {
         // Are stored by ID
         // Attach attachments to their target, or store for later
         if (isAttachment) {
-            this._attachOrStore(content, state.content.targetId);
+            this._attachOrStore(content, state.content.targetId, storage, opts.findContent);
         }
         // Add replies to their parent, or store for later
         if (isReply) {
-            this._addReplyOrStore(content, state.content.parentId);
+            this._addReplyOrStore(content, state.content.parentId, storage, opts.findContent);
         }
 
         // Never return non-Content items or non-public items
@@ -151,6 +179,8 @@ inherits) {
                 content.addAttachment(child);
             } else if (child instanceof LivefyreContent) {
                 content.addReply(child);
+            } else if (child instanceof LivefyreOpine) {
+                content.addLike(child);
             }
         }
     };
@@ -185,6 +215,12 @@ inherits) {
     };
 
 
+    StateToContent._createOpine = function (state, authors) {
+        state.author = authors && authors[state.content.authorId];
+        return new LivefyreOpine(state);
+    };
+
+
     function isInstagramState (state) {
         var pattern = /\/\/instagram\.com/i;
         try {
@@ -201,9 +237,11 @@ inherits) {
      * @param content {Content} A new version of a piece of Content,
      *     possible generated from a delete state, so it may not have a truthy
      *     .body and .attachments
+     * @param [previous] {Content} The previous version. If its body is
+     *     different, the update marks it .edited
      * @return {Object} A dict containing updated properties and their new value
      */
-    StateToContent._getUpdatedProperties = function(content) {
+    StateToContent._getUpdatedProperties = function(content, previous) {
         var updatedProperties = {
             visibility: content.visibility
         };
@@ -212,41 +250,105 @@ inherits) {
         }
         if (content.body) {
             updatedProperties.body = content.body;
+            // Full states carry annotations, so are featured if and only
+            // if they have a featuredmessage
+            if (typeof content.featured !== 'undefined') {
+                updatedProperties.featured = content.featured;
+            }
+            if (content.updatedAt) {
+                updatedProperties.updatedAt = content.updatedAt;
+            }
+            // So edits are shown as edited
+            if (previous && previous.body && previous.body !== content.body) {
+                updatedProperties.edited = true;
+            }
         }
         return updatedProperties;
     };
 
 
-    StateToContent._attachOrStore = function (attachment, targetId) {
-        var target = Storage.get(targetId);
+    /**
+     * Get Content by ID from storage. If it was evicted, but findContent can
+     * still find it, store it again so the same instance keeps being updated
+     * @param id {string}
+     * @param storage {Storage}
+     * @param [findContent] {function}
+     * @return {Content|undefined}
+     */
+    StateToContent._getStored = function (id, storage, findContent) {
+        var content = storage.get(id);
+        if ( ! content && findContent) {
+            content = findContent(id);
+            if (content) {
+                log('found evicted content', id);
+                storage.set(id, content);
+            }
+        }
+        return content;
+    };
+
+
+    StateToContent._attachOrStore = function (attachment, targetId, storage, findContent) {
+        storage = storage || Storage;
+        var target = this._getStored(targetId, storage, findContent);
         if (target) {
             log('attaching attachment', arguments);
             target.addAttachment(attachment);
         } else {
             log('storing attachment', arguments);
-            this._storeChild(attachment, targetId);
+            this._storeChild(attachment, targetId, storage);
         }
     };
 
 
-    StateToContent._addReplyOrStore = function (reply, parentId) {
-        var parent = Storage.get(parentId);
+    StateToContent._addReplyOrStore = function (reply, parentId, storage, findContent) {
+        storage = storage || Storage;
+        var parent = this._getStored(parentId, storage, findContent);
         if (parent) {
             log('adding reply', arguments);
             parent.addReply(reply);
         } else {
             log('storing reply', arguments);
-            this._storeChild(reply, parentId);
+            this._storeChild(reply, parentId, storage);
+        }
+    };
+
+
+    StateToContent._likeOrStore = function (opine, storage, findContent) {
+        storage = storage || Storage;
+        var target = this._getStored(opine.targetId, storage, findContent),
+            childrenKey = 'children_' + opine.targetId,
+            children;
+        if (target) {
+            log('adding opine', arguments);
+            if (opine.isLike()) {
+                target.addLike(opine);
+            } else {
+                target.removeLike(opine);
+            }
+        } else if (opine.isLike()) {
+            log('storing opine', arguments);
+            this._storeChild(opine, opine.targetId, storage);
+        } else {
+            // Forget any like that was waiting for the target
+            children = storage.get(childrenKey) || [];
+            for (var i=children.length - 1; i >= 0; i--) {
+                if (children[i] instanceof LivefyreOpine &&
+                    children[i].authorId === opine.authorId) {
+                    children.splice(i, 1);
+                }
+            }
         }
     };
 
 
-    StateToContent._storeChild = function (child, parentId) {
+    StateToContent._storeChild = function (child, parentId, storage) {
+        storage = storage || Storage;
         //TODO (joao) Make this smart enough to not push duplicates
         var childrenKey = 'children_' + parentId,
-            children = Storage.get(childrenKey) || [];
+            children = storage.get(childrenKey) || [];
         children.push(child);
-        Storage.set(childrenKey, children);
+        storage.set(childrenKey, children);
     };
 
 
@@ -263,7 +365,7 @@ inherits) {
      * @enum types
      * @property {string} types.CONTENT - The good stuff. Juicy Content
      * like comments
-     * @property {string} types.OPINE - A user's opinion or something
+     * @property {string} types.OPINE - A user's opinion of Content, i.e. a like
      * @property {string} types.SHARE - TODO: I don't know yet.
      * @property {string} types.OEMBED - A new attachment
      */
@@ -1,4 +1,8 @@
-define(['streamhub-sdk/jquery', 'streamhub-sdk/content', 'inherits'], function($, Content, inherits) {
+define([
+    'streamhub-sdk/content',
+    'streamhub-sdk/content/types/livefyre-opine',
+    'inherits'],
+function(Content, LivefyreOpine, inherits) {
     'use strict';
 
     /**
@@ -8,11 +12,16 @@ define(['streamhub-sdk/jquery', 'streamhub-sdk/content', 'inherits'], function($
      *        state of the content.
      * @param json.body {!string}
      * @param json.id {!number}
+     * @fires LivefyreContent#like
+     * @fires LivefyreContent#unlike
      * @exports streamhub-sdk/content/types/livefyre-content
      * @constructor
      */
     var LivefyreContent = function(json) {
         Content.call(this);
+        this.likes = [];
+        // Whether the body was edited since the Content was first seen
+        this.edited = false;
         if ( ! json) {
             return this;
         }
@@ -70,6 +79,90 @@ define(['streamhub-sdk/jquery', 'streamhub-sdk/content', 'inherits'], function($
         }
     };
 
+    /**
+     * Add a like to the Content, unless its author already likes it
+     * @param opine {LivefyreOpine} A like of this Content
+     * @fires LivefyreContent#like
+     */
+    LivefyreContent.prototype.addLike = function (opine) {
+        if (this._indexOfLike(opine) !== -1) {
+            return;
+        }
+        this.likes.push(opine);
+        /**
+         * The Content was liked
+         * @event LivefyreContent#like
+         * @type {LivefyreOpine}
+         */
+        this.emit('like', opine);
+    };
+
+    /**
+     * Remove a like from the Content
+     * @param opine {LivefyreOpine} The like to remove, or another opine
+     *     by the same author
+     * @fires LivefyreContent#unlike
+     */
+    LivefyreContent.prototype.removeLike = function (opine) {
+        var index = this._indexOfLike(opine),
+            removed;
+        if (index === -1) {
+            return;
+        }
+        removed = this.likes.splice(index, 1)[0];
+        /**
+         * A like of the Content was removed
+         * @event LivefyreContent#unlike
+         * @type {LivefyreOpine}
+         */
+        this.emit('unlike', removed);
+    };
+
+    /**
+     * Get how many times this Content has been liked
+     * @return {number}
+     */
+    LivefyreContent.prototype.getLikeCount = function () {
+        return this.likes.length;
+    };
+
+    /**
+     * Return whether an author likes this Content
+     * @param authorId {string}
+     * @return {boolean}
+     */
+    LivefyreContent.prototype.isLikedBy = function (authorId) {
+        return Boolean(this.getLikeBy(authorId));
+    };
+
+    /**
+     * Get an author's like of this Content
+     * @param authorId {string}
+     * @return {LivefyreOpine|undefined}
+     */
+    LivefyreContent.prototype.getLikeBy = function (authorId) {
+        return this.likes[this._indexOfLike({ authorId: authorId })];
+    };
+
+    /**
+     * Find a like, or one by the same author or with the same ID
+     * @private
+     * @param opine {LivefyreOpine}
+     * @return {number} Its index in .likes, or -1
+     */
+    LivefyreContent.prototype._indexOfLike = function (opine) {
+        var like;
+        for (var i=0; i < this.likes.length; i++) {
+            like = this.likes[i];
+            if (like === opine ||
+                (opine.id && like.id === opine.id) ||
+                (opine.authorId && like.authorId === opine.authorId)) {
+                return i;
+            }
+        }
+        return -1;
+    };
+
     /**
      * Return whether this Content is featured in a StreamHub Collection
      * @return {boolean}
@@ -95,6 +188,68 @@ define(['streamhub-sdk/jquery', 'streamhub-sdk/content', 'inherits'], function($
         this.featured = anno.featuredmessage || false;
     };
     
+    /**
+     * Get a plain Object representing this Content, that can be serialized
+     * and restored with Content.fromJSON. Dates are represented as
+     * milliseconds since the epoch. The raw StreamHub state in .meta
+     * is not included
+     * @return {Object}
+     */
+    LivefyreContent.prototype.toJSON = function () {
+        var json = Content.prototype.toJSON.call(this);
+        json.source = this.source;
+        json.author = copy(this.author);
+        json.createdAt = this.createdAt ? this.createdAt.getTime() : this.createdAt;
+        json.updatedAt = this.updatedAt ? this.updatedAt.getTime() : this.updatedAt;
+        json.parentId = this.parentId;
+        json.featured = copy(this.featured);
+        json.edited = this.edited;
+        json.likes = [];
+        for (var i=0; i < this.likes.length; i++) {
+            json.likes.push(this.likes[i].toJSON());
+        }
+        return json;
+    };
+
+    /**
+     * Set the properties of this Content from the Object its .toJSON returned
+     * @protected
+     * @param json {Object}
+     */
+    LivefyreContent.prototype._readJSON = function (json) {
+        Content.prototype._readJSON.call(this, json);
+        this.source = json.source;
+        this.author = copy(json.author);
+        this.createdAt = typeof json.createdAt === 'number' ? new Date(json.createdAt) : json.createdAt;
+        this.updatedAt = typeof json.updatedAt === 'number' ? new Date(json.updatedAt) : json.updatedAt;
+        this.parentId = json.parentId;
+        this.featured = copy(json.featured) || false;
+        this.edited = Boolean(json.edited);
+        this.likes = [];
+        for (var i=0; json.likes && i < json.likes.length; i++) {
+            this.likes.push(LivefyreOpine.fromJSON(json.likes[i]));
+        }
+    };
+
+    /**
+     * Shallow copy an Object, so serialized Content doesn't share it
+     * @param obj {?Object}
+     * @return {?Object}
+     */
+    function copy (obj) {
+        var result;
+        if ( ! obj || typeof obj !== 'object') {
+            return obj;
+        }
+        result = {};
+        for (var key in obj) {
+            if (obj.hasOwnProperty(key)) {
+                result[key] = obj[key];
+            }
+        }
+        return result;
+    }
+
     /**
      * The set of sources as defined by Livefyre's Stream API
      */
@@ -121,5 +276,7 @@ define(['streamhub-sdk/jquery', 'streamhub-sdk/content', 'inherits'], function($
         "instagram"    // 19
     ];
 
+    Content.registerType('LivefyreContent', LivefyreContent);
+
     return LivefyreContent;
 });
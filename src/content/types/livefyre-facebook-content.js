@@ -1,8 +1,8 @@
 define([
-    'streamhub-sdk/jquery',
+    'streamhub-sdk/content',
     'streamhub-sdk/content/types/livefyre-content',
     'inherits'
-], function($, LivefyreContent, inherits) {
+], function(Content, LivefyreContent, inherits) {
     'use strict';
 
     /**
@@ -15,25 +15,30 @@ define([
     var LivefyreFacebookContent = function (json) {
         LivefyreContent.call(this, json);
 
-        // There may be times when Facebook content is just a string with no HTML.
-        // Sizzle may throw an error, so wrap any parsing to avoid these errors.
-        try {
-            var bodyEl = $(this.body);
-            bodyEl.find('.fyre-image, .fyre-link').remove();
-            this.body = outerHtml(bodyEl);
-        } catch(e) {
-            // Pass
+        // Images and links are shown as attachments instead.
+        // This needs a DOM to parse the body, so is skipped without one
+        if (typeof document !== 'undefined' && this.body) {
+            this.body = removeElements(this.body, '.fyre-image, .fyre-link');
         }
     };
     inherits(LivefyreFacebookContent, LivefyreContent);
+    Content.registerType('LivefyreFacebookContent', LivefyreFacebookContent);
 
     /**
-     * Get a jQuery Element as HTML
+     * Remove the elements matching a selector from some HTML
+     * @param html {string}
+     * @param selector {string}
+     * @return {string} The HTML without the elements
      */
-    function outerHtml ($el) {
-        var $tmp = $('<div></div>');
-        $tmp.append($el);
-        return $tmp.html();
+    function removeElements (html, selector) {
+        var container = document.createElement('div'),
+            els;
+        container.innerHTML = html;
+        els = container.querySelectorAll(selector);
+        for (var i=0; i < els.length; i++) {
+            els[i].parentNode.removeChild(els[i]);
+        }
+        return container.innerHTML;
     }
 
     return LivefyreFacebookContent;
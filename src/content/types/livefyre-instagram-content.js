@@ -1,6 +1,8 @@
 define([
-    'streamhub-sdk/content/types/livefyre-content', 'inherits'],
-function(LivefyreContent, inherits) {
+    'streamhub-sdk/content',
+    'streamhub-sdk/content/types/livefyre-content',
+    'inherits'],
+function(Content, LivefyreContent, inherits) {
     'use strict';
 
     /**
@@ -14,6 +16,7 @@ function(LivefyreContent, inherits) {
         LivefyreContent.call(this, json);
     };
     inherits(LivefyreInstagramContent, LivefyreContent);
+    Content.registerType('LivefyreInstagramContent', LivefyreInstagramContent);
 
     return LivefyreInstagramContent;
 });
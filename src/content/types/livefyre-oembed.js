@@ -1,9 +1,9 @@
 define([
-    'streamhub-sdk/jquery',
+    'streamhub-sdk/content',
     'streamhub-sdk/content/types/oembed',
     'streamhub-sdk/content/types/livefyre-content',
     'inherits'],
-function($, Oembed, LivefyreContent, inherits) {
+function(Content, Oembed, LivefyreContent, inherits) {
     'use strict';
 
     /**
@@ -23,7 +23,15 @@ function($, Oembed, LivefyreContent, inherits) {
         }
     };
     inherits(LivefyreOembed, Oembed);
-    $.extend(LivefyreOembed.prototype, LivefyreContent.prototype);
+    // Mix in LivefyreContent methods
+    for (var method in LivefyreContent.prototype) {
+        if (LivefyreContent.prototype.hasOwnProperty(method)) {
+            LivefyreOembed.prototype[method] = LivefyreContent.prototype[method];
+        }
+    }
+    // Attachments are serialized as oEmbed, like they're posted to StreamHub
+    LivefyreOembed.prototype.toJSON = Oembed.prototype.toJSON;
+    Content.registerType('LivefyreOembed', LivefyreOembed);
 
     return LivefyreOembed;
 });
@@ -0,0 +1,67 @@
+define(['streamhub-sdk/content'], function (Content) {
+    'use strict';
+
+    /**
+     * An opinion of a piece of Content, constructed from a StreamHub state of
+     * OPINE type. StreamHub's only opinion is a like. Opines aren't Content
+     * themselves, but are added to the .likes of the Content they target
+     * @param json {Object} A state object from StreamHub APIs
+     * @param json.content.id {string} An ID for this opine
+     * @param json.content.targetId {string} The ID of the Content it's about
+     * @param json.content.authorId {string} The ID of the author who liked it
+     * @param [json.author] {Object} Information about the author
+     * @param [json.vis] {number} 1 if the Content is liked, 0 if the like
+     *     has been removed
+     * @exports streamhub-sdk/content/types/livefyre-opine
+     * @constructor
+     */
+    var LivefyreOpine = function (json) {
+        json.content = json.content || {};
+        this.id = json.content.id;
+        this.targetId = json.content.targetId;
+        this.authorId = json.content.authorId;
+        this.author = json.author;
+        this.visibility = Content.enums.visibility[
+            typeof json.vis === 'number' ? json.vis : 1];
+    };
+
+    /**
+     * Whether this opine likes its target. If not, it represents a like
+     * that was removed
+     * @return {boolean}
+     */
+    LivefyreOpine.prototype.isLike = function () {
+        return this.visibility !== 'NONE';
+    };
+
+    /**
+     * Get a plain Object representing this opine, that can be serialized
+     * @return {Object}
+     */
+    LivefyreOpine.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            targetId: this.targetId,
+            authorId: this.authorId,
+            author: this.author
+        };
+    };
+
+    /**
+     * Create a LivefyreOpine from the Object its .toJSON returned
+     * @param json {Object}
+     * @return {LivefyreOpine}
+     */
+    LivefyreOpine.fromJSON = function (json) {
+        return new LivefyreOpine({
+            content: {
+                id: json.id,
+                targetId: json.targetId,
+                authorId: json.authorId
+            },
+            author: json.author
+        });
+    };
+
+    return LivefyreOpine;
+});
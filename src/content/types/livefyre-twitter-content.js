@@ -1,9 +1,9 @@
 define([
-    'streamhub-sdk/jquery',
+    'streamhub-sdk/content',
     'streamhub-sdk/content/types/twitter-content',
     'streamhub-sdk/content/types/livefyre-content',
     'inherits'
-], function($, TwitterContent, LivefyreContent, inherits) {
+], function(Content, TwitterContent, LivefyreContent, inherits) {
     'use strict';
 
     /**
@@ -23,6 +23,27 @@ define([
     };
     inherits(LivefyreTwitterContent, LivefyreContent);
 
+    /**
+     * Get a plain Object representing this Content, that can be serialized
+     * and restored with Content.fromJSON
+     * @return {Object}
+     */
+    LivefyreTwitterContent.prototype.toJSON = function () {
+        var json = LivefyreContent.prototype.toJSON.call(this);
+        json.tweetId = this.tweetId;
+        return json;
+    };
+
+    /**
+     * Set the properties of this Content from the Object its .toJSON returned
+     * @protected
+     * @param json {Object}
+     */
+    LivefyreTwitterContent.prototype._readJSON = function (json) {
+        LivefyreContent.prototype._readJSON.call(this, json);
+        this.tweetId = json.tweetId;
+    };
+
     /**
      * Transform a Livefyre Message ID to a Twitter tweet id
      * @param livefyreId {String} A Livefyre Message ID
@@ -53,5 +74,7 @@ define([
         return match[1];
     };
 
+    Content.registerType('LivefyreTwitterContent', LivefyreTwitterContent);
+
     return LivefyreTwitterContent;
  });
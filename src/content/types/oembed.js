@@ -1,8 +1,7 @@
 define([
-    'streamhub-sdk/jquery',
     'streamhub-sdk/content',
     'inherits'],
-function($, Content, inherits) {
+function(Content, inherits) {
     'use strict';
 
     /**
@@ -21,9 +20,14 @@ function($, Content, inherits) {
 
         json = json || {};
 
-        $.extend(this, json);
+        for (var key in json) {
+            if (json.hasOwnProperty(key)) {
+                this[key] = json[key];
+            }
+        }
 
-        if (typeof this.html !== 'undefined' && $.trim(this.html) === "") {
+        if (typeof this.html !== 'undefined' &&
+            (this.html === null || String(this.html).replace(/^\s+|\s+$/g, '') === "")) {
             this.html = null;
         }
     };
@@ -39,15 +43,18 @@ function($, Content, inherits) {
      * It will not be an instance of Oembed
      */
     Oembed.prototype.toJSON = function () {
-        var self = this,
-            oembedJson = {};
-        $.each(Oembed.properties, function (index, property) {
-            if (typeof self[property] !== 'undefined') {
-                oembedJson[property] = self[property];
+        var oembedJson = {},
+            property;
+        for (var i=0; i < Oembed.properties.length; i++) {
+            property = Oembed.properties[i];
+            if (typeof this[property] !== 'undefined') {
+                oembedJson[property] = this[property];
             }
-        });
+        }
         return oembedJson;
     };
 
+    Content.registerType('Oembed', Oembed);
+
     return Oembed;
  });
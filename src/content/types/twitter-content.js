@@ -16,5 +16,28 @@ define(['streamhub-sdk/content', 'inherits'], function(Content, inherits) {
     };
     inherits(TwitterContent, Content);
 
+    /**
+     * Get a plain Object representing this Content, that can be serialized
+     * and restored with Content.fromJSON
+     * @return {Object}
+     */
+    TwitterContent.prototype.toJSON = function () {
+        var json = Content.prototype.toJSON.call(this);
+        json.tweetId = this.tweetId;
+        return json;
+    };
+
+    /**
+     * Set the properties of this Content from the Object its .toJSON returned
+     * @protected
+     * @param json {Object}
+     */
+    TwitterContent.prototype._readJSON = function (json) {
+        Content.prototype._readJSON.call(this, json);
+        this.tweetId = json.tweetId;
+    };
+
+    Content.registerType('TwitterContent', TwitterContent);
+
     return TwitterContent;
 });
@@ -216,6 +216,29 @@ function(
         contentView.remove();
     };
 
+    /**
+     * Bring the ContentViews for some Content up to date, e.g. after
+     * updates to that Content may have been missed. Content that is no longer
+     * visible to everyone is removed, and the rest is re-rendered.
+     * Content that is not in this ContentListView is ignored
+     * @param contents {Content[]} Content that may have changed
+     */
+    ContentListView.prototype.reconcile = function (contents) {
+        var contentView;
+        contents = contents || [];
+        for (var i=0; i < contents.length; i++) {
+            contentView = this.getContentView(contents[i]);
+            if ( ! contentView) {
+                continue;
+            }
+            if (contents[i].visibility && contents[i].visibility !== 'EVERYONE') {
+                this.remove(contentView);
+            } else {
+                contentView.render();
+            }
+        }
+    };
+
     ContentListView.prototype.showMore = function (numToShow) {
         this._bound = false;
         ListView.prototype.showMore.call(this, numToShow);
@@ -3,9 +3,10 @@ define([
     'streamhub-sdk/view',
     'hgn!streamhub-sdk/content/templates/content',
     'streamhub-sdk/util',
+    'streamhub-sdk/auth',
     'inherits',
     'streamhub-sdk/debug'
-], function ($, View, ContentTemplate, util, inherits, debug) {
+], function ($, View, ContentTemplate, util, Auth, inherits, debug) {
     'use strict';
 
     var log = debug('streamhub-sdk/content/views/content-view');
@@ -42,6 +43,12 @@ define([
             this.content.on("change", function() {
                 self.render();
             });
+            this.content.on("like", function () {
+                self._handleLikeCountChange();
+            });
+            this.content.on("unlike", function () {
+                self._handleLikeCountChange();
+            });
         }
     };
     inherits(ContentView, View);
@@ -55,6 +62,11 @@ define([
     ContentView.prototype.tiledAttachmentsElSelector = '.content-attachments-tiled';
     ContentView.prototype.headerElSelector = '.content-header';
     ContentView.prototype.avatarSelector = '.content-author-avatar';
+    ContentView.prototype.authorNameElSelector = '.content-author-name';
+    ContentView.prototype.likeCountElSelector = '.content-like-count';
+    ContentView.prototype.retryElSelector = '.content-retry';
+    ContentView.prototype.pendingClass = 'content-pending';
+    ContentView.prototype.failedClass = 'content-failed';
     ContentView.prototype.attachmentFrameElSelector = '.content-attachment-frame';
     ContentView.prototype.template = ContentTemplate;
     ContentView.prototype.formatDate = util.formatDate;
@@ -86,6 +98,22 @@ define([
             $(targetEl).trigger('click');
         };
 
+        // Let the streamhub-sdk/auth delegate show the author's profile
+        events['click ' + this.avatarSelector + ', ' + this.authorNameElSelector] = function (e) {
+            if (this.content && this.content.author && Auth.viewProfile(this.content.author)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        };
+
+        // Content that failed to post can be retried
+        events['click ' + this.retryElSelector] = function (e) {
+            e.preventDefault();
+            if (typeof this.content.retry === 'function') {
+                this.content.retry();
+            }
+        };
+
         events['mouseenter ' + this.tooltipElSelector] = function (e) {
             var title = $(this).attr('title');
             var position = $(this).position();
@@ -146,7 +174,15 @@ define([
         if (this.content.createdAt) {
             context.formattedCreatedAt = this.formatDate(this.content.createdAt);
         }
+        // .updatedAt also changes when Content is featured or moderated,
+        // so only a changed body counts as an edit
+        context.isEdited = Boolean(this.content.edited);
+        if (typeof this.content.getLikeCount === 'function') {
+            context.likeCount = this.content.getLikeCount();
+        }
         this.el.innerHTML = this.template(context);
+        this.$el.toggleClass(this.pendingClass, Boolean(this.content.pending));
+        this.$el.toggleClass(this.failedClass, Boolean(this.content.failed));
 
         // If avatar fails to load, hide it
         // Error events don't bubble, so we have to bind here
@@ -209,6 +245,20 @@ define([
         }
     };
 
+    /**
+     * Update the rendered like count when the Content is liked or unliked
+     * @private
+     */
+    ContentView.prototype._handleLikeCountChange = function () {
+        var count = this.content.getLikeCount(),
+            $likeCount = this.$(this.likeCountElSelector);
+        // Render from scratch to add or remove the element when needed
+        if ( ! $likeCount.length || ! count) {
+            return this.render();
+        }
+        $likeCount.text(count);
+    };
+
     /**
      * Handle an error loading the avatar by removing the avatar element
      * @private
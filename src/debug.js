@@ -46,7 +46,7 @@ define(function(require, exports, module) {
 
             // This hackery is required for IE8
             // where `console.log` doesn't have 'apply'
-            var console = window.console;
+            var console = getConsole();
             if (console && console.log) {
                 Function.prototype.apply.call(console.log, console, arguments);
             }
@@ -155,9 +155,24 @@ define(function(require, exports, module) {
         return val;
     }
 
+    /* global console, process */
+    function getConsole() {
+        if (typeof window !== 'undefined') {
+            return window.console;
+        }
+        return typeof console !== 'undefined' ? console : null;
+    }
+
     // persist
 
-    if (window.localStorage) {
-        debug.enable(localStorage.debug);
+    if (typeof window !== 'undefined') {
+        try {
+            if (window.localStorage) {
+                debug.enable(localStorage.debug);
+            }
+        } catch (e) {}
+    } else if (typeof process !== 'undefined' && process.env.DEBUG) {
+        // Under Node, enable with the DEBUG environment variable
+        debug.enable(process.env.DEBUG);
     }
 });
\ No newline at end of file
@@ -0,0 +1,150 @@
+define(['inherits'], function (inherits) {
+    'use strict';
+
+    /**
+     * Error types passed to callbacks and emitted by StreamHub clients and
+     * streams, so that apps can branch on what went wrong
+     * @exports streamhub-sdk/errors
+     */
+    var errors = {};
+
+
+    /**
+     * A StreamHub web service could not be reached, e.g. because the
+     * network is down. Retrying later may work
+     * @param message {string}
+     */
+    var NetworkError = function (message) {
+        Error.apply(this, arguments);
+        this.message = message;
+    };
+    inherits(NetworkError, Error);
+    NetworkError.prototype.name = "NetworkError";
+
+
+    /**
+     * A request to a StreamHub web service took too long
+     * @param message {string}
+     */
+    var TimeoutError = function (message) {
+        NetworkError.apply(this, arguments);
+    };
+    inherits(TimeoutError, NetworkError);
+    TimeoutError.prototype.name = "TimeoutError";
+
+
+    /**
+     * A StreamHub web service responded with an error. Semantics like HTTP 5xx
+     * @param message {string}
+     * @param [status] {number} The HTTP status code of the response
+     */
+    var ServiceError = function (message, status) {
+        Error.apply(this, arguments);
+        this.message = message;
+        this.status = status;
+    };
+    inherits(ServiceError, Error);
+    ServiceError.prototype.name = "ServiceError";
+
+
+    /**
+     * The requested resource, e.g. a Collection, does not exist.
+     * Semantics like HTTP 404
+     * @param message {string}
+     */
+    var NotFoundError = function (message) {
+        ServiceError.call(this, message, 404);
+    };
+    inherits(NotFoundError, ServiceError);
+    NotFoundError.prototype.name = "NotFoundError";
+
+
+    /**
+     * The user's token doesn't allow the operation, e.g. because they aren't
+     * a moderator. Semantics like HTTP 403
+     * @param message {string}
+     */
+    var ForbiddenError = function (message) {
+        ServiceError.call(this, message, 403);
+    };
+    inherits(ForbiddenError, ServiceError);
+    ForbiddenError.prototype.name = "ForbiddenError";
+
+
+    /**
+     * An operation was passed invalid or missing input, so it was not
+     * attempted. Semantics like HTTP 400
+     * @param message {string}
+     */
+    var ValidationError = function (message) {
+        Error.apply(this, arguments);
+        this.message = message;
+    };
+    inherits(ValidationError, Error);
+    ValidationError.prototype.name = "ValidationError";
+
+
+    /**
+     * Create the appropriate error for a failed jQuery XHR.
+     * Aborted requests result in the string 'abort', since they are not
+     * really errors
+     * @param jqXhr {jqXHR} The failed request
+     * @param [textStatus] {string} The textStatus jQuery passed to .fail
+     * @param [errorThrown] {string} The errorThrown jQuery passed to .fail,
+     *     usually the HTTP status text
+     * @return {Error|string}
+     */
+    errors.fromXhr = function (jqXhr, textStatus, errorThrown) {
+        var status = jqXhr && jqXhr.status,
+            message = errorThrown || textStatus || 'StreamHub request failed',
+            response = jqXhr && jqXhr.responseText,
+            json;
+
+        if (textStatus === 'abort') {
+            return 'abort';
+        }
+        if (textStatus === 'timeout') {
+            return new TimeoutError('StreamHub request timed out');
+        }
+        if ( ! status) {
+            return new NetworkError(message);
+        }
+        // StreamHub error responses usually explain themselves in .msg
+        try {
+            json = JSON.parse(response);
+            message = (json && json.msg) || message;
+        } catch (err) {}
+
+        return errors.fromStatus(status, message);
+    };
+
+
+    /**
+     * Create the appropriate error for an HTTP status code, or for the code
+     * of a StreamHub response with status 'error'
+     * @param status {number}
+     * @param message {string}
+     * @return {Error}
+     */
+    errors.fromStatus = function (status, message) {
+        if (status === 404) {
+            return new NotFoundError(message);
+        }
+        if (status === 403) {
+            return new ForbiddenError(message);
+        }
+        if (status === 400) {
+            return new ValidationError(message);
+        }
+        return new ServiceError(message, status);
+    };
+
+
+    errors.NetworkError = NetworkError;
+    errors.TimeoutError = TimeoutError;
+    errors.ServiceError = ServiceError;
+    errors.NotFoundError = NotFoundError;
+    errors.ForbiddenError = ForbiddenError;
+    errors.ValidationError = ValidationError;
+    return errors;
+});
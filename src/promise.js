@@ -0,0 +1,80 @@
+define([], function () {
+    'use strict';
+    /* global Promise */
+
+    /**
+     * Helpers for the promise-returning variants of StreamHub client methods,
+     * e.g. LivefyreBootstrapClient#getContentAsync.
+     * The global Promise is used by default. Browsers without it need a
+     * Promises/A+ implementation passed to .setImplementation
+     * @exports streamhub-sdk/promise
+     */
+    var promise = {};
+
+    var Implementation = null;
+
+    /**
+     * Set the Promise constructor used by the SDK
+     * @param PromiseConstructor {function} A constructor like the ES6
+     *     Promise, which is passed a function(resolve, reject)
+     */
+    promise.setImplementation = function (PromiseConstructor) {
+        Implementation = PromiseConstructor;
+    };
+
+    /**
+     * Get the Promise constructor used by the SDK
+     * @return {function}
+     * @throws {Error} If none was set and there is no global Promise
+     */
+    promise.getImplementation = function () {
+        // window.Promise in browsers, and the global Promise in Node
+        var PromiseConstructor = Implementation ||
+            (typeof Promise !== 'undefined' && Promise);
+        if ( ! PromiseConstructor) {
+            throw new Error('No Promise implementation. Pass one to ' +
+                'streamhub-sdk/promise.setImplementation');
+        }
+        return PromiseConstructor;
+    };
+
+    /**
+     * Call a function that takes a node-style (err, data) callback as its
+     * last argument, and get a Promise of the result instead
+     * @param fn {function}
+     * @param [thisArg] {object} What fn will be called on
+     * @param [args] {Array} Arguments to pass before the callback
+     * @return {Promise} Resolved with data, or rejected with err
+     */
+    promise.fromCallback = function (fn, thisArg, args) {
+        var PromiseConstructor = promise.getImplementation();
+        args = args ? Array.prototype.slice.call(args) : [];
+        return new PromiseConstructor(function (resolve, reject) {
+            args.push(function (err, data) {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(data);
+            });
+            fn.apply(thisArg, args);
+        });
+    };
+
+    /**
+     * Make a method that returns a Promise from another method of the same
+     * object that takes a callback. The callback method is looked up by name
+     * each call, so overrides of it are used
+     * @example
+     *     Client.prototype.getContentAsync = promise.method('getContent');
+     * @param methodName {string} Name of the callback-taking method
+     * @return {function} A method taking the same arguments, minus the
+     *     callback, and returning a Promise
+     */
+    promise.method = function (methodName) {
+        return function () {
+            return promise.fromCallback(this[methodName], this, arguments);
+        };
+    };
+
+    return promise;
+});
@@ -0,0 +1,56 @@
+define([], function () {
+    'use strict';
+
+    /**
+     * Global configuration of where StreamHub web services are, so the SDK
+     * can be pointed at a local stand-in for StreamHub in development and CI.
+     * Services that aren't configured are requested at their usual
+     * {serviceName}.{network} hosts.
+     * @example
+     *     serviceUrls.set({
+     *         bootstrap: 'http://localhost:8080/bootstrap',
+     *         stream1: 'http://localhost:8080/stream'
+     *     });
+     * @exports streamhub-sdk/service-urls
+     */
+    var serviceUrls = {};
+
+    var baseUrls = {};
+
+    /**
+     * Set the base URLs of services
+     * @param urls {object} Maps service names like 'bootstrap', 'stream1',
+     *     'quill' and 'admin' to base URLs like 'http://localhost:8080'.
+     *     A null base URL means requesting the service at its usual host again
+     */
+    serviceUrls.set = function (urls) {
+        for (var serviceName in urls) {
+            if (urls.hasOwnProperty(serviceName)) {
+                if (urls[serviceName]) {
+                    baseUrls[serviceName] = urls[serviceName].replace(/\/+$/, '');
+                } else {
+                    delete baseUrls[serviceName];
+                }
+            }
+        }
+    };
+
+    /**
+     * Get the configured base URL of a service
+     * @param serviceName {string}
+     * @return {string|undefined} The base URL without a trailing slash, or
+     *     undefined if none was set
+     */
+    serviceUrls.get = function (serviceName) {
+        return baseUrls[serviceName];
+    };
+
+    /**
+     * Forget all configured base URLs
+     */
+    serviceUrls.reset = function () {
+        baseUrls = {};
+    };
+
+    return serviceUrls;
+});
@@ -1,53 +1,215 @@
-define(['streamhub-sdk/jquery', 'event-emitter'], function($, EventEmitter) {
+define([
+    'event-emitter',
+    'inherits',
+    'streamhub-sdk/debug'],
+function(EventEmitter, inherits, debug) {
     'use strict';
-    
+
+
+    var log = debug('streamhub-sdk/storage');
+
+    var PENDING_CHILDREN_PREFIX = 'children_';
+
 	/**
 	 * A module to use for storing Content objects.
+	 * The module itself is a Storage with no size limit, which is shared by
+	 * anything that isn't given a Storage of its own. Construct a new one
+	 * to keep Content from different Collections apart, or to bound memory.
+	 * @param [opts] {object}
+	 * @param [opts.maxSize] {number} The most keys to hold. Once there are
+	 *     more, the least recently used key is evicted. Unlimited by default.
+	 *     'children_' keys, which hold replies, likes and attachments waiting
+	 *     for their parent (see streamhub-sdk/content/state-to-content), are
+	 *     never evicted and don't count toward it
+	 * @param [opts.backend] {object} Where to persist values set in async
+	 *     mode, so they can be read in async mode after a page reload.
+	 *     It must have .get(key, callback), .set(key, value, callback) and
+	 *     .remove(key, callback) methods that pass callback (err, value).
+	 *     See streamhub-sdk/storage/local-storage-backend and
+	 *     streamhub-sdk/storage/indexeddb-backend
+	 * @fires Storage#evict
+	 * @fires Storage#remove
 	 * @exports streamhub-sdk/storage
 	 */
-    var Storage = {
-        cache: {}
+    var Storage = function (opts) {
+        opts = opts || {};
+        this.cache = {};
+        this._maxSize = opts.maxSize || Infinity;
+        this._backend = opts.backend || null;
+        // Keys from least to most recently used. Only kept when bounded
+        this._keys = [];
+        EventEmitter.call(this);
     };
-    EventEmitter.call(Storage);
-    $.extend(Storage, EventEmitter.prototype);
-    
+    inherits(Storage, EventEmitter);
+
     /**
      * Gets an object from storage, using sync or async
      * @param key {String} the key lookup
-     * @param callback {?function} optional callback to fire in async mode
+     * @param callback {?function} optional callback to fire in async mode.
+     *     If the key is not in memory, it will be read from the backend
      * @returns the value at the specified key position
      */
-    Storage.get = function(key, callback) {
+    Storage.prototype.get = function(key, callback) {
         var result = this.cache[key];
-        if (callback) {
-            callback(result);
-        } else {
+        if (typeof result !== 'undefined') {
+            this._touch(key);
+        }
+        if ( ! callback) {
             return result;
         }
+        if (typeof result !== 'undefined' || ! this._backend) {
+            return callback(result);
+        }
+        this._backend.get(key, function (err, value) {
+            if (err) {
+                log('Error reading ' + key + ' from backend', err);
+            }
+            callback(err ? undefined : value);
+        });
     };
 
     /**
      * Sets an object to a key in storage, using sync or async
      * @param key {String} the key to store this under
      * @param value {Object} the value to store
-     * @param callback {?function} optional callback to fire in async mode when complete
+     * @param callback {?function} optional callback to fire in async mode when
+     *     complete. value will also be written to the backend, so it must
+     *     be serializable
      */
-    Storage.set = function(key, value, callback) {
+    Storage.prototype.set = function(key, value, callback) {
         var obj = this.cache[key];
         this.cache[key] = value;
-        
+        this._touch(key);
+
         if (obj) {
             this.emit('change', obj, value);
         } else {
             this.emit('add', value);
         }
-        
-        if (callback) {
-            callback(value);
-        } else {
+
+        this._evict();
+
+        if ( ! callback) {
             return value;
         }
+        if ( ! this._backend) {
+            return callback(value);
+        }
+        this._backend.set(key, value, function (err) {
+            if (err) {
+                log('Error writing ' + key + ' to backend', err);
+            }
+            callback(value);
+        });
+    };
+
+    /**
+     * Remove the object stored at a key, using sync or async
+     * @param key {String} The key to remove
+     * @param callback {?function} optional callback to fire in async mode
+     *     when complete. The key will also be removed from the backend
+     * @fires Storage#remove
+     */
+    Storage.prototype.remove = function (key, callback) {
+        var index = this._keys.indexOf(key),
+            value = this.cache[key];
+        if (index !== -1) {
+            this._keys.splice(index, 1);
+        }
+        delete this.cache[key];
+
+        if (typeof value !== 'undefined') {
+            /**
+             * A key was removed
+             * @event Storage#remove
+             * @type {String} key
+             * @type {Object} value
+             */
+            this.emit('remove', key, value);
+        }
+
+        if ( ! callback) {
+            return;
+        }
+        if ( ! this._backend) {
+            return callback();
+        }
+        this._backend.remove(key, function (err) {
+            if (err) {
+                log('Error removing ' + key + ' from backend', err);
+            }
+            callback();
+        });
+    };
+
+    /**
+     * Get the backend values are persisted to
+     * @returns {object|null} opts.backend, or null if there is none
+     */
+    Storage.prototype.getBackend = function () {
+        return this._backend;
+    };
+
+    /**
+     * Mark a key as the most recently used
+     * @private
+     * @param key {String}
+     */
+    Storage.prototype._touch = function (key) {
+        if (this._maxSize === Infinity || isPendingChildrenKey(key)) {
+            return;
+        }
+        var index = this._keys.indexOf(key);
+        if (index !== -1) {
+            this._keys.splice(index, 1);
+        }
+        this._keys.push(key);
+    };
+
+    /**
+     * Evict the least recently used keys until there are at most maxSize
+     * @private
+     */
+    Storage.prototype._evict = function () {
+        var key,
+            value;
+        while (this._keys.length > this._maxSize) {
+            key = this._keys.shift();
+            value = this.cache[key];
+            delete this.cache[key];
+            /**
+             * A key was evicted to stay within maxSize
+             * @event Storage#evict
+             * @type {String} key
+             * @type {Object} value
+             */
+            this.emit('evict', key, value);
+        }
     };
 
+    // Make the module the default Storage
+    Storage.call(Storage);
+    copyMethods(EventEmitter.prototype, Storage);
+    copyMethods(Storage.prototype, Storage);
+
+    /**
+     * Whether a key holds children waiting for their parent, which would be
+     * lost without any error if evicted
+     * @private
+     * @param key {String}
+     * @returns {boolean}
+     */
+    function isPendingChildrenKey (key) {
+        return String(key).indexOf(PENDING_CHILDREN_PREFIX) === 0;
+    }
+
+    function copyMethods (from, to) {
+        for (var method in from) {
+            if (from.hasOwnProperty(method) && method !== 'constructor') {
+                to[method] = from[method];
+            }
+        }
+    }
+
     return Storage;
 });
@@ -0,0 +1,185 @@
+define(['streamhub-sdk/debug'], function (debug) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/storage/indexeddb-backend');
+
+
+    /**
+     * A streamhub-sdk/storage backend that persists values to IndexedDB
+     * as JSON. It has more room than localStorage, so suits caching more
+     * Content. The database is opened on first use. In browsers without
+     * IndexedDB, nothing is stored.
+     * @param [opts] {object}
+     * @param [opts.indexedDB=window.indexedDB] {IDBFactory}
+     * @param [opts.name='streamhub-sdk'] {string} The name of the database
+     * @exports streamhub-sdk/storage/indexeddb-backend
+     * @constructor
+     */
+    var IndexedDBBackend = function (opts) {
+        opts = opts || {};
+        this._indexedDB = opts.indexedDB || getIndexedDB();
+        this._name = opts.name || 'streamhub-sdk';
+        this._db = null;
+        this._openCallbacks = null;
+    };
+
+
+    /**
+     * The object store values are kept in
+     */
+    IndexedDBBackend.STORE_NAME = 'storage';
+
+
+    /**
+     * Read a value
+     * @param key {string}
+     * @param callback {function} Passed (err, value). value is undefined if
+     *     nothing was stored at key
+     */
+    IndexedDBBackend.prototype.get = function (key, callback) {
+        this._request('readonly', function (store) {
+            return store.get(key);
+        }, function (err, json) {
+            var value;
+            if (err) {
+                return callback(err);
+            }
+            try {
+                value = typeof json === 'string' ? JSON.parse(json) : undefined;
+            } catch (parseErr) {
+                return callback(parseErr);
+            }
+            callback(null, value);
+        });
+    };
+
+
+    /**
+     * Write a value
+     * @param key {string}
+     * @param value {*} A value that can be serialized as JSON
+     * @param callback {function} Passed (err)
+     */
+    IndexedDBBackend.prototype.set = function (key, value, callback) {
+        var json;
+        try {
+            json = JSON.stringify(value);
+        } catch (err) {
+            return callback(err);
+        }
+        this._request('readwrite', function (store) {
+            return store.put(json, key);
+        }, function (err) {
+            callback(err || null);
+        });
+    };
+
+
+    /**
+     * Remove a value
+     * @param key {string}
+     * @param callback {function} Passed (err)
+     */
+    IndexedDBBackend.prototype.remove = function (key, callback) {
+        this._request('readwrite', function (store) {
+            return store['delete'](key);
+        }, function (err) {
+            callback(err || null);
+        });
+    };
+
+
+    /**
+     * Make a request against the object store in a new transaction
+     * @private
+     * @param mode {string} 'readonly' or 'readwrite'
+     * @param makeRequest {function} Passed the IDBObjectStore, and should
+     *     return an IDBRequest
+     * @param callback {function} Passed (err, request.result)
+     */
+    IndexedDBBackend.prototype._request = function (mode, makeRequest, callback) {
+        this._open(function (err, db) {
+            var request;
+            if (err) {
+                return callback(err);
+            }
+            if ( ! db) {
+                return callback(null, undefined);
+            }
+            try {
+                request = makeRequest(db.transaction(IndexedDBBackend.STORE_NAME, mode)
+                    .objectStore(IndexedDBBackend.STORE_NAME));
+            } catch (requestErr) {
+                return callback(requestErr);
+            }
+            request.onsuccess = function () {
+                callback(null, request.result);
+            };
+            request.onerror = function () {
+                log('Error in ' + mode + ' request', request.error);
+                callback(request.error);
+            };
+        });
+    };
+
+
+    /**
+     * Open the database, creating the object store if needed
+     * @private
+     * @param callback {function} Passed (err, db). db is null if IndexedDB
+     *     is not available
+     */
+    IndexedDBBackend.prototype._open = function (callback) {
+        var self = this,
+            request;
+        if (this._db || ! this._indexedDB) {
+            return callback(null, this._db);
+        }
+        if (this._openCallbacks) {
+            return this._openCallbacks.push(callback);
+        }
+        this._openCallbacks = [callback];
+
+        function done (err, db) {
+            var callbacks = self._openCallbacks;
+            self._openCallbacks = null;
+            self._db = db || null;
+            for (var i=0; i < callbacks.length; i++) {
+                callbacks[i](err, self._db);
+            }
+        }
+
+        try {
+            request = this._indexedDB.open(this._name, 1);
+        } catch (err) {
+            return done(err);
+        }
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(IndexedDBBackend.STORE_NAME);
+        };
+        request.onsuccess = function () {
+            done(null, request.result);
+        };
+        request.onerror = function () {
+            log('Error opening database', request.error);
+            done(request.error);
+        };
+    };
+
+
+    /**
+     * Get window.indexedDB if it can be used. Accessing it can throw in
+     * some private browsing modes
+     */
+    function getIndexedDB () {
+        try {
+            return window.indexedDB || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+
+    return IndexedDBBackend;
+});
@@ -0,0 +1,104 @@
+define(['streamhub-sdk/debug'], function (debug) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/storage/local-storage-backend');
+
+
+    /**
+     * A streamhub-sdk/storage backend that persists values to Web Storage
+     * as JSON, so they survive page reloads. Values must be serializable.
+     * Reading and writing never throw: errors (e.g. quota exceeded) are
+     * passed to callbacks instead.
+     * @param [opts] {object}
+     * @param [opts.storage=window.localStorage] {Storage} A Web Storage
+     *     object to persist to
+     * @param [opts.prefix='streamhub-sdk/storage/'] {string} Prefix for the
+     *     keys written to opts.storage
+     * @exports streamhub-sdk/storage/local-storage-backend
+     * @constructor
+     */
+    var LocalStorageBackend = function (opts) {
+        opts = opts || {};
+        this._storage = opts.storage || getLocalStorage();
+        this._prefix = opts.prefix || 'streamhub-sdk/storage/';
+    };
+
+
+    /**
+     * Read a value
+     * @param key {string}
+     * @param callback {function} Passed (err, value). value is undefined if
+     *     nothing was stored at key
+     */
+    LocalStorageBackend.prototype.get = function (key, callback) {
+        var json,
+            value;
+        if ( ! this._storage) {
+            return callback(null, undefined);
+        }
+        try {
+            json = this._storage.getItem(this._prefix + key);
+            value = json === null ? undefined : JSON.parse(json);
+        } catch (err) {
+            log('Error reading ' + key, err);
+            return callback(err);
+        }
+        callback(null, value);
+    };
+
+
+    /**
+     * Write a value
+     * @param key {string}
+     * @param value {*} A value that can be serialized as JSON
+     * @param callback {function} Passed (err)
+     */
+    LocalStorageBackend.prototype.set = function (key, value, callback) {
+        if ( ! this._storage) {
+            return callback(null);
+        }
+        try {
+            this._storage.setItem(this._prefix + key, JSON.stringify(value));
+        } catch (err) {
+            // e.g. quota exceeded, or Safari private browsing
+            log('Error writing ' + key, err);
+            return callback(err);
+        }
+        callback(null);
+    };
+
+
+    /**
+     * Remove a value
+     * @param key {string}
+     * @param callback {function} Passed (err)
+     */
+    LocalStorageBackend.prototype.remove = function (key, callback) {
+        if ( ! this._storage) {
+            return callback(null);
+        }
+        try {
+            this._storage.removeItem(this._prefix + key);
+        } catch (err) {
+            return callback(err);
+        }
+        callback(null);
+    };
+
+
+    /**
+     * Get window.localStorage if it can be used. Accessing it can throw when
+     * cookies are disabled
+     */
+    function getLocalStorage () {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+
+    return LocalStorageBackend;
+});
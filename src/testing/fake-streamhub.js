@@ -0,0 +1,1023 @@
+define([
+    'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/debug',
+    'base64'],
+function (LivefyreHttpClient, errors, debug) {
+    'use strict';
+
+
+    var log = debug('streamhub-sdk/testing/fake-streamhub');
+
+
+    // Content and event IDs are unique across every FakeStreamHub, since
+    // Content may be remembered by ID in a Storage shared across Collections
+    var lastContentId = 0;
+    var lastEventId = 0;
+
+
+    /**
+     * An in-memory stand-in for StreamHub's web services. Once installed,
+     * the real Bootstrap, Stream, Write and Create clients are answered by it
+     * instead of the network, so Collections can be tested end-to-end.
+     * Test scripts change what is in its Collections over time with
+     * .addContent, .editContent, .deleteContent, .featureContent and
+     * .likeContent, and
+     * anyone streaming the Collection will be sent the changes. Users added
+     * with .addUser can post, edit and like and, if moderators, moderate.
+     * Their profiles and permissions can be fetched with streamhub-sdk/auth.
+     * @example
+     *     var streamhub = new FakeStreamHub();
+     *     streamhub.install();
+     *     streamhub.createCollection({ siteId: '1', articleId: 'test' });
+     *     var collection = new Collection({
+     *         network: streamhub.network, siteId: '1', articleId: 'test' });
+     *     collection.pipe(listView);
+     *     streamhub.addContent(collection.id, { body: 'Hello' });
+     * @param [opts] {object}
+     * @param [opts.network='fake.fyre.co'] {string} Network of the Collections
+     * @param [opts.pageSize=50] {number} How many top-level Contents are in
+     *     each Bootstrap page
+     * @param [opts.longPollTimeout=30000] {number} Milliseconds to hold Stream
+     *     requests open waiting for new events before responding with a
+     *     timeout
+     * @param [opts.latency=0] {number} Milliseconds to wait before responding
+     *     to each request
+     * @exports streamhub-sdk/testing/fake-streamhub
+     * @constructor
+     */
+    var FakeStreamHub = function (opts) {
+        opts = opts || {};
+        this.network = opts.network || 'fake.fyre.co';
+        this._pageSize = opts.pageSize || 50;
+        this._longPollTimeout = typeof opts.longPollTimeout === 'number' ?
+            opts.longPollTimeout : 30000;
+        this._latency = opts.latency || 0;
+        this._collections = {};
+        this._users = {};
+        this._moderators = {};
+        this._polls = [];
+        this._originalSend = null;
+    };
+
+
+    /**
+     * Answer requests made by every LivefyreHttpClient with this
+     * FakeStreamHub until .uninstall() is called
+     */
+    FakeStreamHub.prototype.install = function () {
+        var self = this;
+        if (this._originalSend) {
+            return;
+        }
+        this._originalSend = LivefyreHttpClient.prototype._send;
+        LivefyreHttpClient.prototype._send = function (request, callback) {
+            return self.handleRequest(request, callback);
+        };
+    };
+
+
+    /**
+     * Make LivefyreHttpClients use the network again, and cancel any
+     * Stream requests being held open
+     */
+    FakeStreamHub.prototype.uninstall = function () {
+        if ( ! this._originalSend) {
+            return;
+        }
+        LivefyreHttpClient.prototype._send = this._originalSend;
+        this._originalSend = null;
+        while (this._polls.length) {
+            clearTimeout(this._polls.pop().timeout);
+        }
+    };
+
+
+    /**
+     * Answer requests made by only one client with this FakeStreamHub
+     * @param client {LivefyreHttpClient} e.g. a LivefyreBootstrapClient
+     * @return {LivefyreHttpClient} The client
+     */
+    FakeStreamHub.prototype.attach = function (client) {
+        var self = this;
+        client._send = function (request, callback) {
+            return self.handleRequest(request, callback);
+        };
+        return client;
+    };
+
+
+    /**
+     * Create a Collection
+     * @param opts {object}
+     * @param opts.siteId {string}
+     * @param opts.articleId {string}
+     * @param [opts.title] {string}
+     * @param [opts.url] {string}
+     * @param [opts.tags] {Array.<string>}
+     * @return {string} The ID of the new Collection
+     */
+    FakeStreamHub.prototype.createCollection = function (opts) {
+        var key = collectionKey(opts.siteId, opts.articleId),
+            existing = this._collections[key],
+            id;
+        if (existing) {
+            return existing.id;
+        }
+        id = String(++lastContentId);
+        this._collections[key] = {
+            id: id,
+            siteId: String(opts.siteId),
+            articleId: String(opts.articleId),
+            title: opts.title || '',
+            url: opts.url || '',
+            tags: opts.tags || [],
+            followers: 0,
+            states: {},
+            order: [],
+            authors: {},
+            latestEvent: ++lastEventId
+        };
+        log('created collection', id);
+        return id;
+    };
+
+
+    /**
+     * Register a user who can write to Collections with a token
+     * @param token {string} The lftoken the user will write with
+     * @param author {object} The author object for the user's Content, with
+     *     at least .id and .displayName
+     * @param [opts] {object}
+     * @param [opts.moderator=false] {boolean} Whether the user can moderate.
+     *     Other users' moderation requests are answered with a 403
+     */
+    FakeStreamHub.prototype.addUser = function (token, author, opts) {
+        this._users[token] = author;
+        this._moderators[token] = Boolean(opts && opts.moderator);
+    };
+
+
+    /**
+     * Add Content to a Collection
+     * @param collectionId {string}
+     * @param content {object}
+     * @param content.body {string} HTML body
+     * @param [content.id] {string} Defaults to a new unique ID
+     * @param [content.author] {object} Author object, with at least .id.
+     *     Defaults to a system author
+     * @param [content.parentId] {string} ID of the Content this replies to
+     * @param [content.attachments] {Array.<object>} oEmbed objects
+     * @param [content.source=5] {number} StreamHub source, e.g. 1 for Twitter
+     * @return {string} The ID of the added Content
+     */
+    FakeStreamHub.prototype.addContent = function (collectionId, content) {
+        var collection = this._getCollectionById(collectionId),
+            author = content.author || {
+                id: 'system@' + this.network,
+                displayName: 'system'
+            },
+            now = seconds(),
+            id = content.id || String(++lastContentId),
+            parent = content.parentId && collection.states[content.parentId],
+            attachments = content.attachments || [];
+
+        collection.authors[author.id] = author;
+        this._setState(collection, {
+            vis: 1,
+            type: 0,
+            source: typeof content.source === 'number' ? content.source : 5,
+            content: {
+                id: id,
+                parentId: content.parentId || '',
+                ancestorId: parent ? (parent.content.ancestorId || parent.content.id) : undefined,
+                bodyHtml: content.body || '',
+                authorId: author.id,
+                annotations: {},
+                createdAt: now,
+                updatedAt: now
+            }
+        });
+
+        for (var i=0; i < attachments.length; i++) {
+            this._setState(collection, {
+                vis: 1,
+                type: 3,
+                source: 5,
+                content: {
+                    id: 'oem-' + i + '-' + id,
+                    targetId: id,
+                    authorId: '-',
+                    position: i,
+                    oembed: attachments[i]
+                }
+            });
+        }
+
+        this._notify(collection);
+        return id;
+    };
+
+
+    /**
+     * Change the body of Content in a Collection
+     * @param collectionId {string}
+     * @param contentId {string}
+     * @param body {string} The new HTML body
+     */
+    FakeStreamHub.prototype.editContent = function (collectionId, contentId, body) {
+        var collection = this._getCollectionById(collectionId),
+            state = this._getState(collection, contentId);
+        state.content.bodyHtml = body;
+        state.content.updatedAt = seconds();
+        this._setState(collection, state);
+        this._notify(collection);
+    };
+
+
+    /**
+     * Remove Content from a Collection. It will be streamed with vis 0
+     * @param collectionId {string}
+     * @param contentId {string}
+     */
+    FakeStreamHub.prototype.deleteContent = function (collectionId, contentId) {
+        var collection = this._getCollectionById(collectionId),
+            state = this._getState(collection, contentId);
+        state.lastVis = state.vis;
+        state.vis = 0;
+        this._setState(collection, state);
+        this._notify(collection);
+    };
+
+
+    /**
+     * Feature Content in a Collection, or stop featuring it
+     * @param collectionId {string}
+     * @param contentId {string}
+     * @param [isFeatured=true] {boolean}
+     */
+    FakeStreamHub.prototype.featureContent = function (collectionId, contentId, isFeatured) {
+        var collection = this._getCollectionById(collectionId),
+            state = this._getState(collection, contentId);
+        if (isFeatured === false) {
+            delete state.content.annotations.featuredmessage;
+        } else {
+            state.content.annotations.featuredmessage = {
+                rel_collectionId: collection.id,
+                value: seconds()
+            };
+        }
+        this._setState(collection, state);
+        this._notify(collection);
+    };
+
+
+    /**
+     * Like Content in a Collection as an author, or remove their like
+     * @param collectionId {string}
+     * @param contentId {string}
+     * @param author {object} Author object, with at least .id
+     * @param [isLiked=true] {boolean}
+     */
+    FakeStreamHub.prototype.likeContent = function (collectionId, contentId, author, isLiked) {
+        var collection = this._getCollectionById(collectionId);
+        this._getState(collection, contentId);
+        this._setOpine(collection, contentId, author, isLiked !== false);
+    };
+
+
+    /**
+     * Get the current state of Content in a Collection, as it would be
+     * streamed
+     * @param collectionId {string}
+     * @param contentId {string}
+     * @return {object|undefined}
+     */
+    FakeStreamHub.prototype.getState = function (collectionId, contentId) {
+        var state = this._getCollectionById(collectionId).states[contentId];
+        return state && copy(state);
+    };
+
+
+    /**
+     * Respond to a request a LivefyreHttpClient would have sent over the
+     * network
+     * @param request {object} See LivefyreHttpClient#_request
+     * @param callback {function} Passed (err, data) like LivefyreHttpClient#_send
+     * @return {{abort: function}} An object representing the request
+     */
+    FakeStreamHub.prototype.handleRequest = function (request, callback) {
+        var self = this,
+            isDone = false,
+            latencyTimeout,
+            poll;
+
+        function respond (err, data) {
+            if (isDone) {
+                return;
+            }
+            isDone = true;
+            callback(err, data);
+        }
+
+        latencyTimeout = setTimeout(function () {
+            latencyTimeout = null;
+            try {
+                poll = self._route(request, respond);
+            } catch (err) {
+                respond(err);
+            }
+        }, this._latency);
+
+        return {
+            abort: function () {
+                clearTimeout(latencyTimeout);
+                if (poll) {
+                    self._removePoll(poll);
+                }
+                respond('abort');
+            }
+        };
+    };
+
+
+    /**
+     * Call the handler for a request's URL
+     * @private
+     * @return {object|undefined} The poll, if this was a Stream request
+     *     being held open
+     */
+    FakeStreamHub.prototype._route = function (request, respond) {
+        var url = request.url.replace(/\?.*$/, ''),
+            match;
+
+        log(request.method, url);
+
+        if ((match = url.match(/\/bs3\/(?:.+\/)?[^\/]+\/([^\/]+)\/([^\/]+)\/([^\/]+)$/))) {
+            return this._bootstrap(match[1], atob(match[2]), match[3], respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/site\/([^\/]+)\/collection\/create$/))) {
+            return this._create(match[1], parseJSON(request.data), respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/collection\/([^\/]+)\/(post|post\/tweet|follow|unfollow)\/$/))) {
+            return this._quill(match[1], match[2], request.data || {}, respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/message\/([^\/]+)\/(like|unlike)\/$/))) {
+            return this._opine(match[1], match[2], request.data || {}, respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/message\/([^\/]+)\/edit\/$/))) {
+            return this._edit(match[1], request.data || {}, respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/message\/([^\/]+)\/(delete|approve|bozo|flag\/[^\/]+)\/$/))) {
+            return this._moderate(match[1], match[2], request.data || {}, respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/collection\/([^\/]+)\/(feature|unfeature)\/([^\/]+)\/$/))) {
+            return this._feature(match[1], match[3], match[2] === 'feature', request.data || {}, respond);
+        }
+        if (url.match(/\/api\/v3\.0\/auth\/$/)) {
+            return this._auth(parseQuery(request.url), respond);
+        }
+        if ((match = url.match(/\/api\/v3\.0\/author\/([^\/]+)\/(ban|bozo)\/$/))) {
+            return this._moderateAuthor(decodeURIComponent(match[1]), match[2], request.data || {}, respond);
+        }
+        if ((match = url.match(/\/v3\.0\/collection\/([^\/]+)\/([^\/]+)\/$/))) {
+            return this._stream(match[1], Number(match[2]), respond);
+        }
+        respond(new errors.NotFoundError('FakeStreamHub has no route for ' + url));
+    };
+
+
+    /**
+     * Respond to a Bootstrap request for init or a page
+     * @private
+     */
+    FakeStreamHub.prototype._bootstrap = function (siteId, articleId, page, respond) {
+        var collection = this._collections[collectionKey(siteId, articleId)],
+            pages,
+            pageNumber;
+
+        if ( ! collection) {
+            return respond(new errors.NotFoundError('Not Found'));
+        }
+        pages = this._getPages(collection);
+
+        if (page === 'init') {
+            return respond(null, this._getInit(collection, pages));
+        }
+        if (page === 'featured-all.json') {
+            return respond(null, this._getFeatured(collection));
+        }
+        pageNumber = parseInt(page, 10);
+        if ( ! pages[pageNumber]) {
+            return respond(new errors.NotFoundError('Not Found'));
+        }
+        respond(null, this._getDocument(collection, pages[pageNumber]));
+    };
+
+
+    /**
+     * Respond to a Create request
+     * @private
+     */
+    FakeStreamHub.prototype._create = function (siteId, data, respond) {
+        var meta = data && data.collectionMeta;
+        if ( ! meta || typeof meta !== 'object') {
+            return respond(new errors.ValidationError(
+                'FakeStreamHub can only create Collections from unsigned collectionMeta'));
+        }
+        this.createCollection({
+            siteId: siteId,
+            articleId: meta.articleId,
+            title: meta.title,
+            url: meta.url,
+            tags: meta.tags ? meta.tags.split(',') : []
+        });
+        respond(null, {
+            status: 'ok',
+            code: 202,
+            msg: 'This request is being processed.'
+        });
+    };
+
+
+    /**
+     * Respond to a Write request: posting Content or Tweets, or following
+     * @private
+     */
+    FakeStreamHub.prototype._quill = function (collectionId, action, data, respond) {
+        var collection = this._getCollectionById(collectionId),
+            author = this._users[data.lftoken],
+            contentId,
+            state;
+
+        if ( ! author) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+
+        if (action === 'follow' || action === 'unfollow') {
+            collection.followers += (action === 'follow') ? 1 : -1;
+            return respond(null, { status: 'ok', code: 200, data: {} });
+        }
+
+        if (action === 'post/tweet') {
+            contentId = this.addContent(collectionId, {
+                id: 'tweet-' + data.tweet_id + '@twitter.com',
+                body: '<p>Tweet ' + data.tweet_id + '</p>',
+                source: 1,
+                author: author
+            });
+        } else {
+            if ( ! data.body) {
+                return respond(new errors.ValidationError('Cannot post Content without a body'));
+            }
+            contentId = this.addContent(collectionId, {
+                body: data.body,
+                parentId: data.parent_id,
+                attachments: data.media ? parseJSON(data.media) : [],
+                author: author
+            });
+        }
+
+        state = copy(collection.states[contentId]);
+        respond(null, {
+            status: 'ok',
+            code: 200,
+            data: {
+                messages: [state],
+                authors: pick(collection.authors, [author.id])
+            }
+        });
+    };
+
+
+    /**
+     * Respond to a request to like or unlike Content
+     * @private
+     */
+    FakeStreamHub.prototype._opine = function (contentId, action, data, respond) {
+        var author = this._users[data.lftoken],
+            collection,
+            state;
+
+        if ( ! author) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        collection = this._getCollectionById(data.collection_id);
+        if ( ! collection.states[contentId]) {
+            return respond(new errors.NotFoundError('No Content ' + contentId));
+        }
+
+        state = this._setOpine(collection, contentId, author, action === 'like');
+        respond(null, {
+            status: 'ok',
+            code: 200,
+            data: {
+                messages: [state],
+                authors: pick(collection.authors, [author.id])
+            }
+        });
+    };
+
+
+    /**
+     * Respond to a request to edit Content. Authors may edit their own
+     * Content, and moderators anyone's
+     * @private
+     */
+    FakeStreamHub.prototype._edit = function (contentId, data, respond) {
+        var author = this._users[data.lftoken],
+            collection,
+            state;
+
+        if ( ! author) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        collection = this._getCollectionById(data.collection_id);
+        if ( ! collection.states[contentId]) {
+            return respond(new errors.NotFoundError('No Content ' + contentId));
+        }
+        state = this._getState(collection, contentId);
+        if ( ! this._moderators[data.lftoken] && state.content.authorId !== author.id) {
+            return respond(new errors.ForbiddenError('You do not have permission to edit ' + contentId));
+        }
+        if ( ! data.body) {
+            return respond(new errors.ValidationError('Cannot edit Content to have no body'));
+        }
+
+        this.editContent(collection.id, contentId, data.body);
+        respond(null, {
+            status: 'ok',
+            code: 200,
+            data: {
+                messages: [copy(collection.states[contentId])],
+                authors: pick(collection.authors, [state.content.authorId])
+            }
+        });
+    };
+
+
+    /**
+     * Respond to a request to delete, approve, bozo or flag Content.
+     * Authors may delete their own Content, but the rest needs a moderator
+     * @private
+     */
+    FakeStreamHub.prototype._moderate = function (contentId, action, data, respond) {
+        var author = this._users[data.lftoken],
+            collection,
+            state;
+
+        if ( ! author) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        collection = this._getCollectionById(data.collection_id);
+        if ( ! collection.states[contentId]) {
+            return respond(new errors.NotFoundError('No Content ' + contentId));
+        }
+        state = this._getState(collection, contentId);
+
+        if (action.indexOf('flag/') === 0) {
+            return respond(null, { status: 'ok', code: 200, data: {} });
+        }
+        if ( ! this._moderators[data.lftoken] &&
+            ! (action === 'delete' && state.content.authorId === author.id)) {
+            return respond(new errors.ForbiddenError('You do not have permission to ' + action + ' ' + contentId));
+        }
+
+        state.lastVis = state.vis;
+        state.vis = { 'delete': 0, approve: 1, bozo: 2 }[action];
+        this._setState(collection, state);
+        this._notify(collection);
+        respond(null, { status: 'ok', code: 200, data: {} });
+    };
+
+
+    /**
+     * Respond to a request to feature or unfeature Content
+     * @private
+     */
+    FakeStreamHub.prototype._feature = function (collectionId, contentId, isFeatured, data, respond) {
+        var collection = this._getCollectionById(collectionId),
+            state;
+
+        if ( ! this._users[data.lftoken]) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        if ( ! this._moderators[data.lftoken]) {
+            return respond(new errors.ForbiddenError('You do not have permission to feature ' + contentId));
+        }
+        if ( ! collection.states[contentId]) {
+            return respond(new errors.NotFoundError('No Content ' + contentId));
+        }
+
+        state = this._getState(collection, contentId);
+        if (isFeatured) {
+            state.content.annotations.featuredmessage = {
+                rel_collectionId: collection.id,
+                value: Number(data.value) || seconds()
+            };
+        } else {
+            delete state.content.annotations.featuredmessage;
+        }
+        this._setState(collection, state);
+        this._notify(collection);
+        respond(null, { status: 'ok', code: 200, data: {} });
+    };
+
+
+    /**
+     * Respond to a request to ban or bozo an author. Nothing is stored,
+     * since FakeStreamHub doesn't treat their posts any differently
+     * @private
+     */
+    FakeStreamHub.prototype._moderateAuthor = function (authorId, action, data, respond) {
+        if ( ! this._users[data.lftoken]) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        if ( ! this._moderators[data.lftoken]) {
+            return respond(new errors.ForbiddenError('You do not have permission to ' + action + ' ' + authorId));
+        }
+        respond(null, { status: 'ok', code: 200, data: {} });
+    };
+
+
+    /**
+     * Respond to an Auth request with the profile of the user a token is
+     * for, and whether they moderate. Users added as moderators moderate
+     * every Collection
+     * @private
+     */
+    FakeStreamHub.prototype._auth = function (query, respond) {
+        var author = this._users[query.lftoken],
+            isModerator = this._moderators[query.lftoken],
+            permissions = { authors: [] };
+
+        if ( ! author) {
+            return respond(new errors.ServiceError('Invalid lftoken', 401));
+        }
+        if (isModerator) {
+            permissions.moderator_key = 'fake-moderator-key';
+        }
+        respond(null, {
+            status: 'ok',
+            code: 200,
+            data: {
+                profile: {
+                    id: author.id,
+                    displayName: author.displayName,
+                    avatar: author.avatar || '',
+                    profileUrl: author.profileUrl || '',
+                    settingsUrl: ''
+                },
+                permissions: permissions,
+                isModAnywhere: isModerator
+            }
+        });
+    };
+
+
+    /**
+     * Respond to a Stream request now if there are events after eventId,
+     * or hold it open until there are or it times out
+     * @private
+     */
+    FakeStreamHub.prototype._stream = function (collectionId, eventId, respond) {
+        var self = this,
+            collection = this._getCollectionById(collectionId),
+            poll;
+
+        if (collection.latestEvent > eventId) {
+            return respond(null, this._getStreamResponse(collection, eventId));
+        }
+
+        poll = {
+            collection: collection,
+            eventId: eventId,
+            respond: respond,
+            timeout: null
+        };
+        poll.timeout = setTimeout(function () {
+            self._removePoll(poll);
+            respond(null, { timeout: true });
+        }, this._longPollTimeout);
+        this._polls.push(poll);
+        return poll;
+    };
+
+
+    /**
+     * Respond to any held Stream requests for a Collection that changed
+     * @private
+     */
+    FakeStreamHub.prototype._notify = function (collection) {
+        var polls = this._polls.slice(),
+            poll;
+        for (var i=0; i < polls.length; i++) {
+            poll = polls[i];
+            if (poll.collection !== collection) {
+                continue;
+            }
+            this._removePoll(poll);
+            poll.respond(null, this._getStreamResponse(collection, poll.eventId));
+        }
+    };
+
+
+    /**
+     * @private
+     */
+    FakeStreamHub.prototype._removePoll = function (poll) {
+        var index = this._polls.indexOf(poll);
+        clearTimeout(poll.timeout);
+        if (index !== -1) {
+            this._polls.splice(index, 1);
+        }
+    };
+
+
+    /**
+     * Get a Stream response with the latest state of everything that
+     * changed after eventId
+     * @private
+     */
+    FakeStreamHub.prototype._getStreamResponse = function (collection, eventId) {
+        var states = {},
+            authorIds = [],
+            state;
+        for (var i=0; i < collection.order.length; i++) {
+            state = collection.states[collection.order[i]];
+            if (state.event > eventId) {
+                states[state.content.id] = copy(state);
+                authorIds.push(state.content.authorId);
+            }
+        }
+        return {
+            status: 'ok',
+            data: {
+                states: states,
+                authors: pick(collection.authors, authorIds),
+                maxEventId: collection.latestEvent
+            }
+        };
+    };
+
+
+    /**
+     * Get the response to Bootstrap init. The head document has the
+     * newest page of Content
+     * @private
+     */
+    FakeStreamHub.prototype._getInit = function (collection, pages) {
+        var pageInfo = {},
+            featured = this._getFeatured(collection),
+            init;
+
+        for (var i=0; i < pages.length; i++) {
+            pageInfo[i] = { url: '/' + i + '.json' };
+        }
+        init = {
+            headDocument: this._getDocument(collection, pages[pages.length - 1] || []),
+            collectionSettings: {
+                collectionId: collection.id,
+                siteId: collection.siteId,
+                networkId: this.network,
+                title: collection.title,
+                url: collection.url,
+                tags: collection.tags,
+                event: collection.latestEvent,
+                followers: collection.followers,
+                numVisible: this._getVisibleTopLevel(collection).length,
+                archiveInfo: {
+                    nPages: pages.length,
+                    pageInfo: pageInfo
+                }
+            },
+            networkSettings: {},
+            siteSettings: {}
+        };
+        if (featured.content.length) {
+            init.featured = featured;
+        }
+        return init;
+    };
+
+
+    /**
+     * Get a Bootstrap document of all featured Content
+     * @private
+     */
+    FakeStreamHub.prototype._getFeatured = function (collection) {
+        var featured = [],
+            state;
+        for (var i=0; i < collection.order.length; i++) {
+            state = collection.states[collection.order[i]];
+            if (state.vis === 1 && state.content.annotations &&
+                state.content.annotations.featuredmessage) {
+                featured.push(state.content.id);
+            }
+        }
+        var doc = this._getDocument(collection, featured);
+        doc.isComplete = true;
+        doc.size = featured.length;
+        return doc;
+    };
+
+
+    /**
+     * Split the visible top-level Content of a Collection into Bootstrap
+     * pages, oldest first
+     * @private
+     * @return {Array.<Array.<string>>} Content IDs in each page
+     */
+    FakeStreamHub.prototype._getPages = function (collection) {
+        var ids = this._getVisibleTopLevel(collection),
+            pages = [];
+        for (var i=0; i < ids.length; i += this._pageSize) {
+            pages.push(ids.slice(i, i + this._pageSize));
+        }
+        return pages;
+    };
+
+
+    /**
+     * @private
+     * @return {Array.<string>} IDs of visible top-level Content, oldest first
+     */
+    FakeStreamHub.prototype._getVisibleTopLevel = function (collection) {
+        var ids = [],
+            state;
+        for (var i=0; i < collection.order.length; i++) {
+            state = collection.states[collection.order[i]];
+            if (state.type === 0 && state.vis === 1 && ! state.content.parentId) {
+                ids.push(state.content.id);
+            }
+        }
+        return ids;
+    };
+
+
+    /**
+     * Get a Bootstrap document of Contents, with their visible replies and
+     * attachments nested in .childContent
+     * @private
+     * @param ids {Array.<string>} IDs of the top-level Contents
+     */
+    FakeStreamHub.prototype._getDocument = function (collection, ids) {
+        var authorIds = [],
+            content = [];
+
+        function withChildren (id) {
+            var state = copy(collection.states[id]),
+                child;
+            authorIds.push(state.content.authorId);
+            state.childContent = [];
+            for (var i=0; i < collection.order.length; i++) {
+                child = collection.states[collection.order[i]];
+                if (child.vis === 1 && (child.content.parentId === id || child.content.targetId === id)) {
+                    state.childContent.push(withChildren(child.content.id));
+                }
+            }
+            return state;
+        }
+
+        for (var i=0; i < ids.length; i++) {
+            content.push(withChildren(ids[i]));
+        }
+        return {
+            content: content,
+            authors: pick(collection.authors, authorIds),
+            followers: []
+        };
+    };
+
+
+    /**
+     * Store and stream the OPINE state for an author's like of Content
+     * @private
+     * @return {object} A copy of the state
+     */
+    FakeStreamHub.prototype._setOpine = function (collection, contentId, author, isLiked) {
+        var state = {
+            vis: isLiked ? 1 : 0,
+            type: 1,
+            source: 5,
+            content: {
+                id: contentId + '.' + author.id,
+                targetId: contentId,
+                authorId: author.id
+            }
+        };
+        collection.authors[author.id] = author;
+        this._setState(collection, state);
+        this._notify(collection);
+        return copy(state);
+    };
+
+
+    /**
+     * Store a new version of a state with a new event ID
+     * @private
+     * @return {number} The event ID
+     */
+    FakeStreamHub.prototype._setState = function (collection, state) {
+        var id = state.content.id;
+        state.event = ++lastEventId;
+        if ( ! collection.states[id]) {
+            collection.order.push(id);
+        }
+        collection.states[id] = state;
+        collection.latestEvent = state.event;
+        return state.event;
+    };
+
+
+    /**
+     * Get a copy of a state to change and pass to ._setState
+     * @private
+     */
+    FakeStreamHub.prototype._getState = function (collection, contentId) {
+        var state = collection.states[contentId];
+        if ( ! state) {
+            throw new errors.NotFoundError('No Content ' + contentId + ' in Collection ' + collection.id);
+        }
+        return copy(state);
+    };
+
+
+    /**
+     * @private
+     */
+    FakeStreamHub.prototype._getCollectionById = function (collectionId) {
+        for (var key in this._collections) {
+            if (this._collections.hasOwnProperty(key) &&
+                this._collections[key].id === String(collectionId)) {
+                return this._collections[key];
+            }
+        }
+        throw new errors.NotFoundError('No Collection ' + collectionId);
+    };
+
+
+    function collectionKey (siteId, articleId) {
+        return siteId + '/' + articleId;
+    }
+
+
+    function seconds () {
+        return Math.floor(new Date().getTime() / 1000);
+    }
+
+
+    /**
+     * Deep copy JSON, so what is passed to clients can't change what is stored
+     */
+    function copy (obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+
+    /**
+     * Get the parameters in the query string of a URL
+     */
+    function parseQuery (url) {
+        var query = {},
+            params = (url.split('?')[1] || '').split('&'),
+            param;
+        for (var i=0; i < params.length; i++) {
+            if ( ! params[i]) {
+                continue;
+            }
+            param = params[i].split('=');
+            query[decodeURIComponent(param[0])] = decodeURIComponent(param[1] || '');
+        }
+        return query;
+    }
+
+
+    function parseJSON (json) {
+        if (typeof json !== 'string') {
+            return json;
+        }
+        try {
+            return JSON.parse(json);
+        } catch (err) {
+            return null;
+        }
+    }
+
+
+    /**
+     * Get an object with only some keys of another
+     */
+    function pick (obj, keys) {
+        var picked = {};
+        for (var i=0; i < keys.length; i++) {
+            if (obj.hasOwnProperty(keys[i])) {
+                picked[keys[i]] = obj[keys[i]];
+            }
+        }
+        return picked;
+    }
+
+
+    return FakeStreamHub;
+});
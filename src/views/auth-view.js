@@ -0,0 +1,107 @@
+define([
+    'streamhub-sdk/view',
+    'streamhub-sdk/auth',
+    'inherits',
+    'streamhub-sdk/jquery'],
+function (View, Auth, inherits) {
+    'use strict';
+
+    /**
+     * A View with controls to log in and out with the streamhub-sdk/auth
+     * delegate. It displays the logged in User's name, and keeps up to date
+     * as the token changes
+     * @param [opts] {object}
+     * @param [opts.el] {HTMLElement} The element to render in
+     * @exports streamhub-sdk/views/auth-view
+     * @constructor
+     */
+    var AuthView = function (opts) {
+        var self = this;
+        this._onAuthChange = function () {
+            self.render();
+        };
+        View.call(this, opts);
+        Auth.on('token', this._onAuthChange);
+        Auth.on('user', this._onAuthChange);
+        Auth.on('expired', this._onAuthChange);
+        this.render();
+    };
+
+    inherits(AuthView, View);
+
+
+    AuthView.prototype.elClass = 'hub-auth';
+    AuthView.prototype.loginElSelector = '.hub-auth-login';
+    AuthView.prototype.logoutElSelector = '.hub-auth-logout';
+    AuthView.prototype.nameElSelector = '.hub-auth-name';
+    AuthView.prototype.loggedInClass = 'hub-auth-logged-in';
+
+
+    /**
+     * Text to display for each control
+     */
+    AuthView.prototype.labels = {
+        login: 'Log in',
+        logout: 'Log out'
+    };
+
+
+    AuthView.prototype.events = View.prototype.events.extended({}, function (events) {
+        events['click ' + this.loginElSelector] = function (e) {
+            e.preventDefault();
+            Auth.login();
+        };
+        events['click ' + this.logoutElSelector] = function (e) {
+            e.preventDefault();
+            Auth.logout();
+        };
+    });
+
+
+    /**
+     * The template to render in the View
+     * @param context {{isLoggedIn: boolean, labels: object}}
+     * @return {string}
+     */
+    AuthView.prototype.template = function (context) {
+        if (context.isLoggedIn) {
+            return '<span class="hub-auth-name"></span> ' +
+                '<a href="#" class="hub-auth-logout">' + context.labels.logout + '</a>';
+        }
+        return '<a href="#" class="hub-auth-login">' + context.labels.login + '</a>';
+    };
+
+
+    /**
+     * Whether a User is logged in with a token that hasn't expired
+     * @return {boolean}
+     */
+    AuthView.prototype.isLoggedIn = function () {
+        return !! Auth.getToken() && ! Auth.isExpired();
+    };
+
+
+    AuthView.prototype.render = function () {
+        var isLoggedIn = this.isLoggedIn(),
+            user = Auth.getUser();
+        this.$el.toggleClass(this.loggedInClass, isLoggedIn);
+        this.el.innerHTML = this.template({
+            isLoggedIn: isLoggedIn,
+            labels: this.labels
+        });
+        // Set as text, since the name comes from the token
+        this.$el.find(this.nameElSelector).text(user && user.displayName || '');
+        return this;
+    };
+
+
+    AuthView.prototype.destroy = function () {
+        Auth.removeListener('token', this._onAuthChange);
+        Auth.removeListener('user', this._onAuthChange);
+        Auth.removeListener('expired', this._onAuthChange);
+        View.prototype.destroy.call(this);
+    };
+
+
+    return AuthView;
+});
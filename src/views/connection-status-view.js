@@ -0,0 +1,126 @@
+define([
+    'streamhub-sdk/jquery',
+    'streamhub-sdk/view',
+    'inherits'],
+function ($, View, inherits) {
+    'use strict';
+
+    /**
+     * A View that displays the connection state of a Collection, so viewers
+     * can tell when updates have stopped
+     * @param [opts] {object}
+     * @param [opts.collection] {Collection} The Collection to display the
+     *     state of
+     * @param [opts.el] {HTMLElement} The element to render in
+     * @exports streamhub-sdk/views/connection-status-view
+     * @constructor
+     */
+    var ConnectionStatusView = function (opts) {
+        opts = opts || {};
+        this._state = null;
+        this._collection = null;
+        this._onState = $.proxy(this.setState, this);
+        View.call(this, opts);
+        if (opts.collection) {
+            this.setCollection(opts.collection);
+        }
+    };
+
+    inherits(ConnectionStatusView, View);
+
+
+    ConnectionStatusView.prototype.elClass = 'hub-connection-status';
+
+
+    /**
+     * Prefix of the class added to .el for the current state,
+     * e.g. 'hub-connection-status-live'
+     */
+    ConnectionStatusView.prototype.stateClassPrefix = 'hub-connection-status-';
+
+
+    /**
+     * Text to display for each Collection.enums.state
+     */
+    ConnectionStatusView.prototype.labels = {
+        idle: 'Not connected',
+        bootstrapping: 'Connecting',
+        creating: 'Connecting',
+        live: 'Live',
+        paused: 'Paused',
+        reconnecting: 'Reconnecting',
+        offline: 'Offline',
+        failed: 'Disconnected'
+    };
+
+
+    /**
+     * The template to render in the View
+     * @param context {{state: string, label: string}}
+     * @return {string}
+     */
+    ConnectionStatusView.prototype.template = function (context) {
+        return context.label;
+    };
+
+
+    /**
+     * Display the state of a Collection, and keep displaying it as it changes
+     * @param collection {Collection}
+     */
+    ConnectionStatusView.prototype.setCollection = function (collection) {
+        if (this._collection) {
+            this._collection.removeListener('state', this._onState);
+        }
+        this._collection = collection;
+        collection.on('state', this._onState);
+        this.setState(collection.getState());
+    };
+
+
+    /**
+     * Set the state to display, and re-render
+     * @param state {string} A value of Collection.enums.state
+     */
+    ConnectionStatusView.prototype.setState = function (state) {
+        if (this._state) {
+            this.$el.removeClass(this.stateClassPrefix + this._state);
+        }
+        this._state = state;
+        this.render();
+    };
+
+
+    /**
+     * Get the state being displayed
+     * @return {string}
+     */
+    ConnectionStatusView.prototype.getState = function () {
+        return this._state;
+    };
+
+
+    ConnectionStatusView.prototype.render = function () {
+        if ( ! this._state) {
+            return this;
+        }
+        this.$el.addClass(this.stateClassPrefix + this._state);
+        this.el.innerHTML = this.template({
+            state: this._state,
+            label: this.labels[this._state] || this._state
+        });
+        return this;
+    };
+
+
+    ConnectionStatusView.prototype.destroy = function () {
+        if (this._collection) {
+            this._collection.removeListener('state', this._onState);
+            this._collection = null;
+        }
+        View.prototype.destroy.call(this);
+    };
+
+
+    return ConnectionStatusView;
+});
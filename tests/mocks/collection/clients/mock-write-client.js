@@ -29,6 +29,57 @@ function (inherits, LivefyreWriteClient) {
         }
 	};
 
+
+    /**
+     * Responds with the edited Content, updated at 1363808999
+     */
+    MockLivefyreWriteClient.prototype.editContent = function (opts, callback) {
+        if (callback) {
+            callback(null, {"status": "ok", "code": 200, "data": {"messages": [{"content": {"bodyHtml": opts.body, "annotations": {}, "authorId": "system@labs-t402.fyre.co", "parentId": "", "id": opts.messageId, "createdAt": 1363808885, "updatedAt": 1363808999}, "vis": 1, "type": 0, "event": null, "source": 0}], "authors": {}}});
+        }
+    };
+
+
+    MockLivefyreWriteClient.prototype.like = function (opts, callback) {
+        if (callback) {
+            callback(null, mockOpineResponse(opts.messageId, 1));
+        }
+    };
+
+
+    MockLivefyreWriteClient.prototype.unlike = function (opts, callback) {
+        if (callback) {
+            callback(null, mockOpineResponse(opts.messageId, 0));
+        }
+    };
+
+
+    /**
+     * Moderation requests all succeed with an empty response
+     */
+    var moderationMethods = ['deleteContent', 'approveContent', 'bozoContent',
+        'flagContent', 'featureContent', 'unfeatureContent', 'banAuthor', 'bozoAuthor'];
+    for (var i=0; i < moderationMethods.length; i++) {
+        MockLivefyreWriteClient.prototype[moderationMethods[i]] = mockModerate;
+    }
+
+    function mockModerate (opts, callback) {
+        if (callback) {
+            callback(null, {"status": "ok", "code": 200, "data": {}});
+        }
+    }
+
+
+    /**
+     * A response to a like or unlike by the user "liker@labs-t402.fyre.co"
+     */
+    function mockOpineResponse (messageId, vis) {
+        var authorId = 'liker@labs-t402.fyre.co',
+            authors = {};
+        authors[authorId] = { displayName: 'liker', id: authorId };
+        return {"status": "ok", "code": 200, "data": {"messages": [{"content": {"authorId": authorId, "targetId": messageId, "id": messageId + '.' + authorId}, "vis": vis, "type": 1, "event": null, "source": 0}], "authors": authors}};
+    }
+
     
     return MockLivefyreWriteClient;
 });
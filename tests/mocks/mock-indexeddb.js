@@ -0,0 +1,72 @@
+define([], function () {
+    'use strict';
+
+    /**
+     * Just enough of an IDBFactory to test
+     * streamhub-sdk/storage/indexeddb-backend in browsers without IndexedDB.
+     * Requests succeed asynchronously, like the real thing
+     */
+    var MockIndexedDB = function () {
+        this.databases = {};
+    };
+
+    MockIndexedDB.prototype.open = function (name) {
+        var self = this,
+            request = {};
+        setTimeout(function () {
+            var db = self.databases[name];
+            if ( ! db) {
+                db = self.databases[name] = new MockDatabase();
+                request.result = db;
+                if (request.onupgradeneeded) {
+                    request.onupgradeneeded();
+                }
+            }
+            request.result = db;
+            request.onsuccess();
+        }, 0);
+        return request;
+    };
+
+
+    var MockDatabase = function () {
+        this.stores = {};
+    };
+
+    MockDatabase.prototype.createObjectStore = function (name) {
+        this.stores[name] = {};
+    };
+
+    MockDatabase.prototype.transaction = function (name) {
+        var values = this.stores[name];
+        return {
+            objectStore: function () {
+                return {
+                    get: function (key) {
+                        return succeedWith(values[key]);
+                    },
+                    put: function (value, key) {
+                        values[key] = value;
+                        return succeedWith(key);
+                    },
+                    'delete': function (key) {
+                        delete values[key];
+                        return succeedWith(undefined);
+                    }
+                };
+            }
+        };
+    };
+
+
+    function succeedWith (result) {
+        var request = {};
+        setTimeout(function () {
+            request.result = result;
+            request.onsuccess();
+        }, 0);
+        return request;
+    }
+
+    return MockIndexedDB;
+});
@@ -0,0 +1,15 @@
+define(['streamhub-sdk/jquery'], function ($) {
+    'use strict';
+
+    /**
+     * A Promise constructor built on jQuery.Deferred, to test promise-returning
+     * methods in browsers without window.Promise
+     */
+    var MockPromise = function (executor) {
+        var deferred = $.Deferred();
+        executor(deferred.resolve, deferred.reject);
+        return deferred.promise();
+    };
+
+    return MockPromise;
+});
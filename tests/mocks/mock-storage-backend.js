@@ -0,0 +1,29 @@
+define([], function () {
+    'use strict';
+
+    /**
+     * A streamhub-sdk/storage backend that keeps values in an object, to
+     * stand in for one that persists across page reloads. Pass the same
+     * values object to two backends to simulate a reload
+     * @param [values] {object}
+     */
+    var MockStorageBackend = function (values) {
+        this.values = values || {};
+    };
+
+    MockStorageBackend.prototype.get = function (key, callback) {
+        callback(null, this.values[key]);
+    };
+
+    MockStorageBackend.prototype.set = function (key, value, callback) {
+        this.values[key] = JSON.parse(JSON.stringify(value));
+        callback(null);
+    };
+
+    MockStorageBackend.prototype.remove = function (key, callback) {
+        delete this.values[key];
+        callback(null);
+    };
+
+    return MockStorageBackend;
+});
@@ -0,0 +1,75 @@
+define([], function () {
+    'use strict';
+
+    /**
+     * A stand-in for the browser's WebSocket that lets tests play the part
+     * of the server. Every instance is kept in MockWebSocket.instances
+     * @param url {string} The URL the socket was opened to
+     */
+    var MockWebSocket = function (url) {
+        this.url = url;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.sent = [];
+        MockWebSocket.instances.push(this);
+    };
+
+    MockWebSocket.CONNECTING = 0;
+    MockWebSocket.OPEN = 1;
+    MockWebSocket.CLOSING = 2;
+    MockWebSocket.CLOSED = 3;
+
+    MockWebSocket.instances = [];
+
+    /**
+     * The most recently constructed MockWebSocket
+     */
+    MockWebSocket.latest = function () {
+        return MockWebSocket.instances[MockWebSocket.instances.length - 1];
+    };
+
+    MockWebSocket.reset = function () {
+        MockWebSocket.instances = [];
+    };
+
+    MockWebSocket.prototype.send = function (data) {
+        this.sent.push(data);
+    };
+
+    MockWebSocket.prototype.close = function () {
+        this.readyState = MockWebSocket.CLOSED;
+    };
+
+    /**
+     * Have the server accept the connection
+     */
+    MockWebSocket.prototype.serverOpen = function () {
+        this.readyState = MockWebSocket.OPEN;
+        if (this.onopen) {
+            this.onopen({});
+        }
+    };
+
+    /**
+     * Have the server push a message. Objects are sent as JSON
+     */
+    MockWebSocket.prototype.serverSend = function (message) {
+        if (typeof message !== 'string') {
+            message = JSON.stringify(message);
+        }
+        if (this.onmessage) {
+            this.onmessage({ data: message });
+        }
+    };
+
+    /**
+     * Have the server (or network) close the connection
+     */
+    MockWebSocket.prototype.serverClose = function () {
+        this.readyState = MockWebSocket.CLOSED;
+        if (this.onclose) {
+            this.onclose({});
+        }
+    };
+
+    return MockWebSocket;
+});
@@ -2,14 +2,24 @@ define(function () {
     var specs = [
         'tests/spec/main',
         'tests/spec/debug',
+        'tests/spec/backoff',
+        'tests/spec/errors',
+        'tests/spec/service-urls',
+        'tests/spec/promise',
         'tests/spec/storage',
+        'tests/spec/storage/local-storage-backend',
+        'tests/spec/storage/indexeddb-backend',
         'tests/spec/util',
         'tests/spec/view',
         'tests/spec/views/list-view',
         'tests/spec/views/show-more-button',
+        'tests/spec/views/connection-status-view',
+        'tests/spec/views/auth-view',
         'tests/spec/views/streams/more',
         'tests/spec/collection/main',
+        'tests/spec/collection/clients/http-client',
         'tests/spec/collection/clients/stream-client',
+        'tests/spec/collection/clients/websocket-stream-client',
         'tests/spec/collection/clients/bootstrap-client',
         'tests/spec/collection/clients/create-client',
         'tests/spec/collection/clients/write-client',
@@ -17,9 +27,15 @@ define(function () {
         'tests/spec/collection/streams/updater',
         'tests/spec/collection/streams/writer',
         'tests/spec/collection/featured-contents',
+        'tests/spec/collection/latest-event-store',
+        'tests/spec/collection/outbox',
         'tests/spec/collection/streams/featured-archive',
+        'tests/spec/testing/fake-streamhub',
         'tests/spec/auth/main',
+        'tests/spec/auth/user',
+        'tests/spec/auth/clients/livefyre-auth-client',
         'tests/spec/content/state-to-content',
+        'tests/spec/content/content-index',
         'tests/spec/content/main',
         'tests/spec/content/types/livefyre-content',
         'tests/spec/content/types/livefyre-facebook-content',
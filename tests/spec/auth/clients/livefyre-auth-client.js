@@ -0,0 +1,140 @@
+define([
+    'streamhub-sdk/auth/clients/livefyre-auth-client',
+    'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/promise',
+    'streamhub-sdk-tests/mocks/mock-promise'],
+function (LivefyreAuthClient, LivefyreHttpClient, promise, MockPromise) {
+    'use strict';
+
+    describe('streamhub-sdk/auth/clients/livefyre-auth-client', function () {
+        var authClient,
+            callback,
+            opts,
+            mockResponse;
+
+        beforeEach(function () {
+            authClient = new LivefyreAuthClient({ protocol: 'https:' });
+            callback = jasmine.createSpy('callback');
+            opts = {
+                network: 'labs-t402.fyre.co',
+                siteId: '303827',
+                articleId: 'xbox-0',
+                token: 'lftoken'
+            };
+            mockResponse = {
+                status: 'ok',
+                code: 200,
+                data: {
+                    profile: {
+                        id: 'mod@labs-t402.fyre.co',
+                        displayName: 'Mod',
+                        avatar: 'http://avatar',
+                        profileUrl: 'http://profile',
+                        settingsUrl: 'http://settings'
+                    },
+                    permissions: { moderator_key: 'key', authors: [] },
+                    isModAnywhere: true
+                }
+            };
+            spyOn(authClient, '_request').andCallFake(function (opts, callback) {
+                callback(null, mockResponse);
+            });
+        });
+
+        it('is a LivefyreHttpClient', function () {
+            expect(authClient instanceof LivefyreHttpClient).toBe(true);
+        });
+
+        it("requests the auth service at the page's protocol", function () {
+            authClient.getAuthData(opts, callback);
+            expect(authClient._request.mostRecentCall.args[0].url).toBe(
+                'https://labs-t402.admin.fyre.co/api/v3.0/auth/?siteId=303827&articleId=' +
+                encodeURIComponent(btoa('xbox-0')) + '&lftoken=lftoken');
+        });
+
+        it("requests admin.livefyre.com for the 'livefyre.com' network without an environment", function () {
+            authClient = new LivefyreAuthClient({ protocol: 'http:' });
+            spyOn(authClient, '_request');
+            opts.network = 'livefyre.com';
+            authClient.getAuthData(opts, callback);
+            expect(authClient._request.mostRecentCall.args[0].url.indexOf(
+                'http://admin.livefyre.com/api/v3.0/auth/')).toBe(0);
+        });
+
+        it("sends the user's cookies", function () {
+            authClient.getAuthData(opts, callback);
+            expect(authClient._request.mostRecentCall.args[0].withCredentials).toBe(true);
+            opts.withCredentials = false;
+            authClient.getAuthData(opts, callback);
+            expect(authClient._request.mostRecentCall.args[0].withCredentials).toBe(false);
+        });
+
+        it('identifies the user by their cookies if not passed opts.token', function () {
+            delete opts.token;
+            authClient.getAuthData(opts, callback);
+            expect(authClient._request.mostRecentCall.args[0].url.indexOf('lftoken')).toBe(-1);
+        });
+
+        it('requests the base URL returned by opts.hostResolver', function () {
+            opts.hostResolver = jasmine.createSpy('hostResolver').andReturn('http://localhost:8080/');
+            authClient.getAuthData(opts, callback);
+            expect(opts.hostResolver).toHaveBeenCalledWith('admin', opts);
+            expect(authClient._request.mostRecentCall.args[0].url.indexOf(
+                'http://localhost:8080/api/v3.0/auth/')).toBe(0);
+        });
+
+        it('passes the profile and permissions', function () {
+            authClient.getAuthData(opts, callback);
+            expect(callback).toHaveBeenCalledWith(null, {
+                profile: mockResponse.data.profile,
+                isModerator: true,
+                isModAnywhere: true,
+                permissions: mockResponse.data.permissions
+            });
+        });
+
+        it('passes isModerator false without a moderator_key', function () {
+            delete mockResponse.data.permissions.moderator_key;
+            mockResponse.data.isModAnywhere = false;
+            authClient.getAuthData(opts, callback);
+            expect(callback.mostRecentCall.args[1].isModerator).toBe(false);
+            expect(callback.mostRecentCall.args[1].isModAnywhere).toBe(false);
+        });
+
+        it('passes errors', function () {
+            var err = new Error('nope');
+            authClient._request.andCallFake(function (opts, callback) {
+                callback(err);
+            });
+            authClient.getAuthData(opts, callback);
+            expect(callback).toHaveBeenCalledWith(err);
+        });
+
+        describe('.getAuthData', function () {
+            beforeEach(function () {
+                spyOn(LivefyreHttpClient.prototype, '_request').andCallFake(function (opts, callback) {
+                    callback(null, mockResponse);
+                });
+            });
+
+            it('passes the response from a default client', function () {
+                LivefyreAuthClient.getAuthData(opts, callback);
+                expect(callback).toHaveBeenCalledWith(null, mockResponse);
+                expect(LivefyreHttpClient.prototype._request.mostRecentCall.args[0].withCredentials).toBe(true);
+            });
+
+            it('returns a Promise of the response from .getAuthDataAsync', function () {
+                var onResolve = jasmine.createSpy('onResolve');
+                promise.setImplementation(MockPromise);
+                LivefyreAuthClient.getAuthDataAsync(opts).then(onResolve);
+                promise.setImplementation(null);
+                waitsFor(function() {
+                    return onResolve.callCount > 0;
+                });
+                runs(function() {
+                    expect(onResolve).toHaveBeenCalledWith(mockResponse);
+                });
+            });
+        });
+    });
+});
@@ -5,6 +5,9 @@ function (Auth, EventEmitter) {
     'use strict';
 
     describe('streamhub-sdk/auth', function () {
+        function createToken (claims) {
+            return ['eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9', btoa(JSON.stringify(claims)), 'sig'].join('.');
+        }
         afterEach(function () {
             Auth.setToken();
         });
@@ -28,6 +31,250 @@ function (Auth, EventEmitter) {
                 expect(onToken).toHaveBeenCalledWith(token);
             });
         });
+        describe('.getUser()', function () {
+            it('returns the User the token is for', function () {
+                Auth.setToken(createToken({ domain: 'labs-t402.fyre.co', user_id: 'commenter' }));
+                expect(Auth.getUser() instanceof Auth.User).toBe(true);
+                expect(Auth.getUser().id).toBe('commenter@labs-t402.fyre.co');
+            });
+            it('returns null if there is no token, or it cannot be read', function () {
+                expect(Auth.getUser()).toBe(null);
+                Auth.setToken('12345');
+                expect(Auth.getUser()).toBe(null);
+            });
+        });
+        describe('when the token expires', function () {
+            beforeEach(function () {
+                jasmine.Clock.useMock();
+            });
+            it('emits expired', function () {
+                var onExpired = jasmine.createSpy('onExpired');
+                Auth.on('expired', onExpired);
+                spyOn(Auth.User.prototype, 'isExpired').andReturn(false);
+                Auth.setToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    expires: new Date().getTime() / 1000 + 60
+                }));
+                jasmine.Clock.tick(59000);
+                expect(onExpired).not.toHaveBeenCalled();
+                Auth.User.prototype.isExpired.andReturn(true);
+                jasmine.Clock.tick(1000);
+                expect(onExpired).toHaveBeenCalledWith(Auth.getUser());
+                Auth.removeListener('expired', onExpired);
+            });
+            it('is expired', function () {
+                Auth.setToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    expires: 1363808885
+                }));
+                expect(Auth.isExpired()).toBe(true);
+            });
+            it('emits expired asynchronously if the token has already expired', function () {
+                var onExpired = jasmine.createSpy('onExpired');
+                Auth.on('expired', onExpired);
+                Auth.setToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    expires: 1363808885
+                }));
+                expect(onExpired).not.toHaveBeenCalled();
+                jasmine.Clock.tick(0);
+                expect(onExpired).toHaveBeenCalledWith(Auth.getUser());
+                Auth.removeListener('expired', onExpired);
+            });
+        });
+        describe('.logout()', function () {
+            it('unsets the token and emits logout with the User', function () {
+                var onLogout = jasmine.createSpy('onLogout'),
+                    user;
+                Auth.on('logout', onLogout);
+                Auth.setToken(createToken({ domain: 'labs-t402.fyre.co', user_id: 'commenter' }));
+                user = Auth.getUser();
+                Auth.logout();
+                expect(Auth.getToken()).toBe(undefined);
+                expect(Auth.getUser()).toBe(null);
+                expect(onLogout).toHaveBeenCalledWith(user);
+                Auth.removeListener('logout', onLogout);
+            });
+        });
+        describe('.whenAuthenticated()', function () {
+            it('calls back right away if a token is set', function () {
+                var callback = jasmine.createSpy('callback');
+                Auth.setToken('12345');
+                Auth.whenAuthenticated(callback);
+                expect(callback).toHaveBeenCalledWith(null);
+            });
+            it('calls back once a token is set', function () {
+                var callback = jasmine.createSpy('callback');
+                Auth.whenAuthenticated(callback);
+                expect(callback).not.toHaveBeenCalled();
+                Auth.setToken(createToken({ domain: 'labs-t402.fyre.co', user_id: 'commenter' }));
+                expect(callback).toHaveBeenCalledWith(Auth.getUser());
+                Auth.setToken('12345');
+                expect(callback.callCount).toBe(1);
+            });
+            it('waits for a token that has not expired', function () {
+                var callback = jasmine.createSpy('callback');
+                Auth.whenAuthenticated(callback);
+                Auth.setToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    expires: 1363808885
+                }));
+                expect(callback).not.toHaveBeenCalled();
+                Auth.setToken('12345');
+                expect(callback.callCount).toBe(1);
+            });
+            it('returns a function that stops waiting for a token', function () {
+                var callback = jasmine.createSpy('callback'),
+                    cancel = Auth.whenAuthenticated(callback);
+                cancel();
+                Auth.setToken('12345');
+                expect(callback).not.toHaveBeenCalled();
+            });
+        });
+        describe('.fetchAuthData()', function () {
+            var collection,
+                authData,
+                originalAuthClient;
+            beforeEach(function () {
+                collection = { network: 'labs-t402.fyre.co', siteId: '303827', articleId: 'xbox-0' };
+                authData = {
+                    profile: { id: 'mod@labs-t402.fyre.co', displayName: 'Mod', avatar: 'http://avatar' },
+                    isModerator: true,
+                    isModAnywhere: true,
+                    permissions: { moderator_key: 'key' }
+                };
+                originalAuthClient = Auth.authClient;
+                Auth.authClient = {
+                    getAuthData: jasmine.createSpy('getAuthData').andCallFake(function (opts, callback) {
+                        callback(null, authData);
+                    })
+                };
+            });
+            afterEach(function () {
+                Auth.authClient = originalAuthClient;
+            });
+            it('is called with the collection passed to .setToken', function () {
+                Auth.setToken('12345', collection);
+                expect(Auth.authClient.getAuthData.mostRecentCall.args[0]).toEqual({
+                    network: 'labs-t402.fyre.co',
+                    siteId: '303827',
+                    articleId: 'xbox-0',
+                    environment: undefined,
+                    token: '12345'
+                });
+            });
+            it('updates the User with the profile, and emits user', function () {
+                var onUser = jasmine.createSpy('onUser');
+                Auth.on('user', onUser);
+                Auth.setToken(createToken({ domain: 'labs-t402.fyre.co', user_id: 'mod', expires: 4102444800 }));
+                Auth.fetchAuthData(collection);
+                expect(Auth.getUser().displayName).toBe('Mod');
+                expect(Auth.getUser().avatar).toBe('http://avatar');
+                expect(Auth.getUser().expiresAt).toBe(4102444800000);
+                expect(onUser).toHaveBeenCalledWith(Auth.getUser());
+                Auth.removeListener('user', onUser);
+            });
+            it('knows whether the user moderates the Collection', function () {
+                expect(Auth.isModerator(collection)).toBe(false);
+                Auth.setToken('12345', collection);
+                expect(Auth.isModerator(collection)).toBe(true);
+                expect(Auth.isModerator()).toBe(true);
+                expect(Auth.isModerator({ network: 'labs-t402.fyre.co', siteId: '303827', articleId: 'other' })).toBe(false);
+                Auth.logout();
+                expect(Auth.isModerator(collection)).toBe(false);
+            });
+            it('passes an UnauthorizedError if no token is set', function () {
+                var callback = jasmine.createSpy('callback');
+                Auth.fetchAuthData(collection, callback);
+                expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                expect(Auth.authClient.getAuthData).not.toHaveBeenCalled();
+            });
+        });
+        describe('with a .delegate', function () {
+            var delegate;
+            beforeEach(function () {
+                delegate = {
+                    login: jasmine.createSpy('login'),
+                    logout: jasmine.createSpy('logout').andCallFake(function (callback) {
+                        callback();
+                    }),
+                    viewProfile: jasmine.createSpy('viewProfile')
+                };
+                Auth.delegate = delegate;
+            });
+            afterEach(function () {
+                Auth.delegate = null;
+            });
+            describe('.login()', function () {
+                it('asks the delegate to log in, and calls back once a token is set', function () {
+                    var callback = jasmine.createSpy('callback'),
+                        other = jasmine.createSpy('other');
+                    Auth.login(callback);
+                    Auth.login(other);
+                    expect(delegate.login.callCount).toBe(1);
+                    expect(callback).not.toHaveBeenCalled();
+                    Auth.setToken('12345');
+                    expect(callback).toHaveBeenCalledWith(null, null);
+                    expect(other).toHaveBeenCalledWith(null, null);
+                });
+                it('calls back if the delegate set the token before calling back', function () {
+                    var callback = jasmine.createSpy('callback');
+                    delegate.login.andCallFake(function (done) {
+                        Auth._token = '12345';
+                        done();
+                    });
+                    Auth.login(callback);
+                    expect(callback).toHaveBeenCalledWith(null, null);
+                });
+                it('passes the error if the user does not log in', function () {
+                    var callback = jasmine.createSpy('callback'),
+                        err = new Error('cancelled');
+                    delegate.login.andCallFake(function (done) {
+                        done(err);
+                    });
+                    Auth.login(callback);
+                    expect(callback).toHaveBeenCalledWith(err, null);
+                    Auth.setToken('12345');
+                    expect(callback.callCount).toBe(1);
+                });
+                it('passes an UnauthorizedError without a delegate', function () {
+                    var callback = jasmine.createSpy('callback');
+                    Auth.delegate = null;
+                    Auth.login(callback);
+                    expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                });
+            });
+            it('logs out with the delegate', function () {
+                var callback = jasmine.createSpy('callback');
+                Auth.setToken('12345');
+                Auth.logout(callback);
+                expect(delegate.logout).toHaveBeenCalled();
+                expect(Auth.getToken()).toBe(undefined);
+                expect(callback).toHaveBeenCalledWith(null);
+            });
+            it('stays logged in if the delegate fails to log out', function () {
+                var callback = jasmine.createSpy('callback'),
+                    err = new Error('nope');
+                delegate.logout.andCallFake(function (done) {
+                    done(err);
+                });
+                Auth.setToken('12345');
+                Auth.logout(callback);
+                expect(Auth.getToken()).toBe('12345');
+                expect(callback).toHaveBeenCalledWith(err);
+            });
+            it('shows profiles with the delegate', function () {
+                var author = { id: 'author@labs-t402.fyre.co' };
+                expect(Auth.viewProfile(author)).toBe(true);
+                expect(delegate.viewProfile).toHaveBeenCalledWith(author);
+                Auth.delegate = null;
+                expect(Auth.viewProfile(author)).toBe(false);
+            });
+        });
         describe('.getToken()', function () {
             it('returns undefined if no token has been set', function () {
                 expect(Auth.getToken()).toBe(undefined);
@@ -0,0 +1,52 @@
+define([
+    'streamhub-sdk/auth/user'],
+function (User) {
+    'use strict';
+
+    describe('streamhub-sdk/auth/user', function () {
+        function createToken (claims) {
+            return ['eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9', btoa(JSON.stringify(claims)), 'sig'].join('.');
+        }
+
+        describe('.fromToken()', function () {
+            it('reads the user from the claims of an lftoken', function () {
+                var user = User.fromToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    display_name: 'Commenter',
+                    expires: 1363808885
+                }));
+                expect(user instanceof User).toBe(true);
+                expect(user.id).toBe('commenter@labs-t402.fyre.co');
+                expect(user.displayName).toBe('Commenter');
+                expect(user.expiresAt).toBe(1363808885000);
+            });
+
+            it('reads the expiry from .exp if there is no .expires', function () {
+                var user = User.fromToken(createToken({
+                    domain: 'labs-t402.fyre.co',
+                    user_id: 'commenter',
+                    exp: 1363808885
+                }));
+                expect(user.expiresAt).toBe(1363808885000);
+            });
+
+            it('returns null if the token cannot be read', function () {
+                expect(User.fromToken('12345')).toBe(null);
+                expect(User.fromToken(createToken({ user_id: 'commenter' }))).toBe(null);
+            });
+        });
+
+        describe('.isExpired()', function () {
+            it('is whether .expiresAt has passed', function () {
+                var user = new User({ expiresAt: 1000 });
+                expect(user.isExpired(999)).toBe(false);
+                expect(user.isExpired(1000)).toBe(true);
+            });
+
+            it('is false if the user has no .expiresAt', function () {
+                expect(new User().isExpired()).toBe(false);
+            });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+define(['streamhub-sdk/backoff'], function (Backoff) {
+    'use strict';
+
+    describe('streamhub-sdk/backoff', function () {
+        it('is a constructor', function () {
+            expect(new Backoff() instanceof Backoff).toBe(true);
+        });
+
+        describe('.duration()', function () {
+            it('grows exponentially by opts.factor', function () {
+                var backoff = new Backoff({ initial: 100, factor: 3, jitter: 0 });
+                expect(backoff.duration()).toBe(100);
+                expect(backoff.duration()).toBe(300);
+                expect(backoff.duration()).toBe(900);
+            });
+            it('never exceeds opts.max', function () {
+                var backoff = new Backoff({ initial: 100, max: 250, jitter: 0 });
+                backoff.duration();
+                backoff.duration();
+                expect(backoff.duration()).toBe(250);
+            });
+            it('subtracts up to opts.jitter of the delay', function () {
+                var backoff = new Backoff({ initial: 1000, jitter: 0.5 });
+                for (var i=0; i < 20; i++) {
+                    backoff.reset();
+                    var delay = backoff.duration();
+                    expect(delay).not.toBeGreaterThan(1000);
+                    expect(delay).not.toBeLessThan(500);
+                }
+            });
+            it('counts attempts', function () {
+                var backoff = new Backoff();
+                backoff.duration();
+                backoff.duration();
+                expect(backoff.attempts).toBe(2);
+            });
+        });
+
+        describe('.isExhausted()', function () {
+            it('is true once opts.maxAttempts durations have been taken', function () {
+                var backoff = new Backoff({ maxAttempts: 2 });
+                expect(backoff.isExhausted()).toBe(false);
+                backoff.duration();
+                backoff.duration();
+                expect(backoff.isExhausted()).toBe(true);
+            });
+            it('is false again after .reset()', function () {
+                var backoff = new Backoff({ maxAttempts: 1 });
+                backoff.duration();
+                backoff.reset();
+                expect(backoff.isExhausted()).toBe(false);
+                expect(backoff.attempts).toBe(0);
+            });
+        });
+    });
+});
@@ -1,8 +1,10 @@
 define([
     'streamhub-sdk/jquery',
     'streamhub-sdk/collection/clients/bootstrap-client',
-    'streamhub-sdk-tests/mocks/collection/clients/mock-bootstrap-client'],
-function ($, LivefyreBootstrapClient, MockBootstrapClient) {
+    'streamhub-sdk-tests/mocks/collection/clients/mock-bootstrap-client',
+    'streamhub-sdk/promise',
+    'streamhub-sdk-tests/mocks/mock-promise'],
+function ($, LivefyreBootstrapClient, MockBootstrapClient, promise, MockPromise) {
     'use strict';
 
     describe('A LivefyreBootstrapClient', function () {
@@ -50,6 +52,19 @@ function ($, LivefyreBootstrapClient, MockBootstrapClient) {
                 });
             });
 
+            it("returns a Promise of the data from .getContentAsync", function () {
+                var onResolve = jasmine.createSpy('onResolve');
+                promise.setImplementation(MockPromise);
+                bootstrapClient.getContentAsync(opts).then(onResolve);
+                promise.setImplementation(null);
+                waitsFor(function() {
+                    return onResolve.callCount > 0;
+                });
+                runs(function() {
+                    expect(onResolve).toHaveBeenCalledWith(mockData);
+                });
+            });
+
             it("requests page 0 when opts.page === 0", function () {
                 opts.page = 0;
                 bootstrapClient.getContent(opts, callback);
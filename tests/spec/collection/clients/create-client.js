@@ -1,7 +1,8 @@
 define([
     'streamhub-sdk/jquery',
-    'streamhub-sdk/collection/clients/create-client'],
-function ($, LivefyreCreateClient) {
+    'streamhub-sdk/collection/clients/create-client',
+    'streamhub-sdk/errors'],
+function ($, LivefyreCreateClient, errors) {
     'use strict';
 
     describe('A LivefyreCreateClient', function () {
@@ -67,6 +68,13 @@ function ($, LivefyreCreateClient) {
                 var requestUrl = createClient._request.mostRecentCall.args[0].url;
                 expect(requestUrl).toBe('http://quill.labs-t402.fyre.co/api/v3.0/site/286470/collection/create');
             });
+
+            it("passes a ValidationError without requesting if there is no collectionMeta", function () {
+                delete opts.collectionMeta;
+                createClient.createCollection(opts, callback);
+                expect(createClient._request).not.toHaveBeenCalled();
+                expect(callback.mostRecentCall.args[0] instanceof errors.ValidationError).toBe(true);
+            });
         });
         
         describe("when constructed with a token", function () {
@@ -0,0 +1,207 @@
+define([
+    'streamhub-sdk/jquery',
+    'streamhub-sdk/collection/clients/http-client',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/service-urls'],
+function ($, LivefyreHttpClient, errors, serviceUrls) {
+    'use strict';
+
+    describe('streamhub-sdk/collection/clients/http-client', function () {
+        var httpClient, callback, xhrs;
+
+        /**
+         * Make a fake jqXHR that can be resolved or rejected by the test
+         */
+        function createXhr () {
+            var deferred = $.Deferred(),
+                xhr = deferred.promise();
+            xhr.deferred = deferred;
+            xhr.abort = jasmine.createSpy('abort').andCallFake(function () {
+                deferred.reject({ status: 0 }, 'abort', '');
+            });
+            return xhr;
+        }
+
+        beforeEach(function () {
+            xhrs = [];
+            spyOn($, 'ajax').andCallFake(function () {
+                var xhr = createXhr();
+                xhrs.push(xhr);
+                return xhr;
+            });
+            callback = jasmine.createSpy('callback');
+            httpClient = new LivefyreHttpClient({
+                serviceName: 'bootstrap',
+                protocol: 'http:'
+            });
+        });
+
+        afterEach(function () {
+            LivefyreHttpClient.interceptors.request = [];
+            LivefyreHttpClient.interceptors.response = [];
+            serviceUrls.reset();
+        });
+
+        it('passes data to the callback', function () {
+            httpClient._request({ url: 'http://test' }, callback);
+            xhrs[0].deferred.resolve({ status: 'ok', data: 1 });
+            expect(callback).toHaveBeenCalledWith(null, { status: 'ok', data: 1 });
+        });
+
+        it('passes a ServiceError if the response has status error', function () {
+            httpClient._request({ url: 'http://test' }, callback);
+            xhrs[0].deferred.resolve({ status: 'error', msg: 'Nope', code: 500 });
+            var err = callback.mostRecentCall.args[0];
+            expect(err instanceof errors.ServiceError).toBe(true);
+            expect(err.message).toBe('Nope');
+        });
+
+        it('passes its timeout to $.ajax', function () {
+            httpClient = new LivefyreHttpClient({ timeout: 1234 });
+            httpClient._request({ url: 'http://test' }, callback);
+            expect($.ajax.mostRecentCall.args[0].timeout).toBe(1234);
+        });
+
+        it('passes a TimeoutError if the request times out', function () {
+            httpClient._request({ url: 'http://test' }, callback);
+            xhrs[0].deferred.reject({ status: 0 }, 'timeout', '');
+            expect(callback.mostRecentCall.args[0] instanceof errors.TimeoutError).toBe(true);
+        });
+
+        describe('with a retry policy', function () {
+            beforeEach(function () {
+                jasmine.Clock.useMock();
+                httpClient = new LivefyreHttpClient({
+                    retry: { maxAttempts: 2, initial: 100, jitter: 0 }
+                });
+            });
+
+            it('retries requests that fail temporarily', function () {
+                httpClient._request({ url: 'http://test' }, callback);
+                xhrs[0].deferred.reject({ status: 503 }, 'error', 'Service Unavailable');
+                expect(callback).not.toHaveBeenCalled();
+                jasmine.Clock.tick(100);
+                expect($.ajax.callCount).toBe(2);
+                xhrs[1].deferred.resolve({ data: 1 });
+                expect(callback).toHaveBeenCalledWith(null, { data: 1 });
+            });
+
+            it('passes the error once out of retries', function () {
+                httpClient._request({ url: 'http://test' }, callback);
+                xhrs[0].deferred.reject({ status: 0 }, 'error', '');
+                jasmine.Clock.tick(100);
+                xhrs[1].deferred.reject({ status: 0 }, 'error', '');
+                jasmine.Clock.tick(200);
+                xhrs[2].deferred.reject({ status: 0 }, 'error', '');
+                expect($.ajax.callCount).toBe(3);
+                expect(callback.callCount).toBe(1);
+                expect(callback.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+            });
+
+            it('does not retry requests that will fail again', function () {
+                httpClient._request({ url: 'http://test' }, callback);
+                xhrs[0].deferred.reject({ status: 404 }, 'error', 'Not Found');
+                expect($.ajax.callCount).toBe(1);
+                expect(callback.mostRecentCall.args[0] instanceof errors.NotFoundError).toBe(true);
+            });
+
+            it('calls back "abort" if aborted while waiting to retry', function () {
+                var request = httpClient._request({ url: 'http://test' }, callback);
+                xhrs[0].deferred.reject({ status: 0 }, 'error', '');
+                request.abort();
+                jasmine.Clock.tick(1000);
+                expect($.ajax.callCount).toBe(1);
+                expect(callback).toHaveBeenCalledWith('abort');
+            });
+        });
+
+        it('does not retry by default', function () {
+            httpClient._request({ url: 'http://test' }, callback);
+            xhrs[0].deferred.reject({ status: 0 }, 'error', '');
+            expect($.ajax.callCount).toBe(1);
+            expect(callback.callCount).toBe(1);
+        });
+
+        it('aborts the underlying xhr when aborted', function () {
+            var request = httpClient._request({ url: 'http://test' }, callback);
+            request.abort();
+            expect(xhrs[0].abort).toHaveBeenCalled();
+            expect(callback).toHaveBeenCalledWith('abort');
+        });
+
+        describe('interceptors', function () {
+            it('passes requests through request interceptors', function () {
+                httpClient.interceptors.request.push(function (request) {
+                    request.headers['X-Trace'] = 'abc';
+                });
+                httpClient._request({ url: 'http://test' }, callback);
+                expect($.ajax.mostRecentCall.args[0].headers['X-Trace']).toBe('abc');
+            });
+
+            it('can be passed as opts.interceptors', function () {
+                httpClient = new LivefyreHttpClient({
+                    interceptors: {
+                        request: [function (request) {
+                            return $.extend({}, request, { url: 'http://other' });
+                        }]
+                    }
+                });
+                httpClient._request({ url: 'http://test' }, callback);
+                expect($.ajax.mostRecentCall.args[0].url).toBe('http://other');
+            });
+
+            it('passes responses through response interceptors', function () {
+                var injectedError = new errors.ServiceError('Injected', 500);
+                httpClient.interceptors.response.push(function (response) {
+                    expect(response.request.url).toBe('http://test');
+                    response.error = injectedError;
+                });
+                httpClient._request({ url: 'http://test' }, callback);
+                xhrs[0].deferred.resolve({ data: 1 });
+                expect(callback.mostRecentCall.args[0]).toBe(injectedError);
+            });
+
+            it('runs global interceptors before the client\'s own', function () {
+                var order = [];
+                LivefyreHttpClient.interceptors.request.push(function () {
+                    order.push('global');
+                });
+                httpClient.interceptors.request.push(function () {
+                    order.push('client');
+                });
+                httpClient._request({ url: 'http://test' }, callback);
+                expect(order).toEqual(['global', 'client']);
+            });
+        });
+
+        describe('._getUrlBase', function () {
+            var opts = { network: 'labs-t402.fyre.co' };
+
+            it('uses the usual StreamHub host by default', function () {
+                expect(httpClient._getUrlBase(opts)).toBe('http://bootstrap.labs-t402.fyre.co');
+            });
+            it('uses the base URL configured in streamhub-sdk/service-urls', function () {
+                serviceUrls.set({ bootstrap: 'http://localhost:8080/' });
+                expect(httpClient._getUrlBase(opts)).toBe('http://localhost:8080');
+            });
+            it('prefers what opts.hostResolver returns', function () {
+                var hostResolver = jasmine.createSpy('hostResolver').andReturn('http://127.0.0.1:9000');
+                serviceUrls.set({ bootstrap: 'http://localhost:8080' });
+                httpClient = new LivefyreHttpClient({
+                    serviceName: 'bootstrap',
+                    hostResolver: hostResolver
+                });
+                expect(httpClient._getUrlBase(opts)).toBe('http://127.0.0.1:9000');
+                expect(hostResolver).toHaveBeenCalledWith('bootstrap', opts);
+            });
+            it('falls back if opts.hostResolver returns nothing', function () {
+                httpClient = new LivefyreHttpClient({
+                    serviceName: 'bootstrap',
+                    protocol: 'http:',
+                    hostResolver: function () {}
+                });
+                expect(httpClient._getUrlBase(opts)).toBe('http://bootstrap.labs-t402.fyre.co');
+            });
+        });
+    });
+});
@@ -0,0 +1,173 @@
+define([
+    'streamhub-sdk/jquery',
+    'streamhub-sdk/collection/clients/websocket-stream-client',
+    'streamhub-sdk/collection/clients/stream-client',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/service-urls',
+    'streamhub-sdk-tests/mocks/mock-web-socket'],
+function ($, LivefyreWebSocketStreamClient, LivefyreStreamClient, errors, serviceUrls, MockWebSocket) {
+    'use strict';
+
+    describe('streamhub-sdk/collection/clients/websocket-stream-client', function () {
+        var streamClient, fallbackClient, callback, opts, mockData;
+
+        beforeEach(function () {
+            MockWebSocket.reset();
+            mockData = {
+                states: {},
+                maxEventId: 1375829862584236
+            };
+            fallbackClient = new LivefyreStreamClient();
+            spyOn(fallbackClient, 'getContent').andReturn($.ajax());
+            streamClient = new LivefyreWebSocketStreamClient({
+                WebSocket: MockWebSocket,
+                fallbackClient: fallbackClient
+            });
+            callback = jasmine.createSpy('callback');
+            opts = {
+                network: 'labs-t402.fyre.co',
+                collectionId: '10669131',
+                commentId: '1375829862584235'
+            };
+        });
+
+        it('is a constructor', function () {
+            expect(streamClient instanceof LivefyreWebSocketStreamClient).toBe(true);
+        });
+
+        it('opens a WebSocket to stream from opts.commentId', function () {
+            streamClient.getContent(opts, callback);
+            expect(MockWebSocket.instances.length).toBe(1);
+            expect(MockWebSocket.latest().url).toBe(
+                'ws://stream1.labs-t402.fyre.co/v3.0/collection/10669131/1375829862584235/ws/');
+        });
+
+        it('uses wss: when constructed with opts.protocol=https', function () {
+            streamClient = new LivefyreWebSocketStreamClient({
+                WebSocket: MockWebSocket,
+                protocol: 'https'
+            });
+            streamClient.getContent(opts, callback);
+            expect(MockWebSocket.latest().url.indexOf('wss://')).toBe(0);
+        });
+
+        it('opens the WebSocket to the stream1 base URL in streamhub-sdk/service-urls', function () {
+            serviceUrls.set({ stream1: 'http://localhost:8080' });
+            streamClient.getContent(opts, callback);
+            serviceUrls.reset();
+            expect(MockWebSocket.latest().url).toBe(
+                'ws://localhost:8080/v3.0/collection/10669131/1375829862584235/ws/');
+        });
+
+        it('passes pushed data to the callback', function () {
+            streamClient.getContent(opts, callback);
+            MockWebSocket.latest().serverOpen();
+            MockWebSocket.latest().serverSend({ status: 'ok', data: mockData });
+            expect(callback).toHaveBeenCalledWith(null, mockData);
+        });
+
+        it('passes error messages to the callback', function () {
+            streamClient.getContent(opts, callback);
+            MockWebSocket.latest().serverOpen();
+            MockWebSocket.latest().serverSend({ status: 'error', msg: 'oops' });
+            expect(callback).toHaveBeenCalledWith('oops');
+        });
+
+        it('buffers data pushed between requests and reuses the socket', function () {
+            jasmine.Clock.useMock();
+            streamClient.getContent(opts, callback);
+            var socket = MockWebSocket.latest();
+            socket.serverOpen();
+            socket.serverSend({ status: 'ok', data: mockData });
+            socket.serverSend({ status: 'ok', data: { states: {}, maxEventId: 2 } });
+
+            var secondCallback = jasmine.createSpy('secondCallback');
+            streamClient.getContent($.extend({}, opts, { commentId: mockData.maxEventId }), secondCallback);
+            jasmine.Clock.tick(0);
+            expect(MockWebSocket.instances.length).toBe(1);
+            expect(secondCallback).toHaveBeenCalledWith(null, { states: {}, maxEventId: 2 });
+        });
+
+        it('closes the socket and calls back with "abort" when aborted', function () {
+            var request = streamClient.getContent(opts, callback);
+            var socket = MockWebSocket.latest();
+            socket.serverOpen();
+            request.abort();
+            expect(socket.readyState).toBe(MockWebSocket.CLOSED);
+            expect(callback).toHaveBeenCalledWith('abort');
+        });
+
+        it('calls back with an error if an open socket closes', function () {
+            streamClient.getContent(opts, callback);
+            MockWebSocket.latest().serverOpen();
+            MockWebSocket.latest().serverClose();
+            expect(callback.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+            expect(fallbackClient.getContent).not.toHaveBeenCalled();
+        });
+
+        describe('when the socket cannot be opened', function () {
+            beforeEach(function () {
+                jasmine.Clock.useMock();
+                streamClient = new LivefyreWebSocketStreamClient({
+                    WebSocket: MockWebSocket,
+                    fallbackClient: fallbackClient,
+                    socketBackoff: { initial: 1000, jitter: 0, maxAttempts: 2 }
+                });
+                streamClient.getContent(opts, callback);
+                MockWebSocket.latest().serverClose();
+            });
+
+            it('falls back to long-polling for the pending request', function () {
+                expect(fallbackClient.getContent).toHaveBeenCalledWith(opts, callback);
+            });
+
+            it('keeps long-polling for later requests', function () {
+                streamClient.getContent(opts, callback);
+                expect(fallbackClient.getContent.callCount).toBe(2);
+                expect(MockWebSocket.instances.length).toBe(1);
+            });
+
+            it('tries a WebSocket again after backing off', function () {
+                jasmine.Clock.tick(1000);
+                streamClient.getContent(opts, callback);
+                expect(MockWebSocket.instances.length).toBe(2);
+                expect(fallbackClient.getContent.callCount).toBe(1);
+            });
+
+            it('backs off for longer each time the socket cannot be opened', function () {
+                jasmine.Clock.tick(1000);
+                streamClient.getContent(opts, callback);
+                MockWebSocket.latest().serverClose();
+                jasmine.Clock.tick(1000);
+                streamClient.getContent(opts, callback);
+                expect(MockWebSocket.instances.length).toBe(2);
+                jasmine.Clock.tick(1000);
+                streamClient.getContent(opts, callback);
+                expect(MockWebSocket.instances.length).toBe(3);
+            });
+
+            it('keeps long-polling once its socketBackoff is exhausted', function () {
+                jasmine.Clock.tick(1000);
+                streamClient.getContent(opts, callback);
+                MockWebSocket.latest().serverClose();
+                jasmine.Clock.tick(2000);
+                streamClient.getContent(opts, callback);
+                MockWebSocket.latest().serverClose();
+                jasmine.Clock.tick(60000);
+                streamClient.getContent(opts, callback);
+                expect(MockWebSocket.instances.length).toBe(3);
+            });
+        });
+
+        it('long-polls if a WebSocket cannot be constructed', function () {
+            streamClient = new LivefyreWebSocketStreamClient({
+                WebSocket: function () {
+                    throw new Error('SecurityError');
+                },
+                fallbackClient: fallbackClient
+            });
+            streamClient.getContent(opts, callback);
+            expect(fallbackClient.getContent).toHaveBeenCalledWith(opts, callback);
+        });
+    });
+});
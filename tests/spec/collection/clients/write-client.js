@@ -115,5 +115,120 @@ function ($, LivefyreWriteClient) {
                 expect(callback.mostRecentCall.args[1]).toBe(mockData);
             });
         });
+
+        it ("should post likes and unlikes for a message", function () {
+            var callback = jasmine.createSpy();
+            var opts = {
+                "network": "labs-t402.fyre.co",
+                "collectionId": "33129653",
+                "messageId": "26394571",
+                "lftoken": "my token"
+            };
+            writeClient.like(opts, callback);
+            writeClient.unlike(opts, callback);
+            waitsFor(function() {
+                return callback.callCount === 2;
+            });
+            runs(function() {
+                var likeArgs = writeClient._request.calls[0].args[0],
+                    unlikeArgs = writeClient._request.calls[1].args[0];
+                expect(likeArgs.method).toBe('POST');
+                expect(likeArgs.url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/like/");
+                expect(likeArgs.data.collection_id).toBe("33129653");
+                expect(likeArgs.data.lftoken).toBe("my token");
+                expect(unlikeArgs.url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/unlike/");
+                expect(callback.mostRecentCall.args[0]).toBeNull();
+            });
+        });
+
+        it("should post edits for a message", function () {
+            var callback = jasmine.createSpy();
+            writeClient.editContent({
+                "network": "labs-t402.fyre.co",
+                "collectionId": "33129653",
+                "messageId": "26394571",
+                "lftoken": "my token",
+                "body": "<p>edited</p>",
+                "media": [{ type: 'photo', url: 'http://i.imgur.com/a.jpg' }]
+            }, callback);
+            var args = writeClient._request.mostRecentCall.args[0];
+            expect(args.method).toBe('POST');
+            expect(args.url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/edit/");
+            expect(args.data).toEqual({
+                body: "<p>edited</p>",
+                media: JSON.stringify([{ type: 'photo', url: 'http://i.imgur.com/a.jpg' }]),
+                collection_id: "33129653",
+                lftoken: "my token"
+            });
+        });
+
+        describe('moderation', function () {
+            var callback,
+                opts;
+            beforeEach(function () {
+                callback = jasmine.createSpy();
+                opts = {
+                    "network": "labs-t402.fyre.co",
+                    "collectionId": "33129653",
+                    "messageId": "26394571",
+                    "lftoken": "my token"
+                };
+            });
+            function lastRequest () {
+                return writeClient._request.mostRecentCall.args[0];
+            }
+
+            it("should post deletes, approvals and bozos for a message", function () {
+                writeClient.deleteContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/delete/");
+                expect(lastRequest().data).toEqual({ collection_id: "33129653", lftoken: "my token" });
+                writeClient.approveContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/approve/");
+                writeClient.bozoContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/bozo/");
+                expect(lastRequest().method).toBe('POST');
+            });
+
+            it("should post flags with a reason and notes", function () {
+                opts.flag = 'spam';
+                opts.notes = 'Buy now';
+                writeClient.flagContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/message/26394571/flag/spam/");
+                expect(lastRequest().data).toEqual({
+                    notes: 'Buy now',
+                    collection_id: "33129653",
+                    lftoken: "my token"
+                });
+            });
+
+            it("should post features with a value and unfeatures to the collection", function () {
+                opts.value = 1363808885;
+                writeClient.featureContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/collection/33129653/feature/26394571/");
+                expect(lastRequest().data).toEqual({ value: 1363808885, lftoken: "my token" });
+                writeClient.unfeatureContent(opts, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/collection/33129653/unfeature/26394571/");
+            });
+
+            it("should post bans for an author", function () {
+                writeClient.banAuthor({
+                    network: "labs-t402.fyre.co",
+                    lftoken: "my token",
+                    authorId: "troll@labs-t402.fyre.co"
+                }, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/author/troll@labs-t402.fyre.co/ban/");
+                expect(lastRequest().data).toEqual({ network: "labs-t402.fyre.co", lftoken: "my token" });
+            });
+
+            it("should post bozos for an author", function () {
+                writeClient.bozoAuthor({
+                    network: "labs-t402.fyre.co",
+                    lftoken: "my token",
+                    authorId: "troll@labs-t402.fyre.co"
+                }, callback);
+                expect(lastRequest().url).toBe("http://quill.labs-t402.fyre.co/api/v3.0/author/troll@labs-t402.fyre.co/bozo/");
+                expect(lastRequest().data).toEqual({ network: "labs-t402.fyre.co", lftoken: "my token" });
+            });
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,58 @@
+define(['streamhub-sdk/collection/latest-event-store'], function (LatestEventStore) {
+    'use strict';
+
+    describe('streamhub-sdk/collection/latest-event-store', function () {
+        var storage,
+            store;
+
+        beforeEach(function () {
+            var items = {};
+            storage = {
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = String(value);
+                }
+            };
+            store = new LatestEventStore({ storage: storage });
+        });
+
+        it('returns null for Collections it has not stored', function () {
+            expect(store.get('1234')).toBe(null);
+        });
+
+        it('stores the latest event per Collection', function () {
+            store.set('1234', 1372807378824134);
+            store.set('5678', 1);
+            expect(store.get('1234').eventId).toBe(1372807378824134);
+            expect(store.get('5678').eventId).toBe(1);
+        });
+
+        it('stores when the event was set', function () {
+            var before = new Date().getTime();
+            store.set('1234', 1);
+            expect(store.get('1234').savedAt).not.toBeLessThan(before);
+        });
+
+        it('writes keys with opts.prefix', function () {
+            store = new LatestEventStore({ storage: storage, prefix: 'myapp/' });
+            store.set('1234', 1);
+            expect(storage.getItem('myapp/1234')).toBeTruthy();
+        });
+
+        it('ignores unparseable stored values', function () {
+            storage.setItem('streamhub-sdk/latest-event/1234', '{not json');
+            expect(store.get('1234')).toBe(null);
+        });
+
+        it('does not throw if storage is full', function () {
+            storage.setItem = function () {
+                throw new Error('QuotaExceededError');
+            };
+            expect(function () {
+                store.set('1234', 1);
+            }).not.toThrow();
+        });
+    });
+});
@@ -5,14 +5,21 @@ define([
     'streamhub-sdk/collection/streams/updater',
     'streamhub-sdk/collection/streams/writer',
     'streamhub-sdk/collection/featured-contents',
+    'streamhub-sdk/collection/clients/websocket-stream-client',
     'streamhub-sdk/content/views/content-list-view',
     'streamhub-sdk/content',
     'streamhub-sdk/auth',
+    'streamhub-sdk/errors',
+    'streamhub-sdk/promise',
+    'streamhub-sdk/storage',
+    'streamhub-sdk-tests/mocks/mock-promise',
+    'streamhub-sdk-tests/mocks/mock-storage-backend',
     'stream/writable',
     'stream/readable'
 ], function (Collection, MockCollection, CollectionArchive,
-CollectionUpdater, CollectionWriter, FeaturedContents, ContentListView, Content,
-Auth, Writable, Readable) {
+CollectionUpdater, CollectionWriter, FeaturedContents,
+LivefyreWebSocketStreamClient, ContentListView, Content, Auth, errors,
+promise, Storage, MockPromise, MockStorageBackend, Writable, Readable) {
     'use strict';
 
     describe('streamhub-sdk/collection', function () {
@@ -33,6 +40,21 @@ Auth, Writable, Readable) {
             });
             expect(collection.id).toBe(myId);
         });
+        it('streams updates over a WebSocket when passed opts.transport = "websocket"', function () {
+            var collection = new Collection({
+                transport: 'websocket'
+            });
+            var updater = collection.createUpdater();
+            expect(updater._streamClient instanceof LivefyreWebSocketStreamClient).toBe(true);
+        });
+        it('gives each updater its own WebSocket stream client', function () {
+            var collection = new Collection({
+                transport: 'websocket'
+            });
+            var first = collection.createUpdater();
+            var second = collection.createUpdater();
+            expect(first._streamClient).not.toBe(second._streamClient);
+        });
         describe('instance', function () {
             var opts,
                 collection,
@@ -93,6 +115,48 @@ Auth, Writable, Readable) {
                 });
             });
 
+            describe('storage', function () {
+                it('is not shared between Collections', function () {
+                    var other = new Collection();
+                    expect(collection._storage instanceof Storage).toBe(true);
+                    expect(collection._storage).not.toBe(other._storage);
+                    expect(collection._storage).not.toBe(Storage);
+                });
+                it('is passed to archives, updaters and featured archives', function () {
+                    var storage = new Storage();
+                    var collection = new MockCollection({
+                        storage: storage,
+                        withFeaturedInit: true
+                    });
+                    expect(collection.createArchive()._storage).toBe(storage);
+                    expect(collection.createUpdater()._storage).toBe(storage);
+                    expect(collection.createFeaturedContents().createArchive()._storage).toBe(storage);
+                });
+                it('can be queried with .createContentIndex()', function () {
+                    var content = new Content('hi');
+                    content.id = '1';
+                    collection._storage.set(content.id, content);
+                    expect(collection.createContentIndex().find()).toEqual([content]);
+                });
+                it('can be bounded with opts.storageSize', function () {
+                    var collection = new Collection({ storageSize: 2 });
+                    collection._storage.set('a', 1);
+                    collection._storage.set('b', 2);
+                    collection._storage.set('c', 3);
+                    expect(collection._storage.get('a')).toBe(undefined);
+                    expect(collection._storage.get('c')).toBe(3);
+                });
+                it('keeps children waiting for their parent past opts.storageSize', function () {
+                    var collection = new Collection({ storageSize: 1 }),
+                        children = [new Content('reply')];
+                    collection._storage.set('children_a', children);
+                    collection._storage.set('b', 2);
+                    collection._storage.set('c', 3);
+                    expect(collection._storage.get('children_a')).toBe(children);
+                    expect(collection._storage.get('b')).toBe(undefined);
+                });
+            });
+
             describe('.createWriter', function () {
                 it('returns a writable CollectionWriter Stream', function () {
                     var writer = collection.createWriter();
@@ -128,9 +192,9 @@ Auth, Writable, Readable) {
                         signed: false
                     };
                     //Faked responses
-                    mock404Response = "Not Found";//{"msg": "", "status": "error", "error_type": "ResourceDoesNotExist", "trace": "Traceback (most recent call last):\n  File... raise ResourceDoesNotExist()\nResourceNotFoundError\n", "code": 404};
-                    mock400Response = "Bad Request";//{"msg": "Cannot create a collection without an articleId: {\"url\": \"http://www.fake.com\", \"tags\": \"test,wall\", \"title\": \"Media Wall Example\"}.", "status": "error", "error_type": "BadRequestError", "trace": "Traceback (most recent call last):\n  File... raise BadRequestError(\"Cannot create a collection without an articleId: %s.\" % json.dumps(collection_meta))\nBadDataError: Cannot create a collection without an articleId: {\"url\": \"http://www.fake.com\", \"tags\": \"test,wall\", \"title\": \"Media Wall Example\"}.\n", "code": 400}
-                    mock500Response = "Internal Server Error";//{"msg": "", "status": "error", "code": 500};
+                    mock404Response = new errors.NotFoundError("Not Found");//{"msg": "", "status": "error", "error_type": "ResourceDoesNotExist", "trace": "Traceback (most recent call last):\n  File... raise ResourceDoesNotExist()\nResourceNotFoundError\n", "code": 404};
+                    mock400Response = new errors.ValidationError("Bad Request");//{"msg": "Cannot create a collection without an articleId: {\"url\": \"http://www.fake.com\", \"tags\": \"test,wall\", \"title\": \"Media Wall Example\"}.", "status": "error", "error_type": "BadRequestError", "trace": "Traceback (most recent call last):\n  File... raise BadRequestError(\"Cannot create a collection without an articleId: %s.\" % json.dumps(collection_meta))\nBadDataError: Cannot create a collection without an articleId: {\"url\": \"http://www.fake.com\", \"tags\": \"test,wall\", \"title\": \"Media Wall Example\"}.\n", "code": 400}
+                    mock500Response = new errors.ServiceError("Internal Server Error", 500);//{"msg": "", "status": "error", "code": 500};
                     mock200Response = "OK";//{};//Sometimes sent by our servers in leu of an error.
                     mock202Response = {"msg": "This request is being processed.", "status": "ok", "code": 202};
 
@@ -156,6 +220,28 @@ Auth, Writable, Readable) {
                     expect(fnCallback).toHaveBeenCalledWith(null, mockInitResponse);
                 });
 
+                describe('Async', function () {
+                    var onResolve, onReject;
+                    beforeEach(function () {
+                        promise.setImplementation(MockPromise);
+                        onResolve = jasmine.createSpy('onResolve');
+                        onReject = jasmine.createSpy('onReject');
+                    });
+                    afterEach(function () {
+                        promise.setImplementation(null);
+                    });
+                    it('returns a Promise of the initData', function () {
+                        spyOn(collection._bootstrapClient, "getContent").andCallFake(fnSuccessfulInit);
+                        collection.initFromBootstrapAsync().then(onResolve, onReject);
+                        expect(onResolve).toHaveBeenCalledWith(mockInitResponse);
+                    });
+                    it('rejects the Promise if init fails', function () {
+                        spyOn(collection._bootstrapClient, "getContent").andCallFake(fnServerError);
+                        collection.initFromBootstrapAsync().then(onResolve, onReject);
+                        expect(onReject).toHaveBeenCalledWith(mock500Response);
+                    });
+                });
+
                 it('creates and reads from a new collection when a current collection isn\'t found', function () {
                     var spyGetContent = spyOn(collection._bootstrapClient, "getContent").andCallFake(fnFailedInit);
                     spyOn(collection._createClient, "createCollection").andCallFake(function (opts, errback) {
@@ -171,15 +257,16 @@ Auth, Writable, Readable) {
                     expect(fnCallback.callCount).toBe(1);
                 });
 
-                it('throws error when services are failing, without making more calls than necessary', function () {
+                it('passes an error when services are failing, without making more calls than necessary', function () {
                     spyOn(collection._bootstrapClient, "getContent").andCallFake(fnServerError);
                     spyOn(collection._createClient, "createCollection").andCallFake(function (opts, errback) {
                         return;
                     });
 
-                    expect(function () {
-                        collection.initFromBootstrap(fnCallback);
-                    }).toThrow('Fatal collection connection error');
+                    collection.initFromBootstrap(fnCallback);
+
+                    expect(fnCallback).toHaveBeenCalledWith(mock500Response);
+                    expect(fnCallback.mostRecentCall.args[0] instanceof errors.ServiceError).toBe(true);
                     expect(collection._bootstrapClient.getContent.calls.length).toEqual(1);
                     expect(collection._createClient.createCollection).not.toHaveBeenCalled();
                 });
@@ -275,6 +362,349 @@ Auth, Writable, Readable) {
                 });
             });
 
+            describe('connection state', function () {
+                var onState;
+                beforeEach(function () {
+                    onState = jasmine.createSpy('onState');
+                    collection.on('state', onState);
+                });
+                it('is idle on construction', function () {
+                    expect(collection.getState()).toBe(Collection.enums.state.IDLE);
+                });
+                it('is bootstrapping while requesting Bootstrap init', function () {
+                    collection._bootstrapClient.getContent.andCallFake(function () {});
+                    collection.initFromBootstrap();
+                    expect(collection.getState()).toBe('bootstrapping');
+                    expect(onState).toHaveBeenCalledWith('bootstrapping', 'idle');
+                });
+                it('is idle after Bootstrap init if nothing is streaming', function () {
+                    collection.initFromBootstrap();
+                    expect(collection.getState()).toBe('idle');
+                });
+                it('is live after Bootstrap init if the updater is streaming', function () {
+                    collection._updater = new Readable();
+                    collection.initFromBootstrap();
+                    expect(collection.getState()).toBe('live');
+                });
+                it('is creating while creating the Collection', function () {
+                    collection._bootstrapClient.getContent.andCallFake(function (opts, errback) {
+                        errback(new errors.NotFoundError('Not Found'));
+                    });
+                    spyOn(collection._createClient, 'createCollection');
+                    collection.initFromBootstrap();
+                    expect(collection.getState()).toBe('creating');
+                });
+                it('has failed if the Collection cannot be created', function () {
+                    collection._bootstrapClient.getContent.andCallFake(function (opts, errback) {
+                        errback(new errors.NotFoundError('Not Found'));
+                    });
+                    spyOn(collection._createClient, 'createCollection').andCallFake(function (opts, errback) {
+                        errback(new errors.ValidationError('Bad Request'));
+                    });
+                    collection.initFromBootstrap();
+                    expect(collection.getState()).toBe('failed');
+                });
+                it('is paused after .pause() and live after .resume()', function () {
+                    collection._updater = new Readable();
+                    collection._setState(Collection.enums.state.LIVE);
+                    collection.pause();
+                    expect(collection.getState()).toBe('paused');
+                    collection.resume();
+                    expect(collection.getState()).toBe('live');
+                });
+                it('resumes in the state it was paused in', function () {
+                    var updater = new Readable(),
+                        failed = ['failed', 'offline', 'reconnecting'];
+                    collection._updater = updater;
+                    collection._forwardUpdaterEvents(updater);
+                    for (var i=0; i < failed.length; i++) {
+                        collection._setState(failed[i]);
+                        collection.pause();
+                        collection.resume();
+                        expect(collection.getState()).toBe(failed[i]);
+                    }
+                    updater.emit('catchup', { count: 0, pausedFor: 1000 });
+                    expect(collection.getState()).toBe('live');
+                });
+                it('follows the reconnection events of its updater', function () {
+                    var updater = new Readable();
+                    collection._forwardUpdaterEvents(updater);
+                    updater.emit('reconnecting', {});
+                    expect(collection.getState()).toBe('reconnecting');
+                    updater.emit('reconnected', {});
+                    expect(collection.getState()).toBe('live');
+                });
+                it('stays paused while its updater reconnects, and resumes reconnecting', function () {
+                    var updater = new Readable();
+                    collection._updater = updater;
+                    collection._forwardUpdaterEvents(updater);
+                    collection._setState(Collection.enums.state.LIVE);
+                    collection.pause();
+                    updater.emit('reconnecting', {});
+                    expect(collection.getState()).toBe('paused');
+                    expect(onState).not.toHaveBeenCalledWith('reconnecting', 'paused');
+                    collection.resume();
+                    expect(collection.getState()).toBe('reconnecting');
+                });
+                it('is still offline to writes while paused', function () {
+                    var done = jasmine.createSpy('done');
+                    collection._setState(Collection.enums.state.OFFLINE);
+                    collection.pause();
+                    collection._write(new Content('hi'), done);
+                    expect(done.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+                });
+                it('has failed if its updater errors', function () {
+                    var updater = new Readable(),
+                        onError = jasmine.createSpy('onError');
+                    collection.on('error', onError);
+                    collection._forwardUpdaterEvents(updater);
+                    updater.emit('error', 'Service Unavailable');
+                    expect(collection.getState()).toBe('failed');
+                    expect(onError).toHaveBeenCalledWith('Service Unavailable');
+                });
+            });
+
+            describe('when constructed with opts.persistContent', function () {
+                var backend;
+                beforeEach(function () {
+                    backend = new MockStorageBackend();
+                    opts.persistContent = backend;
+                    opts.persistedContentCount = 1;
+                    collection = new Collection(opts);
+                });
+                it('caches the latest states after Bootstrap init', function () {
+                    var states = mockInitResponse.headDocument.content,
+                        latestEvent = 0,
+                        cached;
+                    for (var i=0; i < states.length; i++) {
+                        latestEvent = Math.max(latestEvent, states[i].event);
+                    }
+                    collection.initFromBootstrap();
+
+                    // As if the page was reloaded
+                    opts.persistContent = new MockStorageBackend(backend.values);
+                    new Collection(opts).getCachedHeadDocument(function (headDocument) {
+                        cached = headDocument;
+                    });
+                    expect(cached.content.length).toBe(1);
+                    expect(cached.content[0].event).toBe(latestEvent);
+                    expect(cached.authors).toEqual(mockInitResponse.headDocument.authors);
+                });
+                it('caches the head document outside its Storage, so it is not evicted with Content', function () {
+                    collection.initFromBootstrap();
+                    expect(collection._storage.get(collection._getHeadDocumentCacheKey())).toBe(undefined);
+                    expect(backend.values[collection._getHeadDocumentCacheKey()].content.length).toBe(1);
+                });
+                it('passes null from .getCachedHeadDocument if nothing was cached', function () {
+                    var callback = jasmine.createSpy('callback');
+                    collection.getCachedHeadDocument(callback);
+                    expect(callback).toHaveBeenCalledWith(null);
+                });
+                it('is offline if Bootstrap cannot be reached', function () {
+                    collection._bootstrapClient.getContent.andCallFake(function (opts, errback) {
+                        errback(new errors.NetworkError('Network error'));
+                    });
+                    collection.initFromBootstrap(function () {});
+                    expect(collection.getState()).toBe('offline');
+                });
+                it('stays offline while its updater reconnects', function () {
+                    var updater = new Readable();
+                    collection._forwardUpdaterEvents(updater);
+                    collection._setState(Collection.enums.state.OFFLINE);
+                    updater.emit('reconnecting', {});
+                    expect(collection.getState()).toBe('offline');
+                });
+                it('refuses writes while offline', function () {
+                    var done = jasmine.createSpy('done');
+                    collection._writer = { write: jasmine.createSpy('write') };
+                    collection._setState(Collection.enums.state.OFFLINE);
+                    collection._write(new Content('hi'), done);
+                    expect(collection._writer.write).not.toHaveBeenCalled();
+                    expect(done.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+                });
+                it('refuses likes while offline', function () {
+                    var done = jasmine.createSpy('done');
+                    collection._writer = { like: jasmine.createSpy('like') };
+                    collection._setState(Collection.enums.state.OFFLINE);
+                    collection.like(new Content('hi'), done);
+                    expect(collection._writer.like).not.toHaveBeenCalled();
+                    expect(done.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+                });
+                describe('and opts.outbox', function () {
+                    var outboxBackend;
+                    beforeEach(function () {
+                        jasmine.Clock.useMock();
+                        outboxBackend = new MockStorageBackend();
+                        opts.outbox = { backend: outboxBackend };
+                        collection = new Collection(opts);
+                        Auth.setToken('12345');
+                    });
+                    afterEach(function () {
+                        Auth.setToken();
+                    });
+                    it('queues writes while offline, and emits queued', function () {
+                        var done = jasmine.createSpy('done'),
+                            onQueued = jasmine.createSpy('queued'),
+                            content = new Content('hi');
+                        collection.on('queued', onQueued);
+                        collection._setState(Collection.enums.state.OFFLINE);
+                        collection._write(content, done);
+                        expect(done).toHaveBeenCalled();
+                        expect(done.mostRecentCall.args[0]).toBeFalsy();
+                        expect(onQueued.mostRecentCall.args[0]).toBe(content);
+                        expect(collection._writer.getQueued()).toEqual([content]);
+                    });
+                    it('flushes queued writes once it is back online', function () {
+                        collection._setState(Collection.enums.state.OFFLINE);
+                        collection._write(new Content('hi'), function () {});
+                        spyOn(collection._writer, 'flush');
+                        collection._setState(Collection.enums.state.IDLE);
+                        expect(collection._writer.flush).toHaveBeenCalled();
+                    });
+                });
+            });
+
+            describe('.like() and .unlike()', function () {
+                it('likes and unlikes through collection._writer', function () {
+                    var content = new Content('hi'),
+                        done = function () {};
+                    collection._writer = {
+                        like: jasmine.createSpy('like'),
+                        unlike: jasmine.createSpy('unlike')
+                    };
+                    collection.like(content, done);
+                    collection.unlike(content, done);
+                    expect(collection._writer.like).toHaveBeenCalledWith(content, done);
+                    expect(collection._writer.unlike).toHaveBeenCalledWith(content, done);
+                });
+            });
+
+            describe('when Content is written', function () {
+                it('echoes it to readers through the writer', function () {
+                    var writer = collection.createWriter(),
+                        content = new Content('hi');
+                    spyOn(collection, 'push');
+                    expect(writer._echo(content)).toBe(false);
+                    collection._updater = {};
+                    expect(writer._echo(content)).toBe(true);
+                    expect(collection.push).toHaveBeenCalledWith(content);
+                });
+            });
+
+            describe('moderation', function () {
+                var content,
+                    done;
+                beforeEach(function () {
+                    content = new Content('hi');
+                    done = function () {};
+                    collection._writer = jasmine.createSpyObj('writer', [
+                        'deleteContent', 'approveContent', 'bozoContent', 'flagContent',
+                        'featureContent', 'unfeatureContent', 'banAuthor', 'bozoAuthor']);
+                });
+                it('moderates through collection._writer', function () {
+                    collection.deleteContent(content, done);
+                    collection.approveContent(content, done);
+                    collection.bozoContent(content, done);
+                    collection.flagContent(content, 'spam', done);
+                    collection.unfeatureContent(content, done);
+                    collection.banAuthor('troll@labs-t402.fyre.co', done);
+                    collection.bozoAuthor('troll@labs-t402.fyre.co', done);
+                    expect(collection._writer.deleteContent).toHaveBeenCalledWith(content, done);
+                    expect(collection._writer.approveContent).toHaveBeenCalledWith(content, done);
+                    expect(collection._writer.bozoContent).toHaveBeenCalledWith(content, done);
+                    expect(collection._writer.flagContent).toHaveBeenCalledWith(content, 'spam', done);
+                    expect(collection._writer.unfeatureContent).toHaveBeenCalledWith(content, done);
+                    expect(collection._writer.banAuthor).toHaveBeenCalledWith('troll@labs-t402.fyre.co', done);
+                    expect(collection._writer.bozoAuthor).toHaveBeenCalledWith('troll@labs-t402.fyre.co', done);
+                });
+                it('features with an optional value', function () {
+                    collection.featureContent(content, 10, done);
+                    expect(collection._writer.featureContent).toHaveBeenCalledWith(content, 10, done);
+                    collection.featureContent(content, done);
+                    expect(collection._writer.featureContent).toHaveBeenCalledWith(content, undefined, done);
+                });
+                it('refuses to moderate while offline', function () {
+                    var callback = jasmine.createSpy('callback');
+                    collection._setState(Collection.enums.state.OFFLINE);
+                    collection.deleteContent(content, callback);
+                    expect(collection._writer.deleteContent).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+                });
+                it('passes Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+                    var callback = jasmine.createSpy('callback');
+                    collection._writer = null;
+                    collection.id = '33129653';
+                    collection.deleteContent(content, callback);
+                    collection.banAuthor('troll@labs-t402.fyre.co', callback);
+                    expect(callback.callCount).toBe(2);
+                    expect(callback.calls[0].args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                    expect(callback.calls[1].args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                });
+            });
+
+            describe('when the page visibility changes', function () {
+                beforeEach(function () {
+                    spyOn(collection, '_pause').andCallThrough();
+                    spyOn(collection, 'resume').andCallThrough();
+                });
+                it('pauses when the page is hidden', function () {
+                    collection._handleVisibilityChange(true);
+                    expect(collection._pause).toHaveBeenCalled();
+                });
+                it('resumes when the page is visible again', function () {
+                    collection._handleVisibilityChange(true);
+                    collection._handleVisibilityChange(false);
+                    expect(collection.resume).toHaveBeenCalled();
+                });
+                it('stays paused if it was paused before the page was hidden', function () {
+                    collection.pause();
+                    collection._handleVisibilityChange(true);
+                    collection._handleVisibilityChange(false);
+                    expect(collection._pause.callCount).toBe(1);
+                    expect(collection.resume).not.toHaveBeenCalled();
+                });
+            });
+
+            describe('when paused by the caller with opts.visibility', function () {
+                var listener;
+                beforeEach(function () {
+                    // Not every test browser has the Page Visibility API
+                    listener = function () {};
+                    collection._visibility = true;
+                    collection._visibilityListener = {
+                        event: 'visibilitychange',
+                        handler: listener
+                    };
+                    spyOn(document, 'removeEventListener');
+                });
+                it('stops listening for visibility changes when paused', function () {
+                    collection.pause();
+                    expect(document.removeEventListener).toHaveBeenCalledWith('visibilitychange', listener, false);
+                });
+                it('does not resume on visibility changes if paused while hidden', function () {
+                    collection._handleVisibilityChange(true);
+                    collection.pause();
+                    spyOn(collection, 'resume');
+                    collection._handleVisibilityChange(false);
+                    expect(collection.resume).not.toHaveBeenCalled();
+                });
+                it('listens for visibility changes again when resumed', function () {
+                    collection.pause();
+                    spyOn(collection, '_pauseWhenHidden');
+                    collection.resume();
+                    expect(collection._pauseWhenHidden).toHaveBeenCalled();
+                });
+            });
+
+            it('re-emits catchup events from its updater', function () {
+                var onCatchup = jasmine.createSpy('onCatchup'),
+                    updater = new Readable();
+                collection.on('catchup', onCatchup);
+                collection._forwardUpdaterEvents(updater);
+                updater.emit('catchup', { count: 3, pausedFor: 1000 });
+                expect(onCatchup).toHaveBeenCalledWith({ count: 3, pausedFor: 1000 });
+            });
+
             describe('.pipe(writable)', function () {
                 var writable,
                     listView;
@@ -314,6 +744,14 @@ Auth, Writable, Readable) {
                         collection.pipe(listView);
                         expect(onPipeToMore).toHaveBeenCalledWith(jasmine.any(CollectionArchive));
                     });
+                    it('lets its archives find Content the ContentListView displays', function () {
+                        var content = new Content('displayed');
+                        content.id = 'displayed-id';
+                        collection.pipe(listView);
+                        listView.add(content);
+                        expect(collection.createArchive()._findContent('displayed-id')).toBe(content);
+                        expect(collection.createArchive()._findContent('other-id')).toBe(undefined);
+                    });
                 });
             });
 
@@ -335,10 +773,11 @@ Auth, Writable, Readable) {
                     });
                 });
 
-                it('throws Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
-                    expect(function () {
-                        collection.write(new Content('blah'));
-                    }).toThrow(new Auth.UnauthorizedError("Collection cannot write until streamhub-sdk/auth.setToken has been called"));
+                it('passes Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+                    var done = jasmine.createSpy('done');
+                    collection._write(new Content('blah'), done);
+                    expect(done.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                    expect(done.mostRecentCall.args[0].message).toBe("Collection cannot write until streamhub-sdk/auth.setToken has been called");
                 });
 
                 describe('when a token is set with streamhub-sdk/auth', function () {
@@ -0,0 +1,151 @@
+define([
+    'streamhub-sdk/collection/outbox',
+    'streamhub-sdk/content',
+    'streamhub-sdk/errors',
+    'streamhub-sdk-tests/mocks/mock-storage-backend'],
+function (Outbox, Content, errors, MockStorageBackend) {
+    'use strict';
+
+    describe('streamhub-sdk/collection/outbox', function () {
+        var backend,
+            send,
+            outbox;
+
+        beforeEach(function () {
+            jasmine.Clock.useMock();
+            backend = new MockStorageBackend();
+            send = jasmine.createSpy('send').andCallFake(function (content, callback) {
+                callback(null, { id: content.body });
+            });
+            outbox = new Outbox({
+                send: send,
+                backend: backend,
+                backoff: { initial: 100, max: 1000, jitter: 0, maxAttempts: 3 }
+            });
+        });
+
+        it('is a constructor', function () {
+            expect(outbox instanceof Outbox).toBe(true);
+        });
+
+        describe('.queue()', function () {
+            it('emits queued and persists the queue', function () {
+                var content = new Content('blah'),
+                    onQueued = jasmine.createSpy('queued');
+                content.parentId = '26394571';
+                outbox.on('queued', onQueued);
+                outbox.queue(content);
+                expect(onQueued).toHaveBeenCalledWith(content);
+                expect(outbox.getQueued()).toEqual([content]);
+                expect(backend.values.outbox.length).toBe(1);
+                expect(backend.values.outbox[0].parentId).toBe('26394571');
+            });
+
+            it('sends queued Content after a backoff', function () {
+                outbox.queue(new Content('blah'));
+                expect(send).not.toHaveBeenCalled();
+                jasmine.Clock.tick(100);
+                expect(send).toHaveBeenCalled();
+                expect(outbox.getQueued().length).toBe(0);
+            });
+        });
+
+        describe('.flush()', function () {
+            it('sends queued Content in order, and emits sent', function () {
+                var first = new Content('first'),
+                    second = new Content('second'),
+                    onSent = jasmine.createSpy('sent');
+                outbox.on('sent', onSent);
+                outbox.queue(first);
+                outbox.queue(second);
+                outbox.flush();
+                expect(send.calls[0].args[0]).toBe(first);
+                expect(send.calls[1].args[0]).toBe(second);
+                expect(onSent.calls[0].args).toEqual([first, { id: 'first' }]);
+                expect(onSent.calls[1].args).toEqual([second, { id: 'second' }]);
+                expect(backend.values.outbox).toEqual([]);
+            });
+
+            it('keeps Content queued and backs off after a retryable error', function () {
+                var content = new Content('blah');
+                send.andCallFake(function (content, callback) {
+                    callback(new errors.NetworkError('offline'));
+                });
+                outbox.queue(content);
+                outbox.flush();
+                expect(send.callCount).toBe(1);
+                expect(outbox.getQueued()).toEqual([content]);
+                jasmine.Clock.tick(199);
+                expect(send.callCount).toBe(1);
+                jasmine.Clock.tick(1);
+                expect(send.callCount).toBe(2);
+            });
+
+            it('stops retrying once the backoff is exhausted, until flushed', function () {
+                send.andCallFake(function (content, callback) {
+                    callback(new errors.ServiceError('outage', 503));
+                });
+                outbox.queue(new Content('blah'));
+                jasmine.Clock.tick(10000);
+                expect(send.callCount).toBe(3);
+                outbox.flush();
+                expect(send.callCount).toBe(4);
+            });
+
+            it('drops Content and emits failed after other errors', function () {
+                var content = new Content('blah'),
+                    err = new errors.ForbiddenError('nope'),
+                    onFailed = jasmine.createSpy('failed');
+                send.andCallFake(function (content, callback) {
+                    callback(err);
+                });
+                outbox.on('failed', onFailed);
+                outbox.queue(content);
+                outbox.flush();
+                expect(onFailed).toHaveBeenCalledWith(content, err);
+                expect(outbox.getQueued().length).toBe(0);
+            });
+        });
+
+        describe('.restore()', function () {
+            it('restores the queue persisted by another Outbox, before what was queued since', function () {
+                var restoredOutbox = new Outbox({
+                        send: send,
+                        backend: new MockStorageBackend(backend.values)
+                    }),
+                    later = new Content('later'),
+                    callback = jasmine.createSpy('callback'),
+                    queued;
+                outbox.queue(new Content('earlier'));
+                restoredOutbox.queue(later);
+                restoredOutbox.restore(callback);
+                queued = restoredOutbox.getQueued();
+                expect(queued.length).toBe(2);
+                expect(queued[0] instanceof Content).toBe(true);
+                expect(queued[0].body).toBe('earlier');
+                expect(queued[1]).toBe(later);
+                expect(callback.mostRecentCall.args[0]).toBe(null);
+                expect(callback.mostRecentCall.args[1]).toEqual([queued[0]]);
+            });
+
+            it('passes an empty Array if nothing was persisted', function () {
+                var callback = jasmine.createSpy('callback');
+                outbox.restore(callback);
+                expect(callback).toHaveBeenCalledWith(null, []);
+            });
+        });
+
+        describe('.isRetryable()', function () {
+            it('is true of NetworkErrors and 5xx ServiceErrors', function () {
+                expect(Outbox.isRetryable(new errors.NetworkError('offline'))).toBe(true);
+                expect(Outbox.isRetryable(new errors.ServiceError('outage', 503))).toBe(true);
+            });
+
+            it('is false of other errors', function () {
+                expect(Outbox.isRetryable(new errors.ServiceError('bad', 400))).toBe(false);
+                expect(Outbox.isRetryable(new errors.ForbiddenError('nope'))).toBe(false);
+                expect(Outbox.isRetryable(new Error('?'))).toBe(false);
+            });
+        });
+    });
+});
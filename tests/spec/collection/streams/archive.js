@@ -1,8 +1,12 @@
 define([
     'streamhub-sdk/collection/streams/archive',
     'streamhub-sdk-tests/mocks/collection/mock-collection',
+    'streamhub-sdk-tests/mocks/collection/clients/mock-bootstrap-client',
+    'streamhub-sdk-tests/mocks/mock-storage-backend',
+    'streamhub-sdk/errors',
     'stream/readable'],
-function (CollectionArchive, MockCollection, Readable) {
+function (CollectionArchive, MockCollection, MockBootstrapClient,
+MockStorageBackend, errors, Readable) {
     'use strict';
 
     describe('streamhub-sdk/streams/collection-archive', function () {
@@ -111,6 +115,81 @@ function (CollectionArchive, MockCollection, Readable) {
                 }, 'end to be emitted');
             });
         });
+        describe('when the Collection cached Content on a previous visit', function () {
+            var collection,
+                archive,
+                contents;
+            beforeEach(function () {
+                var values = {};
+                // The previous visit
+                new MockCollection({
+                    persistContent: new MockStorageBackend(values)
+                }).initFromBootstrap();
+
+                collection = new MockCollection({
+                    persistContent: new MockStorageBackend(values)
+                });
+                archive = new CollectionArchive({
+                    collection: collection,
+                    storage: collection._storage
+                });
+                contents = [];
+            });
+            function readAll () {
+                archive.on('readable', function () {
+                    var content;
+                    while (content = archive.read()) {
+                        contents.push(content);
+                    }
+                });
+            }
+            it('reads the cached Content before Bootstrap responds', function () {
+                var headLength = MockBootstrapClient.mockInitResponse.headDocument.content.length;
+                spyOn(collection._bootstrapClient, 'getContent');
+                readAll();
+                waitsFor(function () {
+                    return contents.length;
+                }, 'cached Content to be read');
+                runs(function () {
+                    expect(contents.length).toBe(headLength);
+                });
+            });
+            it('ends after the cached Content when offline', function () {
+                var onEnd = jasmine.createSpy('onEnd'),
+                    onError = jasmine.createSpy('onError');
+                spyOn(collection._bootstrapClient, 'getContent').andCallFake(function (opts, errback) {
+                    errback(new errors.NetworkError('Network error'));
+                });
+                archive.on('end', onEnd);
+                archive.on('error', onError);
+                readAll();
+                waitsFor(function () {
+                    return onEnd.callCount;
+                }, 'end to be emitted');
+                runs(function () {
+                    expect(contents.length).toBeGreaterThan(0);
+                    expect(onError).not.toHaveBeenCalled();
+                    expect(collection.getState()).toBe('offline');
+                });
+            });
+        });
+
+        it('reads Bootstrap init when opts.collection is not a Collection', function () {
+            var collection = new MockCollection(),
+                onData = jasmine.createSpy('onData'),
+                archive = new CollectionArchive({
+                    collection: {
+                        initFromBootstrap: function (errback) {
+                            collection.initFromBootstrap(errback);
+                        }
+                    }
+                });
+            archive.on('data', onData);
+            waitsFor(function () {
+                return onData.callCount;
+            }, 'Content to be read');
+        });
+
         it('reads out replies when constructed with opts.replies = true', function () {
             var bootstrapClient = mockBootstrapClient();
             var archive = new CollectionArchive({
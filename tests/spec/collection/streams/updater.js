@@ -5,9 +5,11 @@ define([
     'streamhub-sdk-tests/mocks/collection/mock-collection',
     'streamhub-sdk-tests/mocks/collection/clients/mock-bootstrap-client',
     'streamhub-sdk-tests/mocks/collection/clients/mock-stream-client',
+    'streamhub-sdk/backoff',
+    'streamhub-sdk/errors',
     'streamhub-sdk/jquery'],
 function (CollectionUpdater, Readable, StateToContent, MockCollection,
-MockLivefyreBootstrapClient, MockLivefyreStreamClient, $) {
+MockLivefyreBootstrapClient, MockLivefyreStreamClient, Backoff, errors, $) {
     "use strict";
 
     describe('streamhub-sdk/collection/streams/updater', function () {
@@ -206,6 +208,336 @@ MockLivefyreBootstrapClient, MockLivefyreStreamClient, $) {
                 expect(content).toBe(null);
             });
 
+            describe('when a stream request fails', function () {
+                var callCount;
+                beforeEach(function () {
+                    callCount = 0;
+                    jasmine.Clock.useMock();
+                    updater._backoff = new Backoff({ initial: 1000, jitter: 0, maxAttempts: 2 });
+                    updater._latestEvent = 123;
+                    updater._collection.id = 'collectionId';
+                });
+
+                function failTimes(times) {
+                    spyOn(updater._streamClient, 'getContent').andCallFake(function (opts, errback) {
+                        callCount++;
+                        if (callCount <= times) {
+                            errback('Service Unavailable');
+                        } else {
+                            errback(null, { timeout: true });
+                        }
+                        return $.ajax();
+                    });
+                }
+
+                it('emits reconnecting and retries from the last event after a delay', function () {
+                    var onReconnecting = jasmine.createSpy('onReconnecting');
+                    failTimes(1);
+                    updater.on('reconnecting', onReconnecting);
+                    updater._stream();
+                    expect(onReconnecting).toHaveBeenCalledWith({
+                        attempt: 1,
+                        delay: 1000,
+                        error: 'Service Unavailable'
+                    });
+                    expect(updater._streamClient.getContent.callCount).toBe(1);
+                    jasmine.Clock.tick(1000);
+                    expect(updater._streamClient.getContent.callCount).toBe(2);
+                    expect(updater._streamClient.getContent.mostRecentCall.args[0].commentId).toBe(123);
+                });
+
+                it('emits reconnected once a request succeeds again', function () {
+                    var onReconnected = jasmine.createSpy('onReconnected');
+                    failTimes(1);
+                    updater.on('reconnected', onReconnected);
+                    updater._stream();
+                    jasmine.Clock.tick(1000);
+                    expect(onReconnected).toHaveBeenCalledWith({ attempts: 1 });
+                    expect(updater._backoff.attempts).toBe(0);
+                });
+
+                it('emits error once the backoff is exhausted', function () {
+                    var onError = jasmine.createSpy('onError');
+                    failTimes(3);
+                    updater.on('error', onError);
+                    updater._stream();
+                    jasmine.Clock.tick(1000);
+                    jasmine.Clock.tick(2000);
+                    expect(updater._streamClient.getContent.callCount).toBe(3);
+                    expect(onError).toHaveBeenCalledWith('Service Unavailable');
+                });
+
+                it('does not reconnect while paused', function () {
+                    failTimes(1);
+                    updater._stream();
+                    updater.pause();
+                    jasmine.Clock.tick(1000);
+                    expect(updater._streamClient.getContent.callCount).toBe(1);
+                    expect(updater._reconnectTimeout).toBe(null);
+                });
+            });
+
+            describe('when bootstrap init fails', function () {
+                var bootstrapGetContent;
+                beforeEach(function () {
+                    jasmine.Clock.useMock();
+                    updater._backoff = new Backoff({ initial: 1000, jitter: 0, maxAttempts: 2 });
+                    bootstrapGetContent = updater._collection._bootstrapClient.getContent;
+                    bootstrapGetContent.andCallFake(function (opts, errback) {
+                        if (bootstrapGetContent.callCount === 1) {
+                            return errback(new errors.NetworkError('Bootstrap unreachable'));
+                        }
+                        return bootstrapGetContent.originalValue.apply(this, arguments);
+                    });
+                    spyOn(updater._streamClient, 'getContent').andCallThrough();
+                });
+
+                it('retries bootstrap init, not a stream request, after a delay', function () {
+                    updater._read();
+                    expect(bootstrapGetContent.callCount).toBe(1);
+                    expect(updater._streamClient.getContent).not.toHaveBeenCalled();
+                    jasmine.Clock.tick(1000);
+                    expect(bootstrapGetContent.callCount).toBe(2);
+                    expect(bootstrapGetContent.mostRecentCall.args[0].page).toBe(undefined);
+                    expect(updater._streamClient.getContent.callCount).toBe(1);
+                    expect(updater._streamClient.getContent.mostRecentCall.args[0].collectionId)
+                        .toBe(updater._collection.id);
+                });
+            });
+
+            describe('when events may have been missed', function () {
+                var since = 100,
+                    initData,
+                    onGap;
+
+                function createState (id, event) {
+                    return {
+                        source: 5,
+                        type: 0,
+                        vis: 1,
+                        event: event,
+                        content: {
+                            id: id,
+                            bodyHtml: 'body ' + id,
+                            authorId: 'author@livefyre.com',
+                            parentId: '',
+                            createdAt: 1372807378,
+                            updatedAt: 1372807378
+                        }
+                    };
+                }
+
+                beforeEach(function () {
+                    initData = {
+                        headDocument: {
+                            authors: { 'author@livefyre.com': { displayName: 'author' } },
+                            content: [createState('new', 150), createState('old', 50)]
+                        },
+                        collectionSettings: {
+                            event: 200,
+                            archiveInfo: { nPages: 1 }
+                        }
+                    };
+                    updater._bootstrapClient = {
+                        getContent: jasmine.createSpy('getContent').andCallFake(function (opts, errback) {
+                            errback(null, typeof opts.page === 'undefined' ? initData : {});
+                        })
+                    };
+                    spyOn(updater._streamClient, 'getContent').andReturn($.ajax());
+                    updater._latestEvent = since;
+                    updater._collection.id = 'collectionId';
+                    onGap = jasmine.createSpy('onGap');
+                    updater.on('gap', onGap);
+                });
+
+                it('backfills from Bootstrap after opts.gapThreshold without contact', function () {
+                    updater._lastContactAt = new Date().getTime() - updater._gapThreshold - 1;
+                    updater._stream();
+                    expect(updater._bootstrapClient.getContent).toHaveBeenCalled();
+                    expect(onGap).toHaveBeenCalled();
+                    var gap = onGap.mostRecentCall.args[0];
+                    expect(gap.since).toBe(since);
+                    expect(gap.latestEvent).toBe(200);
+                    expect(gap.contentIds).toEqual(['new']);
+                });
+
+                it('streams from the Bootstrap head event afterward', function () {
+                    updater._hasGap = true;
+                    updater._stream();
+                    expect(updater._latestEvent).toBe(200);
+                });
+
+                it('pushes Content that was missed', function () {
+                    spyOn(updater, 'push');
+                    updater._hasGap = true;
+                    updater._stream();
+                    expect(updater.push).toHaveBeenCalled();
+                    expect(updater.push.mostRecentCall.args[0].id).toBe('new');
+                });
+
+                it('reads archive pages until it finds events from before the gap', function () {
+                    initData.headDocument.content = [createState('new', 150)];
+                    updater._hasGap = true;
+                    updater._stream();
+                    expect(updater._bootstrapClient.getContent.callCount).toBe(2);
+                    expect(updater._bootstrapClient.getContent.mostRecentCall.args[0].page).toBe(0);
+                });
+
+                it('detects a gap when the Stream service goes back in time', function () {
+                    updater._streamClient.getContent.andCallFake(function (opts, errback) {
+                        // Only respond to the first request
+                        if (updater._streamClient.getContent.callCount === 1) {
+                            errback(null, { states: {}, maxEventId: since - 1 });
+                        }
+                        return $.ajax();
+                    });
+                    updater._stream();
+                    expect(updater._hasGap).toBe(true);
+                });
+
+                describe('and the Updater is paused while backfilling', function () {
+                    var respond,
+                        request;
+
+                    beforeEach(function () {
+                        request = jasmine.createSpyObj('request', ['abort']);
+                        updater._bootstrapClient.getContent.andCallFake(function (opts, errback) {
+                            respond = errback;
+                            return request;
+                        });
+                        updater._hasGap = true;
+                        updater._stream();
+                    });
+
+                    it('aborts the Bootstrap request', function () {
+                        expect(updater._request).toBe(request);
+                        request.abort.andCallFake(function () {
+                            respond('abort');
+                        });
+                        updater.pause();
+                        expect(request.abort).toHaveBeenCalled();
+                        expect(updater._request).toBe(null);
+                        expect(onGap).not.toHaveBeenCalled();
+                        expect(updater._streamClient.getContent).not.toHaveBeenCalled();
+                    });
+
+                    it('backfills again once resumed', function () {
+                        request.abort.andCallFake(function () {
+                            respond('abort');
+                        });
+                        updater.pause();
+                        expect(updater._hasGap).toBe(true);
+                        updater.resume();
+                        updater.read(0);
+                        waitsFor(function () {
+                            return updater._bootstrapClient.getContent.callCount === 2;
+                        }, 'Bootstrap to be requested again');
+                        runs(function () {
+                            expect(updater._bootstrapClient.getContent.mostRecentCall.args[0].page).toBe(undefined);
+                        });
+                    });
+
+                    it('does not start streaming if Bootstrap responds anyway', function () {
+                        initData.headDocument.content = [createState('old', 50)];
+                        updater.pause();
+                        respond(null, initData);
+                        expect(onGap).toHaveBeenCalled();
+                        expect(updater._streamClient.getContent).not.toHaveBeenCalled();
+                    });
+                });
+
+                it('does not backfill when streaming normally', function () {
+                    updater._lastContactAt = new Date().getTime();
+                    updater._stream();
+                    expect(updater._bootstrapClient.getContent).not.toHaveBeenCalled();
+                    expect(updater._streamClient.getContent).toHaveBeenCalled();
+                });
+            });
+
+            describe('when constructed with opts.latestEventStore', function () {
+                var store;
+
+                beforeEach(function () {
+                    var records = {};
+                    store = {
+                        get: function (collectionId) {
+                            return records[collectionId] || null;
+                        },
+                        set: jasmine.createSpy('set').andCallFake(function (collectionId, eventId) {
+                            records[collectionId] = { eventId: eventId, savedAt: new Date().getTime() };
+                        })
+                    };
+                    updater._latestEventStore = store;
+                    updater._collection.id = 'collectionId';
+                });
+
+                it('resumes from a stored event older than the head event', function () {
+                    var savedAt = new Date().getTime() - 1000;
+                    store.get = function () {
+                        return { eventId: 10, savedAt: savedAt };
+                    };
+                    updater._resumeFrom(20);
+                    expect(updater._latestEvent).toBe(10);
+                    expect(updater._lastContactAt).toBe(savedAt);
+                });
+
+                it('streams from the head event if nothing was stored', function () {
+                    updater._resumeFrom(20);
+                    expect(updater._latestEvent).toBe(20);
+                    expect(store.set).toHaveBeenCalledWith('collectionId', 20);
+                });
+
+                it('stores the latest event after each stream response', function () {
+                    spyOn(updater._streamClient, 'getContent').andCallFake(function (opts, errback) {
+                        // Only respond to the first request
+                        if (updater._streamClient.getContent.callCount === 1) {
+                            errback(null, { states: {}, maxEventId: 30 });
+                        }
+                        return $.ajax();
+                    });
+                    updater._latestEvent = 20;
+                    updater._stream();
+                    expect(store.set).toHaveBeenCalledWith('collectionId', 30);
+                });
+            });
+
+            describe('after being paused and resumed', function () {
+                beforeEach(function () {
+                    updater._latestEvent = 20;
+                    updater._collection.id = 'collectionId';
+                    updater._pausedAt = new Date().getTime() - 1000;
+                });
+
+                it('emits catchup with how many items were read on the first response', function () {
+                    var onCatchup = jasmine.createSpy('onCatchup');
+                    spyOn(updater._streamClient, 'getContent').andCallFake(function (opts, errback) {
+                        if (updater._streamClient.getContent.callCount === 1) {
+                            errback(null, { states: MockLivefyreStreamClient.mockStreamResponse.data.states, maxEventId: 30 });
+                        }
+                        return $.ajax();
+                    });
+                    updater.on('catchup', onCatchup);
+                    updater._stream();
+                    expect(onCatchup.callCount).toBe(1);
+                    expect(onCatchup.mostRecentCall.args[0].count).toBe(1);
+                    expect(onCatchup.mostRecentCall.args[0].pausedFor).not.toBeLessThan(1000);
+                    expect(updater._pausedAt).toBe(null);
+                });
+
+                it('emits catchup with a count of 0 if the long poll times out', function () {
+                    var onCatchup = jasmine.createSpy('onCatchup');
+                    spyOn(updater._streamClient, 'getContent').andCallFake(function (opts, errback) {
+                        if (updater._streamClient.getContent.callCount === 1) {
+                            errback(null, { timeout: true });
+                        }
+                        return $.ajax();
+                    });
+                    updater.on('catchup', onCatchup);
+                    updater._stream();
+                    expect(onCatchup.mostRecentCall.args[0].count).toBe(0);
+                });
+            });
+
             it('emits readable after a .readable listener is added', function () {
                 var onReadableSpy = jasmine.createSpy('CollectionUpdater#onReadable');
                 updater.on('readable', onReadableSpy);
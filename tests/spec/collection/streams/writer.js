@@ -1,12 +1,19 @@
 define([
 	'streamhub-sdk/content',
+	'streamhub-sdk/content/types/livefyre-content',
+	'streamhub-sdk/content/types/livefyre-opine',
+	'streamhub-sdk/content/types/oembed',
 	'streamhub-sdk/collection/streams/writer',
 	'streamhub-sdk-tests/mocks/collection/mock-collection',
 	'streamhub-sdk-tests/mocks/collection/clients/mock-write-client',
 	'streamhub-sdk/auth',
-	'stream/writable'],
-function (Content, CollectionWriter, MockCollection,
-MockLivefyreWriteClient, Auth, Writable) {
+	'streamhub-sdk/storage',
+	'streamhub-sdk/errors',
+	'stream/writable',
+	'streamhub-sdk-tests/mocks/mock-storage-backend'],
+function (Content, LivefyreContent, LivefyreOpine, Oembed, CollectionWriter,
+MockCollection, MockLivefyreWriteClient, Auth, Storage, errors, Writable,
+MockStorageBackend) {
     'use strict';
 
 	describe('streamhub-sdk/collection/streams/writer', function () {
@@ -54,10 +61,62 @@ MockLivefyreWriteClient, Auth, Writable) {
 	                spyOn(writer._writeClient, 'postTweet').andCallThrough();
 	            });
 
-	            it('throws Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+	            it('passes Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+	                var done = jasmine.createSpy('done');
 	                expect(function () {
-	                    writer.write(new Content('blah'));
-	                }).toThrow(new Auth.UnauthorizedError("Collection cannot write until streamhub-sdk/auth.setToken has been called"));
+	                    writer._write(new Content('blah'), done);
+	                }).not.toThrow();
+	                expect(done.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+	                expect(done.mostRecentCall.args[0].message).toBe("Collection cannot write until streamhub-sdk/auth.setToken has been called");
+	            });
+
+	            it('passes Auth.UnauthorizedError if the token has expired', function () {
+	                var claims = { domain: 'labs-t402.fyre.co', user_id: 'commenter', expires: 1363808885 },
+	                    done = jasmine.createSpy('done');
+	                Auth.setToken(['eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9', btoa(JSON.stringify(claims)), 'sig'].join('.'));
+	                writer._write(new Content('blah'), done);
+	                expect(done.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+	                expect(done.mostRecentCall.args[0].message).toBe("Collection cannot write because the streamhub-sdk/auth token has expired");
+	                expect(writer._writeClient.postContent).not.toHaveBeenCalled();
+	                Auth.setToken();
+	            });
+
+	            it('emits the Auth.UnauthorizedError from .write() instead of throwing it', function () {
+	                var onError = jasmine.createSpy('onError');
+	                writer.on('error', onError);
+	                writer.write(new Content('blah'));
+	                expect(onError.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+	            });
+
+	            describe('when streamhub-sdk/auth has a delegate', function () {
+	                beforeEach(function () {
+	                    Auth.delegate = { login: jasmine.createSpy('login') };
+	                });
+	                afterEach(function () {
+	                    Auth.delegate = null;
+	                    Auth.setToken();
+	                });
+
+	                it('asks the delegate to log in, and writes once a token is set', function () {
+	                    var done = jasmine.createSpy('done');
+	                    writer._write(new Content('blah'), done);
+	                    expect(Auth.delegate.login).toHaveBeenCalled();
+	                    expect(writer._writeClient.postContent).not.toHaveBeenCalled();
+	                    Auth.setToken('12345');
+	                    expect(writer._writeClient.postContent).toHaveBeenCalled();
+	                    expect(done).toHaveBeenCalled();
+	                });
+
+	                it('passes the error if the user does not log in', function () {
+	                    var done = jasmine.createSpy('done'),
+	                        err = new Error('cancelled');
+	                    Auth.delegate.login.andCallFake(function (callback) {
+	                        callback(err);
+	                    });
+	                    writer._write(new Content('blah'), done);
+	                    expect(done).toHaveBeenCalledWith(err);
+	                    expect(writer._writeClient.postContent).not.toHaveBeenCalled();
+	                });
 	            });
 
 	            describe('when a token is set with streamhub-sdk/auth', function () {
@@ -87,8 +146,594 @@ MockLivefyreWriteClient, Auth, Writable) {
 	                    writer.write(content);
 	                    expect(writer._writeClient.postTweet).toHaveBeenCalled();
 	                });
+
+	                describe('when constructed with opts.echo', function () {
+	                    var echo,
+	                        storage;
+	                    beforeEach(function () {
+	                        echo = jasmine.createSpy('echo').andReturn(true);
+	                        storage = new Storage();
+	                        writer = new CollectionWriter({
+	                            collection: collection,
+	                            writeClient: new MockLivefyreWriteClient(),
+	                            storage: storage,
+	                            echo: echo
+	                        });
+	                        collection.id = '33129653';
+	                    });
+
+	                    it('echoes new Content as pending before it is posted', function () {
+	                        var content = new Content('blah');
+	                        spyOn(writer._writeClient, 'postContent').andCallFake(function () {
+	                            expect(content.pending).toBe(true);
+	                        });
+	                        writer.write(content);
+	                        expect(echo).toHaveBeenCalledWith(content);
+	                        expect(writer._writeClient.postContent).toHaveBeenCalled();
+	                    });
+
+	                    it('does not echo replies, tweets or edits', function () {
+	                        var reply = new Content('reply'),
+	                            tweet = new Content('tweet'),
+	                            edit = new Content('edit');
+	                        reply.parentId = '26394571';
+	                        tweet.tweetId = '377647689821077505';
+	                        edit.id = '26394571';
+	                        writer.write(reply);
+	                        writer.write(tweet);
+	                        writer.write(edit);
+	                        expect(echo).not.toHaveBeenCalled();
+	                    });
+
+	                    it('does not mark Content pending if it was not echoed', function () {
+	                        var content = new Content('blah');
+	                        echo.andReturn(false);
+	                        writer.write(content);
+	                        expect(echo.callCount).toBe(1);
+	                        expect(content.pending).toBe(undefined);
+	                        expect(content.visibility).toBe('EVERYONE');
+	                    });
+
+	                    it('swaps in the posted Content once it is posted', function () {
+	                        var content = new Content('blah'),
+	                            posted;
+	                        writer.write(content);
+	                        expect(content.pending).toBe(false);
+	                        expect(content.visibility).toBe('NONE');
+	                        posted = echo.mostRecentCall.args[0];
+	                        expect(echo.callCount).toBe(2);
+	                        expect(posted).not.toBe(content);
+	                        expect(posted.id).toBe('26394571');
+	                        expect(posted.author.displayName).toBe('system');
+	                        expect(storage.get('26394571')).toBe(posted);
+	                    });
+
+	                    it('marks Content failed if posting fails, and can retry', function () {
+	                        var content = new Content('blah'),
+	                            done = jasmine.createSpy('done');
+	                        spyOn(writer._writeClient, 'postContent').andCallFake(function (opts, callback) {
+	                            callback(new errors.NetworkError('offline'));
+	                        });
+	                        writer._write(content, done);
+	                        expect(done.mostRecentCall.args[0] instanceof errors.NetworkError).toBe(true);
+	                        expect(content.pending).toBe(false);
+	                        expect(content.failed).toBe(true);
+
+	                        writer._writeClient.postContent.andCallThrough();
+	                        content.retry(done);
+	                        expect(content.failed).toBe(false);
+	                        expect(content.retry).toBe(undefined);
+	                        expect(content.visibility).toBe('NONE');
+	                        expect(echo.callCount).toBe(2);
+	                        expect(echo.mostRecentCall.args[0].id).toBe('26394571');
+	                        expect(done.mostRecentCall.args[0]).toBe(null);
+	                    });
+	                });
+
+	                describe('when constructed with opts.outbox', function () {
+	                    var backend,
+	                        done;
+	                    beforeEach(function () {
+	                        jasmine.Clock.useMock();
+	                        backend = new MockStorageBackend();
+	                        done = jasmine.createSpy('done');
+	                        writer = new CollectionWriter({
+	                            collection: collection,
+	                            writeClient: new MockLivefyreWriteClient(),
+	                            outbox: { backend: backend }
+	                        });
+	                        collection.id = '33129653';
+	                        spyOn(writer._writeClient, 'postContent').andCallFake(function (opts, callback) {
+	                            callback(new errors.NetworkError('offline'));
+	                        });
+	                    });
+
+	                    it('queues Content that could not be posted because of a NetworkError', function () {
+	                        var content = new Content('blah'),
+	                            onQueued = jasmine.createSpy('queued');
+	                        writer.on('queued', onQueued);
+	                        writer._write(content, done);
+	                        expect(done).toHaveBeenCalledWith();
+	                        expect(onQueued).toHaveBeenCalledWith(content, undefined);
+	                        expect(writer.getQueued()).toEqual([content]);
+	                        expect(backend.values['outbox/test.fyre.co/testSiteId/testArticleId'].length).toBe(1);
+	                    });
+
+	                    it('passes other errors to done', function () {
+	                        writer._writeClient.postContent.andCallFake(function (opts, callback) {
+	                            callback(new errors.ForbiddenError('nope'));
+	                        });
+	                        writer._write(new Content('blah'), done);
+	                        expect(done.mostRecentCall.args[0] instanceof errors.ForbiddenError).toBe(true);
+	                        expect(writer.getQueued().length).toBe(0);
+	                    });
+
+	                    it('queues Content written while Content is queued, to keep it in order', function () {
+	                        var first = new Content('first'),
+	                            second = new Content('second');
+	                        writer._write(first, done);
+	                        writer._write(second, done);
+	                        expect(writer._writeClient.postContent.callCount).toBe(1);
+	                        expect(writer.getQueued()).toEqual([first, second]);
+	                    });
+
+	                    it('posts queued Content in order when flushed, and emits sent', function () {
+	                        var first = new Content('first'),
+	                            second = new Content('second'),
+	                            onSent = jasmine.createSpy('sent');
+	                        writer.on('sent', onSent);
+	                        writer.queue(first);
+	                        writer.queue(second);
+	                        writer._writeClient.postContent.andCallThrough();
+	                        writer.flush();
+	                        expect(writer._writeClient.postContent.callCount).toBe(2);
+	                        expect(writer._writeClient.postContent.calls[0].args[0].body).toBe('first');
+	                        expect(writer._writeClient.postContent.calls[1].args[0].body).toBe('second');
+	                        expect(onSent.callCount).toBe(2);
+	                        expect(onSent.calls[0].args[0]).toBe(first);
+	                        expect(writer.getQueued().length).toBe(0);
+	                    });
+
+	                    it('restores and posts Content queued on a previous visit', function () {
+	                        var writeClient = new MockLivefyreWriteClient();
+	                        writer.queue(new Content('blah'));
+	                        spyOn(writeClient, 'postContent').andCallThrough();
+	                        writer = new CollectionWriter({
+	                            collection: collection,
+	                            writeClient: writeClient,
+	                            outbox: { backend: new MockStorageBackend(backend.values) }
+	                        });
+	                        expect(writeClient.postContent.mostRecentCall.args[0].body).toBe('blah');
+	                        expect(writer.getQueued().length).toBe(0);
+	                        expect(backend.values['outbox/test.fyre.co/testSiteId/testArticleId'].length).toBe(0);
+	                    });
+
+	                    describe('and the user is logged out', function () {
+	                        var first,
+	                            onFailed;
+	                        beforeEach(function () {
+	                            first = new Content('first');
+	                            onFailed = jasmine.createSpy('failed');
+	                            writer.on('failed', onFailed);
+	                            writer.queue(first);
+	                            writer._writeClient.postContent.andCallThrough();
+	                            Auth.setToken();
+	                        });
+
+	                        it('keeps Content queued until a token is set', function () {
+	                            writer.flush();
+	                            expect(writer._writeClient.postContent).not.toHaveBeenCalled();
+	                            expect(onFailed).not.toHaveBeenCalled();
+	                            expect(writer.getQueued()).toEqual([first]);
+	                            Auth.setToken(token);
+	                            expect(writer._writeClient.postContent.mostRecentCall.args[0].body).toBe('first');
+	                            expect(writer.getQueued().length).toBe(0);
+	                        });
+
+	                        it('asks the streamhub-sdk/auth delegate to log in', function () {
+	                            Auth.delegate = { login: jasmine.createSpy('login') };
+	                            writer.flush();
+	                            expect(Auth.delegate.login).toHaveBeenCalled();
+	                            Auth.setToken(token);
+	                            Auth.delegate = null;
+	                            expect(writer._writeClient.postContent).toHaveBeenCalled();
+	                            expect(onFailed).not.toHaveBeenCalled();
+	                        });
+	                    });
+	                });
+
+	                describe('with Content that has an .id', function () {
+	                    var storage,
+	                        stored;
+	                    beforeEach(function () {
+	                        storage = new Storage();
+	                        writer = new CollectionWriter({
+	                            collection: collection,
+	                            writeClient: new MockLivefyreWriteClient(),
+	                            storage: storage
+	                        });
+	                        collection.id = '33129653';
+	                        stored = new LivefyreContent({ content: { id: '26394571', bodyHtml: 'before', createdAt: 1363808885, updatedAt: 1363808885 }, vis: 1, source: 0 });
+	                        storage.set(stored.id, stored);
+	                        spyOn(writer._writeClient, 'editContent').andCallThrough();
+	                        spyOn(writer._writeClient, 'postContent');
+	                    });
+
+	                    it('edits it via ._writeClient.editContent', function () {
+	                        var content = new Content('after');
+	                        content.id = '26394571';
+	                        content.addAttachment(new Oembed({ type: 'photo', url: 'http://i.imgur.com/a.jpg' }));
+	                        writer.write(content);
+	                        expect(writer._writeClient.postContent).not.toHaveBeenCalled();
+	                        expect(writer._writeClient.editContent.mostRecentCall.args[0]).toEqual({
+	                            body: 'after',
+	                            network: 'test.fyre.co',
+	                            collectionId: '33129653',
+	                            lftoken: token,
+	                            messageId: '26394571',
+	                            media: [content.attachments[0].toJSON()]
+	                        });
+	                    });
+
+	                    it('updates the stored instance', function () {
+	                        var content = new Content('after'),
+	                            attachment = new Oembed({ type: 'photo', url: 'http://i.imgur.com/a.jpg' }),
+	                            onChange = jasmine.createSpy('onChange');
+	                        content.id = '26394571';
+	                        content.addAttachment(attachment);
+	                        stored.on('change', onChange);
+	                        writer.write(content);
+	                        expect(onChange).toHaveBeenCalled();
+	                        expect(stored.body).toBe('after');
+	                        expect(stored.attachments).toEqual([attachment]);
+	                        expect(stored.updatedAt.getTime()).toBe(1363808999000);
+	                        expect(stored.edited).toBe(true);
+	                    });
+
+	                    it('updates written Content that is not stored', function () {
+	                        var content = new LivefyreContent({ content: { id: 'unstored', bodyHtml: 'after', createdAt: 1363808885, updatedAt: 1363808885 }, vis: 1, source: 0 });
+	                        writer.write(content);
+	                        expect(content.updatedAt.getTime()).toBe(1363808999000);
+	                    });
+
+	                    it('leaves the stored instance alone if the edit fails', function () {
+	                        var content = new Content('after'),
+	                            done = jasmine.createSpy('done');
+	                        content.id = '26394571';
+	                        writer._writeClient.editContent.andCallFake(function (opts, callback) {
+	                            callback(new errors.ForbiddenError('Not yours'));
+	                        });
+	                        writer._write(content, done);
+	                        expect(stored.body).toBe('before');
+	                        expect(done.mostRecentCall.args[0] instanceof errors.ForbiddenError).toBe(true);
+	                    });
+	                });
 	            });
 			});
+
+            describe('.like() and .unlike()', function () {
+                var content,
+                    callback,
+                    // A JWT for user_id "liker" on domain "labs-t402.fyre.co"
+                    token = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJ1c2VyX2lkIjoibGlrZXIiLCJkb21haW4iOiJsYWJzLXQ0MDIuZnlyZS5jbyJ9.sig';
+
+                function like (authorId) {
+                    return new LivefyreOpine({
+                        content: {
+                            id: content.id + '.' + authorId,
+                            targetId: content.id,
+                            authorId: authorId
+                        }
+                    });
+                }
+
+                beforeEach(function () {
+                    content = new LivefyreContent({ content: { id: '26394571', bodyHtml: 'hi' }, vis: 1, source: 0 });
+                    callback = jasmine.createSpy('callback');
+                    collection.id = '33129653';
+                    Auth.setToken(token);
+                });
+                afterEach(function () {
+                    Auth.setToken();
+                });
+
+                it('passes Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+                    Auth.setToken();
+                    spyOn(writer._writeClient, 'like');
+                    expect(function () {
+                        writer.like(content, callback);
+                    }).not.toThrow();
+                    expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                    expect(callback.mostRecentCall.args[0].message).toBe("Collection cannot like until streamhub-sdk/auth.setToken has been called");
+                    expect(writer._writeClient.like).not.toHaveBeenCalled();
+                });
+
+                it('asks the streamhub-sdk/auth delegate to log in, and unlikes once a token is set', function () {
+                    Auth.setToken();
+                    Auth.delegate = { login: jasmine.createSpy('login') };
+                    spyOn(writer._writeClient, 'unlike');
+                    writer.unlike(content, callback);
+                    expect(Auth.delegate.login).toHaveBeenCalled();
+                    expect(writer._writeClient.unlike).not.toHaveBeenCalled();
+                    Auth.setToken(token);
+                    Auth.delegate = null;
+                    expect(writer._writeClient.unlike).toHaveBeenCalled();
+                });
+
+                it('can read the author ID from a token', function () {
+                    expect(CollectionWriter.authorIdFromToken(token)).toBe('liker@labs-t402.fyre.co');
+                    expect(CollectionWriter.authorIdFromToken('12345')).toBe(null);
+                });
+
+                it('likes Content via ._writeClient.like', function () {
+                    spyOn(writer._writeClient, 'like').andCallThrough();
+                    writer.like(content, callback);
+                    expect(writer._writeClient.like.mostRecentCall.args[0]).toEqual({
+                        network: 'test.fyre.co',
+                        collectionId: '33129653',
+                        lftoken: token,
+                        messageId: '26394571'
+                    });
+                    expect(callback).toHaveBeenCalledWith(null, jasmine.any(Object));
+                });
+
+                it('adds the like before the request is done', function () {
+                    var onLike = jasmine.createSpy('onLike');
+                    spyOn(writer._writeClient, 'like');
+                    content.on('like', onLike);
+                    writer.like(content, callback);
+                    expect(onLike).toHaveBeenCalled();
+                    expect(content.isLikedBy('liker@labs-t402.fyre.co')).toBe(true);
+                });
+
+                it('gives the like the ID it will be streamed with', function () {
+                    writer.like(content, callback);
+                    expect(content.getLikeCount()).toBe(1);
+                    expect(content.likes[0].id).toBe('26394571.liker@labs-t402.fyre.co');
+                    expect(content.likes[0].author.displayName).toBe('liker');
+                });
+
+                it('removes the like if the request fails', function () {
+                    var onUnlike = jasmine.createSpy('onUnlike');
+                    spyOn(writer._writeClient, 'like').andCallFake(function (opts, done) {
+                        done(new Error('nope'));
+                    });
+                    content.on('unlike', onUnlike);
+                    writer.like(content, callback);
+                    expect(content.getLikeCount()).toBe(0);
+                    expect(onUnlike).toHaveBeenCalled();
+                    expect(callback).toHaveBeenCalledWith(jasmine.any(Error));
+                });
+
+                it('does not remove an earlier like if liking again fails', function () {
+                    content.addLike(like('liker@labs-t402.fyre.co'));
+                    spyOn(writer._writeClient, 'like').andCallFake(function (opts, done) {
+                        done(new Error('nope'));
+                    });
+                    writer.like(content, callback);
+                    expect(content.getLikeCount()).toBe(1);
+                });
+
+                it('removes the like before the request is done when unliking', function () {
+                    content.addLike(like('liker@labs-t402.fyre.co'));
+                    content.addLike(like('other@labs-t402.fyre.co'));
+                    spyOn(writer._writeClient, 'unlike');
+                    writer.unlike(content, callback);
+                    expect(content.isLikedBy('liker@labs-t402.fyre.co')).toBe(false);
+                    expect(content.getLikeCount()).toBe(1);
+                });
+
+                it('adds the like back if unliking fails', function () {
+                    content.addLike(like('liker@labs-t402.fyre.co'));
+                    spyOn(writer._writeClient, 'unlike').andCallFake(function (opts, done) {
+                        done(new Error('nope'));
+                    });
+                    writer.unlike(content, callback);
+                    expect(content.isLikedBy('liker@labs-t402.fyre.co')).toBe(true);
+                });
+
+                it('reconciles with the response if the token cannot be read', function () {
+                    Auth.setToken('12345');
+                    writer.like(content, callback);
+                    expect(content.getLikeCount()).toBe(1);
+                    expect(content.likes[0].authorId).toBe('liker@labs-t402.fyre.co');
+                    writer.unlike(content, callback);
+                    expect(content.getLikeCount()).toBe(0);
+                });
+
+                it('does not count a like twice if it was streamed before the response', function () {
+                    Auth.setToken('12345');
+                    spyOn(writer._writeClient, 'like').andCallFake(function (opts, done) {
+                        content.addLike(like('liker@labs-t402.fyre.co'));
+                        MockLivefyreWriteClient.prototype.like.call(this, opts, done);
+                    });
+                    writer.like(content, callback);
+                    expect(content.getLikeCount()).toBe(1);
+                });
+            });
+
+            describe('moderation', function () {
+                var content,
+                    callback;
+
+                beforeEach(function () {
+                    content = new LivefyreContent({ content: { id: '26394571', bodyHtml: 'hi' }, vis: 1, source: 0 });
+                    callback = jasmine.createSpy('callback');
+                    collection.id = '33129653';
+                    Auth.setToken('my token');
+                    spyOn(Auth, 'isModerator').andReturn(true);
+                });
+                afterEach(function () {
+                    Auth.setToken();
+                });
+
+                it('passes Auth.UnauthorizedError if a token is not set with streamhub-sdk/auth', function () {
+                    Auth.setToken();
+                    spyOn(writer._writeClient, 'deleteContent');
+                    writer.deleteContent(content, callback);
+                    expect(writer._writeClient.deleteContent).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                    expect(callback.mostRecentCall.args[0].message).toBe("Collection cannot moderate until streamhub-sdk/auth.setToken has been called");
+                });
+
+                it('passes Auth.UnauthorizedError if the streamhub-sdk/auth token has expired', function () {
+                    spyOn(Auth, 'isExpired').andReturn(true);
+                    spyOn(writer._writeClient, 'approveContent');
+                    writer.approveContent(content, callback);
+                    expect(writer._writeClient.approveContent).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                    expect(callback.mostRecentCall.args[0].message).toBe("Collection cannot moderate because the streamhub-sdk/auth token has expired");
+                });
+
+                it('asks the streamhub-sdk/auth delegate to log in, and moderates once a token is set', function () {
+                    Auth.setToken();
+                    Auth.delegate = { login: jasmine.createSpy('login') };
+                    spyOn(writer._writeClient, 'deleteContent').andCallThrough();
+                    spyOn(writer._writeClient, 'banAuthor');
+                    writer.deleteContent(content, callback);
+                    writer.banAuthor('troll@test.fyre.co', callback);
+                    expect(Auth.delegate.login).toHaveBeenCalled();
+                    expect(writer._writeClient.deleteContent).not.toHaveBeenCalled();
+                    expect(writer._writeClient.banAuthor).not.toHaveBeenCalled();
+                    Auth.setToken('my token');
+                    Auth.delegate = null;
+                    expect(writer._writeClient.deleteContent).toHaveBeenCalled();
+                    expect(writer._writeClient.banAuthor).toHaveBeenCalled();
+                    expect(content.visibility).toBe('NONE');
+                });
+
+                it('deletes Content via ._writeClient.deleteContent, then hides it', function () {
+                    spyOn(writer._writeClient, 'deleteContent').andCallThrough();
+                    writer.deleteContent(content, callback);
+                    expect(writer._writeClient.deleteContent.mostRecentCall.args[0]).toEqual({
+                        network: 'test.fyre.co',
+                        collectionId: '33129653',
+                        lftoken: 'my token',
+                        messageId: '26394571'
+                    });
+                    expect(content.visibility).toBe('NONE');
+                    expect(callback).toHaveBeenCalledWith(null, jasmine.any(Object));
+                });
+
+                it('approves and bozos Content', function () {
+                    writer.bozoContent(content, callback);
+                    expect(content.visibility).toBe('OWNER');
+                    writer.approveContent(content, callback);
+                    expect(content.visibility).toBe('EVERYONE');
+                });
+
+                it('leaves Content alone and passes the error if the token is not a moderator\'s', function () {
+                    spyOn(writer._writeClient, 'deleteContent').andCallFake(function (opts, done) {
+                        done(new errors.ForbiddenError('Not a moderator'));
+                    });
+                    writer.deleteContent(content, callback);
+                    expect(content.visibility).toBe('EVERYONE');
+                    expect(callback.mostRecentCall.args[0] instanceof errors.ForbiddenError).toBe(true);
+                });
+
+                it('flags Content with a reason', function () {
+                    spyOn(writer._writeClient, 'flagContent').andCallThrough();
+                    writer.flagContent(content, { flag: 'offensive', notes: 'Rude' }, callback);
+                    expect(writer._writeClient.flagContent.mostRecentCall.args[0].flag).toBe('offensive');
+                    expect(writer._writeClient.flagContent.mostRecentCall.args[0].notes).toBe('Rude');
+                    expect(callback).toHaveBeenCalledWith(null, jasmine.any(Object));
+                });
+
+                it('passes a ValidationError for unknown flags', function () {
+                    spyOn(writer._writeClient, 'flagContent');
+                    writer.flagContent(content, 'boring', callback);
+                    expect(writer._writeClient.flagContent).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof errors.ValidationError).toBe(true);
+                });
+
+                it('features Content with a value, then marks it featured', function () {
+                    spyOn(writer._writeClient, 'featureContent').andCallThrough();
+                    writer.featureContent(content, 10, callback);
+                    expect(writer._writeClient.featureContent.mostRecentCall.args[0].value).toBe(10);
+                    expect(content.isFeatured()).toBe(true);
+                    expect(content.getFeaturedValue()).toBe(10);
+                    writer.unfeatureContent(content, callback);
+                    expect(content.isFeatured()).toBe(false);
+                });
+
+                it('features Content with the current time by default', function () {
+                    var now = Math.floor(new Date().getTime() / 1000);
+                    writer.featureContent(content, callback);
+                    expect(content.getFeaturedValue() >= now).toBe(true);
+                    expect(callback).toHaveBeenCalled();
+                });
+
+                it('bans authors by ID', function () {
+                    spyOn(writer._writeClient, 'banAuthor').andCallThrough();
+                    writer.banAuthor({ id: 'troll@test.fyre.co' }, callback);
+                    expect(writer._writeClient.banAuthor.mostRecentCall.args[0]).toEqual({
+                        network: 'test.fyre.co',
+                        lftoken: 'my token',
+                        authorId: 'troll@test.fyre.co'
+                    });
+                });
+
+                describe('when streamhub-sdk/auth.isModerator is false', function () {
+                    beforeEach(function () {
+                        Auth.isModerator.andReturn(false);
+                    });
+
+                    it('passes errors.ForbiddenError without requesting', function () {
+                        spyOn(writer._writeClient, 'approveContent');
+                        spyOn(writer._writeClient, 'banAuthor');
+                        writer.approveContent(content, callback);
+                        writer.banAuthor('troll@test.fyre.co', callback);
+                        expect(Auth.isModerator).toHaveBeenCalledWith(collection);
+                        expect(writer._writeClient.approveContent).not.toHaveBeenCalled();
+                        expect(writer._writeClient.banAuthor).not.toHaveBeenCalled();
+                        expect(callback.callCount).toBe(2);
+                        expect(callback.calls[0].args[0] instanceof errors.ForbiddenError).toBe(true);
+                        expect(callback.calls[1].args[0] instanceof errors.ForbiddenError).toBe(true);
+                        expect(content.visibility).toBe('EVERYONE');
+                    });
+
+                    it('still flags Content', function () {
+                        spyOn(writer._writeClient, 'flagContent').andCallThrough();
+                        writer.flagContent(content, 'spam', callback);
+                        expect(writer._writeClient.flagContent).toHaveBeenCalled();
+                    });
+
+                    it("still deletes the user's own Content", function () {
+                        spyOn(CollectionWriter, 'authorIdFromToken').andReturn('author@test.fyre.co');
+                        spyOn(writer._writeClient, 'deleteContent').andCallThrough();
+                        content.author = { id: 'author@test.fyre.co' };
+                        writer.deleteContent(content, callback);
+                        expect(writer._writeClient.deleteContent).toHaveBeenCalled();
+                        expect(content.visibility).toBe('NONE');
+                    });
+                });
+
+                it('bozos authors by ID', function () {
+                    spyOn(writer._writeClient, 'bozoAuthor').andCallThrough();
+                    writer.bozoAuthor({ id: 'troll@test.fyre.co' }, callback);
+                    expect(writer._writeClient.bozoAuthor.mostRecentCall.args[0]).toEqual({
+                        network: 'test.fyre.co',
+                        lftoken: 'my token',
+                        authorId: 'troll@test.fyre.co'
+                    });
+                    expect(callback).toHaveBeenCalledWith(null, jasmine.any(Object));
+                });
+
+                it('passes a ValidationError when bozoing without an author id', function () {
+                    spyOn(writer._writeClient, 'bozoAuthor');
+                    writer.bozoAuthor({}, callback);
+                    expect(writer._writeClient.bozoAuthor).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof errors.ValidationError).toBe(true);
+                });
+
+                it('passes Auth.UnauthorizedError when banning if a token is not set with streamhub-sdk/auth', function () {
+                    Auth.setToken();
+                    spyOn(writer._writeClient, 'banAuthor');
+                    writer.banAuthor('troll@test.fyre.co', callback);
+                    expect(writer._writeClient.banAuthor).not.toHaveBeenCalled();
+                    expect(callback.mostRecentCall.args[0] instanceof Auth.UnauthorizedError).toBe(true);
+                });
+            });
 		});
 	});
 });
@@ -0,0 +1,177 @@
+define([
+    'streamhub-sdk/content/content-index',
+    'streamhub-sdk/content/types/livefyre-content',
+    'streamhub-sdk/storage'],
+function (ContentIndex, LivefyreContent, Storage) {
+    'use strict';
+
+    describe('streamhub-sdk/content/content-index', function () {
+        var storage,
+            index;
+
+        function createContent (id, opts) {
+            opts = opts || {};
+            return new LivefyreContent({
+                vis: typeof opts.vis === 'number' ? opts.vis : 1,
+                source: opts.source || 5,
+                author: { id: opts.authorId || 'alice@livefyre.com' },
+                content: {
+                    id: id,
+                    bodyHtml: 'Content ' + id,
+                    parentId: opts.parentId || '',
+                    createdAt: opts.createdAt || 1000,
+                    annotations: opts.featured ? { featuredmessage: { value: 1 } } : {}
+                }
+            });
+        }
+
+        function ids (contents) {
+            var result = [];
+            for (var i=0; i < contents.length; i++) {
+                result.push(contents[i].id);
+            }
+            return result;
+        }
+
+        beforeEach(function () {
+            storage = new Storage();
+            storage.set('1', createContent('1', { createdAt: 1000 }));
+            storage.set('2', createContent('2', { createdAt: 2000, authorId: 'bob@livefyre.com', source: 1 }));
+            storage.set('3', createContent('3', { createdAt: 3000, parentId: '1', featured: true }));
+            storage.set('children_4', []);
+            index = new ContentIndex({ storage: storage });
+        });
+
+        describe('.find', function () {
+            it('indexes Content that was already stored', function () {
+                expect(ids(index.find())).toEqual(['3', '2', '1']);
+            });
+
+            it('finds Content by author, source, visibility, featured state and parent', function () {
+                expect(ids(index.find({ authorId: 'bob@livefyre.com' }))).toEqual(['2']);
+                expect(ids(index.find({ source: 'twitter' }))).toEqual(['2']);
+                expect(ids(index.find({ visibility: 'EVERYONE' }))).toEqual(['3', '2', '1']);
+                expect(ids(index.find({ featured: true }))).toEqual(['3']);
+                expect(ids(index.find({ parentId: '1' }))).toEqual(['3']);
+                expect(ids(index.find({ parentId: '' }))).toEqual(['2', '1']);
+            });
+
+            it('finds Content created in a range', function () {
+                expect(ids(index.find({ createdAfter: new Date(1000 * 1000) }))).toEqual(['3', '2']);
+                expect(ids(index.find({ createdBefore: new Date(3000 * 1000) }))).toEqual(['2', '1']);
+                expect(ids(index.find({
+                    createdAfter: 1000 * 1000,
+                    createdBefore: 3000 * 1000
+                }))).toEqual(['2']);
+            });
+
+            it('requires all criteria to match', function () {
+                expect(ids(index.find({ authorId: 'alice@livefyre.com', parentId: '' }))).toEqual(['1']);
+                expect(index.find({ authorId: 'bob@livefyre.com', featured: true })).toEqual([]);
+            });
+
+            it('does not index stored values that are not Content', function () {
+                expect(index.find().length).toBe(3);
+            });
+
+            it('indexes Content as it is stored, and drops it when removed', function () {
+                storage.set('5', createContent('5', { authorId: 'bob@livefyre.com' }));
+                expect(ids(index.find({ authorId: 'bob@livefyre.com' }))).toEqual(['2', '5']);
+                storage.remove('2');
+                expect(ids(index.find({ authorId: 'bob@livefyre.com' }))).toEqual(['5']);
+            });
+
+            it('drops Content evicted from a bounded Storage', function () {
+                storage = new Storage({ maxSize: 1 });
+                index = new ContentIndex({ storage: storage });
+                storage.set('1', createContent('1'));
+                storage.set('2', createContent('2'));
+                expect(ids(index.find())).toEqual(['2']);
+            });
+
+            it('re-indexes Content when it changes', function () {
+                storage.get('1').set({ visibility: 'NONE' });
+                expect(ids(index.find({ visibility: 'NONE' }))).toEqual(['1']);
+                expect(ids(index.find({ visibility: 'EVERYONE' }))).toEqual(['3', '2']);
+            });
+        });
+
+        describe('.query', function () {
+            var query,
+                onAdd,
+                onChange,
+                onRemove;
+            beforeEach(function () {
+                query = index.query({ authorId: 'alice@livefyre.com', visibility: 'EVERYONE' });
+                onAdd = jasmine.createSpy('onAdd');
+                onChange = jasmine.createSpy('onChange');
+                onRemove = jasmine.createSpy('onRemove');
+                query.on('add', onAdd);
+                query.on('change', onChange);
+                query.on('remove', onRemove);
+            });
+
+            it('has the Content that currently matches', function () {
+                expect(ids(query.contents)).toEqual(['3', '1']);
+            });
+
+            it("emits 'add' when Content starts matching", function () {
+                var content = createContent('5', { createdAt: 5000 });
+                storage.set('5', content);
+                expect(onAdd).toHaveBeenCalledWith(content);
+                expect(ids(query.contents)).toEqual(['5', '3', '1']);
+            });
+
+            it("emits 'remove' when Content stops matching", function () {
+                var content = storage.get('1');
+                content.set({ visibility: 'NONE' });
+                expect(onRemove).toHaveBeenCalledWith(content);
+                expect(ids(query.contents)).toEqual(['3']);
+            });
+
+            it("emits 'change' when matching Content changes", function () {
+                var content = storage.get('1');
+                content.set({ body: 'Edited' });
+                expect(onChange).toHaveBeenCalledWith(content);
+                expect(onAdd).not.toHaveBeenCalled();
+            });
+
+            it("emits only 'change' when the same Content is stored again", function () {
+                var content = storage.get('1');
+                content.body = 'Edited';
+                storage.set('1', content);
+                expect(onChange.callCount).toBe(1);
+                expect(onChange).toHaveBeenCalledWith(content);
+                expect(onRemove).not.toHaveBeenCalled();
+                expect(onAdd).not.toHaveBeenCalled();
+                expect(ids(query.contents)).toEqual(['3', '1']);
+            });
+
+            it("emits 'remove' when Content is removed from Storage", function () {
+                var content = storage.get('3');
+                storage.remove('3');
+                expect(onRemove).toHaveBeenCalledWith(content);
+            });
+
+            it('does not emit for Content that does not match', function () {
+                storage.set('5', createContent('5', { authorId: 'bob@livefyre.com' }));
+                expect(onAdd).not.toHaveBeenCalled();
+                expect(onRemove).not.toHaveBeenCalled();
+            });
+
+            it('stops updating after .stop()', function () {
+                query.stop();
+                storage.set('5', createContent('5'));
+                expect(onAdd).not.toHaveBeenCalled();
+            });
+        });
+
+        it('stops listening to Content and Storage after .destroy()', function () {
+            var content = storage.get('1');
+            index.destroy();
+            content.set({ visibility: 'NONE' });
+            storage.set('5', createContent('5'));
+            expect(index.find()).toEqual([]);
+        });
+    });
+});
@@ -1,7 +1,8 @@
 define([
     'streamhub-sdk/jquery',
-    'streamhub-sdk/content'],
-function ($, Content) {
+    'streamhub-sdk/content',
+    'streamhub-sdk/content/types/oembed'],
+function ($, Content, Oembed) {
     'use strict';
 
     describe('Content', function () {
@@ -52,5 +53,46 @@ function ($, Content) {
                 expect(onChange).toHaveBeenCalledWith('OWNER', 'EVERYONE');
             });
         });
+
+        describe(".toJSON and Content.fromJSON", function () {
+            var content,
+                restored;
+            beforeEach(function () {
+                content = new Content({ body: 'parent', id: 'parent-id' });
+                content.addAttachment(new Oembed({ type: 'photo', url: 'http://example.com/a.jpg' }));
+                content.addReply(new Content('reply'));
+                restored = Content.fromJSON(JSON.parse(JSON.stringify(content.toJSON())));
+            });
+
+            it("restores a Content", function () {
+                expect(restored instanceof Content).toBe(true);
+                expect(restored.body).toBe('parent');
+                expect(restored.id).toBe('parent-id');
+                expect(restored.visibility).toBe('EVERYONE');
+            });
+
+            it("restores attachments as Oembeds", function () {
+                expect(restored.attachments.length).toBe(1);
+                expect(restored.attachments[0] instanceof Oembed).toBe(true);
+                expect(restored.attachments[0].url).toBe('http://example.com/a.jpg');
+            });
+
+            it("restores replies", function () {
+                expect(restored.replies.length).toBe(1);
+                expect(restored.replies[0] instanceof Content).toBe(true);
+                expect(restored.replies[0].body).toBe('reply');
+            });
+
+            it("can restore from a JSON string", function () {
+                restored = Content.fromJSON(JSON.stringify(content));
+                expect(restored.body).toBe('parent');
+            });
+
+            it("restores unknown types as Content", function () {
+                restored = Content.fromJSON({ contentType: 'Unknown', body: 'hi' });
+                expect(restored.constructor).toBe(Content);
+                expect(restored.body).toBe('hi');
+            });
+        });
     });
 });
@@ -1,11 +1,13 @@
 define([
+    'streamhub-sdk/jquery',
     'streamhub-sdk/content/state-to-content',
     'stream/transform',
     'streamhub-sdk/content',
     'streamhub-sdk/content/types/livefyre-instagram-content',
+    'streamhub-sdk/storage',
     'json!streamhub-sdk-tests/mocks/bootstrap-data.json'],
-function (StateToContent, Transform, Content, LivefyreInstagramContent,
-mockBootstrapData) {
+function ($, StateToContent, Transform, Content, LivefyreInstagramContent,
+Storage, mockBootstrapData) {
     'use strict';
 
     describe('streamhub-sdk/streams/transforms/state-to-content', function () {
@@ -212,6 +214,8 @@ mockBootstrapData) {
                 stateToContent.write(stateWithOpine);
                 content = stateToContent.read();
                 expect(content.attachments.length).toBe(0);
+                expect(content.getLikeCount()).toBe(1);
+                expect(content.likes[0].authorId).toBe('_up20585653@livefyre.com');
             });
 
             it("does not transform OPINE states into anything", function () {
@@ -248,6 +252,212 @@ mockBootstrapData) {
                 expect(content.isFeatured()).toBe(true);
             });
 
+            it("updates whether stored Content is featured when its state is transformed again", function () {
+                var storage = new Storage(),
+                    state = {
+                        content: {
+                            id: 'featurable',
+                            bodyHtml: 'feature me',
+                            annotations: {},
+                            authorId: 'system@labs-t402.fyre.co'
+                        },
+                        vis: 1,
+                        type: 0,
+                        source: 5
+                    },
+                    content = StateToContent.transform(state, {}, { storage: storage })[0],
+                    onChange = jasmine.createSpy('onChange');
+                content.on('change', onChange);
+                state.content.annotations = {
+                    featuredmessage: { rel_collectionId: '10739960', value: 1380848564 }
+                };
+                StateToContent.transform(state, {}, { storage: storage });
+                expect(content.isFeatured()).toBe(true);
+                expect(onChange).toHaveBeenCalled();
+                state.content.annotations = {};
+                StateToContent.transform(state, {}, { storage: storage });
+                expect(content.isFeatured()).toBe(false);
+            });
+
+            it("marks stored Content edited only when its body changes", function () {
+                var storage = new Storage(),
+                    state = {
+                        content: {
+                            id: 'editable',
+                            bodyHtml: 'edit me',
+                            annotations: {},
+                            authorId: 'system@labs-t402.fyre.co',
+                            createdAt: 1380730117,
+                            updatedAt: 1380730117
+                        },
+                        vis: 1,
+                        type: 0,
+                        source: 5
+                    },
+                    content = StateToContent.transform(state, {}, { storage: storage })[0];
+                state.content.updatedAt = 1380730200;
+                StateToContent.transform(state, {}, { storage: storage });
+                expect(content.edited).toBe(false);
+                state.content.bodyHtml = 'edited';
+                StateToContent.transform(state, {}, { storage: storage });
+                expect(content.body).toBe('edited');
+                expect(content.edited).toBe(true);
+            });
+
+            describe('when transforming OPINE states', function () {
+                var parent,
+                    like,
+                    content;
+                beforeEach(function () {
+                    parent = mockStreamData.states["tweet-312328006913904641@twitter.com"];
+                    like = {"content":{"authorId":"_u2012@livefyre.com","targetId":parent.content.id,"id":parent.content.id+"._u2012@livefyre.com"},"vis":1,"type":1,"event":1379022927282801,"source":0};
+                });
+
+                it('adds likes to the Content they target', function () {
+                    var onLike = jasmine.createSpy('onLike');
+                    stateToContent.write(parent);
+                    content = stateToContent.read();
+                    content.on('like', onLike);
+                    stateToContent.write(like);
+                    expect(stateToContent.read()).toBe(null);
+                    expect(content.getLikeCount()).toBe(1);
+                    expect(content.isLikedBy('_u2012@livefyre.com')).toBe(true);
+                    expect(onLike).toHaveBeenCalledWith(content.likes[0]);
+                });
+
+                it('does not add a like twice', function () {
+                    stateToContent.write(parent);
+                    content = stateToContent.read();
+                    stateToContent.write(like);
+                    stateToContent.write(like);
+                    expect(content.getLikeCount()).toBe(1);
+                });
+
+                it('removes likes when passed a non-visible OPINE state', function () {
+                    var onUnlike = jasmine.createSpy('onUnlike');
+                    stateToContent.write(parent);
+                    content = stateToContent.read();
+                    stateToContent.write(like);
+                    content.on('unlike', onUnlike);
+                    stateToContent.write($.extend({}, like, { vis: 0 }));
+                    expect(content.getLikeCount()).toBe(0);
+                    expect(onUnlike).toHaveBeenCalled();
+                });
+
+                it('adds likes once the Content they target is transformed', function () {
+                    stateToContent.write(like);
+                    stateToContent.write(parent);
+                    content = stateToContent.read();
+                    expect(content.getLikeCount()).toBe(1);
+                });
+
+                it('forgets likes removed before the Content they target is transformed', function () {
+                    stateToContent.write(like);
+                    stateToContent.write($.extend({}, like, { vis: 0 }));
+                    stateToContent.write(parent);
+                    content = stateToContent.read();
+                    expect(content.getLikeCount()).toBe(0);
+                });
+            });
+
+            describe('when constructed with opts.storage', function () {
+                var parent,
+                    reply,
+                    storage;
+                beforeEach(function () {
+                    parent = mockStreamData.states["tweet-312328006913904641@twitter.com"];
+                    reply = mockStreamData.states["tweet-111919819891818@twitter.com"];
+                });
+
+                it('remembers Content there instead of in the shared Storage', function () {
+                    storage = new Storage();
+                    stateToContent = new StateToContent({
+                        authors: mockStreamData.authors,
+                        storage: storage
+                    });
+                    stateToContent.write(parent);
+                    var content = stateToContent.read();
+                    expect(storage.get(content.id)).toBe(content);
+                    expect(StateToContent.Storage.get(content.id)).toBe(undefined);
+                });
+
+                it('stops storing children once they are added to their parent', function () {
+                    storage = new Storage();
+                    stateToContent = new StateToContent({
+                        authors: mockStreamData.authors,
+                        storage: storage
+                    });
+                    stateToContent.write(reply);
+                    expect(storage.get('children_' + parent.content.id).length).toBe(1);
+                    stateToContent.write(parent);
+                    expect(stateToContent.read().replies.length).toBe(1);
+                    expect(storage.get('children_' + parent.content.id)).toBe(undefined);
+                });
+
+                it('links replies to a parent that was evicted once it is seen again', function () {
+                    storage = new Storage({ maxSize: 1 });
+                    stateToContent = new StateToContent({
+                        authors: mockStreamData.authors,
+                        storage: storage
+                    });
+                    stateToContent.write(parent);
+                    stateToContent.read();
+                    stateToContent.write(reply);
+                    expect(storage.get(parent.content.id)).toBe(undefined);
+
+                    stateToContent.write(parent);
+                    var content = stateToContent.read();
+                    expect(content.replies.length).toBe(1);
+                    expect(content.replies[0].id).toBe(reply.content.id);
+                });
+
+                it('keeps replies waiting for their parent while a small Storage evicts Content', function () {
+                    storage = new Storage({ maxSize: 1 });
+                    stateToContent = new StateToContent({
+                        authors: mockStreamData.authors,
+                        storage: storage
+                    });
+                    stateToContent.write(reply);
+                    storage.set('other', {});
+                    storage.set('another', {});
+                    expect(storage.get('children_' + parent.content.id).length).toBe(1);
+
+                    stateToContent.write(parent);
+                    var content = stateToContent.read();
+                    expect(content.replies.length).toBe(1);
+                    expect(content.replies[0].id).toBe(reply.content.id);
+                });
+
+                describe('and opts.findContent', function () {
+                    var displayed;
+                    beforeEach(function () {
+                        storage = new Storage({ maxSize: 1 });
+                        stateToContent = new StateToContent({
+                            authors: mockStreamData.authors,
+                            storage: storage,
+                            findContent: function (id) {
+                                return displayed && displayed.id === id ? displayed : undefined;
+                            }
+                        });
+                        stateToContent.write(parent);
+                        displayed = stateToContent.read();
+                    });
+
+                    it('adds replies to the displayed instance of a parent that was evicted', function () {
+                        stateToContent.write(reply);
+                        expect(displayed.replies.length).toBe(1);
+                        expect(displayed.replies[0].id).toBe(reply.content.id);
+                    });
+
+                    it('updates the displayed instance when an evicted parent is seen again', function () {
+                        storage.set('other', {});
+                        expect(storage.get(parent.content.id)).toBe(undefined);
+                        stateToContent.write(parent);
+                        expect(stateToContent.read()).toBe(displayed);
+                    });
+                });
+            });
+
             describe('.write', function () {
                 var mockThreadState;
 
@@ -1,7 +1,12 @@
 define([
     'streamhub-sdk/jquery',
-    'streamhub-sdk/content/types/livefyre-content'],
-function ($, LivefyreContent) {
+    'streamhub-sdk/content',
+    'streamhub-sdk/content/types/livefyre-content',
+    'streamhub-sdk/content/types/livefyre-twitter-content',
+    'streamhub-sdk/content/types/livefyre-oembed',
+    'streamhub-sdk/content/types/livefyre-opine'],
+function ($, Content, LivefyreContent, LivefyreTwitterContent, LivefyreOembed,
+LivefyreOpine) {
     'use strict';
 
     describe('A LivefyreContent object', function () {
@@ -130,5 +135,111 @@ function ($, LivefyreContent) {
             });
         });
 
+        describe('likes', function () {
+            var like;
+            beforeEach(function () {
+                content = new LivefyreContent(mockData.livefyreBootstrapContent);
+                like = new LivefyreOpine({
+                    content: {
+                        id: content.id + '.u1@livefyre.com',
+                        targetId: content.id,
+                        authorId: 'u1@livefyre.com'
+                    },
+                    vis: 1
+                });
+            });
+
+            it('starts with no likes', function () {
+                expect(content.likes).toEqual([]);
+                expect(content.getLikeCount()).toBe(0);
+            });
+
+            it('emits like when a like is added', function () {
+                var onLike = jasmine.createSpy('onLike');
+                content.on('like', onLike);
+                content.addLike(like);
+                expect(content.getLikeCount()).toBe(1);
+                expect(content.isLikedBy('u1@livefyre.com')).toBe(true);
+                expect(onLike).toHaveBeenCalledWith(like);
+            });
+
+            it('emits unlike when a like is removed', function () {
+                var onUnlike = jasmine.createSpy('onUnlike');
+                content.addLike(like);
+                content.on('unlike', onUnlike);
+                content.removeLike(like);
+                expect(content.getLikeCount()).toBe(0);
+                expect(onUnlike).toHaveBeenCalledWith(like);
+            });
+
+            it('does not emit unlike for a like it does not have', function () {
+                var onUnlike = jasmine.createSpy('onUnlike');
+                content.on('unlike', onUnlike);
+                content.removeLike(like);
+                expect(onUnlike).not.toHaveBeenCalled();
+            });
+
+            it('restores likes from .toJSON', function () {
+                content.addLike(like);
+                var restored = Content.fromJSON(JSON.parse(JSON.stringify(content)));
+                expect(restored.getLikeCount()).toBe(1);
+                expect(restored.likes[0] instanceof LivefyreOpine).toBe(true);
+                expect(restored.likes[0].authorId).toBe('u1@livefyre.com');
+            });
+        });
+
+        describe('.toJSON and Content.fromJSON', function () {
+            function roundTrip (content) {
+                return Content.fromJSON(JSON.parse(JSON.stringify(content.toJSON())));
+            }
+
+            it('restores a LivefyreContent with its author and dates', function () {
+                var restored = roundTrip(new LivefyreContent(mockData.livefyreStreamContent));
+                expect(restored instanceof LivefyreContent).toBe(true);
+                expect(restored.id).toBe(mockData.livefyreStreamContent.content.id);
+                expect(restored.body).toBe(mockData.livefyreStreamContent.content.bodyHtml);
+                expect(restored.source).toBe('feed');
+                expect(restored.author).toEqual(mockData.livefyreStreamContent.author);
+                expect(restored.createdAt instanceof Date).toBe(true);
+                expect(restored.createdAt.getTime()).toBe(1364409052000);
+                expect(restored.updatedAt.getTime()).toBe(1364409052000);
+            });
+
+            it('does not include the StreamHub state', function () {
+                var json = new LivefyreContent(mockData.livefyreStreamContent).toJSON();
+                expect(json.meta).toBeUndefined();
+                expect(json._listeners).toBeUndefined();
+            });
+
+            it('restores featured Content', function () {
+                var restored = roundTrip(new LivefyreContent(mockData.featuredBootstrapContent));
+                expect(restored.isFeatured()).toBe(true);
+                expect(restored.getFeaturedValue()).toBe(1380848559);
+            });
+
+            it('restores the subclass, attachments and replies', function () {
+                var tweet = new LivefyreTwitterContent(mockData.livefyreBootstrapContent),
+                    reply = new LivefyreContent(mockData.livefyreStreamContent),
+                    restored;
+                tweet.addAttachment(new LivefyreOembed({
+                    id: 'oem-1',
+                    vis: 1,
+                    source: 1,
+                    content: { oembed: { type: 'photo', url: 'http://example.com/a.jpg' } }
+                }));
+                tweet.addReply(reply);
+                restored = roundTrip(tweet);
+
+                expect(restored instanceof LivefyreTwitterContent).toBe(true);
+                expect(restored.tweetId).toBe('308584114829795328');
+                expect(restored.author.twitterUserId).toBe('123568642');
+                expect(restored.attachments[0] instanceof LivefyreOembed).toBe(true);
+                expect(restored.attachments[0].id).toBe('oem-1');
+                expect(restored.attachments[0].url).toBe('http://example.com/a.jpg');
+                expect(restored.replies[0] instanceof LivefyreContent).toBe(true);
+                expect(restored.replies[0].id).toBe(reply.id);
+            });
+        });
+
     });
 });
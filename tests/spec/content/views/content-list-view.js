@@ -410,6 +410,34 @@ function ($, ContentListView, Content, ContentView) {
                 expect(listView._stash.stack).toHaveBeenCalledWith(content);
             });
         });
+
+        describe('.reconcile(contents)', function () {
+            var content,
+                contentView;
+
+            beforeEach(function () {
+                content = new Content('Reconcile me');
+                contentView = listView.add(content);
+            });
+
+            it('re-renders ContentViews of Content that is still visible', function () {
+                spyOn(contentView, 'render');
+                listView.reconcile([content]);
+                expect(contentView.render).toHaveBeenCalled();
+            });
+
+            it('removes ContentViews of Content that is no longer visible', function () {
+                content.visibility = 'NONE';
+                listView.reconcile([content]);
+                expect(listView.getContentView(content)).toBe(null);
+            });
+
+            it('ignores Content it does not display', function () {
+                expect(function () {
+                    listView.reconcile([new Content('Not here')]);
+                }).not.toThrow();
+            });
+        });
     });
 
     describe("Default ContentListView.prototype.contentView", function () {
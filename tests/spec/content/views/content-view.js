@@ -3,9 +3,14 @@ define([
     'streamhub-sdk/util',
     'streamhub-sdk/content',
     'streamhub-sdk/content/types/livefyre-content',
+    'streamhub-sdk/content/types/livefyre-opine',
     'streamhub-sdk/content/views/content-view',
-    'streamhub-sdk/content/views/tiled-attachment-list-view'],
-function ($, util, Content, LivefyreContent, ContentView, TiledAttachmentListView) {
+    'streamhub-sdk/content/views/tiled-attachment-list-view',
+    'streamhub-sdk/auth',
+    'streamhub-sdk/content/state-to-content',
+    'streamhub-sdk/storage'],
+function ($, util, Content, LivefyreContent, LivefyreOpine, ContentView,
+TiledAttachmentListView, Auth, StateToContent, Storage) {
     'use strict';
 
     describe('Default ContentView', function () {
@@ -94,6 +99,123 @@ function ($, util, Content, LivefyreContent, ContentView, TiledAttachmentListVie
                 expect(contentView.formatDate).toHaveBeenCalled();
                 expect(typeof contentView.$el.find('.content-created-at').html()).toBe('string');
             });
+
+            it('is marked edited once it is edited', function () {
+                expect(contentView.$el.find('.content-edited').length).toBe(0);
+                livefyreContent.set({
+                    body: 'edited',
+                    updatedAt: new Date(1000 * 1364409100),
+                    edited: true
+                });
+                expect(contentView.$el.find('.content-edited').length).toBe(1);
+            });
+
+            it('is not marked edited when it is featured', function () {
+                var storage = new Storage(),
+                    state = {
+                        content: {
+                            id: 'featurable',
+                            bodyHtml: 'feature me',
+                            annotations: {},
+                            authorId: 'system@labs-t402.fyre.co',
+                            createdAt: 1364409052,
+                            updatedAt: 1364409052
+                        },
+                        vis: 1,
+                        type: 0,
+                        source: 5
+                    },
+                    featurable = StateToContent.transform(state, {}, { storage: storage })[0];
+                contentView = new ContentView({ content: featurable });
+                contentView.render();
+                state.content.annotations = {
+                    featuredmessage: { rel_collectionId: '10739960', value: 1364409100 }
+                };
+                state.content.updatedAt = 1364409100;
+                StateToContent.transform(state, {}, { storage: storage });
+                expect(featurable.isFeatured()).toBe(true);
+                expect(contentView.$el.find('.content-featured').length).toBe(1);
+                expect(contentView.$el.find('.content-edited').length).toBe(0);
+            });
+
+            describe('and it is liked', function () {
+                function like (authorId) {
+                    return new LivefyreOpine({
+                        content: {
+                            id: livefyreContent.id + '.' + authorId,
+                            targetId: livefyreContent.id,
+                            authorId: authorId
+                        }
+                    });
+                }
+
+                it('has no .content-like-count without likes', function () {
+                    expect(contentView.$el.find('.content-like-count').length).toBe(0);
+                });
+
+                it('renders the like count', function () {
+                    livefyreContent.addLike(like('u1@livefyre.com'));
+                    expect(contentView.$el.find('.content-like-count').text()).toBe('1');
+                    livefyreContent.addLike(like('u2@livefyre.com'));
+                    expect(contentView.$el.find('.content-like-count').text()).toBe('2');
+                });
+
+                it('updates the like count when unliked', function () {
+                    var firstLike = like('u1@livefyre.com');
+                    livefyreContent.addLike(firstLike);
+                    livefyreContent.addLike(like('u2@livefyre.com'));
+                    livefyreContent.removeLike(firstLike);
+                    expect(contentView.$el.find('.content-like-count').text()).toBe('1');
+                    livefyreContent.removeLike(like('u2@livefyre.com'));
+                    expect(contentView.$el.find('.content-like-count').length).toBe(0);
+                });
+            });
+        });
+
+        describe('when viewing Content that is being posted', function () {
+            var content,
+                contentView;
+            beforeEach(function () {
+                content = new Content('posting');
+                content.pending = true;
+                contentView = new ContentView({ content: content });
+                contentView.render();
+            });
+            it('is marked pending', function () {
+                expect(contentView.$el.hasClass('content-pending')).toBe(true);
+            });
+            it('is marked failed with a retry link if posting fails', function () {
+                content.retry = jasmine.createSpy('retry');
+                content.set({ pending: false, failed: true });
+                expect(contentView.$el.hasClass('content-pending')).toBe(false);
+                expect(contentView.$el.hasClass('content-failed')).toBe(true);
+                contentView.$('.content-retry').click();
+                expect(content.retry).toHaveBeenCalled();
+            });
+        });
+
+        describe('when the author is clicked', function () {
+            var content,
+                contentView;
+            beforeEach(function () {
+                content = new Content('hi');
+                content.author = { id: 'author@labs-t402.fyre.co', displayName: 'Author' };
+                contentView = new ContentView({ content: content });
+                contentView.render();
+            });
+            afterEach(function () {
+                Auth.delegate = null;
+            });
+            it("asks the streamhub-sdk/auth delegate to show the author's profile", function () {
+                Auth.delegate = { viewProfile: jasmine.createSpy('viewProfile') };
+                contentView.$('.content-author-name').click();
+                expect(Auth.delegate.viewProfile).toHaveBeenCalledWith(content.author);
+            });
+            it('does nothing without a delegate', function () {
+                expect(function () {
+                    contentView.$('.content-author-name').click();
+                }).not.toThrow();
+            });
         });
 
         describe('when viewing Content with no .createdAt', function () {
@@ -158,6 +280,13 @@ function ($, util, Content, LivefyreContent, ContentView, TiledAttachmentListVie
 
                 expect($el.length).toBe(1);
             });
+            it('stops rendering .content-featured once unfeatured', function () {
+                view.render();
+                content.set({ featured: false });
+                expect(view.$('.content-featured').length).toBe(0);
+                content.set({ featured: { rel_collectionId: '10739960', value: 1381771899 } });
+                expect(view.$('.content-featured').length).toBe(1);
+            });
         });
 
         describe('when Content has no image attachment(s)', function() {
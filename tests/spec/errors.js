@@ -0,0 +1,76 @@
+define(['streamhub-sdk/errors'], function (errors) {
+    'use strict';
+
+    describe('streamhub-sdk/errors', function () {
+        it('has error types that are instanceof Error', function () {
+            expect(new errors.NetworkError('a') instanceof Error).toBe(true);
+            expect(new errors.ServiceError('a') instanceof Error).toBe(true);
+            expect(new errors.ValidationError('a') instanceof Error).toBe(true);
+        });
+        it('has a TimeoutError that is a NetworkError', function () {
+            var err = new errors.TimeoutError('slow');
+            expect(err instanceof errors.NetworkError).toBe(true);
+            expect(err.message).toBe('slow');
+            expect(err.name).toBe('TimeoutError');
+        });
+        it('has a NotFoundError that is a ServiceError with status 404', function () {
+            var err = new errors.NotFoundError('gone');
+            expect(err instanceof errors.ServiceError).toBe(true);
+            expect(err.status).toBe(404);
+        });
+
+        it('has a ForbiddenError that is a ServiceError with status 403', function () {
+            var err = new errors.ForbiddenError('no');
+            expect(err instanceof errors.ServiceError).toBe(true);
+            expect(err.status).toBe(403);
+            expect(err.name).toBe('ForbiddenError');
+        });
+
+        describe('.fromXhr', function () {
+            it('returns "abort" for aborted requests', function () {
+                expect(errors.fromXhr({ status: 0 }, 'abort')).toBe('abort');
+            });
+            it('returns a TimeoutError for timed out requests', function () {
+                var err = errors.fromXhr({ status: 0 }, 'timeout');
+                expect(err instanceof errors.TimeoutError).toBe(true);
+            });
+            it('returns a NetworkError when there was no response', function () {
+                var err = errors.fromXhr({ status: 0 }, 'error', '');
+                expect(err instanceof errors.NetworkError).toBe(true);
+            });
+            it('returns a NotFoundError for 404s', function () {
+                var err = errors.fromXhr({ status: 404 }, 'error', 'Not Found');
+                expect(err instanceof errors.NotFoundError).toBe(true);
+                expect(err.message).toBe('Not Found');
+            });
+            it('returns a ForbiddenError for 403s', function () {
+                var err = errors.fromXhr({ status: 403 }, 'error', 'Forbidden');
+                expect(err instanceof errors.ForbiddenError).toBe(true);
+            });
+            it('returns a ValidationError for 400s', function () {
+                var err = errors.fromXhr({ status: 400 }, 'error', 'Bad Request');
+                expect(err instanceof errors.ValidationError).toBe(true);
+            });
+            it('returns a ServiceError with the status for other errors', function () {
+                var err = errors.fromXhr({ status: 503 }, 'error', 'Service Unavailable');
+                expect(err instanceof errors.ServiceError).toBe(true);
+                expect(err.status).toBe(503);
+            });
+            it('uses the .msg of a JSON response as the message', function () {
+                var err = errors.fromXhr({
+                    status: 500,
+                    responseText: '{"status": "error", "msg": "Something broke", "code": 500}'
+                }, 'error', 'Internal Server Error');
+                expect(err.message).toBe('Something broke');
+            });
+        });
+
+        describe('.fromStatus', function () {
+            it('returns the error for the code of an error response', function () {
+                expect(errors.fromStatus(403, 'Not a moderator') instanceof errors.ForbiddenError).toBe(true);
+                expect(errors.fromStatus(404, 'Gone') instanceof errors.NotFoundError).toBe(true);
+                expect(errors.fromStatus(500, 'Broke').status).toBe(500);
+            });
+        });
+    });
+});
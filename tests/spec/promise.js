@@ -0,0 +1,60 @@
+define([
+    'streamhub-sdk/promise',
+    'streamhub-sdk-tests/mocks/mock-promise'],
+function (promise, MockPromise) {
+    'use strict';
+
+    describe('streamhub-sdk/promise', function () {
+        var onResolve, onReject;
+
+        beforeEach(function () {
+            promise.setImplementation(MockPromise);
+            onResolve = jasmine.createSpy('onResolve');
+            onReject = jasmine.createSpy('onReject');
+        });
+
+        afterEach(function () {
+            promise.setImplementation(null);
+        });
+
+        describe('.getImplementation', function () {
+            it('returns the implementation that was set', function () {
+                expect(promise.getImplementation()).toBe(MockPromise);
+            });
+        });
+
+        describe('.fromCallback', function () {
+            it('resolves with the data passed to the callback', function () {
+                promise.fromCallback(function (a, callback) {
+                    callback(null, a + 1);
+                }, null, [1]).then(onResolve, onReject);
+                expect(onResolve).toHaveBeenCalledWith(2);
+                expect(onReject).not.toHaveBeenCalled();
+            });
+            it('rejects with the error passed to the callback', function () {
+                var err = new Error('nope');
+                promise.fromCallback(function (callback) {
+                    callback(err);
+                }).then(onResolve, onReject);
+                expect(onReject).toHaveBeenCalledWith(err);
+                expect(onResolve).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('.method', function () {
+            it('calls the named method with the arguments and a callback', function () {
+                var obj = {
+                    value: 10,
+                    add: function (a, callback) {
+                        callback(null, this.value + a);
+                    }
+                };
+                obj.addAsync = promise.method('add');
+                spyOn(obj, 'add').andCallThrough();
+                obj.addAsync(5).then(onResolve);
+                expect(obj.add).toHaveBeenCalledWith(5, jasmine.any(Function));
+                expect(onResolve).toHaveBeenCalledWith(15);
+            });
+        });
+    });
+});
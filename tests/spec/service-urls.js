@@ -0,0 +1,31 @@
+define(['streamhub-sdk/service-urls'], function (serviceUrls) {
+    'use strict';
+
+    describe('streamhub-sdk/service-urls', function () {
+        afterEach(function () {
+            serviceUrls.reset();
+        });
+
+        it('has no base URLs by default', function () {
+            expect(serviceUrls.get('bootstrap')).toBe(undefined);
+        });
+        it('gets the base URLs that were set, without trailing slashes', function () {
+            serviceUrls.set({
+                bootstrap: 'http://localhost:8080/bootstrap/',
+                quill: 'http://localhost:8081'
+            });
+            expect(serviceUrls.get('bootstrap')).toBe('http://localhost:8080/bootstrap');
+            expect(serviceUrls.get('quill')).toBe('http://localhost:8081');
+        });
+        it('forgets a base URL when it is set to null', function () {
+            serviceUrls.set({ bootstrap: 'http://localhost:8080' });
+            serviceUrls.set({ bootstrap: null });
+            expect(serviceUrls.get('bootstrap')).toBe(undefined);
+        });
+        it('forgets all base URLs on .reset()', function () {
+            serviceUrls.set({ stream1: 'http://localhost:8080' });
+            serviceUrls.reset();
+            expect(serviceUrls.get('stream1')).toBe(undefined);
+        });
+    });
+});
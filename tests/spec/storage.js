@@ -1,8 +1,9 @@
 define([
     'streamhub-sdk/jquery',
     'streamhub-sdk/storage',
-    'streamhub-sdk/content'],
-function ($, Storage, Content) {
+    'streamhub-sdk/content',
+    'streamhub-sdk-tests/mocks/mock-storage-backend'],
+function ($, Storage, Content, MockStorageBackend) {
     'use strict';
 
     describe('Storage', function () {
@@ -82,5 +83,103 @@ function ($, Storage, Content) {
                 expect(spy).toHaveBeenCalledWith(contentA);
             });
         });
+
+        describe(".remove", function () {
+            it("removes the value at a key", function () {
+                Storage.set(contentA.id, contentA);
+                Storage.remove(contentA.id);
+                expect(Storage.get(contentA.id)).not.toBeDefined();
+            });
+        });
+
+        describe("instance", function () {
+            var storage;
+            beforeEach(function () {
+                storage = new Storage({ maxSize: 2 });
+            });
+
+            it("does not share values with the module Storage", function () {
+                storage.set(contentA.id, contentA);
+                expect(Storage.get(contentA.id)).not.toBeDefined();
+                expect(storage.get(contentA.id)).toBe(contentA);
+            });
+
+            it("evicts the least recently used key past opts.maxSize, and emits 'evict'", function () {
+                storage.on('evict', onSpy);
+                storage.set('a', contentA);
+                storage.set('b', contentB);
+                storage.get('a');
+                storage.set('c', contentA);
+
+                expect(storage.get('b')).not.toBeDefined();
+                expect(storage.get('a')).toBe(contentA);
+                expect(storage.get('c')).toBe(contentA);
+                expect(onSpy).toHaveBeenCalledWith('b', contentB);
+            });
+
+            it("does not count removed keys toward opts.maxSize", function () {
+                storage.set('a', contentA);
+                storage.set('b', contentB);
+                storage.remove('a');
+                storage.set('c', contentA);
+
+                expect(storage.get('b')).toBe(contentB);
+            });
+
+            it("does not evict or count 'children_' keys toward opts.maxSize", function () {
+                var children = [contentB];
+                storage.on('evict', onSpy);
+                storage.set('children_a', children);
+                storage.set('a', contentA);
+                storage.set('b', contentB);
+                storage.set('c', contentA);
+
+                expect(storage.get('children_a')).toBe(children);
+                expect(storage.get('b')).toBe(contentB);
+                expect(onSpy).not.toHaveBeenCalledWith('children_a', children);
+            });
+        });
+
+        describe("instance with opts.backend", function () {
+            var backend,
+                storage,
+                callback;
+            beforeEach(function () {
+                backend = new MockStorageBackend();
+                storage = new Storage({ backend: backend });
+                callback = jasmine.createSpy('callback');
+            });
+
+            it("returns the backend from .getBackend", function () {
+                expect(storage.getBackend()).toBe(backend);
+                expect(new Storage().getBackend()).toBe(null);
+            });
+
+            it("writes values set in async mode to the backend", function () {
+                storage.set('key', { a: 1 }, callback);
+                expect(backend.values.key).toEqual({ a: 1 });
+                expect(callback).toHaveBeenCalledWith({ a: 1 });
+            });
+
+            it("does not write values set in sync mode to the backend", function () {
+                storage.set(contentA.id, contentA);
+                expect(backend.values[contentA.id]).not.toBeDefined();
+            });
+
+            it("reads from the backend in async mode, after a reload", function () {
+                storage.set('key', { a: 1 }, callback);
+                storage = new Storage({ backend: new MockStorageBackend(backend.values) });
+
+                expect(storage.get('key')).not.toBeDefined();
+                storage.get('key', callback);
+                expect(callback).toHaveBeenCalledWith({ a: 1 });
+            });
+
+            it("removes values from the backend in async mode", function () {
+                storage.set('key', { a: 1 }, callback);
+                storage.remove('key', callback);
+                expect(backend.values.key).not.toBeDefined();
+            });
+        });
     });
 });
@@ -0,0 +1,68 @@
+define([
+    'streamhub-sdk/storage/indexeddb-backend',
+    'streamhub-sdk-tests/mocks/mock-indexeddb'],
+function (IndexedDBBackend, MockIndexedDB) {
+    'use strict';
+
+    describe('streamhub-sdk/storage/indexeddb-backend', function () {
+        var indexedDB,
+            backend,
+            callback;
+
+        beforeEach(function () {
+            indexedDB = new MockIndexedDB();
+            backend = new IndexedDBBackend({ indexedDB: indexedDB });
+            callback = jasmine.createSpy('callback');
+        });
+
+        it('opens the database once, creating the object store', function () {
+            spyOn(indexedDB, 'open').andCallThrough();
+            backend.get('a', callback);
+            backend.get('b', callback);
+            waitsFor(function () {
+                return callback.callCount === 2;
+            });
+            runs(function () {
+                expect(indexedDB.open.callCount).toBe(1);
+                expect(indexedDB.databases['streamhub-sdk'].stores.storage).toBeDefined();
+                expect(callback).toHaveBeenCalledWith(null, undefined);
+            });
+        });
+
+        it('stores and reads back values', function () {
+            backend.set('key', { content: [{ id: '1' }] }, function (err) {
+                expect(err).toBe(null);
+                backend.get('key', callback);
+            });
+            waitsFor(function () {
+                return callback.callCount;
+            });
+            runs(function () {
+                expect(callback.mostRecentCall.args[1]).toEqual({ content: [{ id: '1' }] });
+            });
+        });
+
+        it('removes values', function () {
+            backend.set('key', 1, function () {
+                backend.remove('key', function () {
+                    backend.get('key', callback);
+                });
+            });
+            waitsFor(function () {
+                return callback.callCount;
+            });
+            runs(function () {
+                expect(callback).toHaveBeenCalledWith(null, undefined);
+            });
+        });
+
+        it('stores nothing when IndexedDB is not available', function () {
+            backend = new IndexedDBBackend();
+            backend._indexedDB = null;
+            backend.set('key', 1, function () {
+                backend.get('key', callback);
+            });
+            expect(callback).toHaveBeenCalledWith(null, undefined);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+define(['streamhub-sdk/storage/local-storage-backend'], function (LocalStorageBackend) {
+    'use strict';
+
+    describe('streamhub-sdk/storage/local-storage-backend', function () {
+        var items,
+            storage,
+            backend,
+            callback;
+
+        beforeEach(function () {
+            items = {};
+            storage = {
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = String(value);
+                },
+                removeItem: function (key) {
+                    delete items[key];
+                }
+            };
+            backend = new LocalStorageBackend({ storage: storage });
+            callback = jasmine.createSpy('callback');
+        });
+
+        it('passes undefined for keys it has not stored', function () {
+            backend.get('nope', callback);
+            expect(callback).toHaveBeenCalledWith(null, undefined);
+        });
+
+        it('stores values as JSON', function () {
+            backend.set('key', { content: [{ id: '1' }] }, callback);
+            expect(callback).toHaveBeenCalledWith(null);
+            expect(JSON.parse(items['streamhub-sdk/storage/key'])).toEqual({ content: [{ id: '1' }] });
+
+            backend.get('key', callback);
+            expect(callback.mostRecentCall.args[1]).toEqual({ content: [{ id: '1' }] });
+        });
+
+        it('removes values', function () {
+            backend.set('key', 1, callback);
+            backend.remove('key', callback);
+            backend.get('key', callback);
+            expect(callback).toHaveBeenCalledWith(null, undefined);
+        });
+
+        it('writes keys with opts.prefix', function () {
+            backend = new LocalStorageBackend({ storage: storage, prefix: 'myapp/' });
+            backend.set('key', 1, callback);
+            expect(items['myapp/key']).toBe('1');
+        });
+
+        it('passes errors writing to callbacks instead of throwing', function () {
+            var quotaError = new Error('QuotaExceededError');
+            storage.setItem = function () {
+                throw quotaError;
+            };
+            backend.set('key', 1, callback);
+            expect(callback).toHaveBeenCalledWith(quotaError);
+        });
+
+        it('passes an error reading an invalid value', function () {
+            items['streamhub-sdk/storage/key'] = '{not json';
+            backend.get('key', callback);
+            expect(callback.mostRecentCall.args[0]).toEqual(jasmine.any(Error));
+        });
+    });
+});
@@ -0,0 +1,396 @@
+define([
+    'streamhub-sdk/testing/fake-streamhub',
+    'streamhub-sdk/collection',
+    'streamhub-sdk/collection/clients/bootstrap-client',
+    'streamhub-sdk/collection/clients/stream-client',
+    'streamhub-sdk/collection/clients/write-client',
+    'streamhub-sdk/collection/clients/create-client',
+    'streamhub-sdk/content/views/content-list-view',
+    'streamhub-sdk/auth',
+    'streamhub-sdk/errors'],
+function (FakeStreamHub, Collection, LivefyreBootstrapClient,
+LivefyreStreamClient, LivefyreWriteClient, LivefyreCreateClient,
+ContentListView, Auth, errors) {
+    'use strict';
+
+    describe('streamhub-sdk/testing/fake-streamhub', function () {
+        var streamhub, collectionId, callback, collectionOpts;
+
+        beforeEach(function () {
+            streamhub = new FakeStreamHub({ pageSize: 2, longPollTimeout: 50 });
+            streamhub.install();
+            collectionId = streamhub.createCollection({
+                siteId: '1',
+                articleId: 'fake-article'
+            });
+            collectionOpts = {
+                network: streamhub.network,
+                siteId: '1',
+                articleId: 'fake-article'
+            };
+            callback = jasmine.createSpy('callback');
+        });
+
+        afterEach(function () {
+            streamhub.uninstall();
+        });
+
+        function waitForCallback () {
+            waitsFor(function () {
+                return callback.callCount > 0;
+            });
+        }
+
+        describe('Bootstrap', function () {
+            var bootstrapClient;
+
+            beforeEach(function () {
+                bootstrapClient = new LivefyreBootstrapClient();
+                streamhub.addContent(collectionId, { body: 'one' });
+                streamhub.addContent(collectionId, { body: 'two' });
+                streamhub.addContent(collectionId, { body: 'three' });
+            });
+
+            it('responds to init with the newest page as the headDocument', function () {
+                bootstrapClient.getContent(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    var init = callback.mostRecentCall.args[1];
+                    expect(init.collectionSettings.collectionId).toBe(collectionId);
+                    expect(init.collectionSettings.archiveInfo.nPages).toBe(2);
+                    expect(init.headDocument.content.length).toBe(1);
+                    expect(init.headDocument.content[0].content.bodyHtml).toBe('three');
+                });
+            });
+
+            it('responds with older pages', function () {
+                collectionOpts.page = 0;
+                bootstrapClient.getContent(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    var page = callback.mostRecentCall.args[1];
+                    expect(page.content.length).toBe(2);
+                    expect(page.content[0].content.bodyHtml).toBe('one');
+                });
+            });
+
+            it('nests replies in their parent', function () {
+                var parentId = streamhub.addContent(collectionId, { body: 'four' });
+                streamhub.addContent(collectionId, { body: 'reply', parentId: parentId });
+                bootstrapClient.getContent(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    var head = callback.mostRecentCall.args[1].headDocument;
+                    expect(head.content[head.content.length - 1].childContent[0].content.bodyHtml).toBe('reply');
+                });
+            });
+
+            it('passes a NotFoundError for Collections that do not exist', function () {
+                collectionOpts.articleId = 'nope';
+                bootstrapClient.getContent(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0] instanceof errors.NotFoundError).toBe(true);
+                });
+            });
+
+            it('includes featured Content in init', function () {
+                var id = streamhub.addContent(collectionId, { body: 'featured' });
+                streamhub.featureContent(collectionId, id);
+                bootstrapClient.getContent(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    var featured = callback.mostRecentCall.args[1].featured;
+                    expect(featured.content.length).toBe(1);
+                    expect(featured.content[0].content.id).toBe(id);
+                });
+            });
+        });
+
+        describe('Stream', function () {
+            var streamClient, streamOpts;
+
+            beforeEach(function () {
+                streamClient = new LivefyreStreamClient();
+                streamOpts = {
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    commentId: streamhub.getState(collectionId,
+                        streamhub.addContent(collectionId, { body: 'one' })).event
+                };
+            });
+
+            it('holds requests open until there is a new event', function () {
+                var id;
+                streamClient.getContent(streamOpts, callback);
+                waits(10);
+                runs(function () {
+                    expect(callback).not.toHaveBeenCalled();
+                    id = streamhub.addContent(collectionId, { body: 'two' });
+                });
+                waitForCallback();
+                runs(function () {
+                    var data = callback.mostRecentCall.args[1];
+                    expect(data.states[id].content.bodyHtml).toBe('two');
+                    expect(data.maxEventId).toBe(data.states[id].event);
+                });
+            });
+
+            it('streams edits and deletes', function () {
+                var id = streamhub.addContent(collectionId, { body: 'two' });
+                streamhub.editContent(collectionId, id, 'edited');
+                streamhub.deleteContent(collectionId, id);
+                streamClient.getContent(streamOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    var state = callback.mostRecentCall.args[1].states[id];
+                    expect(state.content.bodyHtml).toBe('edited');
+                    expect(state.vis).toBe(0);
+                });
+            });
+
+            it('responds with a timeout if nothing happens', function () {
+                streamClient.getContent(streamOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback).toHaveBeenCalledWith(null, { timeout: true });
+                });
+            });
+
+            it('calls back "abort" when aborted', function () {
+                var request = streamClient.getContent(streamOpts, callback);
+                waits(10);
+                runs(function () {
+                    request.abort();
+                    expect(callback).toHaveBeenCalledWith('abort');
+                });
+            });
+        });
+
+        describe('Write and Create', function () {
+            it('adds posted Content by registered users', function () {
+                var writeClient = new LivefyreWriteClient();
+                streamhub.addUser('token', { id: 'user@fake.fyre.co', displayName: 'User' });
+                writeClient.postContent({
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    lftoken: 'token',
+                    body: 'posted'
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    var message = callback.mostRecentCall.args[1].data.messages[0];
+                    expect(message.content.authorId).toBe('user@fake.fyre.co');
+                    expect(streamhub.getState(collectionId, message.content.id).content.bodyHtml).toBe('posted');
+                });
+            });
+
+            it('rejects posts with unknown tokens', function () {
+                var writeClient = new LivefyreWriteClient();
+                writeClient.postContent({
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    lftoken: 'unknown',
+                    body: 'posted'
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0].status).toBe(401);
+                });
+            });
+
+            it('streams likes and unlikes as OPINE states', function () {
+                var writeClient = new LivefyreWriteClient(),
+                    contentId = streamhub.addContent(collectionId, { body: 'likeable' }),
+                    opineId;
+                streamhub.addUser('token', { id: 'user@fake.fyre.co', displayName: 'User' });
+                writeClient.like({
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    lftoken: 'token',
+                    messageId: contentId
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    var message = callback.mostRecentCall.args[1].data.messages[0];
+                    opineId = message.content.id;
+                    expect(message.type).toBe(1);
+                    expect(message.content.targetId).toBe(contentId);
+                    expect(streamhub.getState(collectionId, opineId).vis).toBe(1);
+                    streamhub.likeContent(collectionId, contentId, { id: 'user@fake.fyre.co' }, false);
+                    expect(streamhub.getState(collectionId, opineId).vis).toBe(0);
+                });
+            });
+
+            it('lets authors edit their Content', function () {
+                var writeClient = new LivefyreWriteClient(),
+                    contentId;
+                streamhub.addUser('token', { id: 'user@fake.fyre.co', displayName: 'User' });
+                contentId = streamhub.addContent(collectionId, {
+                    body: 'typo',
+                    author: { id: 'user@fake.fyre.co' }
+                });
+                writeClient.editContent({
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    lftoken: 'token',
+                    messageId: contentId,
+                    body: 'fixed'
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[1].data.messages[0].content.bodyHtml).toBe('fixed');
+                    expect(streamhub.getState(collectionId, contentId).content.bodyHtml).toBe('fixed');
+                });
+            });
+
+            it('lets moderators moderate Content', function () {
+                var writeClient = new LivefyreWriteClient(),
+                    contentId = streamhub.addContent(collectionId, { body: 'moderated' }),
+                    opts = {
+                        network: streamhub.network,
+                        collectionId: collectionId,
+                        lftoken: 'token',
+                        messageId: contentId
+                    };
+                streamhub.addUser('token', { id: 'mod@fake.fyre.co', displayName: 'Mod' }, { moderator: true });
+                writeClient.bozoContent(opts, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(streamhub.getState(collectionId, contentId).vis).toBe(2);
+                    opts.value = 10;
+                    callback.reset();
+                    writeClient.featureContent(opts, callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(streamhub.getState(collectionId, contentId).content.annotations.featuredmessage.value).toBe(10);
+                    callback.reset();
+                    writeClient.deleteContent(opts, callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0]).toBe(null);
+                    expect(streamhub.getState(collectionId, contentId).vis).toBe(0);
+                });
+            });
+
+            it('passes a ForbiddenError when others moderate', function () {
+                var writeClient = new LivefyreWriteClient(),
+                    contentId = streamhub.addContent(collectionId, { body: 'moderated' });
+                streamhub.addUser('token', { id: 'user@fake.fyre.co', displayName: 'User' });
+                writeClient.featureContent({
+                    network: streamhub.network,
+                    collectionId: collectionId,
+                    lftoken: 'token',
+                    messageId: contentId,
+                    value: 10
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0] instanceof errors.ForbiddenError).toBe(true);
+                    expect(streamhub.getState(collectionId, contentId).content.annotations.featuredmessage).toBe(undefined);
+                });
+            });
+
+            it('creates Collections', function () {
+                var createClient = new LivefyreCreateClient();
+                createClient.createCollection({
+                    network: streamhub.network,
+                    siteId: '1',
+                    articleId: 'new-article',
+                    collectionMeta: { url: 'http://fake', title: 'New' }
+                }, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0]).toBe(null);
+                    expect(streamhub.createCollection({
+                        siteId: '1',
+                        articleId: 'new-article'
+                    })).toEqual(jasmine.any(String));
+                });
+            });
+        });
+
+        describe('Auth', function () {
+            afterEach(function () {
+                Auth.setToken();
+            });
+
+            it("fetches the profile and permissions of a token's user", function () {
+                streamhub.addUser('mod', { id: 'mod@fake.fyre.co', displayName: 'Mod' }, { moderator: true });
+                Auth.setToken('mod');
+                Auth.fetchAuthData(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0]).toBe(null);
+                    expect(Auth.getUser().id).toBe('mod@fake.fyre.co');
+                    expect(Auth.getUser().displayName).toBe('Mod');
+                    expect(Auth.isModerator(collectionOpts)).toBe(true);
+                });
+            });
+
+            it('does not make other users moderators', function () {
+                streamhub.addUser('token', { id: 'user@fake.fyre.co', displayName: 'User' });
+                Auth.setToken('token');
+                Auth.fetchAuthData(collectionOpts, callback);
+                waitForCallback();
+                runs(function () {
+                    expect(Auth.getUser().displayName).toBe('User');
+                    expect(Auth.isModerator(collectionOpts)).toBe(false);
+                });
+            });
+        });
+
+        describe('with a Collection piped to a ContentListView', function () {
+            var collection, listView;
+
+            beforeEach(function () {
+                streamhub.addContent(collectionId, { body: 'archived' });
+                collection = new Collection(collectionOpts);
+                listView = new ContentListView();
+                collection.pipe(listView);
+            });
+
+            afterEach(function () {
+                collection.pause();
+            });
+
+            it('shows archived Content, then added Content', function () {
+                waitsFor(function () {
+                    return listView.views.length === 1 && collection.getState() === 'live';
+                });
+                runs(function () {
+                    streamhub.addContent(collectionId, { body: 'new' });
+                });
+                waitsFor(function () {
+                    return listView.views.length === 2;
+                });
+                runs(function () {
+                    var bodies = [listView.views[0].content.body, listView.views[1].content.body];
+                    expect(bodies).toContain('archived');
+                    expect(bodies).toContain('new');
+                });
+            });
+
+            it('removes deleted Content', function () {
+                var id;
+                waitsFor(function () {
+                    return collection.getState() === 'live';
+                });
+                runs(function () {
+                    id = streamhub.addContent(collectionId, { body: 'doomed' });
+                });
+                waitsFor(function () {
+                    return listView.views.length === 2;
+                });
+                runs(function () {
+                    streamhub.deleteContent(collectionId, id);
+                });
+                waitsFor(function () {
+                    return listView.views.length === 1;
+                });
+            });
+        });
+    });
+});
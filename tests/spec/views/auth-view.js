@@ -0,0 +1,71 @@
+define([
+    'streamhub-sdk/views/auth-view',
+    'streamhub-sdk/auth'],
+function (AuthView, Auth) {
+    'use strict';
+
+    describe('streamhub-sdk/views/auth-view', function () {
+        var delegate,
+            view;
+
+        function createToken (claims) {
+            return ['eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9', btoa(JSON.stringify(claims)), 'sig'].join('.');
+        }
+
+        beforeEach(function () {
+            delegate = {
+                login: jasmine.createSpy('login'),
+                logout: jasmine.createSpy('logout').andCallFake(function (callback) {
+                    callback();
+                })
+            };
+            Auth.delegate = delegate;
+            view = new AuthView();
+        });
+
+        afterEach(function () {
+            view.destroy();
+            Auth.delegate = null;
+            Auth.setToken();
+        });
+
+        it('is a constructor', function () {
+            expect(view instanceof AuthView).toBe(true);
+        });
+
+        it('asks the streamhub-sdk/auth delegate to log in when the login control is clicked', function () {
+            expect(view.$('.hub-auth-logout').length).toBe(0);
+            view.$('.hub-auth-login').click();
+            expect(delegate.login).toHaveBeenCalled();
+        });
+
+        it("displays the User's name and a logout control once a token is set", function () {
+            Auth.setToken(createToken({
+                domain: 'labs-t402.fyre.co',
+                user_id: 'commenter',
+                display_name: '<b>Commenter</b>'
+            }));
+            expect(view.$el.hasClass('hub-auth-logged-in')).toBe(true);
+            expect(view.$('.hub-auth-name').text()).toBe('<b>Commenter</b>');
+            expect(view.$('.hub-auth-logout').text()).toBe(view.labels.logout);
+            expect(view.$('.hub-auth-login').length).toBe(0);
+        });
+
+        it('logs out with the delegate when the logout control is clicked', function () {
+            Auth.setToken(createToken({ domain: 'labs-t402.fyre.co', user_id: 'commenter' }));
+            view.$('.hub-auth-logout').click();
+            expect(delegate.logout).toHaveBeenCalled();
+            expect(Auth.getToken()).toBe(undefined);
+            expect(view.$el.hasClass('hub-auth-logged-in')).toBe(false);
+            expect(view.$('.hub-auth-login').text()).toBe(view.labels.login);
+        });
+
+        it('stops listening to streamhub-sdk/auth after .destroy()', function () {
+            var destroyed = new AuthView();
+            spyOn(destroyed, 'render');
+            destroyed.destroy();
+            Auth.setToken('12345');
+            expect(destroyed.render).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,53 @@
+define([
+    'streamhub-sdk/views/connection-status-view',
+    'streamhub-sdk/collection'],
+function (ConnectionStatusView, Collection) {
+    'use strict';
+
+    describe('streamhub-sdk/views/connection-status-view', function () {
+        var collection,
+            view;
+
+        beforeEach(function () {
+            collection = new Collection();
+            view = new ConnectionStatusView({
+                collection: collection
+            });
+        });
+
+        it('is a constructor', function () {
+            expect(view instanceof ConnectionStatusView).toBe(true);
+        });
+
+        it('displays the current state of opts.collection', function () {
+            expect(view.getState()).toBe('idle');
+            expect(view.$el.hasClass('hub-connection-status-idle')).toBe(true);
+            expect(view.$el.text()).toBe(view.labels.idle);
+        });
+
+        it('re-renders when the Collection changes state', function () {
+            collection.pause();
+            expect(view.getState()).toBe('paused');
+            expect(view.$el.hasClass('hub-connection-status-paused')).toBe(true);
+            expect(view.$el.hasClass('hub-connection-status-idle')).toBe(false);
+            expect(view.$el.text()).toBe(view.labels.paused);
+        });
+
+        it('has a label for every Collection state', function () {
+            var states = Collection.enums.state;
+            for (var name in states) {
+                if (states.hasOwnProperty(name)) {
+                    expect(view.labels[states[name]]).toEqual(jasmine.any(String));
+                }
+            }
+            expect(view.labels.offline).toBe('Offline');
+        });
+
+        it('stops listening to a Collection it no longer displays', function () {
+            var otherCollection = new Collection();
+            view.setCollection(otherCollection);
+            collection.pause();
+            expect(view.getState()).toBe('idle');
+        });
+    });
+});